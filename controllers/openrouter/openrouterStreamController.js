@@ -3,18 +3,105 @@
  * Handles streaming chat requests with audio and text input support
  */
 
-import { createStreamingChatCompletion } from '../../services/openrouter/openRouterService.js';
+import { DEFAULT_MODEL } from '../../services/openrouter/openRouterService.js';
+import { updateWalletOnConsumption } from '../../services/openrouter/openrouterCreditsService.js';
+import {
+  checkCanUseTokens,
+  getUserLimits,
+  getUsageSummary,
+  preflightChatRequest,
+  commitTokenReservation,
+  releaseTokenReservation,
+} from '../../services/usageService.js';
+import {
+  buildConversationContext,
+  appendConversationMessages,
+} from '../../services/conversationService.js';
+import { withQuestionnaireProfile } from '../../services/questionnaireService.js';
+import { moderateText } from '../../services/moderationService.js';
+import { checkModelAccess } from '../../services/modelCatalogService.js';
+import { hasPlanFeature } from '../../services/planCatalogService.js';
+import { streamChatCompletion, resolveProviderName } from '../../services/ai/aiProviderService.js';
+import { calculateTokenCost } from '../../utils/tokenPricing.js';
+import { countTextTokens } from '../../utils/tokenEstimator.js';
+import { createStreamWriter, negotiateStreamFormat } from '../../utils/streamProtocol.js';
+
+// Same reply cap as /api/ai/chat - the reservation has to cover the whole reply
+const STREAM_MAX_COMPLETION_TOKENS = 2000;
+
+/**
+ * Record usage for a finished (or abandoned) stream
+ * Settles the pre-flight reservation in the per-user usage doc and, when OpenRouter
+ * served the reply, deducts from the OpenRouter wallet
+ * @param {Object} preflight - Result of preflightChatRequest (reservation, estimatedPromptTokens)
+ * @param {string} model - Model that served the request
+ * @param {string|null} provider - Provider that served the request (resolved from the model when unknown)
+ * @param {number} promptTokens - Input tokens
+ * @param {number} completionTokens - Output tokens
+ * @returns {Promise<number>} Cost in USD
+ */
+async function recordStreamUsage(preflight, model, provider, promptTokens, completionTokens) {
+  const totalTokens = promptTokens + completionTokens;
+  if (totalTokens <= 0) {
+    await releaseTokenReservation(preflight.reservation);
+    return 0;
+  }
+
+  const cost = calculateTokenCost(model, promptTokens, completionTokens);
+
+  try {
+    await commitTokenReservation(preflight.reservation, {
+      model,
+      promptTokens,
+      completionTokens,
+      estimatedPromptTokens: preflight.estimatedPromptTokens,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (usageError) {
+    console.error('Failed to record stream usage:', usageError.message);
+  }
+
+  // After a failover the reply came from another provider - the OpenRouter wallet was not spent
+  if ((provider || resolveProviderName(model)) === 'openrouter') {
+    try {
+      await updateWalletOnConsumption(totalTokens);
+    } catch (walletError) {
+      console.error('Failed to update OpenRouter wallet:', walletError.message);
+    }
+  }
+
+  return cost;
+}
 
 /**
  * POST /api/openrouter/chat/stream
  * Streaming chat endpoint that supports both audio and text input
- * Simplified payload: only requires 'message' field
- * Always uses model: google/gemini-3-flash-preview
+ * Requires Firebase auth (req.user.uid) and enforces the same plan limits as /api/ai/chat
+ * Payload: 'message' (required), 'model' (optional, must be a chat model of the user's
+ * plan in the model catalog, default: google/gemini-3-flash-preview), 'conversationId' (optional - prepends the
+ * stored history, trimmed to the plan's maxTokensPerRequest, and saves message + reply)
+ * 'useProfile' (optional, default true - adds the user's questionnaire answers as a
+ * system message, see /api/ai/questionnaires)
+ * Text input is screened by moderateInput in korpo.js; the reply is screened once streamed
  * Returns streaming response with input/output tokens
+ * Usage and cost are recorded per user; tokens served by OpenRouter are deducted from its wallet
+ *
+ * Response framing depends on the Accept header (see utils/streamProtocol.js):
+ * - text/event-stream: SSE delta/usage/error/done events
+ * - application/x-ndjson: the same events as newline-delimited JSON
+ * - otherwise: legacy plain text with "\n\n{usage json}" appended
  */
 export async function streamChatController(req, res) {
+  // Negotiate framing from the Accept header (legacy plain text by default)
+  const stream = createStreamWriter(res, {
+    format: negotiateStreamFormat(req.headers.accept),
+  });
+  // Tokens held by the pre-flight check (released if the stream fails before a delta was sent)
+  let reservation = null;
+
   try {
-    const { message } = req.body;
+    const uid = req.user.uid;
+    const { message, model = DEFAULT_MODEL, conversationId = null, useProfile = true } = req.body;
 
     console.log('📥 Received request:', {
       hasMessage: !!message,
@@ -74,71 +161,212 @@ export async function streamChatController(req, res) {
       });
     }
 
-    // Set up headers for plain text streaming
-    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+    const userLimits = await getUserLimits(uid);
 
-    let finalUsage = null;
-    let responseId = null;
-    let responseModel = null;
-
-    // Always use google/gemini-3-flash-preview model
-    const model = 'google/gemini-3-flash-preview';
-
-    // Handle streaming with onChunk callback
-    const result = await createStreamingChatCompletion({
-      messages: [processedMessage],
-      model: model,
-      options: {},
-      onChunk: (chunk) => {
-        // Send only the actual content text
-        if (chunk.content) {
-          res.write(chunk.content);
-        }
+    // Model must be in the catalog and included in the user's plan
+    const modelAccess = checkModelAccess(model, userLimits.plan, 'chat');
+    if (!modelAccess.allowed) {
+      return res.status(modelAccess.statusCode).json({
+        success: false,
+        error: modelAccess.message,
+        code: modelAccess.code,
+        allowedModels: modelAccess.allowedModels,
+      });
+    }
 
-        // Store usage if available
-        if (chunk.usage) {
-          finalUsage = chunk.usage;
+    // Same plan limits as /api/ai/chat
+    const canUse = await checkCanUseTokens(uid, { userLimits });
+    if (!canUse.allowedChat) {
+      return res.status(429).json({
+        success: false,
+        error: canUse.chatBlockedReason || canUse.reason || 'Limit exceeded',
+        code: 'LIMIT_EXCEEDED',
+        remaining: canUse.remainingDailyTokens,
+      });
+    }
+
+    // Prepend stored history when the app continues a conversation
+    let messages = [processedMessage];
+    if (conversationId) {
+      try {
+        const context = await buildConversationContext(
+          uid,
+          conversationId,
+          [processedMessage],
+          userLimits.limits.maxTokensPerRequest
+        );
+        messages = context.messages;
+      } catch (conversationError) {
+        if (conversationError.code === 'CONVERSATION_NOT_FOUND') {
+          return res.status(404).json({
+            success: false,
+            error: conversationError.message,
+            code: 'CONVERSATION_NOT_FOUND',
+          });
         }
-      },
+        throw conversationError;
+      }
+    }
+
+    // Answers from completed questionnaires, counted with the prompt below
+    if (useProfile !== false && useProfile !== 'false') {
+      ({ messages } = await withQuestionnaireProfile(uid, messages));
+    }
+
+    // Count the prompt and hold prompt + max reply against the user's budget
+    // (audio parts are not counted - the reply cap still bounds the reservation)
+    const preflight = await preflightChatRequest(uid, messages, {
+      maxCompletionTokens: Math.min(STREAM_MAX_COMPLETION_TOKENS, modelAccess.entry.maxOutputTokens || Infinity),
+      endpoint: 'openrouter-stream',
+      contextLength: modelAccess.entry.contextLength,
+      userLimits,
+    });
+    if (!preflight.allowed) {
+      return res.status(preflight.statusCode).json({
+        success: false,
+        error: preflight.reason,
+        code: preflight.code,
+        estimatedPromptTokens: preflight.estimatedPromptTokens,
+        maxTokensPerRequest: preflight.maxTokensPerRequest,
+      });
+    }
+    reservation = preflight.reservation;
+
+    // Abort the upstream request if the client goes away, but still bill what was streamed
+    const abortController = new AbortController();
+    let clientDisconnected = false;
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        clientDisconnected = true;
+        abortController.abort();
+      }
     });
 
-    // Get final usage from result if not captured in chunks
-    if (!finalUsage && result.usage) {
+    stream.start();
+
+    let finalUsage = null;
+    let finishReason = null;
+    let streamedText = '';
+    let deltaSent = false;
+    let streamError = null;
+    let result = null;
+    // Model/provider that answered - differs from the requested model after a fallback
+    let servedModel = model;
+    let provider = null;
+
+    try {
+      // Provider is resolved from the model (OpenRouter for allow-listed models)
+      result = await streamChatCompletion({
+        messages,
+        model: model,
+        maxTokens: preflight.maxTokens,
+        signal: abortController.signal,
+        onDelta: (content, fullContent) => {
+          // Send only the actual content text
+          stream.delta(content);
+          deltaSent = true;
+          streamedText = fullContent || streamedText;
+        },
+      });
+      finishReason = result.finishReason;
       finalUsage = result.usage;
+      servedModel = result.servedModel;
+      provider = result.provider;
+    } catch (error) {
+      servedModel = error.servedModel || servedModel;
+      provider = error.provider || provider;
+      // Nothing reached the client yet - release the reservation and report the error
+      if (!clientDisconnected && !deltaSent) throw error;
+      // Failed mid-stream - the partial reply was seen, so it is billed below
+      if (!clientDisconnected) {
+        console.error('🔥 Stream failed mid-reply:', error.message);
+        streamError = error;
+      }
     }
-    if (result.id) responseId = result.id;
-    if (result.model) responseModel = result.model;
 
-    // Send usage information at the end as JSON
+    // No usage block (client disconnected or stream failed) - use the tokenizer counts
+    const promptText = processedMessage.content || processedMessage.text || '';
     const finalUsageData = finalUsage || {
-      promptTokens: 0,
-      completionTokens: 0,
-      totalTokens: 0,
+      promptTokens: preflight.estimatedPromptTokens,
+      completionTokens: countTextTokens(streamedText),
     };
     
+    const inputTokens = finalUsageData.promptTokens || finalUsageData.prompt_tokens || finalUsageData.inputTokens || 0;
+    const outputTokens = finalUsageData.completionTokens || finalUsageData.completion_tokens || finalUsageData.outputTokens || 0;
     const usageData = {
-      inputTokens: finalUsageData.promptTokens || finalUsageData.inputTokens || 0,
-      outputTokens: finalUsageData.completionTokens || finalUsageData.outputTokens || 0,
-      totalTokens: finalUsageData.totalTokens || 0,
+      inputTokens,
+      outputTokens,
+      totalTokens: finalUsageData.totalTokens || finalUsageData.total_tokens || inputTokens + outputTokens,
     };
+
+    // Bill at the model that answered (its catalog id - OpenRouter may echo a dated variant)
+    const cost = await recordStreamUsage(preflight, servedModel, provider, inputTokens, outputTokens);
+    // Settled - a later error must not release it
+    reservation = null;
+
+    // Screen the reply - it was already streamed, so a blocked reply is reported as a
+    // CONTENT_BLOCKED error (the app discards the text) and not saved
+    let outputModeration = null;
+    if (streamedText) {
+      try {
+        outputModeration = await moderateText({ uid, text: streamedText, stage: 'output', route: 'openrouter-stream' });
+      } catch (moderationError) {
+        console.error('Failed to moderate streamed reply:', moderationError.message);
+      }
+    }
+    const replyBlocked = outputModeration?.action === 'block';
+
+    // Save the turn - audio-only messages are stored as a placeholder
+    if (conversationId && streamedText && !replyBlocked) {
+      try {
+        const userContent = typeof promptText === 'string' && promptText ? promptText : '[audio message]';
+        await appendConversationMessages(uid, conversationId, [
+          { role: 'user', content: userContent },
+          { role: 'assistant', content: streamedText, model: servedModel },
+        ]);
+      } catch (conversationError) {
+        console.error('Failed to save conversation messages:', conversationError.message);
+      }
+    }
+
+    if (clientDisconnected) {
+      console.log(`⚠️ Client disconnected from OpenRouter stream (${uid}), recorded ${usageData.totalTokens} tokens`);
+      return;
+    }
+
+    if (streamError) {
+      stream.error(streamError.message || 'AI stream failed', 'STREAM_ERROR');
+      stream.done({ finishReason: 'error' });
+      return;
+    }
+
+    if (replyBlocked) {
+      stream.error('The reply was withheld by content moderation', 'CONTENT_BLOCKED');
+      stream.done({ finishReason: 'content_filter' });
+      return;
+    }
+
+    const usageSummary = await getUsageSummary(uid, { userLimits });
     
-    // Append usage JSON at the end
-    res.write(`\n\n${JSON.stringify(usageData)}`);
-    res.end();
+    stream.usage(usageData, {
+      model: servedModel,
+      provider: provider || 'openrouter',
+      plan: userLimits.plan,
+      // Plans without the showCost feature show $0 (same as /api/ai/chat)
+      cost: hasPlanFeature(userLimits, 'showCost') ? cost : 0,
+      remainingDaily: usageSummary.remainingDaily,
+      remainingMonthly: usageSummary.remainingMonthly,
+    });
+    stream.done({ finishReason: finishReason || 'stop' });
 
   } catch (error) {
     console.error('🔥 Error in streaming chat:', error);
-    
-    // Send error as plain text
-    if (!res.headersSent) {
-      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-    }
-    
-    res.write(`Error: ${error.message}`);
-    res.end();
+    await releaseTokenReservation(reservation);
+
+    // Report the error in the negotiated format (headers may not be sent yet)
+    stream.start();
+    stream.error(error.message, 'STREAM_ERROR');
+    stream.done({ finishReason: 'error' });
   }
 }
 
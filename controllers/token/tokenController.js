@@ -307,8 +307,9 @@ export async function processAIServiceRequest(userId, requestParams) {
 
     if (tokensUsed > 0) {
       // Calculate token cost for tracking
+      // Priced at the model that was actually called
       const tokenCost = calculateTokenCost(
-        requestParams.model || 'gpt-4o-mini',
+        requestParams.model || 'google/gemini-3-flash-preview',
         promptTokens,
         completionTokens
       );
@@ -28,6 +28,14 @@ import adminAuthRoutes from "./routes/admin/adminAuthRoutes.js";
 import adminDataRoutes from "./routes/admin/adminDataRoutes.js";
 import openrouterRoutes from "./routes/admin/openrouterRoutes.js";
 import adminStatsRoutes from "./routes/admin/adminStatsRoutes.js";
+import adminPricingRoutes from "./routes/admin/adminPricingRoutes.js";
+import adminVoiceProfileRoutes from "./routes/admin/adminVoiceProfileRoutes.js";
+import adminQuestionTemplateRoutes from "./routes/admin/adminQuestionTemplateRoutes.js";
+import adminInterestRoutes from "./routes/admin/adminInterestRoutes.js";
+import adminModerationRoutes from "./routes/admin/adminModerationRoutes.js";
+import adminModelCatalogRoutes from "./routes/admin/adminModelCatalogRoutes.js";
+import adminPlanRoutes from "./routes/admin/adminPlanRoutes.js";
+import adminLimitOverrideRoutes from "./routes/admin/adminLimitOverrideRoutes.js";
 import userTokenHistoryRoutes from "./routes/token/userTokenHistoryRoutes.js";
 import { streamChatController } from "./controllers/openrouter/openrouterStreamController.js";
 import admin from 'firebase-admin';
@@ -37,8 +45,24 @@ import billingRoutes from "./routes/billing/billingRoutes.js";
 import subscriptionRoutes from "./routes/subscription/subscriptionRoutes.js";
 import planManagementRoutes from "./routes/subscription/planManagementRoutes.js";
 import aiProxyRoutes from "./routes/ai/aiProxyRoutes.js";
+import conversationRoutes from "./routes/ai/conversationRoutes.js";
+import transcriptionJobRoutes from "./routes/ai/transcriptionJobRoutes.js";
+import questionnaireRoutes from "./routes/ai/questionnaireRoutes.js";
+import interestRoutes from "./routes/ai/interestRoutes.js";
+import { verifyFirebaseToken } from "./middleware/firebaseAuthMiddleware.js";
+import { rateLimitByUser, rateLimitByIp, setRateLimitStore } from "./middleware/rateLimiter.js";
+import { createFirestoreRateLimitStore } from "./services/firestoreRateLimitStore.js";
+import { setTtsCacheStore } from "./services/ttsCacheService.js";
+import { createStorageTtsCacheStore } from "./services/storageTtsCacheStore.js";
 import { getpremiumUsersByAnniversary, generateMonthlyInvoice, createStripeInvoice } from "./services/billingService.js";
 import { getPreviousMonth } from "./services/billingService.js";
+import { loadPricingRegistry, syncOpenRouterPricing } from "./services/pricingService.js";
+import { loadVoiceProfiles } from "./services/voiceProfileService.js";
+import { loadModerationConfig } from "./services/moderationService.js";
+import { loadModelCatalog, syncModelCatalogLimits, getCatalogModelIds } from "./services/modelCatalogService.js";
+import { loadPlanCatalog } from "./services/planCatalogService.js";
+import { recordUsage, readLedger, listLedgers, getMonthlyMetric } from "./services/usageLedgerService.js";
+import { moderateInput, getSingleMessageText } from "./middleware/moderation.js";
 
 dotenv.config();
 
@@ -73,6 +97,31 @@ app.use((req, res, next) => {
 // ✅ Enable CORS for all routes & origins
 app.use(cors());
 
+// =============== RATE LIMITING ===============
+// Behind a load balancer, TRUST_PROXY (hop count or "true") makes req.ip the client address
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY === "true" : hops);
+}
+// Counters are per instance unless RATE_LIMIT_STORE=firestore
+if (process.env.RATE_LIMIT_STORE === "firestore") {
+  setRateLimitStore(createFirestoreRateLimitStore());
+}
+// Unauthenticated partner/promo/referral endpoints are limited per IP
+// (authenticated AI routes use rateLimitByUser with the plan's maxRequestsPerMinute)
+app.use(
+  ["/api/partner", "/api/partners", "/api/promocode", "/api/promoCodes", "/api/referralCode", "/api/ambassador"],
+  rateLimitByIp
+);
+// =============== END RATE LIMITING ===============
+
+// =============== TTS CACHE ===============
+// Generated speech is cached on local disk unless TTS_CACHE_STORE=storage (shared bucket)
+if (process.env.TTS_CACHE_STORE === "storage") {
+  setTtsCacheStore(createStorageTtsCacheStore({ bucket: process.env.TTS_CACHE_BUCKET }));
+}
+// =============== END TTS CACHE ===============
+
 // Setup transporter (for Gmail SMTP, or use SendGrid API instead)
 const transporter = nodemailer.createTransport({
   service: "gmail",
@@ -2228,20 +2277,6 @@ app.post("/webhook", bodyParser.raw({ type: "application/json" }), async (req, r
           subscription: subscriptionData,
         };
 
-        if (!user.usageHistory) {
-          user.usageHistory = {};
-        }
-        const monthKey = subscriptionStartDate.toISOString().split("T")[0].substring(0, 7);
-        if (!user.usageHistory[monthKey]) {
-          user.usageHistory[monthKey] = {
-            month: monthKey,
-            workoutsCount: 0,
-            usageCharges: 0,
-            createdAt: new Date(),
-          };
-        }
-        updateData.usageHistory = user.usageHistory;
-
         await updateDoc(userRef, updateData);
         console.log(`✅ Payment recorded for user ${userId}: is_payed = true`);
 
@@ -2786,6 +2821,16 @@ const calculateUsageCharges = (usageData) => {
   return parseFloat(charges.toFixed(2));
 };
 
+// ✅ Helper: Month of workout usage from a usage ledger (shape of the former users.usageHistory entries)
+const toUsageHistoryEntry = (ledger) => {
+  const workoutsCount = getMonthlyMetric(ledger, "workouts");
+  return {
+    month: ledger.month,
+    workoutsCount,
+    usageCharges: calculateUsageCharges({ workoutsCount }),
+  };
+};
+
 // ✅ 1️⃣ Create Payment Intent (Initiate Payment)
 app.post("/api/subscription/createPaymentIntent", async (req, res) => {
   try {
@@ -3120,24 +3165,10 @@ app.post("/api/subscription/confirmPayment", async (req, res) => {
       amount_paid: paymentIntent.amount / 100, // Store as dollars
     };
 
-    // Create usage history for this month if not exists
-    const monthKey = subscriptionStartDate.toISOString().split("T")[0].substring(0, 7); // YYYY-MM
-    if (!user.usageHistory) {
-      user.usageHistory = {};
-    }
-    if (!user.usageHistory[monthKey]) {
-      user.usageHistory[monthKey] = {
-        month: monthKey,
-        workoutsCount: 0,
-        usageCharges: 0,
-        createdAt: new Date(),
-      };
-    }
-
     // Update user document with subscription data
+    // (workout usage lives in the usage ledger and is created on first use)
     const updateData = {
       subscription: subscriptionData,
-      usageHistory: user.usageHistory,
     };
 
     // Also update the stripe object in user doc
@@ -3233,6 +3264,10 @@ app.post("/api/subscription/trackUsage", async (req, res) => {
       return res.status(400).json({ error: "userId and usageType are required" });
     }
 
+    if (!Number.isFinite(Number(amount)) || Number(amount) <= 0) {
+      return res.status(400).json({ error: "amount must be a positive number" });
+    }
+
     const userRef = doc(db, "users", userId);
     const userSnap = await getDoc(userRef);
 
@@ -3240,43 +3275,22 @@ app.post("/api/subscription/trackUsage", async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const user = userSnap.data();
-
     // ⚠️ USAGE TRACKING DISABLED FOR TESTING
     // Users can track usage even without active subscription
     // if (!isSubscriptionActive(user)) {
     //   return res.status(403).json({ error: "Subscription expired. Please renew to continue." });
     // }
 
-    // Get current month key
-    const now = new Date();
-    const monthKey = now.toISOString().split("T")[0].substring(0, 7); // YYYY-MM
-
-    const usageHistory = user.usageHistory || {};
-    if (!usageHistory[monthKey]) {
-      usageHistory[monthKey] = {
-        month: monthKey,
-        workoutsCount: 0,
-        usageCharges: 0,
-        createdAt: new Date(),
-      };
-    }
-
-    // Track based on usage type
-    if (usageType === "workout") {
-      usageHistory[monthKey].workoutsCount = (usageHistory[monthKey].workoutsCount || 0) + amount;
-    }
-
-    // Calculate overage charges
-    usageHistory[monthKey].usageCharges = calculateUsageCharges(usageHistory[monthKey]);
-
-    // Update user
-    await updateDoc(userRef, { usageHistory });
+    // Workouts are counted in the user's usage ledger for the current month
+    // (other usage types are not metered yet)
+    const ledger = usageType === "workout"
+      ? await recordUsage(userId, { type: "workout", deltas: { workouts: Number(amount) } })
+      : await readLedger(userId);
 
     res.json({
       success: true,
       message: `Usage tracked: ${usageType}`,
-      monthData: usageHistory[monthKey],
+      monthData: toUsageHistoryEntry(ledger),
     });
   } catch (error) {
     console.error("🔥 Error tracking usage:", error);
@@ -3296,8 +3310,10 @@ app.get("/api/subscription/usageHistory/:userId", async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const user = userSnap.data();
-    const usageHistory = user.usageHistory || {};
+    const ledgers = await listLedgers({ uid: userId });
+    const usageHistory = Object.fromEntries(
+      ledgers.filter(ledger => ledger.month).map(ledger => [ledger.month, toUsageHistoryEntry(ledger)])
+    );
 
     res.json({
       success: true,
@@ -3565,6 +3581,14 @@ app.use('/api/admin/auth', adminAuthRoutes);
 app.use('/api/admin/data', adminDataRoutes);
 app.use('/api/admin', openrouterRoutes);
 app.use('/api/admin/stats', adminStatsRoutes);
+app.use('/api/admin/pricing', adminPricingRoutes);
+app.use('/api/admin/voice-profiles', adminVoiceProfileRoutes);
+app.use('/api/admin/question-templates', adminQuestionTemplateRoutes);
+app.use('/api/admin/interests', adminInterestRoutes);
+app.use('/api/admin/moderation', adminModerationRoutes);
+app.use('/api/admin/models', adminModelCatalogRoutes);
+app.use('/api/admin/plans', adminPlanRoutes);
+app.use('/api/admin/limit-overrides', adminLimitOverrideRoutes);
 // =============== END ADMIN SYSTEM ===============
 
 // =============== TOKEN MANAGEMENT SYSTEM ===============
@@ -3583,6 +3607,11 @@ app.use('/api/plans', planManagementRoutes);
 
 // =============== AI PROXY SYSTEM (Mobile App) ===============
 // Mount AI proxy routes - mobile app calls these instead of OpenAI directly
+app.use('/api/ai/conversations', conversationRoutes);
+// Chunked uploads for long recordings (needs ffmpeg, see utils/audioSplitter.js)
+app.use('/api/ai/transcribe', transcriptionJobRoutes);
+app.use('/api/ai/questionnaires', questionnaireRoutes);
+app.use('/api/ai/interests', interestRoutes);
 app.use('/api/ai', aiProxyRoutes);
 // =============== END AI PROXY SYSTEM ===============
 
@@ -3590,15 +3619,102 @@ app.use('/api/ai', aiProxyRoutes);
 /**
  * POST /api/openrouter/chat/stream
  * Streaming chat endpoint that supports both audio and text input
- * Model: google/gemini-3-flash-preview
- * Returns streaming response with input/output tokens
+ * Requires Firebase token; model from allow-list (default: google/gemini-3-flash-preview)
+ * Returns streaming response with input/output tokens, usage is metered per user
+ * Text input and the reply go through content moderation (see middleware/moderation.js)
  */
-app.post('/api/openrouter/chat/stream', streamChatController);
+app.post(
+  '/api/openrouter/chat/stream',
+  verifyFirebaseToken,
+  rateLimitByUser,
+  moderateInput('openrouter-stream', getSingleMessageText),
+  streamChatController
+);
 
 //RevenueCat
 app.use('/api/revenuecat', webhook);
 // =============== END OPENROUTER STREAMING CHAT ===============
 
+// =============== PRICING REGISTRY ===============
+// Load model prices from Firestore (built-in defaults apply until this succeeds)
+loadPricingRegistry().catch(() => {});
+
+// Refresh every 5 minutes so admin price changes reach every instance
+cron.schedule("*/5 * * * *", async () => {
+  try {
+    await loadPricingRegistry();
+  } catch (error) {
+    console.error("🔥 Pricing registry refresh failed:", error.message);
+  }
+});
+
+// =============== VOICE PROFILES ===============
+// TTS tones from Firestore (built-in profiles apply until this succeeds)
+loadVoiceProfiles().catch(() => {});
+
+// Refresh every 5 minutes so admin profile changes reach every instance
+cron.schedule("*/5 * * * *", async () => {
+  try {
+    await loadVoiceProfiles();
+  } catch (error) {
+    console.error("🔥 Voice profile refresh failed:", error.message);
+  }
+});
+
+// Pull OpenRouter list prices daily at 03:00 UTC
+cron.schedule("0 3 * * *", async () => {
+  console.log("💲 Syncing OpenRouter pricing...");
+  try {
+    await syncOpenRouterPricing(getCatalogModelIds("openrouter"));
+  } catch (error) {
+    console.error("🔥 OpenRouter pricing sync failed:", error.message);
+  }
+});
+// =============== END PRICING REGISTRY ===============
+
+// =============== MODERATION CONFIG ===============
+// Per-category actions from Firestore (built-in defaults apply until this succeeds)
+loadModerationConfig().catch(() => {});
+
+// Refresh every 5 minutes so admin changes reach every instance
+cron.schedule("*/5 * * * *", async () => {
+  try {
+    await loadModerationConfig();
+  } catch (error) {
+    console.error("🔥 Moderation config refresh failed:", error.message);
+  }
+});
+// =============== END MODERATION CONFIG ===============
+
+// =============== PLAN CATALOG ===============
+// Plans, limits and platform fees from Firestore (built-in plans apply until this succeeds,
+// later reads refresh the cache when it is older than PLAN_CACHE_TTL_SECONDS)
+loadPlanCatalog().catch(() => {});
+// =============== END PLAN CATALOG ===============
+
+// =============== MODEL CATALOG ===============
+// Models and plan entitlements from Firestore (built-in catalog applies until this succeeds)
+loadModelCatalog().catch(() => {});
+
+// Refresh every 5 minutes so admin changes reach every instance
+cron.schedule("*/5 * * * *", async () => {
+  try {
+    await loadModelCatalog();
+  } catch (error) {
+    console.error("🔥 Model catalog refresh failed:", error.message);
+  }
+});
+
+// Pull context limits from the provider model listings daily at 03:30 UTC
+cron.schedule("30 3 * * *", async () => {
+  try {
+    await syncModelCatalogLimits();
+  } catch (error) {
+    console.error("🔥 Model catalog sync failed:", error.message);
+  }
+});
+// =============== END MODEL CATALOG ===============
+
 // ------------------- Start Server -------------------
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
@@ -0,0 +1,109 @@
+/**
+ * Content Moderation Middleware
+ * Screens the user's text before an AI route runs (see services/moderationService.js)
+ *
+ * Usage:
+ *   router.post('/chat', verifyFirebaseToken, rateLimitByUser, moderateInput('chat', getChatInputText), handler)
+ *
+ * Blocked input is rejected with 400 CONTENT_BLOCKED; flagged input goes through and
+ * the result is left on req.moderation.input for the handler. Replies are screened by
+ * the handlers with moderateText(..., stage: 'output') once the model has answered.
+ */
+
+import { moderateText } from '../services/moderationService.js';
+
+/**
+ * Text of a message's content (string or [{ type: 'text', text }] parts)
+ */
+function getMessageText(message) {
+  if (!message) return '';
+  if (typeof message === 'string') return message;
+  if (typeof message.content === 'string') return message.content;
+  if (Array.isArray(message.content)) {
+    return message.content
+      .filter(part => part?.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n');
+  }
+  return typeof message.text === 'string' ? message.text : '';
+}
+
+/**
+ * User-authored text of a chat request
+ * Conversation mode screens the new message only - the stored history was screened
+ * when it was sent. Otherwise every non-assistant message the client sent is screened.
+ * @param {Object} body - Request body
+ * @returns {string} Text to screen
+ */
+export function getChatInputText(body = {}) {
+  if (body.conversationId) {
+    return getMessageText(body.message);
+  }
+  if (!Array.isArray(body.messages)) return '';
+  return body.messages
+    .filter(message => message?.role !== 'assistant')
+    .map(getMessageText)
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Text of a single "message" field (string or { text | content }, audio is not screened)
+ * @param {Object} body - Request body
+ * @returns {string} Text to screen
+ */
+export function getSingleMessageText(body = {}) {
+  return getMessageText(body.message);
+}
+
+/**
+ * Send a blocked moderation result
+ * @param {Object} res - Express response
+ * @param {Object} result - moderateText result
+ * @param {string} stage - 'input' | 'output'
+ */
+export function sendContentBlocked(res, result, stage) {
+  return res.status(stage === 'input' ? 400 : 422).json({
+    success: false,
+    error: stage === 'input'
+      ? 'Your message was blocked by content moderation'
+      : 'The reply was withheld by content moderation',
+    code: 'CONTENT_BLOCKED',
+    stage,
+    categories: result.categories
+  });
+}
+
+/**
+ * Screen the request's text before the handler runs
+ * Needs req.user (verifyFirebaseToken) and a parsed body
+ * @param {string} route - Route name stored with review items (e.g. 'chat')
+ * @param {Function} getText - (body) => text to screen
+ * @returns {Function} Express middleware
+ */
+export function moderateInput(route, getText) {
+  return async (req, res, next) => {
+    try {
+      const result = await moderateText({
+        uid: req.user.uid,
+        text: getText(req.body || {}),
+        stage: 'input',
+        route
+      });
+
+      if (result.action === 'block') {
+        return sendContentBlocked(res, result, 'input');
+      }
+
+      req.moderation = { input: result };
+      next();
+    } catch (error) {
+      console.error(`🔥 Moderation error on ${route}:`, error.message);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.message,
+        code: error.code || 'INTERNAL_ERROR'
+      });
+    }
+  };
+}
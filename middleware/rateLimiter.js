@@ -0,0 +1,196 @@
+/**
+ * Rate Limiting Middleware
+ * Enforces requests-per-minute limits with a sliding window
+ *
+ * Usage:
+ *   router.post('/chat', verifyFirebaseToken, rateLimitByUser, handler)   // plan's maxRequestsPerMinute
+ *   app.use('/api/partner', rateLimitByIp)                               // unauthenticated routes
+ *
+ * Sliding window counter: each key keeps a count for the current and the previous fixed
+ * window, and the previous count is weighted by how much of it still overlaps the sliding
+ * window. Accurate enough for rate limiting without storing every request timestamp.
+ *
+ * Responses carry the IETF RateLimit headers (RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset, RateLimit-Policy); rejected requests get 429 with Retry-After.
+ *
+ * Counters live in memory by default (per instance). Multi-instance deployments share
+ * them through setRateLimitStore(), e.g. with services/firestoreRateLimitStore.js.
+ * A store is any object with:
+ *   increment(key, windowMs, now) -> Promise<{ current, previous, windowStart }>
+ */
+
+import { getUserLimits } from '../services/usageService.js';
+import { getMaxRequestsPerMinute } from '../utils/limitsConfig.js';
+
+const WINDOW_MS = 60 * 1000;
+// Plan limits are re-read at most once per window per user
+const USER_LIMIT_CACHE_MS = 60 * 1000;
+const DEFAULT_IP_REQUESTS_PER_MINUTE = 60;
+
+/**
+ * Create an in-memory sliding window store (single instance only)
+ * @returns {Object} Store with increment(key, windowMs, now)
+ */
+export function createMemoryRateLimitStore() {
+  const counters = new Map();
+  let lastSweep = Date.now();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs, now = Date.now()) {
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+
+      // Drop keys that have not been hit for two windows
+      if (now - lastSweep >= windowMs) {
+        counters.forEach((entry, entryKey) => {
+          if (entry.windowStart < windowStart - windowMs) counters.delete(entryKey);
+        });
+        lastSweep = now;
+      }
+
+      const entry = counters.get(key);
+      let next;
+      if (entry && entry.windowStart === windowStart) {
+        next = { windowStart, current: entry.current + 1, previous: entry.previous };
+      } else if (entry && entry.windowStart === windowStart - windowMs) {
+        next = { windowStart, current: 1, previous: entry.current };
+      } else {
+        next = { windowStart, current: 1, previous: 0 };
+      }
+
+      counters.set(key, next);
+      return next;
+    },
+  };
+}
+
+let store = createMemoryRateLimitStore();
+
+/**
+ * Replace the counter store (call once at startup)
+ * @param {Object} newStore - Store with increment(key, windowMs, now)
+ */
+export function setRateLimitStore(newStore) {
+  if (!newStore || typeof newStore.increment !== 'function') {
+    throw new Error('Rate limit store must implement increment(key, windowMs, now)');
+  }
+  store = newStore;
+  console.log(`✅ Rate limit store: ${newStore.name || 'custom'}`);
+}
+
+/**
+ * Seconds until a request would be allowed again
+ * Solves previous * (1 - elapsed / windowMs) + current < limit for elapsed
+ */
+function getRetryAfterSeconds({ current, previous, windowStart }, limit, windowMs, now) {
+  const windowEnd = windowStart + windowMs;
+  if (current >= limit || previous === 0) {
+    return Math.max(1, Math.ceil((windowEnd - now) / 1000));
+  }
+  const allowedAt = windowStart + windowMs * (1 - (limit - current) / previous);
+  return Math.max(1, Math.ceil((allowedAt - now) / 1000));
+}
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ *   - name: prefix for the counter keys (limiters never share counters)
+ *   - windowMs: sliding window length (default: 60s)
+ *   - getKey(req): key to count by, null to skip limiting
+ *   - getLimit(req): max requests per window (may be async)
+ * @returns {Function} Express middleware
+ */
+export function createRateLimiter({ name, windowMs = WINDOW_MS, getKey, getLimit }) {
+  return async function rateLimiter(req, res, next) {
+    let key;
+    let limit;
+    let counter;
+    const now = Date.now();
+
+    try {
+      key = getKey(req);
+      if (!key) return next();
+
+      limit = await getLimit(req);
+      counter = await store.increment(`${name}:${key}`, windowMs, now);
+    } catch (error) {
+      // Fail open - a store outage must not take the API down with it
+      console.error(`⚠️ Rate limiter ${name} unavailable, allowing request:`, error.message);
+      return next();
+    }
+
+    const elapsedFraction = (now - counter.windowStart) / windowMs;
+    const weightedCount = counter.previous * (1 - elapsedFraction) + counter.current;
+    const resetSeconds = Math.max(1, Math.ceil((counter.windowStart + windowMs - now) / 1000));
+
+    res.set('RateLimit-Policy', `${limit};w=${Math.round(windowMs / 1000)}`);
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, Math.floor(limit - weightedCount))));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (weightedCount > limit) {
+      const retryAfter = getRetryAfterSeconds(counter, limit, windowMs, now);
+      res.set('Retry-After', String(retryAfter));
+      console.warn(`⚠️ Rate limit exceeded (${name}) for ${key}: ${Math.ceil(weightedCount)}/${limit} per ${windowMs / 1000}s`);
+
+      return res.status(429).json({
+        success: false,
+        error: `Too many requests. Limit is ${limit} per ${Math.round(windowMs / 1000)} seconds, retry in ${retryAfter}s`,
+        code: 'RATE_LIMIT_EXCEEDED',
+        retryAfter
+      });
+    }
+
+    next();
+  };
+}
+
+// ============ USER LIMITS CACHE ============
+const userLimitCache = new Map();
+
+/**
+ * Get a user's maxRequestsPerMinute (plan or database-stored limits), cached per window
+ * @param {string} uid - User ID
+ * @returns {Promise<number>} Requests per minute
+ */
+async function getUserRequestsPerMinute(uid) {
+  const cached = userLimitCache.get(uid);
+  if (cached && Date.now() - cached.loadedAt < USER_LIMIT_CACHE_MS) {
+    return cached.limit;
+  }
+
+  let limit;
+  try {
+    const userLimits = await getUserLimits(uid);
+    limit = userLimits.limits.maxRequestsPerMinute || getMaxRequestsPerMinute(userLimits.plan);
+  } catch (error) {
+    // Unknown user (e.g. not created yet) - hold them to the free plan
+    limit = getMaxRequestsPerMinute('free');
+  }
+
+  if (userLimitCache.size > 10000) userLimitCache.clear();
+  userLimitCache.set(uid, { limit, loadedAt: Date.now() });
+  return limit;
+}
+
+/**
+ * Middleware: limit by Firebase uid to the plan's maxRequestsPerMinute
+ * Must run after verifyFirebaseToken
+ */
+export const rateLimitByUser = createRateLimiter({
+  name: 'user',
+  getKey: (req) => req.user?.uid || null,
+  getLimit: (req) => getUserRequestsPerMinute(req.user.uid),
+});
+
+/**
+ * Middleware: limit unauthenticated routes by client IP
+ * Limit from RATE_LIMIT_IP_PER_MINUTE (default: 60). Behind a proxy set TRUST_PROXY
+ * so req.ip is the client address and not the proxy's.
+ */
+export const rateLimitByIp = createRateLimiter({
+  name: 'ip',
+  getKey: (req) => req.ip || req.socket?.remoteAddress || null,
+  getLimit: () => parseInt(process.env.RATE_LIMIT_IP_PER_MINUTE, 10) || DEFAULT_IP_REQUESTS_PER_MINUTE,
+});
@@ -4,6 +4,7 @@
  */
 
 import { trackApiUsage } from '../services/stripe/subscriptionService.js';
+import { calculateTokenCost as calculateModelCost } from '../utils/tokenPricing.js';
 
 /**
  * Middleware to track API usage after successful API calls
@@ -45,24 +46,8 @@ export function setApiUsageCost(req, cost) {
 
 /**
  * Calculate cost based on token usage
- * Use this for OpenAI API calls
+ * Uses the pricing registry so tracked costs match invoiced costs
  */
-export function calculateTokenCost(inputTokens, outputTokens, model = 'gpt-4') {
-  // Token pricing (adjust based on your actual costs)
-  const pricing = {
-    'gpt-4': {
-      input: 0.03 / 1000,  // $0.03 per 1K input tokens
-      output: 0.06 / 1000  // $0.06 per 1K output tokens
-    },
-    'gpt-3.5-turbo': {
-      input: 0.001 / 1000, // $0.001 per 1K input tokens
-      output: 0.002 / 1000 // $0.002 per 1K output tokens
-    }
-  };
-  
-  const modelPricing = pricing[model] || pricing['gpt-4'];
-  const inputCost = inputTokens * modelPricing.input;
-  const outputCost = outputTokens * modelPricing.output;
-  
-  return inputCost + outputCost;
+export function calculateTokenCost(inputTokens, outputTokens, model = 'gpt-4o-mini') {
+  return calculateModelCost(model, inputTokens, outputTokens);
 }
\ No newline at end of file
@@ -0,0 +1,54 @@
+/**
+ * Admin Interest Routes
+ * Cross-user analytics over the interest profiles built from extracted keywords
+ */
+
+import express from 'express';
+import { adminAuthMiddleware, checkPermission } from '../../middleware/adminAuth.js';
+import { getTopInterestTopics } from '../../services/interestProfileService.js';
+
+const router = express.Router();
+
+const SORT_FIELDS = ['users', 'mentions'];
+
+/**
+ * @route GET /api/admin/interests/top-topics
+ * @desc Most common topics across users
+ * @access Admin (read tokens)
+ *
+ * Query:
+ *   limit  - 1-100 (default 20)
+ *   sortBy - "users" (users whose profile holds the topic now, default)
+ *            | "mentions" (times extracted, all time)
+ */
+router.get('/top-topics', adminAuthMiddleware, checkPermission('tokens', 'read'), async (req, res) => {
+  try {
+    const sortBy = req.query.sortBy || 'users';
+    if (!SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `sortBy must be one of: ${SORT_FIELDS.join(', ')}`,
+        code: 'INVALID_SORT'
+      });
+    }
+
+    const topicLimit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const topics = await getTopInterestTopics({ limit: topicLimit, sortBy });
+
+    res.json({
+      success: true,
+      data: topics,
+      count: topics.length,
+      sortBy
+    });
+  } catch (error) {
+    console.error('🔥 Error in GET /api/admin/interests/top-topics:', error.message);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+export default router;
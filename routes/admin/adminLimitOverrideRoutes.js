@@ -0,0 +1,135 @@
+/**
+ * Admin Limit Override Routes
+ * Per-user overrides of plan limits with an expiry and a reason, every change is
+ * audit-logged (see services/limitOverrideService.js)
+ */
+
+import express from 'express';
+import { adminAuthMiddleware, checkPermission } from '../../middleware/adminAuth.js';
+import {
+  listLimitOverrides,
+  getLimitOverride,
+  setLimitOverride,
+  removeLimitOverride,
+} from '../../services/limitOverrideService.js';
+
+const router = express.Router();
+
+/**
+ * Send a limit override service error as JSON
+ */
+function sendOverrideError(res, error, route) {
+  console.error(`🔥 Error in ${route}:`, error.message);
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    code: 'INTERNAL_ERROR'
+  });
+}
+
+/**
+ * @route GET /api/admin/limit-overrides
+ * @desc List overrides, soonest expiry first
+ * @access Admin (read users)
+ *
+ * Query: ?includeExpired=true (default: active overrides only)
+ */
+router.get('/', adminAuthMiddleware, checkPermission('users', 'read'), async (req, res) => {
+  try {
+    const overrides = await listLimitOverrides({ includeExpired: req.query.includeExpired === 'true' });
+
+    res.json({
+      success: true,
+      data: overrides,
+      count: overrides.length
+    });
+  } catch (error) {
+    sendOverrideError(res, error, 'GET /api/admin/limit-overrides');
+  }
+});
+
+/**
+ * @route GET /api/admin/limit-overrides/:uid
+ * @desc Get a user's override and the audit log of their override changes (newest first)
+ * @access Admin (read users)
+ */
+router.get('/:uid', adminAuthMiddleware, checkPermission('users', 'read'), async (req, res) => {
+  try {
+    const { override, audit } = await getLimitOverride(req.params.uid);
+
+    res.json({
+      success: true,
+      data: override,
+      audit
+    });
+  } catch (error) {
+    sendOverrideError(res, error, 'GET /api/admin/limit-overrides/:uid');
+  }
+});
+
+/**
+ * @route PUT /api/admin/limit-overrides/:uid
+ * @desc Set a user's override (replaces the current one)
+ * @access Admin (write users)
+ *
+ * Limits not named keep the user's plan value.
+ *
+ * Body:
+ * {
+ *   limits: { chatRequestsDaily: 100, voiceRequestsDaily: 40 },   (any plan limit field)
+ *   expiresAt: "2026-02-15T00:00:00.000Z",
+ *   reason: "Compensation for the 2026-01-27 outage"
+ * }
+ */
+router.put('/:uid', adminAuthMiddleware, checkPermission('users', 'write'), async (req, res) => {
+  try {
+    const { limits, expiresAt, reason } = req.body || {};
+    const override = await setLimitOverride(
+      req.params.uid,
+      { limits, expiresAt, reason },
+      { adminUid: req.admin.uid }
+    );
+
+    res.json({
+      success: true,
+      data: override
+    });
+  } catch (error) {
+    sendOverrideError(res, error, 'PUT /api/admin/limit-overrides/:uid');
+  }
+});
+
+/**
+ * @route DELETE /api/admin/limit-overrides/:uid
+ * @desc Remove a user's override (the plan limits apply again right away)
+ * @access Admin (write users)
+ *
+ * Body: { reason: "Beta ended" }
+ */
+router.delete('/:uid', adminAuthMiddleware, checkPermission('users', 'write'), async (req, res) => {
+  try {
+    const override = await removeLimitOverride(
+      req.params.uid,
+      { reason: req.body?.reason },
+      { adminUid: req.admin.uid }
+    );
+
+    res.json({
+      success: true,
+      data: override
+    });
+  } catch (error) {
+    sendOverrideError(res, error, 'DELETE /api/admin/limit-overrides/:uid');
+  }
+});
+
+export default router;
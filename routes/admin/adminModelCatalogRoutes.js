@@ -0,0 +1,159 @@
+/**
+ * Admin Model Catalog Routes
+ * Which models each plan may use (see services/modelCatalogService.js)
+ *
+ * Model ids may contain "/" (e.g. google/gemini-2.5-flash), so the :model routes
+ * match the rest of the path.
+ */
+
+import express from 'express';
+import { adminAuthMiddleware, checkPermission } from '../../middleware/adminAuth.js';
+import {
+  listModelCatalog,
+  saveModelEntry,
+  deleteModelEntry,
+  listAvailableProviderModels,
+  syncModelCatalogLimits,
+} from '../../services/modelCatalogService.js';
+
+const router = express.Router();
+
+/**
+ * Send a model catalog service error as JSON
+ */
+function sendCatalogError(res, error, route) {
+  console.error(`🔥 Error in ${route}:`, error.message);
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    code: 'INTERNAL_ERROR'
+  });
+}
+
+/**
+ * @route GET /api/admin/models
+ * @desc Get the full catalog with current prices and the default model per type
+ * @access Admin (read tokens)
+ */
+router.get('/', adminAuthMiddleware, checkPermission('tokens', 'read'), async (req, res) => {
+  try {
+    const { models, defaults, loadedAt } = listModelCatalog();
+
+    res.json({
+      success: true,
+      data: models,
+      count: models.length,
+      defaults,
+      loadedAt
+    });
+  } catch (error) {
+    sendCatalogError(res, error, 'GET /api/admin/models');
+  }
+});
+
+/**
+ * @route GET /api/admin/models/available
+ * @desc List the models a provider offers (to pick new catalog entries from)
+ * @access Admin (read tokens)
+ *
+ * Query: ?provider=openrouter|openai (default openrouter) &search=gemini
+ */
+router.get('/available', adminAuthMiddleware, checkPermission('tokens', 'read'), async (req, res) => {
+  try {
+    const provider = req.query.provider || 'openrouter';
+    const models = await listAvailableProviderModels(provider, { search: req.query.search || '' });
+
+    res.json({
+      success: true,
+      data: models,
+      count: models.length,
+      provider
+    });
+  } catch (error) {
+    sendCatalogError(res, error, 'GET /api/admin/models/available');
+  }
+});
+
+/**
+ * @route POST /api/admin/models/sync
+ * @desc Refresh context limits of provider-listed catalog models
+ * @access Admin (write tokens)
+ */
+router.post('/sync', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const result = await syncModelCatalogLimits();
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendCatalogError(res, error, 'POST /api/admin/models/sync');
+  }
+});
+
+/**
+ * @route PUT /api/admin/models/:model
+ * @desc Add or update a catalog entry
+ * @access Admin (write tokens)
+ *
+ * New models are filled from the provider's listing; OpenRouter models without a price
+ * get their list price added to the pricing registry.
+ *
+ * Body (all optional for existing entries):
+ * {
+ *   provider: "openrouter" | "openai",
+ *   type: "chat" | "tts" | "transcription",
+ *   plans: ["free", "premium"] | ["*"] (every plan),
+ *   name, description,
+ *   contextLength: 1048576 | null,
+ *   maxOutputTokens: 65536 | null,
+ *   enabled: true
+ * }
+ */
+router.put('/:model(*)', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const { provider, type, plans, name, description, contextLength, maxOutputTokens, enabled } = req.body || {};
+    const entry = await saveModelEntry(
+      req.params.model,
+      { provider, type, plans, name, description, contextLength, maxOutputTokens, enabled },
+      { updatedBy: req.admin.uid }
+    );
+
+    res.json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    sendCatalogError(res, error, 'PUT /api/admin/models/:model');
+  }
+});
+
+/**
+ * @route DELETE /api/admin/models/:model
+ * @desc Remove a catalog entry (built-in models go back to their default entry)
+ * @access Admin (write tokens)
+ */
+router.delete('/:model(*)', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const result = await deleteModelEntry(req.params.model);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendCatalogError(res, error, 'DELETE /api/admin/models/:model');
+  }
+});
+
+export default router;
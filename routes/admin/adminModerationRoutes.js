@@ -0,0 +1,143 @@
+/**
+ * Admin Moderation Routes
+ * Per-category moderation actions and the review queue of blocked / flagged content
+ * (see services/moderationService.js)
+ */
+
+import express from 'express';
+import { adminAuthMiddleware, checkPermission } from '../../middleware/adminAuth.js';
+import {
+  getModerationConfig,
+  saveModerationConfig,
+  listReviewItems,
+  resolveReviewItem,
+} from '../../services/moderationService.js';
+
+const router = express.Router();
+
+const REVIEW_STATUSES = ['pending', 'resolved'];
+
+/**
+ * Send a moderation service error as JSON
+ */
+function sendModerationError(res, error, route) {
+  console.error(`🔥 Error in ${route}:`, error.message);
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    code: 'INTERNAL_ERROR'
+  });
+}
+
+/**
+ * @route GET /api/admin/moderation/config
+ * @desc Get the moderation config and the categories it can act on
+ * @access Admin (read tokens)
+ */
+router.get('/config', adminAuthMiddleware, checkPermission('tokens', 'read'), async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getModerationConfig()
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'GET /api/admin/moderation/config');
+  }
+});
+
+/**
+ * @route PUT /api/admin/moderation/config
+ * @desc Update the moderation config (fields left out keep their value)
+ * @access Admin (write tokens)
+ *
+ * Body:
+ * {
+ *   enabled: true,
+ *   failOpen: true (false = 503 MODERATION_UNAVAILABLE when the moderation call fails),
+ *   defaultAction: "flag",
+ *   actions: { "violence": "block", "self-harm": "flag", "harassment": "allow" }
+ * }
+ */
+router.put('/config', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const { enabled, failOpen, defaultAction, actions } = req.body || {};
+    const config = await saveModerationConfig(
+      { enabled, failOpen, defaultAction, actions },
+      { updatedBy: req.admin.uid }
+    );
+
+    res.json({
+      success: true,
+      data: config
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'PUT /api/admin/moderation/config');
+  }
+});
+
+/**
+ * @route GET /api/admin/moderation/queue
+ * @desc List review items, newest first
+ * @access Admin (read tokens)
+ *
+ * Query: ?status=pending|resolved (default pending) &limit=50 (max 200)
+ */
+router.get('/queue', adminAuthMiddleware, checkPermission('tokens', 'read'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${REVIEW_STATUSES.join(', ')}`,
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const items = await listReviewItems({ status, limit: pageSize });
+
+    res.json({
+      success: true,
+      data: items,
+      count: items.length
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'GET /api/admin/moderation/queue');
+  }
+});
+
+/**
+ * @route POST /api/admin/moderation/queue/:reviewId/resolve
+ * @desc Resolve a review item
+ * @access Admin (write tokens)
+ *
+ * Body: { resolution: "approved" (false positive) | "confirmed", note: "..." (optional) }
+ */
+router.post('/queue/:reviewId/resolve', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const { resolution, note } = req.body || {};
+    const item = await resolveReviewItem(
+      req.params.reviewId,
+      { resolution, note },
+      { reviewedBy: req.admin.uid }
+    );
+
+    res.json({
+      success: true,
+      data: item
+    });
+  } catch (error) {
+    sendModerationError(res, error, 'POST /api/admin/moderation/queue/:reviewId/resolve');
+  }
+});
+
+export default router;
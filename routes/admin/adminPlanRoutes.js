@@ -0,0 +1,143 @@
+/**
+ * Admin Plan Catalog Routes
+ * Plans, their limits, platform fee, Stripe prices, RevenueCat entitlements and feature
+ * flags (see services/planCatalogService.js)
+ */
+
+import express from 'express';
+import { adminAuthMiddleware, checkPermission } from '../../middleware/adminAuth.js';
+import {
+  listPlans,
+  resolvePlan,
+  hasPlan,
+  savePlan,
+  deletePlan,
+} from '../../services/planCatalogService.js';
+
+const router = express.Router();
+
+/**
+ * Send a plan catalog service error as JSON
+ */
+function sendPlanError(res, error, route) {
+  console.error(`🔥 Error in ${route}:`, error.message);
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    code: 'INTERNAL_ERROR'
+  });
+}
+
+/**
+ * @route GET /api/admin/plans
+ * @desc Get all plans, in display order
+ * @access Admin (read tokens)
+ */
+router.get('/', adminAuthMiddleware, checkPermission('tokens', 'read'), async (req, res) => {
+  try {
+    await resolvePlan();
+    const { plans, loadedAt } = listPlans();
+
+    res.json({
+      success: true,
+      data: plans,
+      count: plans.length,
+      loadedAt
+    });
+  } catch (error) {
+    sendPlanError(res, error, 'GET /api/admin/plans');
+  }
+});
+
+/**
+ * @route GET /api/admin/plans/:planId
+ * @desc Get one plan
+ * @access Admin (read tokens)
+ */
+router.get('/:planId', adminAuthMiddleware, checkPermission('tokens', 'read'), async (req, res) => {
+  try {
+    const plan = await resolvePlan(req.params.planId);
+
+    if (!hasPlan(req.params.planId)) {
+      return res.status(404).json({
+        success: false,
+        error: `${req.params.planId} is not in the plan catalog`,
+        code: 'PLAN_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    sendPlanError(res, error, 'GET /api/admin/plans/:planId');
+  }
+});
+
+/**
+ * @route PUT /api/admin/plans/:planId
+ * @desc Create or update a plan
+ * @access Admin (write tokens)
+ *
+ * Users pick up limit and fee changes within the plan cache TTL. New plans start from the
+ * free plan's limits.
+ *
+ * Body (all optional, fields left out keep their current value):
+ * {
+ *   name, description,
+ *   limits: { chatTokensDaily, chatTokensMonthly, maxTokensPerRequest, maxRequestsPerMinute,
+ *             voiceRequestsDaily, chatRequestsDaily, audioMinutesMonthly },
+ *   platformFeeUSD: 10,
+ *   stripe: { platformPriceId: "price_..." | null, usagePriceId: "price_..." | null },
+ *   revenueCat: { entitlementIds: ["pro"] },
+ *   features: { tts: true, showCost: true },   (flags left out keep their value)
+ *   sortOrder: 20
+ * }
+ */
+router.put('/:planId', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const { name, description, limits, platformFeeUSD, stripe, revenueCat, features, sortOrder } = req.body || {};
+    const plan = await savePlan(
+      req.params.planId,
+      { name, description, limits, platformFeeUSD, stripe, revenueCat, features, sortOrder },
+      { updatedBy: req.admin.uid }
+    );
+
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    sendPlanError(res, error, 'PUT /api/admin/plans/:planId');
+  }
+});
+
+/**
+ * @route DELETE /api/admin/plans/:planId
+ * @desc Remove a plan (built-in plans go back to their default, custom plans must have no users)
+ * @access Admin (write tokens)
+ */
+router.delete('/:planId', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const result = await deletePlan(req.params.planId);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendPlanError(res, error, 'DELETE /api/admin/plans/:planId');
+  }
+});
+
+export default router;
@@ -0,0 +1,165 @@
+/**
+ * Admin Pricing Routes
+ * Manage the versioned per-model pricing registry (model_pricing collection)
+ *
+ * Prices are USD per 1M tokens. Changes are added as new versions with an
+ * effective date, so usage recorded earlier keeps the price it was billed at.
+ */
+
+import express from 'express';
+import { adminAuthMiddleware, checkPermission } from '../../middleware/adminAuth.js';
+import {
+  listModelPricing,
+  getModelPricingHistory,
+  addPricingVersion,
+  syncOpenRouterPricing,
+  getPricingRegistryLoadedAt,
+} from '../../services/pricingService.js';
+import { getCatalogModelIds } from '../../services/modelCatalogService.js';
+
+const router = express.Router();
+
+/**
+ * Send a pricing service error as JSON
+ */
+function sendPricingError(res, error, route) {
+  console.error(`🔥 Error in ${route}:`, error.message);
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    code: 'INTERNAL_ERROR'
+  });
+}
+
+/**
+ * @route GET /api/admin/pricing
+ * @desc List priced models with current and upcoming prices
+ * @access Admin (read tokens)
+ */
+router.get('/', adminAuthMiddleware, checkPermission('tokens', 'read'), async (req, res) => {
+  try {
+    const models = await listModelPricing();
+
+    res.json({
+      success: true,
+      data: models,
+      count: models.length,
+      registryLoadedAt: getPricingRegistryLoadedAt()
+    });
+  } catch (error) {
+    sendPricingError(res, error, 'GET /api/admin/pricing');
+  }
+});
+
+/**
+ * @route GET /api/admin/pricing/history?model=google/gemini-2.5-flash
+ * @desc Get every price version of a model
+ * @access Admin (read tokens)
+ */
+router.get('/history', adminAuthMiddleware, checkPermission('tokens', 'read'), async (req, res) => {
+  try {
+    const { model } = req.query;
+
+    if (!model || typeof model !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'model query parameter is required',
+        code: 'INVALID_MODEL'
+      });
+    }
+
+    const history = await getModelPricingHistory(model);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    sendPricingError(res, error, 'GET /api/admin/pricing/history');
+  }
+});
+
+/**
+ * @route POST /api/admin/pricing
+ * @desc Add a price version for a model
+ * @access Admin (write tokens)
+ *
+ * Body:
+ * {
+ *   model: "gpt-4o" (required),
+ *   inputPerM: 2.5 (required, USD per 1M input tokens),
+ *   outputPerM: 10 (required, USD per 1M output tokens),
+ *   cachedPerM: 1.25 (optional),
+ *   perMinute: 0.006 (optional, USD per audio minute - transcription models),
+ *   effectiveFrom: "2026-03-01T00:00:00Z" (optional, default: now, cannot be in the past),
+ *   provider: "openai" | "openrouter" (optional for known models),
+ *   description: "..." (optional)
+ * }
+ */
+router.post('/', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const { model, inputPerM, outputPerM, cachedPerM, perMinute, effectiveFrom, provider, description } = req.body || {};
+
+    if (!model || typeof model !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'model is required',
+        code: 'INVALID_MODEL'
+      });
+    }
+
+    const result = await addPricingVersion(
+      model,
+      { inputPerM, outputPerM, cachedPerM, perMinute, effectiveFrom, provider, description },
+      { source: 'admin', createdBy: req.admin.uid }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendPricingError(res, error, 'POST /api/admin/pricing');
+  }
+});
+
+/**
+ * @route POST /api/admin/pricing/sync-openrouter
+ * @desc Pull list prices from OpenRouter and add versions where they changed
+ * @access Admin (write tokens)
+ *
+ * Body: { models: ["google/gemini-2.5-flash"] } (optional, default: the catalog's OpenRouter models)
+ */
+router.post('/sync-openrouter', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const { models } = req.body || {};
+
+    if (models !== undefined && (!Array.isArray(models) || models.some(m => typeof m !== 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'models must be an array of model ids',
+        code: 'INVALID_MODELS'
+      });
+    }
+
+    const result = await syncOpenRouterPricing(models || getCatalogModelIds('openrouter'), req.admin.uid);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendPricingError(res, error, 'POST /api/admin/pricing/sync-openrouter');
+  }
+});
+
+export default router;
@@ -0,0 +1,144 @@
+/**
+ * Admin Question Template Routes
+ * Manage the versioned prompt templates behind /api/ai/generate-questions
+ * (question_templates collection)
+ *
+ * Templates are per category and language; category "default" covers every category
+ * of a language, so adding a default template is all a new language needs.
+ */
+
+import express from 'express';
+import { adminAuthMiddleware, checkPermission } from '../../middleware/adminAuth.js';
+import {
+  listQuestionTemplates,
+  getQuestionTemplateHistory,
+  addQuestionTemplateVersion,
+  activateQuestionTemplateVersion,
+} from '../../services/questionTemplateService.js';
+import { QUESTIONS_SCHEMA } from '../../utils/questionValidation.js';
+
+const router = express.Router();
+
+/**
+ * Send a template service error as JSON
+ */
+function sendTemplateError(res, error, route) {
+  console.error(`🔥 Error in ${route}:`, error.message);
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    code: 'INTERNAL_ERROR'
+  });
+}
+
+/**
+ * @route GET /api/admin/question-templates
+ * @desc List templates with their active version, plus the JSON Schema questions must match
+ * @access Admin (read tokens)
+ */
+router.get('/', adminAuthMiddleware, checkPermission('tokens', 'read'), async (req, res) => {
+  try {
+    const templates = await listQuestionTemplates();
+
+    res.json({
+      success: true,
+      data: templates,
+      count: templates.length,
+      schema: QUESTIONS_SCHEMA
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'GET /api/admin/question-templates');
+  }
+});
+
+/**
+ * @route GET /api/admin/question-templates/:category/:language
+ * @desc Get every version of a template
+ * @access Admin (read tokens)
+ */
+router.get('/:category/:language', adminAuthMiddleware, checkPermission('tokens', 'read'), async (req, res) => {
+  try {
+    const history = await getQuestionTemplateHistory(req.params.category, req.params.language);
+
+    res.json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'GET /api/admin/question-templates/:category/:language');
+  }
+});
+
+/**
+ * @route POST /api/admin/question-templates/:category/:language
+ * @desc Add a template version and make it active
+ * @access Admin (write tokens)
+ *
+ * Body:
+ * {
+ *   systemPrompt: "You are a JSON generator... in French" (required),
+ *   userPrompt: "Generate {{count}} new {{category}} questions...\n{{example}}" (optional, must contain {{count}} and {{example}}),
+ *   example: [{ id, question, type, options, followUp }] (required, must match the question schema),
+ *   note: "Shorter options" (optional)
+ * }
+ */
+router.post('/:category/:language', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const { systemPrompt, userPrompt, example, note } = req.body || {};
+
+    const result = await addQuestionTemplateVersion(
+      req.params.category,
+      req.params.language,
+      { systemPrompt, userPrompt, example, note },
+      { createdBy: req.admin.uid }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'POST /api/admin/question-templates/:category/:language');
+  }
+});
+
+/**
+ * @route POST /api/admin/question-templates/:category/:language/activate
+ * @desc Re-activate an earlier version (rollback)
+ * @access Admin (write tokens)
+ *
+ * Body: { version: 2 }
+ */
+router.post('/:category/:language/activate', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const version = Number(req.body?.version);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a positive integer',
+        code: 'INVALID_VERSION'
+      });
+    }
+
+    const result = await activateQuestionTemplateVersion(req.params.category, req.params.language, version);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendTemplateError(res, error, 'POST /api/admin/question-templates/:category/:language/activate');
+  }
+});
+
+export default router;
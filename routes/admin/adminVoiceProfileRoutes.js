@@ -0,0 +1,116 @@
+/**
+ * Admin Voice Profile Routes
+ * Manage the TTS tones used by /api/ai/speak (voice_profiles collection)
+ *
+ * A tone picks the TTS model, voice, speed and delivery instructions - the user's
+ * text is always spoken as written.
+ */
+
+import express from 'express';
+import { adminAuthMiddleware, checkPermission } from '../../middleware/adminAuth.js';
+import {
+  listVoiceProfiles,
+  saveVoiceProfile,
+  deleteVoiceProfile,
+  TTS_MODELS,
+  TTS_VOICES,
+} from '../../services/voiceProfileService.js';
+
+const router = express.Router();
+
+/**
+ * Send a voice profile service error as JSON
+ */
+function sendVoiceProfileError(res, error, route) {
+  console.error(`🔥 Error in ${route}:`, error.message);
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    code: 'INTERNAL_ERROR'
+  });
+}
+
+/**
+ * @route GET /api/admin/voice-profiles
+ * @desc List tones (built-in and custom) with the models and voices they may use
+ * @access Admin (read tokens)
+ */
+router.get('/', adminAuthMiddleware, checkPermission('tokens', 'read'), (req, res) => {
+  try {
+    const { profiles, loadedAt } = listVoiceProfiles();
+
+    res.json({
+      success: true,
+      data: profiles,
+      count: profiles.length,
+      models: TTS_MODELS,
+      voices: TTS_VOICES,
+      loadedAt
+    });
+  } catch (error) {
+    sendVoiceProfileError(res, error, 'GET /api/admin/voice-profiles');
+  }
+});
+
+/**
+ * @route PUT /api/admin/voice-profiles/:tone
+ * @desc Create or replace a tone's profile
+ * @access Admin (write tokens)
+ *
+ * Body:
+ * {
+ *   model: "gpt-4o-mini-tts" | "tts-1" (optional, default: gpt-4o-mini-tts),
+ *   voice: "sage" (required),
+ *   speed: 0.9 (optional, 0.25-4.0, default: 1.0),
+ *   instructions: "Speak slowly and softly..." (optional, gpt-4o-mini-tts only),
+ *   description: "..." (optional),
+ *   active: true (optional, false hides the tone from /api/ai/speak)
+ * }
+ */
+router.put('/:tone', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const { model, voice, speed, instructions, description, active } = req.body || {};
+
+    const profile = await saveVoiceProfile(
+      req.params.tone,
+      { model, voice, speed, instructions, description, active },
+      { updatedBy: req.admin.uid }
+    );
+
+    res.json({
+      success: true,
+      data: profile
+    });
+  } catch (error) {
+    sendVoiceProfileError(res, error, 'PUT /api/admin/voice-profiles/:tone');
+  }
+});
+
+/**
+ * @route DELETE /api/admin/voice-profiles/:tone
+ * @desc Delete a custom tone, or revert a built-in tone to its default
+ * @access Admin (write tokens)
+ */
+router.delete('/:tone', adminAuthMiddleware, checkPermission('tokens', 'write'), async (req, res) => {
+  try {
+    const result = await deleteVoiceProfile(req.params.tone);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    sendVoiceProfileError(res, error, 'DELETE /api/admin/voice-profiles/:tone');
+  }
+});
+
+export default router;
@@ -7,8 +7,48 @@
 import express from 'express';
 import multer from 'multer';
 import { verifyFirebaseToken } from '../../middleware/firebaseAuthMiddleware.js';
-import { recordTokenUsage, checkCanUseTokens, getUsageSummary, getUserLimits } from '../../services/usageService.js';
-import { calculateTokenCost } from '../../utils/tokenPricing.js';
+import { rateLimitByUser } from '../../middleware/rateLimiter.js';
+import {
+  recordTokenUsage,
+  checkCanUseTokens,
+  getUsageSummary,
+  getUserLimits,
+  preflightChatRequest,
+  commitTokenReservation,
+  releaseTokenReservation,
+  reserveAudioSeconds,
+  commitAudioReservation,
+  releaseAudioReservation,
+  recordRequestUsage
+} from '../../services/usageService.js';
+import { calculateTokenCost, calculateAudioCost, hasModelPricing } from '../../utils/tokenPricing.js';
+import { getAudioDurationSeconds } from '../../utils/audioDuration.js';
+import { parseTranscriptionOptions } from '../../utils/transcriptionOptions.js';
+import { countTextTokens } from '../../utils/tokenEstimator.js';
+import { initSseResponse, writeSseEvent, endSseResponse } from '../../utils/sseHelpers.js';
+import {
+  chatCompletion,
+  streamChatCompletion,
+  transcribeAudio,
+  synthesizeSpeech,
+  streamSpeech
+} from '../../services/ai/aiProviderService.js';
+import { getSpeechCacheKey, getCachedSpeech, cacheSpeech } from '../../services/ttsCacheService.js';
+import { getVoiceProfile, getAvailableTones } from '../../services/voiceProfileService.js';
+import { resolveQuestionTemplate, renderQuestionMessages } from '../../services/questionTemplateService.js';
+import { validateQuestions, parseModelJson, normalizeQuestions } from '../../utils/questionValidation.js';
+import { KEYWORD_EXTRACTION_PROMPT, parseKeywordReply } from '../../utils/keywordExtraction.js';
+import {
+  normalizeIncomingMessage,
+  buildConversationContext,
+  appendConversationMessages
+} from '../../services/conversationService.js';
+import { createQuestionnaire, withQuestionnaireProfile } from '../../services/questionnaireService.js';
+import { addInterestMentions } from '../../services/interestProfileService.js';
+import { moderateText } from '../../services/moderationService.js';
+import { moderateInput, getChatInputText, sendContentBlocked } from '../../middleware/moderation.js';
+import { checkModelAccess, listModelsForPlan, DEFAULT_MODELS } from '../../services/modelCatalogService.js';
+import { resolvePlan, hasPlanFeature } from '../../services/planCatalogService.js';
 // DISABLED - Only using monthly billing now
 // import { trackHourlyApiUsage } from '../../services/billingService.js';
 import { doc, getDoc } from 'firebase/firestore';
@@ -17,13 +57,55 @@ import { db } from '../../firebase.js';
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25 * 1024 * 1024 } });
 
+// Largest reply each route asks the provider for (further capped by the user's remaining budget)
+const CHAT_MAX_COMPLETION_TOKENS = 2000;
+const QUESTIONS_MAX_COMPLETION_TOKENS = 2000;
+// Extra generations allowed when the questions fail schema validation
+const QUESTIONS_MAX_REPAIR_ATTEMPTS = 1;
+const KEYWORDS_MAX_COMPLETION_TOKENS = 200;
+
+/**
+ * User-supplied text of a generate-questions request (the category goes into the prompt)
+ */
+function getQuestionsInputText(body = {}) {
+  return typeof body.category === 'string' ? body.category : '';
+}
+
+/**
+ * Send a rejected model catalog check (400 UNKNOWN_MODEL / 403 MODEL_NOT_ENTITLED)
+ * @param {Object} res - Express response
+ * @param {Object} access - Rejected checkModelAccess result
+ */
+function sendModelAccessError(res, access) {
+  return res.status(access.statusCode).json({
+    success: false,
+    error: access.message,
+    code: access.code,
+    allowedModels: access.allowedModels
+  });
+}
+
+/**
+ * Send a rejected pre-flight check (see preflightChatRequest in usageService)
+ * 413 PROMPT_TOO_LARGE, 429 for budget/limit failures
+ */
+function sendPreflightError(res, preflight) {
+  return res.status(preflight.statusCode).json({
+    success: false,
+    error: preflight.reason,
+    code: preflight.code,
+    estimatedPromptTokens: preflight.estimatedPromptTokens,
+    maxTokensPerRequest: preflight.maxTokensPerRequest
+  });
+}
+
 /**
  * POST /api/ai/chat
  * Chat completion endpoint for mobile app
  * 
  * Replaces direct OpenAI calls from mobile app
  * - Checks user limits
- * - Calls OpenAI (backend has API key)
+ * - Calls the model's AI provider (backend has API keys, see services/ai/aiProviderService.js)
  * - Records usage
  * - Returns response + remaining tokens
  * 
@@ -31,29 +113,108 @@ const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 25
  * {
  *   messages: [{role: "user/assistant/system", content: "..."}, ...],
  *   model: "gpt-4o" | "gpt-4o-mini" (default: "gpt-4o-mini"),
- *   temperature: 0.7 (optional, default: 0.7)
+ *   temperature: 0.7 (optional, default: 0.7),
+ *   stream: false (optional, true = Server-Sent Events response),
+ *   useProfile: true (optional, false = leave out the questionnaire profile)
  * }
  * 
+ * Conversation mode (history stored server-side, see /api/ai/conversations):
+ * {
+ *   conversationId: "...",
+ *   message: "new user message" | {role: "user", content: "..."},
+ *   ...same optional fields as above
+ * }
+ * History is trimmed (oldest first) to fit the plan's maxTokensPerRequest,
+ * and the new message + reply are appended to the conversation.
+ * 
  * Response:
  * {
  *   success: true,
  *   choices: [{text: "...", message: {role: "assistant", content: "..."}}],
  *   usage: {promptTokens, completionTokens, totalTokens},
+ *   provider: "openai" | "openrouter",
+ *   model: "gpt-4o-mini" (model that answered and was billed),
  *   plan: "free" | "premium",
  *   cost: 0.00045,
  *   remainingDaily: 49500,
  *   remainingMonthly: 999500,
  *   totalCostUSD: 0.25
  * }
+ * 
+ * Streaming response (stream: true, Content-Type: text/event-stream):
+ *   data: {"type":"delta","content":"Hel"}
+ *   data: {"type":"delta","content":"lo"}
+ *   data: {"type":"done","finishReason":"stop","provider":"openai","model":"gpt-4o-mini",
+ *          "usage":{...},"plan":"free","cost":0,
+ *          "remainingDaily":49500,"remainingMonthly":999500,"totalCostUSD":0}
+ *   data: [DONE]
+ * 
+ * Errors after the stream has started are sent as
+ *   data: {"type":"error","error":"...","code":"AI_ERROR"}
+ * 
+ * Usage is recorded once the stream finishes or the client disconnects.
+ * 
+ * The prompt is counted with the tokenizer before the provider is called:
+ * - 413 PROMPT_TOO_LARGE if it exceeds the plan's maxTokensPerRequest
+ * - 429 DAILY_LIMIT_EXCEEDED / INSUFFICIENT_TOKEN_BUDGET if no room is left for a reply
+ * max_tokens is capped by the remaining daily/monthly budget, and prompt + max_tokens is
+ * reserved until the reply is billed, so parallel requests cannot overspend the limits
+ * (429 DAILY_LIMIT_EXCEEDED / MONTHLY_LIMIT_EXCEEDED when in-flight requests hold the rest).
+ * 
+ * The model must be a chat model of the user's plan in the model catalog (see GET
+ * /api/ai/models): 400 UNKNOWN_MODEL / 403 MODEL_NOT_ENTITLED, both with allowedModels.
+ * The model's context window and output cap bound the prompt (413 CONTEXT_LENGTH_EXCEEDED)
+ * and max_tokens.
+ * 
+ * Answers from the user's completed questionnaires (see /api/ai/questionnaires) are added
+ * as a system message after the leading system messages; send useProfile: false to skip it.
+ * The profile is not stored in the conversation.
+ * 
+ * Content moderation (services/moderationService.js): the user's text is screened before
+ * the model is called (400 CONTENT_BLOCKED) and the reply after it answered (422
+ * CONTENT_BLOCKED, still billed; streams end with a CONTENT_BLOCKED error event and the
+ * reply is not saved). 503 MODERATION_UNAVAILABLE if moderation is down and configured
+ * to fail closed.
+ * 
+ * Rate limits (429), 5xx and network errors are retried with backoff; if OpenAI stays
+ * degraded the request is served by the equivalent OpenRouter model (see aiProviderService).
  */
-router.post('/chat', verifyFirebaseToken, async (req, res) => {
+router.post('/chat', verifyFirebaseToken, rateLimitByUser, moderateInput('chat', getChatInputText), async (req, res) => {
+  // Tokens held for this request by the pre-flight check (released if we fail before billing)
+  let reservation = null;
+
   try {
     const uid = req.user.uid;
     const { 
-      messages,
       model = 'gpt-4o-mini',
-      temperature = 0.7
+      temperature = 0.7,
+      stream = false,
+      conversationId = null,
+      useProfile = true
     } = req.body;
+    let { messages } = req.body;
+
+    // ============ GET USER PLAN ============
+    // Read once, every check below and the pre-flight reuse it
+    const userLimits = await getUserLimits(uid);
+
+    // ============ CONVERSATION CONTEXT ============
+    let newMessage = null;
+    let historyTrimmed = 0;
+    if (conversationId) {
+      newMessage = normalizeIncomingMessage(req.body.message);
+      if (!newMessage) {
+        return res.status(400).json({
+          success: false,
+          error: 'message is required when conversationId is provided',
+          code: 'INVALID_MESSAGE'
+        });
+      }
+
+      const context = await buildConversationContext(uid, conversationId, [newMessage], userLimits.limits.maxTokensPerRequest);
+      messages = context.messages;
+      historyTrimmed = context.trimmedCount;
+    }
 
     // ============ VALIDATION ============
     if (!Array.isArray(messages) || messages.length === 0) {
@@ -75,52 +236,80 @@ router.post('/chat', verifyFirebaseToken, async (req, res) => {
       }
     }
 
+    // ============ MODEL ENTITLEMENT ============
+    // The model must be in the catalog (and priced) and included in the user's plan
+    const modelAccess = checkModelAccess(model || DEFAULT_MODELS.chat, userLimits.plan, 'chat');
+    if (!modelAccess.allowed) {
+      return sendModelAccessError(res, modelAccess);
+    }
+
     // ============ CHECK LIMITS ============
-    const canUse = await checkCanUseTokens(uid);
-    if (!canUse.allowed) {
+    const canUse = await checkCanUseTokens(uid, { userLimits });
+    if (!canUse.allowedChat) {
       return res.status(429).json({
         success: false,
-        error: canUse.reason || 'Limit exceeded',
+        error: canUse.chatBlockedReason || canUse.reason || 'Limit exceeded',
         code: 'LIMIT_EXCEEDED',
-        remaining: canUse.remaining
+        remaining: canUse.remainingDailyTokens
       });
     }
 
-    // ============ CALL OPENAI ============
-    const openaiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: model || 'gpt-4o-mini',
-        messages: messages,
-        temperature: temperature || 0.7,
-        max_tokens: 2000
-      })
+    // ============ QUESTIONNAIRE PROFILE ============
+    // Added before the pre-flight check so the profile is counted and billed with the prompt
+    if (useProfile !== false && useProfile !== 'false') {
+      ({ messages } = await withQuestionnaireProfile(uid, messages));
+    }
+
+    // ============ PRE-FLIGHT TOKEN CHECK ============
+    // Count the prompt before spending anything; max_tokens comes from the remaining budget
+    const preflight = await preflightChatRequest(uid, messages, {
+      maxCompletionTokens: Math.min(CHAT_MAX_COMPLETION_TOKENS, modelAccess.entry.maxOutputTokens || Infinity),
+      endpoint: 'chat',
+      contextLength: modelAccess.entry.contextLength,
+      userLimits
     });
+    if (!preflight.allowed) {
+      return sendPreflightError(res, preflight);
+    }
+    reservation = preflight.reservation;
 
-    const aiData = await openaiResponse.json();
+    // ============ STREAMING MODE ============
+    if (stream === true || stream === 'true') {
+      return await streamChatResponse(req, res, {
+        uid,
+        messages,
+        model,
+        temperature,
+        preflight,
+        conversation: conversationId ? { id: conversationId, newMessage, historyTrimmed } : null
+      });
+    }
 
-    if (!openaiResponse.ok) {
-      console.error('OpenAI API Error:', aiData);
+    // ============ CALL AI PROVIDER ============
+    let completion;
+    try {
+      completion = await chatCompletion({
+        model: model || 'gpt-4o-mini',
+        messages: messages,
+        temperature: temperature || 0.7,
+        maxTokens: preflight.maxTokens
+      });
+    } catch (providerError) {
+      console.error(`${providerError.provider || 'AI'} API Error:`, providerError.message);
+      await releaseTokenReservation(reservation);
       return res.status(500).json({
         success: false,
-        error: aiData.error?.message || 'OpenAI request failed',
-        code: 'AI_ERROR'
+        error: providerError.message || 'AI request failed',
+        code: 'AI_ERROR',
+        provider: providerError.provider
       });
     }
 
-    const promptTokens = aiData.usage?.prompt_tokens || 0;
-    const completionTokens = aiData.usage?.completion_tokens || 0;
+    const { promptTokens, completionTokens } = completion.usage;
     const totalTokens = promptTokens + completionTokens;
     
     const aiResponse = {
-      choices: aiData.choices.map(choice => ({
-        text: choice.message.content,
-        message: choice.message
-      })),
+      choices: completion.choices,
       usage: {
         promptTokens,
         completionTokens,
@@ -128,32 +317,29 @@ router.post('/chat', verifyFirebaseToken, async (req, res) => {
       }
     };
 
-    // ============ GET USER PLAN ============
-    const userLimits = await getUserLimits(uid);
-    const ispremium = userLimits.plan === 'premium';
+    const showCost = hasPlanFeature(userLimits, 'showCost');
 
     // ============ CALCULATE COST ============
-    // Free users show $0, premium users show actual cost
-    const cost = ispremium ? calculateTokenCost(model, promptTokens, completionTokens) : 0;
+    // Billed at the model that answered (differs from `model` after a provider fallback)
+    const servedModel = completion.servedModel;
+    // Plans without the showCost feature show $0, the others the actual cost
+    const cost = showCost ? calculateTokenCost(servedModel, promptTokens, completionTokens) : 0;
 
     // ============ RECORD USAGE ============
+    // Settles the pre-flight reservation to the actual token count
     try {
-      await recordTokenUsage(
-        uid,
-        {
-          model,
-          promptTokens,
-          completionTokens,
-          timestamp: new Date().toISOString()
-        },
-        userLimits.chatTokensDaily,
-        userLimits.chatTokensMonthly
-      );
+      await commitTokenReservation(reservation, {
+        model: servedModel,
+        promptTokens,
+        completionTokens,
+        estimatedPromptTokens: preflight.estimatedPromptTokens,
+        timestamp: new Date().toISOString()
+      });
 
       // ============ TRACK HOURLY USAGE FOR BILLING ============
       // DISABLED - Only using monthly billing now
       /*
-      if (ispremium && cost > 0) {
+      if (showCost && cost > 0) {
         await trackHourlyApiUsage(uid, cost, {
           model,
           promptTokens,
@@ -168,8 +354,27 @@ router.post('/chat', verifyFirebaseToken, async (req, res) => {
       // Continue anyway - user got the response
     }
 
+    // ============ MODERATE REPLY ============
+    // Billed above - the tokens were spent even if the reply is withheld
+    const outputModeration = await moderateText({ uid, text: completion.content, stage: 'output', route: 'chat' });
+    if (outputModeration.action === 'block') {
+      return sendContentBlocked(res, outputModeration, 'output');
+    }
+
+    // ============ SAVE CONVERSATION ============
+    if (conversationId) {
+      try {
+        await appendConversationMessages(uid, conversationId, [
+          newMessage,
+          { role: 'assistant', content: aiResponse.choices[0]?.text || '', model: servedModel }
+        ]);
+      } catch (conversationError) {
+        console.error('Failed to save conversation messages:', conversationError.message);
+      }
+    }
+
     // ============ GET REMAINING ============
-    const usageSummary = await getUsageSummary(uid);
+    const usageSummary = await getUsageSummary(uid, { userLimits });
 
     // ============ RESPONSE ============
     res.json({
@@ -178,17 +383,37 @@ router.post('/chat', verifyFirebaseToken, async (req, res) => {
       usage: {
         promptTokens,
         completionTokens,
-        totalTokens
+        totalTokens,
+        estimatedPromptTokens: preflight.estimatedPromptTokens
       },
+      provider: completion.provider,
+      model: servedModel,
       plan: userLimits.plan,
       cost: cost,
       remainingDaily: usageSummary.remainingDaily,
       remainingMonthly: usageSummary.remainingMonthly,
-      totalCostUSD: ispremium ? usageSummary.totalCostUSD : 0
+      totalCostUSD: showCost ? usageSummary.totalCostUSD : 0,
+      ...(conversationId && { conversationId, historyTrimmed })
     });
 
   } catch (error) {
     console.error('🔥 Error in POST /api/ai/chat:', error.message);
+    await releaseTokenReservation(reservation);
+
+    if ((error.code === 'CONVERSATION_NOT_FOUND' || error.code === 'MODERATION_UNAVAILABLE') && !res.headersSent) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    // Stream already started - report the error in-band
+    if (res.headersSent) {
+      writeSseEvent(res, { type: 'error', error: error.message, code: 'INTERNAL_ERROR' });
+      return endSseResponse(res);
+    }
+
     res.status(500).json({
       success: false,
       error: error.message,
@@ -197,41 +422,242 @@ router.post('/chat', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+/**
+ * Stream a chat completion to the client as Server-Sent Events
+ * Records usage once the upstream stream finishes or the client disconnects
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} params - { uid, messages, model, temperature, preflight, conversation }
+ *   preflight: result of preflightChatRequest (maxTokens, estimatedPromptTokens, reservation, userLimits)
+ *   conversation: { id, newMessage, historyTrimmed } when the request used a conversationId
+ * @returns {Promise<void>}
+ */
+async function streamChatResponse(req, res, { uid, messages, model, temperature, preflight, conversation = null }) {
+  const abortController = new AbortController();
+  let clientDisconnected = false;
+
+  // 'close' fires on the response when the socket goes away before we end it
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientDisconnected = true;
+      abortController.abort();
+    }
+  });
+
+  // ============ CALL AI PROVIDER (STREAM) ============
+  // SSE headers go out with the first delta so upstream errors can still be a JSON 500
+  const startSse = () => {
+    if (!res.headersSent) initSseResponse(res);
+  };
+
+  let fullText = '';
+  let finishReason = null;
+  let upstreamUsage = null;
+  let streamError = null;
+  // Model/provider that answered - differs from the requested model after a fallback
+  let servedModel = model || 'gpt-4o-mini';
+  let provider = null;
+
+  try {
+    const result = await streamChatCompletion({
+      model: model || 'gpt-4o-mini',
+      messages: messages,
+      temperature: temperature || 0.7,
+      maxTokens: preflight.maxTokens,
+      signal: abortController.signal,
+      onDelta: (content) => {
+        startSse();
+        fullText += content;
+        writeSseEvent(res, { type: 'delta', content });
+      }
+    });
+    finishReason = result.finishReason;
+    upstreamUsage = result.usage;
+    servedModel = result.servedModel;
+    provider = result.provider;
+  } catch (error) {
+    servedModel = error.servedModel || servedModel;
+    provider = error.provider || provider;
+
+    if (!clientDisconnected) {
+      console.error(`🔥 ${error.provider || 'AI'} stream error:`, error.message);
+
+      if (!res.headersSent) {
+        await releaseTokenReservation(preflight.reservation);
+        return res.status(500).json({
+          success: false,
+          error: error.message || 'AI request failed',
+          code: 'AI_ERROR',
+          provider
+        });
+      }
+      streamError = error;
+    }
+  }
+
+  startSse();
+
+  // ============ CALCULATE TOKENS ============
+  // Without a usage block (client disconnected or stream failed) use the tokenizer counts
+  const promptTokens = upstreamUsage?.promptTokens ?? preflight.estimatedPromptTokens;
+  const completionTokens = upstreamUsage?.completionTokens ?? countTextTokens(fullText);
+  const totalTokens = promptTokens + completionTokens;
+
+  // ============ GET USER PLAN ============
+  const { userLimits } = preflight;
+  const showCost = hasPlanFeature(userLimits, 'showCost');
+  const cost = showCost ? calculateTokenCost(servedModel, promptTokens, completionTokens) : 0;
+
+  // ============ RECORD USAGE ============
+  // Settles the pre-flight reservation to what was actually streamed
+  try {
+    await commitTokenReservation(preflight.reservation, {
+      model: servedModel,
+      promptTokens,
+      completionTokens,
+      estimatedPromptTokens: preflight.estimatedPromptTokens,
+      timestamp: new Date().toISOString()
+    });
+  } catch (usageError) {
+    console.error('Failed to record streamed usage:', usageError.message);
+  }
+
+  // ============ MODERATE REPLY ============
+  // The reply has already been streamed: a blocked reply ends with a CONTENT_BLOCKED
+  // error event (the app discards the text) and is not saved to the conversation
+  let outputModeration = null;
+  if (fullText) {
+    try {
+      outputModeration = await moderateText({ uid, text: fullText, stage: 'output', route: 'chat' });
+    } catch (moderationError) {
+      console.error('Failed to moderate streamed reply:', moderationError.message);
+    }
+  }
+  const replyBlocked = outputModeration?.action === 'block';
+
+  // ============ SAVE CONVERSATION ============
+  // Partial replies are kept too - the user saw them and was billed for them
+  if (conversation && fullText && !replyBlocked) {
+    try {
+      await appendConversationMessages(uid, conversation.id, [
+        conversation.newMessage,
+        { role: 'assistant', content: fullText, model: servedModel }
+      ]);
+    } catch (conversationError) {
+      console.error('Failed to save conversation messages:', conversationError.message);
+    }
+  }
+
+  if (clientDisconnected) {
+    console.log(`⚠️ Client disconnected from chat stream (${uid}), recorded ${totalTokens} tokens`);
+    return;
+  }
+
+  if (streamError) {
+    writeSseEvent(res, {
+      type: 'error',
+      error: streamError.message || 'AI stream failed',
+      code: 'AI_ERROR'
+    });
+    return endSseResponse(res);
+  }
+
+  if (replyBlocked) {
+    writeSseEvent(res, {
+      type: 'error',
+      error: 'The reply was withheld by content moderation',
+      code: 'CONTENT_BLOCKED',
+      categories: outputModeration.categories
+    });
+    return endSseResponse(res);
+  }
+
+  // ============ TERMINAL EVENT ============
+  const usageSummary = await getUsageSummary(uid, { userLimits });
+
+  writeSseEvent(res, {
+    type: 'done',
+    finishReason,
+    provider,
+    model: servedModel,
+    usage: {
+      promptTokens,
+      completionTokens,
+      totalTokens,
+      estimatedPromptTokens: preflight.estimatedPromptTokens
+    },
+    plan: userLimits.plan,
+    cost,
+    remainingDaily: usageSummary.remainingDaily,
+    remainingMonthly: usageSummary.remainingMonthly,
+    totalCostUSD: showCost ? usageSummary.totalCostUSD : 0,
+    ...(conversation && { conversationId: conversation.id, historyTrimmed: conversation.historyTrimmed })
+  });
+  endSseResponse(res);
+}
+
 /**
  * POST /api/ai/transcribe
  * Audio transcription endpoint for mobile app
  * 
  * Converts audio file to text using OpenAI Whisper API
+ * Files over 25 MB go through resumable uploads and background jobs instead
+ * (POST /api/ai/transcribe/uploads, see routes/ai/transcriptionJobRoutes.js)
  * 
  * Body: multipart/form-data
  * {
- *   file: <audio file (m4a, mp3, wav, etc)> (required),
+ *   file: <audio file (m4a, mp3, wav, webm)> (required),
  *   model: "whisper-1" | "gpt-4o-mini-transcribe" (optional, maps to whisper-1),
- *   language: "en" (optional, ISO-639-1 code, default: "en")
+ *   language: "en" (optional, ISO-639-1 code, default: "en"; ignored for task=translate),
+ *   task: "transcribe" | "translate" (optional, translate returns English text from any language),
+ *   response_format: "json" | "text" | "srt" | "vtt" | "verbose_json" (optional, default: "json"),
+ *   timestamp_granularities: "word" | "segment" (optional, repeat the field or comma-separate;
+ *     implies verbose_json, not available with translate)
  * }
  * 
+ * verbose_json adds duration and segments (and words when requested); srt/vtt return the
+ * subtitle file as a string in "subtitles".
+ * 
+ * Billed per audio minute (prorated to the second) from the measured file duration and
+ * counted against the plan's audioMinutesMonthly quota:
+ * - 400 INVALID_AUDIO if the duration cannot be read
+ * - 429 AUDIO_QUOTA_EXCEEDED if the file is longer than the remaining quota (minus the
+ *   seconds held by the user's transcriptions in progress)
+ * The seconds are reserved before the provider is called, billed when it answers and
+ * released if it fails.
+ * 
  * Response:
  * {
  *   success: true,
  *   text: "transcribed text",
  *   language: "en",
- *   usage: {promptTokens, completionTokens, totalTokens},
+ *   task: "transcribe",
+ *   responseFormat: "verbose_json",
+ *   duration: 42.5, segments: [{id, start, end, text, ...}], words: [{word, start, end}] (verbose_json),
+ *   subtitles: "1\n00:00:00,000 --> ..." (srt/vtt),
+ *   usage: {audioSeconds: 42.5, audioMinutes: 0.71},
  *   plan: "free" | "premium",
- *   cost: 0.00025,
+ *   cost: 0.00425,
+ *   remainingAudioMinutes: 55,
  *   remainingDaily: 49500,
  *   remainingMonthly: 999500,
  *   totalCostUSD: 0.25
  * }
  */
-router.post('/transcribe', verifyFirebaseToken, upload.single('file'), async (req, res) => {
+router.post('/transcribe', verifyFirebaseToken, rateLimitByUser, upload.single('file'), async (req, res) => {
+  // Audio seconds held for this request (released if we fail before billing)
+  let reservation = null;
+
   try {
     const uid = req.user.uid;
 
     // Get user info
-    const userRef = doc(db, 'users', uid);
-    const userSnap = await getDoc(userRef);
-    
-    if (!userSnap.exists()) {
+    let userLimits;
+    try {
+      userLimits = await getUserLimits(uid);
+    } catch (userError) {
+      if (userError.message !== 'User not found') throw userError;
       return res.status(404).json({
         success: false,
         error: 'User not found',
@@ -239,14 +665,14 @@ router.post('/transcribe', verifyFirebaseToken, upload.single('file'), async (re
       });
     }
 
-    const userPlan = userSnap.data().plan || 'free';
+    const userPlan = userLimits.plan;
 
-    // Check limits (applicable for all users)
-    const canUse = await checkCanUseTokens(uid);
-    if (!canUse.allowed) {
+    // Check limits (applicable for all users) - voice covers the audio-minutes quota
+    const canUse = await checkCanUseTokens(uid, { userLimits });
+    if (!canUse.allowedVoice) {
       return res.status(429).json({
         success: false,
-        error: 'Token limit exceeded',
+        error: canUse.voiceBlockedReason || canUse.reason || 'Limit exceeded',
         code: 'LIMIT_EXCEEDED'
       });
     }
@@ -268,56 +694,86 @@ router.post('/transcribe', verifyFirebaseToken, upload.single('file'), async (re
       size: file.size,
       fieldname: file.fieldname
     });
-    
+
+    // ============ TRANSCRIPTION OPTIONS ============
+    const options = parseTranscriptionOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error,
+        code: 'INVALID_TRANSCRIPTION_OPTIONS'
+      });
+    }
+    const { task, responseFormat, timestampGranularities } = options;
+
+    // ============ MEASURE AUDIO ============
+    let audioSeconds;
+    try {
+      audioSeconds = await getAudioDurationSeconds(file.buffer, file);
+    } catch (durationError) {
+      console.error('🔥 Failed to measure audio duration:', durationError.message);
+      return res.status(durationError.statusCode || 400).json({
+        success: false,
+        error: durationError.message,
+        code: durationError.code || 'INVALID_AUDIO'
+      });
+    }
+
     // Model validation: Map common names to whisper-1
     let model = req.body.model || 'whisper-1';
     if (model === 'gpt-4o-mini-transcribe') {
       console.log('📝 Mapping gpt-4o-mini-transcribe → whisper-1');
       model = 'whisper-1';
     }
+
+    const modelAccess = checkModelAccess(model, userPlan, 'transcription');
+    if (!modelAccess.allowed) {
+      return sendModelAccessError(res, modelAccess);
+    }
     
     const language = req.body.language || 'en';
 
-    // ============ CALL OPENAI TRANSCRIPTION ============
-    let openaiResponse;
-    let transcriptionData;
-    
+    // ============ RESERVE AUDIO SECONDS ============
+    // Held against the monthly quota while transcribing, so parallel uploads can't overspend it
     try {
-      // Use native FormData (Node 18+) instead of form-data package
-      const formData = new FormData();
-      
-      // Create a Blob from the buffer
-      const blob = new Blob([file.buffer], { type: file.mimetype || 'audio/mp4' });
-      
-      // Append the blob as a file
-      formData.append('file', blob, file.originalname || 'audio.m4a');
-      formData.append('model', model || 'whisper-1');
-      
-      if (language && language !== 'auto') {
-        formData.append('language', language);
-      }
+      reservation = await reserveAudioSeconds(uid, audioSeconds, userLimits.limits, { endpoint: 'transcribe' });
+    } catch (reserveError) {
+      if (reserveError.code !== 'AUDIO_QUOTA_EXCEEDED') throw reserveError;
+      return res.status(429).json({
+        success: false,
+        error: reserveError.message,
+        code: reserveError.code,
+        audioSeconds,
+        remainingAudioSeconds: reserveError.remainingAudioSeconds
+      });
+    }
 
-      console.log('📤 Sending to OpenAI:', {
+    // ============ CALL AI PROVIDER (TRANSCRIPTION) ============
+    let transcription;
+    
+    try {
+      console.log('📤 Sending to transcription provider:', {
         filename: file.originalname,
         size: file.size,
         mimetype: file.mimetype,
         model: model || 'whisper-1',
-        language: language
+        language: language,
+        task,
+        responseFormat,
+        timestampGranularities
       });
 
-      openaiResponse = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`
-          // Don't include Content-Type header - let fetch set it with boundary
-        },
-        body: formData
+      transcription = await transcribeAudio({
+        file,
+        model: model || 'whisper-1',
+        language,
+        task,
+        responseFormat,
+        timestampGranularities
       });
-
-      transcriptionData = await openaiResponse.json();
-
     } catch (apiError) {
-      console.error('🔥 OpenAI API error:', apiError.message);
+      console.error(`🔥 ${apiError.provider || 'AI'} transcription error:`, apiError.message);
+      await releaseAudioReservation(reservation);
       return res.status(500).json({
         success: false,
         error: apiError.message || 'Transcription failed',
@@ -325,94 +781,57 @@ router.post('/transcribe', verifyFirebaseToken, upload.single('file'), async (re
       });
     }
 
-    // Check if we have a valid response
-    if (!openaiResponse) {
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to get response from OpenAI',
-        code: 'TRANSCRIPTION_ERROR'
-      });
-    }
-
-    if (!openaiResponse.ok) {
-      console.error('OpenAI Transcription Error:', transcriptionData);
-      return res.status(500).json({
-        success: false,
-        error: transcriptionData.error?.message || 'Transcription failed',
-        code: 'TRANSCRIPTION_ERROR'
-      });
-    }
+    const transcribedText = transcription.text || '';
 
-    const transcribedText = transcriptionData.text || '';
-
-    // ============ ESTIMATE TOKEN USAGE ============
-    // Whisper API charges per minute of audio, we estimate tokens from text length
-    const estimatedTokens = Math.ceil(transcribedText.length / 4); // rough estimate: ~4 chars per token
-    const promptTokens = Math.ceil(estimatedTokens * 0.5);
-    const completionTokens = Math.ceil(estimatedTokens * 0.5);
-    const totalTokens = promptTokens + completionTokens;
-    
-    const ispremium = userPlan === 'premium';
-    // Calculate actual cost based on model used (whisper-1)
-    const cost = ispremium ? calculateTokenCost('whisper-1', promptTokens, completionTokens) : 0;
+    // ============ CALCULATE COST ============
+    // Transcription and translation are priced per audio minute (always recorded as whisper-1, regardless of input)
+    const showCost = hasPlanFeature(userLimits, 'showCost');
+    const cost = showCost ? calculateAudioCost('whisper-1', audioSeconds) : 0;
 
     // ============ RECORD USAGE ============
+    // Settles the reservation into a recorded transcription
     try {
-      const userLimits = await getUserLimits(uid);
-      await recordTokenUsage(
-        uid,
-        {
-          model: 'whisper-1', // Always record as whisper-1, regardless of input
-          promptTokens,
-          completionTokens,
-          timestamp: new Date().toISOString()
-        },
-        userLimits.chatTokensDaily,
-        userLimits.chatTokensMonthly
-      );
-
-      // ============ TRACK HOURLY USAGE FOR BILLING ============
-      // DISABLED - Only using monthly billing now
-      /*
-      if (ispremium && cost > 0) {
-        await trackHourlyApiUsage(uid, cost, {
-          model: 'whisper-1',
-          promptTokens,
-          completionTokens,
-          endpoint: 'transcribe',
-          audioFileName: file?.originalname,
-          timestamp: new Date().toISOString()
-        });
-      }
-      */
+      await commitAudioReservation(reservation, {
+        model: 'whisper-1',
+        timestamp: new Date().toISOString()
+      });
     } catch (usageError) {
       console.error('⚠️ Failed to record transcription usage:', usageError.message);
-      // Don't fail the request if recording fails
+      // Don't fail the request if recording fails - the reservation keeps holding the seconds
+      // until it expires
     }
+    reservation = null;
 
     // ============ GET REMAINING ============
-    const usageSummary = await getUsageSummary(uid);
+    const usageSummary = await getUsageSummary(uid, { userLimits });
 
     // ============ RESPONSE ============
     res.json({
       success: true,
       text: transcribedText,
-      language: language,
+      language: task === 'translate' ? 'en' : language,
+      task,
+      responseFormat,
+      ...(transcription.duration != null && { duration: transcription.duration }),
+      ...(transcription.segments && { segments: transcription.segments }),
+      ...(transcription.words && { words: transcription.words }),
+      ...(transcription.subtitles && { subtitles: transcription.subtitles }),
       usage: {
-        promptTokens,
-        completionTokens,
-        totalTokens
+        audioSeconds: Math.round(audioSeconds * 100) / 100,
+        audioMinutes: Math.round((audioSeconds / 60) * 100) / 100
       },
       plan: userPlan,
       cost: cost,
+      remainingAudioMinutes: usageSummary.remainingAudioMinutes,
       remainingDaily: usageSummary.remainingDaily,
       remainingMonthly: usageSummary.remainingMonthly,
-      totalCostUSD: ispremium ? usageSummary.totalCostUSD : 0
+      totalCostUSD: showCost ? usageSummary.totalCostUSD : 0
     });
 
   } catch (error) {
     console.error('🔥 Error in POST /api/ai/transcribe:', error.message);
     console.error('Stack:', error.stack);
+    await releaseAudioReservation(reservation);
     res.status(500).json({
       success: false,
       error: error.message || 'Transcription failed',
@@ -422,26 +841,212 @@ router.post('/transcribe', verifyFirebaseToken, upload.single('file'), async (re
   }
 });
 
+/**
+ * Synthesize speech (or serve it from the TTS cache) and send it
+ * Shared by /speak and /text-to-speech
+ *
+ * Cache hits are free: no provider call, no voice request and no cost recorded.
+ * Misses check and count one voice request and record the estimated token cost.
+ *
+ * stream=true sends the MP3 bytes as they are generated (chunked audio/mpeg with an
+ * X-TTS-Cache: HIT|MISS header) instead of a JSON body with base64 audio.
+ * Plans without the showCost feature get cost and totalCostUSD as 0.
+ *
+ * @param {Object} options - { uid, userPlan, model, input, voice, speed, instructions, tone, language, stream, route }
+ *   instructions: delivery guidance from the tone's voice profile (gpt-4o-mini-tts only)
+ */
+async function sendSpeech(req, res, { uid, userPlan, model, input, voice, speed, instructions = null, tone = '', language = '', stream = false, route }) {
+  const cacheKey = getSpeechCacheKey({ model, text: input, voice, speed, instructions, tone, language });
+  const userLimits = await getUserLimits(uid);
+  const showCost = hasPlanFeature(userLimits, 'showCost');
+
+  // ============ CACHE LOOKUP ============
+  const cachedAudio = await getCachedSpeech(cacheKey);
+  if (cachedAudio) {
+    console.log(`✅ TTS cache hit ${cacheKey.slice(0, 12)} for ${uid} (${route})`);
+
+    if (stream) {
+      res.set({ 'Content-Type': 'audio/mpeg', 'X-TTS-Cache': 'HIT' });
+      return res.end(cachedAudio);
+    }
+
+    const usageSummary = await getUsageSummary(uid, { userLimits });
+    return res.json({
+      success: true,
+      audio: cachedAudio.toString('base64'),
+      mimeType: 'audio/mpeg',
+      cached: true,
+      usage: {
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0
+      },
+      plan: userPlan,
+      cost: 0,
+      remainingDaily: usageSummary.remainingDaily,
+      remainingMonthly: usageSummary.remainingMonthly,
+      totalCostUSD: showCost ? usageSummary.totalCostUSD : 0
+    });
+  }
+
+  // ============ CHECK VOICE LIMIT ============
+  // Only generated speech counts as a voice request
+  const canUse = await checkCanUseTokens(uid, { userLimits });
+  if (canUse.remainingDailyVoiceRequests <= 0) {
+    return res.status(429).json({
+      success: false,
+      error: `Daily voice request limit exceeded (${canUse.dailyVoiceRequestsUsed}/${canUse.voiceRequestsLimit} requests used)`,
+      code: 'DAILY_VOICE_LIMIT_EXCEEDED'
+    });
+  }
+
+  // ============ CALL AI PROVIDER (TTS) ============
+  const speechParams = {
+    model,
+    input,
+    voice,
+    speed,
+    ...(instructions && { instructions })
+  };
+
+  let audioBuffer;
+  try {
+    if (stream) {
+      // Abort generation if the app hangs up mid-stream
+      const controller = new AbortController();
+      let clientClosed = false;
+      res.on('close', () => {
+        if (!res.writableFinished) {
+          clientClosed = true;
+          controller.abort();
+        }
+      });
+
+      const speech = await streamSpeech({ ...speechParams, signal: controller.signal });
+      res.set({ 'Content-Type': speech.mimeType, 'X-TTS-Cache': 'MISS' });
+      res.flushHeaders();
+
+      const chunks = [];
+      try {
+        for await (const chunk of speech.stream) {
+          chunks.push(chunk);
+          res.write(chunk);
+        }
+      } catch (streamError) {
+        // Headers are gone - all that is left is cutting the connection
+        if (!clientClosed) console.error(`🔥 ${speech.provider} TTS stream error:`, streamError.message);
+        res.destroy();
+        return;
+      }
+      res.end();
+      audioBuffer = Buffer.concat(chunks);
+    } else {
+      const speech = await synthesizeSpeech(speechParams);
+      audioBuffer = Buffer.from(speech.audio);
+    }
+  } catch (providerError) {
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
+    console.error(`${providerError.provider || 'AI'} TTS Error:`, providerError.message);
+    return res.status(500).json({
+      success: false,
+      error: providerError.message || 'TTS request failed',
+      code: 'TTS_ERROR'
+    });
+  }
+
+  await cacheSpeech(cacheKey, audioBuffer, { model, voice, mimeType: 'audio/mpeg' });
+
+  // ============ ESTIMATE COST ============
+  // Priced from the model's entry of the pricing registry (tts-1 for unpriced models)
+  const characterCount = input.length;
+  const estimatedTokens = Math.ceil(characterCount / 4);
+  const promptTokens = Math.ceil(estimatedTokens * 0.3);
+  const completionTokens = Math.ceil(estimatedTokens * 0.7);
+  const estimatedCost = calculateTokenCost(hasModelPricing(model) ? model : 'tts-1', promptTokens, completionTokens);
+
+  // ============ RECORD USAGE ============
+  // Never throws - with stream=true the audio has already been sent
+  try {
+    await recordTokenUsage(
+      uid,
+      {
+        model,
+        promptTokens,
+        completionTokens,
+        timestamp: new Date().toISOString()
+      },
+      userLimits.limits.chatTokensDaily,
+      userLimits.limits.chatTokensMonthly
+    );
+  } catch (usageError) {
+    console.error('Failed to record usage:', usageError.message);
+  }
+  // Counted even when the tokens were over the limit - the speech was generated
+  try {
+    await recordRequestUsage(uid, 'voice');
+  } catch (usageError) {
+    console.error('Failed to record voice request:', usageError.message);
+  }
+
+  // Streamed audio is already sent
+  if (stream) return;
+
+  // ============ GET REMAINING ============
+  const usageSummary = await getUsageSummary(uid, { userLimits });
+
+  // ============ RESPONSE ============
+  res.json({
+    success: true,
+    audio: audioBuffer.toString('base64'),
+    mimeType: 'audio/mpeg',
+    cached: false,
+    usage: {
+      promptTokens,
+      completionTokens,
+      totalTokens: estimatedTokens
+    },
+    plan: userPlan,
+    cost: showCost ? estimatedCost : 0,
+    remainingDaily: usageSummary.remainingDaily,
+    remainingMonthly: usageSummary.remainingMonthly,
+    totalCostUSD: showCost ? usageSummary.totalCostUSD : 0
+  });
+}
+
 /**
  * POST /api/ai/speak
  * Text-to-speech endpoint for mobile app
  * 
  * Converts text to speech using OpenAI TTS API
+ * Plans without the tts feature get 403 premium_REQUIRED (see services/planCatalogService.js)
  * 
  * Body:
  * {
- *   text: "string" (required),
- *   voice: "alloy" | "echo" | "fable" | "onyx" | "nova" | "shimmer" (default: alloy),
- *   speed: 0.5-2.0 (default: 1.0),
- *   tone: "calm" | "energetic" | "motivational" (optional),
- *   language: "en" | "es" | "ar" (default: en)
+ *   text: "string" (required, spoken exactly as sent),
+ *   voice: "alloy" | "echo" | "fable" | "onyx" | "nova" | "shimmer" (default: tone's voice, else alloy),
+ *   speed: 0.5-2.0 (default: tone's speed, else 1.0),
+ *   tone: "calm" | "energetic" | "motivational" | admin-defined (optional, 400 INVALID_TONE if unknown),
+ *   language: "en" | "es" | "ar" (default: en),
+ *   stream: false (optional, true = chunked audio/mpeg body sent as it is generated)
  * }
  * 
+ * A tone selects a voice profile (services/voiceProfileService.js): the TTS model, voice,
+ * speed and delivery instructions (gpt-4o-mini-tts) - without one, tts-1 is used. The model
+ * must be included in the user's plan (services/modelCatalogService.js).
+ * 
+ * Audio is cached by text, voice, speed, tone and language (services/ttsCacheService.js).
+ * Cache hits cost nothing and don't count against voiceRequestsDaily; generated
+ * speech counts one voice request (429 DAILY_VOICE_LIMIT_EXCEEDED when none are left).
+ * 
  * Response:
  * {
  *   success: true,
  *   audio: "base64 encoded audio data",
  *   mimeType: "audio/mpeg",
+ *   cached: false,
  *   usage: {promptTokens, estimatedTokens, totalTokens},
  *   plan: "premium",
  *   cost: 0.00015,
@@ -449,11 +1054,14 @@ router.post('/transcribe', verifyFirebaseToken, upload.single('file'), async (re
  *   remainingMonthly: 999500,
  *   totalCostUSD: 0.25
  * }
+ * 
+ * Streaming response (stream: true): raw MP3 bytes, Content-Type: audio/mpeg,
+ * X-TTS-Cache: HIT | MISS
  */
- router.post('/speak', verifyFirebaseToken, async (req, res) => {
+ router.post('/speak', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
    try {
      const uid = req.user.uid;
-     const { text, voice = 'alloy', speed = 1.0, tone = '', language = 'en' } = req.body;
+     const { text, voice, speed, tone = '', language = 'en', stream = false } = req.body;
 
      // Validation
      if (!text || typeof text !== 'string' || text.trim() === '') {
@@ -478,124 +1086,53 @@ router.post('/transcribe', verifyFirebaseToken, upload.single('file'), async (re
 
      const userPlan = userSnap.data().plan || 'free';
      
-     if (userPlan !== 'premium') {
+     if (!hasPlanFeature(await resolvePlan(userPlan), 'tts')) {
        return res.status(403).json({
          success: false,
-         error: 'TTS restricted to premium users',
+         error: 'TTS is not included in your plan',
          code: 'premium_REQUIRED',
          plan: userPlan
        });
      }
 
-    // ============ PREPARE TEXT BASED ON TONE ============
-    let finalText = text;
-    const toneLower = tone?.toLowerCase() || '';
-    
-    if (toneLower === 'calm') {
-      // Make text more mellow with pauses
-      finalText = text
-        .replace(/[.!?]/g, '…')
-        .replace(/\b(and|but|so|then)\b/gi, '… $1')
-        .trim();
-    } else if (toneLower === 'energetic') {
-      // Add energy indicators
-      finalText = `${text}! Let's go!`;
-    } else if (toneLower === 'motivational') {
-      // Add motivational phrases
-      finalText = `${text}. You've got this. Believe in yourself!`;
-    }
-
-    // ============ CALL OPENAI TTS ============
-    const ttsResponse = await fetch('https://api.openai.com/v1/audio/speech', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'tts-1',
-        input: finalText,
-        voice: voice || 'alloy',
-        speed: Math.max(0.25, Math.min(4.0, parseFloat(speed) || 1.0)), // Clamp between 0.25 and 4.0
-      })
-    });
-
-    if (!ttsResponse.ok) {
-      const errorData = await ttsResponse.json();
-      console.error('OpenAI TTS Error:', errorData);
-      return res.status(500).json({
-        success: false,
-        error: errorData.error?.message || 'TTS request failed',
-        code: 'TTS_ERROR'
-      });
-    }
-
-    // ============ GET AUDIO DATA ============
-    const audioBuffer = await ttsResponse.arrayBuffer();
-    const audioBase64 = Buffer.from(audioBuffer).toString('base64');
-
-    // ============ GET USER LIMITS ============
-    const userLimits = await getUserLimits(uid);
-
-    // ============ ESTIMATE COST ============
-    // TTS costs ~$0.015 per 1K characters
-    const characterCount = finalText.length;
-    const estimatedTokens = Math.ceil(characterCount / 4);
-    const promptTokens = Math.ceil(estimatedTokens * 0.3);
-    const completionTokens = Math.ceil(estimatedTokens * 0.7);
-    const estimatedCost = (characterCount / 1000) * 0.015;
+    // ============ RESOLVE VOICE PROFILE ============
+    // A tone changes how the text is spoken (model, voice, speed, instructions), never the text
+    const toneLower = typeof tone === 'string' ? tone.trim().toLowerCase() : '';
+    let profile = null;
 
-    // ============ RECORD USAGE ============
-    try {
-      await recordTokenUsage(
-        uid,
-        {
-          model: 'tts-1',
-          promptTokens,
-          completionTokens,
-          timestamp: new Date().toISOString()
-        },
-        userLimits.chatTokensDaily,
-        userLimits.chatTokensMonthly
-      );
-
-      // ============ TRACK HOURLY USAGE FOR BILLING ============
-      // DISABLED - Only using monthly billing now
-      /*
-      if (userPlan === 'premium' && estimatedCost > 0) {
-        await trackHourlyApiUsage(uid, estimatedCost, {
-          model: 'tts-1',
-          promptTokens,
-          completionTokens,
-          endpoint: 'tts',
-          characterCount,
-          voice,
-          timestamp: new Date().toISOString()
+    if (toneLower) {
+      profile = getVoiceProfile(toneLower);
+      if (!profile) {
+        return res.status(400).json({
+          success: false,
+          error: `Unknown tone "${tone}". Available tones: ${getAvailableTones().join(', ')}`,
+          code: 'INVALID_TONE'
         });
       }
-      */
-    } catch (usageError) {
-      console.error('Failed to record usage:', usageError.message);
     }
 
-    // ============ GET REMAINING ============
-    const usageSummary = await getUsageSummary(uid);
+    // ============ MODEL ENTITLEMENT ============
+    // The profile picks the TTS model, so it is checked against the plan like /text-to-speech
+    const model = profile?.model || 'tts-1';
+    const modelAccess = checkModelAccess(model, userPlan, 'tts');
+    if (!modelAccess.allowed) {
+      return sendModelAccessError(res, modelAccess);
+    }
 
-    // ============ RESPONSE ============
-    res.json({
-      success: true,
-      audio: audioBase64,
-      mimeType: 'audio/mpeg',
-      usage: {
-        promptTokens,
-        completionTokens,
-        totalTokens: estimatedTokens
-      },
-      plan: userPlan,
-      cost: estimatedCost,
-      remainingDaily: usageSummary.remainingDaily,
-      remainingMonthly: usageSummary.remainingMonthly,
-      totalCostUSD: usageSummary.totalCostUSD
+    // ============ SYNTHESIZE (OR SERVE FROM CACHE) ============
+    // An explicit voice or speed in the request wins over the profile's
+    await sendSpeech(req, res, {
+      uid,
+      userPlan,
+      model,
+      input: text,
+      voice: voice || profile?.voice || 'alloy',
+      speed: Math.max(0.25, Math.min(4.0, parseFloat(speed ?? profile?.speed) || 1.0)), // Clamp between 0.25 and 4.0
+      instructions: profile?.instructions || null,
+      tone: toneLower,
+      language,
+      stream: stream === true || stream === 'true',
+      route: 'speak'
     });
 
   } catch (error) {
@@ -613,6 +1150,7 @@ router.post('/transcribe', verifyFirebaseToken, upload.single('file'), async (re
  * Text-to-speech endpoint for mobile app
  * 
  * Converts text to speech using OpenAI TTS API
+ * Plans without the tts feature get 403 premium_REQUIRED (see services/planCatalogService.js)
  * 
  * Body:
  * {
@@ -620,14 +1158,18 @@ router.post('/transcribe', verifyFirebaseToken, upload.single('file'), async (re
  *   input: "string" (required, the text to convert),
  *   voice: "alloy" | "echo" | "fable" | "onyx" | "nova" | "shimmer" (default: alloy),
  *   speed: 0.25-4.0 (default: 1.0),
- *   pitch: -0.1-0.2 (optional, affects tone)
+ *   pitch: -0.1-0.2 (optional, affects tone),
+ *   stream: false (optional, true = chunked audio/mpeg body sent as it is generated)
  * }
  * 
+ * Cached like /speak: hits are free and don't count against voiceRequestsDaily.
+ * 
  * Response:
  * {
  *   success: true,
  *   audio: "base64 encoded audio data",
  *   mimeType: "audio/mpeg",
+ *   cached: false,
  *   usage: {promptTokens, completionTokens, totalTokens},
  *   plan: "free" | "premium",
  *   cost: 0.00015,
@@ -635,8 +1177,11 @@ router.post('/transcribe', verifyFirebaseToken, upload.single('file'), async (re
  *   remainingMonthly: 999500,
  *   totalCostUSD: 0.25
  * }
+ * 
+ * Streaming response (stream: true): raw MP3 bytes, Content-Type: audio/mpeg,
+ * X-TTS-Cache: HIT | MISS
  */
-router.post('/text-to-speech', verifyFirebaseToken, async (req, res) => {
+router.post('/text-to-speech', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
   try {
     const uid = req.user.uid;
     const { 
@@ -644,7 +1189,8 @@ router.post('/text-to-speech', verifyFirebaseToken, async (req, res) => {
       input, 
       voice = 'alloy', 
       speed = 1.0,
-      pitch = 0.0
+      pitch = 0.0,
+      stream = false
     } = req.body;
 
     // ============ VALIDATION ============
@@ -678,109 +1224,32 @@ router.post('/text-to-speech', verifyFirebaseToken, async (req, res) => {
 
     const userPlan = userSnap.data().plan || 'free';
     
-    if (userPlan !== 'premium') {
+    if (!hasPlanFeature(await resolvePlan(userPlan), 'tts')) {
       return res.status(403).json({
         success: false,
-        error: 'TTS restricted to premium users',
+        error: 'TTS is not included in your plan',
         code: 'premium_REQUIRED',
         plan: userPlan
       });
     }
 
-    // ============ CALL OPENAI TTS ============
-    // Note: OpenAI TTS API doesn't support pitch parameter directly
-    // Pitch is handled by voice selection on frontend, we just pass through the input as-is
-    const ttsResponse = await fetch('https://api.openai.com/v1/audio/speech', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: model || 'tts-1',
-        input: input.trim(),
-        voice: voice || 'alloy',
-        speed: Math.max(0.25, Math.min(4.0, parseFloat(speed) || 1.0)) // Clamp between 0.25 and 4.0
-      })
-    });
-
-    if (!ttsResponse.ok) {
-      const errorData = await ttsResponse.json();
-      console.error('OpenAI TTS Error:', errorData);
-      return res.status(500).json({
-        success: false,
-        error: errorData.error?.message || 'TTS request failed',
-        code: 'TTS_ERROR'
-      });
-    }
-
-    // ============ GET AUDIO DATA ============
-    const audioBuffer = await ttsResponse.arrayBuffer();
-    const audioBase64 = Buffer.from(audioBuffer).toString('base64');
-
-    // ============ GET USER LIMITS ============
-    const userLimits = await getUserLimits(uid);
-
-    // ============ ESTIMATE COST ============
-    // TTS costs ~$0.015 per 1K characters
-    const characterCount = input.length;
-    const estimatedTokens = Math.ceil(characterCount / 4);
-    const promptTokens = Math.ceil(estimatedTokens * 0.3);
-    const completionTokens = Math.ceil(estimatedTokens * 0.7);
-    const estimatedCost = (characterCount / 1000) * 0.015;
-
-    // ============ RECORD USAGE ============
-    try {
-      await recordTokenUsage(
-        uid,
-        {
-          model: model || 'tts-1',
-          promptTokens,
-          completionTokens,
-          timestamp: new Date().toISOString()
-        },
-        userLimits.chatTokensDaily,
-        userLimits.chatTokensMonthly
-      );
-
-      // ============ TRACK HOURLY USAGE FOR BILLING ============
-      // DISABLED - Only using monthly billing now
-      /*
-      if (userPlan === 'premium' && estimatedCost > 0) {
-        await trackHourlyApiUsage(uid, estimatedCost, {
-          model: model || 'tts-1',
-          promptTokens,
-          completionTokens,
-          endpoint: 'tts-stream',
-          characterCount,
-          voice,
-          speed,
-          timestamp: new Date().toISOString()
-        });
-      }
-      */
-    } catch (usageError) {
-      console.error('Failed to record usage:', usageError.message);
+    const modelAccess = checkModelAccess(model, userPlan, 'tts');
+    if (!modelAccess.allowed) {
+      return sendModelAccessError(res, modelAccess);
     }
 
-    // ============ GET REMAINING ============
-    const usageSummary = await getUsageSummary(uid);
-
-    // ============ RESPONSE ============
-    res.json({
-      success: true,
-      audio: audioBase64,
-      mimeType: 'audio/mpeg',
-      usage: {
-        promptTokens,
-        completionTokens,
-        totalTokens: estimatedTokens
-      },
-      plan: userPlan,
-      cost: estimatedCost,
-      remainingDaily: usageSummary.remainingDaily,
-      remainingMonthly: usageSummary.remainingMonthly,
-      totalCostUSD: usageSummary.totalCostUSD
+    // ============ SYNTHESIZE (OR SERVE FROM CACHE) ============
+    // Note: OpenAI TTS API doesn't support pitch parameter directly
+    // Pitch is handled by voice selection on frontend, we just pass through the input as-is
+    await sendSpeech(req, res, {
+      uid,
+      userPlan,
+      model: model || 'tts-1',
+      input: input.trim(),
+      voice: voice || 'alloy',
+      speed: Math.max(0.25, Math.min(4.0, parseFloat(speed) || 1.0)), // Clamp between 0.25 and 4.0
+      stream: stream === true || stream === 'true',
+      route: 'text-to-speech'
     });
 
   } catch (error) {
@@ -799,16 +1268,26 @@ router.post('/text-to-speech', verifyFirebaseToken, async (req, res) => {
  * 
  * Uses OpenAI to generate category-based questions in specified language
  * 
+ * Prompts come from the question template registry (services/questionTemplateService.js,
+ * per category and language, managed under /api/admin/question-templates). The reply is
+ * validated against the question JSON Schema (utils/questionValidation.js); invalid output
+ * is sent back to the model once with the errors before failing with PARSE_ERROR.
+ * 
+ * The questions are saved as a questionnaire; answer it with
+ * POST /api/ai/questionnaires/:questionnaireId/answers (questionnaireId is null if saving failed).
+ * 
  * Body:
  * {
  *   category: "fitness" | "wellness" | "health" | etc (required),
- *   language: "en" | "es" | "ar" (default: en),
+ *   language: "en" | "es" | "ar" | any language with a template (default: en,
+ *     400 UNSUPPORTED_LANGUAGE otherwise),
  *   count: 5 (default: 5, max: 10)
  * }
  * 
  * Response:
  * {
  *   success: true,
+ *   questionnaireId: "uuid",
  *   questions: [
  *     {
  *       "id": "q1",
@@ -816,11 +1295,20 @@ router.post('/text-to-speech', verifyFirebaseToken, async (req, res) => {
  *       "type": "single",
  *       "options": ["Very social", "Somewhat social", "Prefer to be alone"]
  *     },
+ *     {
+ *       "id": "q2",
+ *       "question": "Do you often feel stressed or overwhelmed?",
+ *       "type": "conditional",
+ *       "options": ["Yes", "No"],
+ *       "followUp": {"question": "If yes, how often?", "type": "text", "showIf": "Yes"}
+ *     },
  *     ...
  *   ],
  *   language: "en",
  *   category: "fitness",
  *   count: 5,
+ *   template: {category: "default", language: "en", version: 0, source: "builtin"},
+ *   attempts: 1 (2 when the first output had to be repaired),
  *   usage: {promptTokens, completionTokens, totalTokens},
  *   plan: "free",
  *   cost: 0.00045,
@@ -829,7 +1317,9 @@ router.post('/text-to-speech', verifyFirebaseToken, async (req, res) => {
  *   totalCostUSD: 0
  * }
  */
- router.post('/generate-questions', verifyFirebaseToken, async (req, res) => {
+ router.post('/generate-questions', verifyFirebaseToken, rateLimitByUser, moderateInput('generate-questions', getQuestionsInputText), async (req, res) => {
+   let reservation = null;
+
    try {
      const uid = req.user.uid;
      const { category = 'fitness', language = 'en', count = 5 } = req.body;
@@ -849,221 +1339,219 @@ router.post('/text-to-speech', verifyFirebaseToken, async (req, res) => {
      const userLimits = await getUserLimits(uid);
      const userPlan = userLimits.plan || 'free';
 
+     // ============ MODEL ENTITLEMENT ============
+     const modelAccess = checkModelAccess(DEFAULT_MODELS.chat, userPlan, 'chat');
+     if (!modelAccess.allowed) {
+       return sendModelAccessError(res, modelAccess);
+     }
+
      // Check limits
-     const canUse = await checkCanUseTokens(uid);
-     if (!canUse.allowed) {
+     const canUse = await checkCanUseTokens(uid, { userLimits });
+     if (!canUse.allowedChat) {
        return res.status(429).json({
          success: false,
-         error: 'Limit exceeded',
+         error: canUse.chatBlockedReason || canUse.reason || 'Limit exceeded',
          code: 'LIMIT_EXCEEDED'
        });
      }
 
-    // ============ GET LANGUAGE-SPECIFIC INSTRUCTIONS ============
-    const getLanguageInstructions = () => {
-      switch (language) {
-        case 'es':
-          return 'Generate all questions and options in Spanish language. Ensure proper Spanish grammar and cultural context.';
-        case 'ar':
-          return 'Generate all questions and options in Arabic language. Ensure proper Arabic grammar and cultural context. Use formal Arabic (Modern Standard Arabic).';
-        case 'en':
-        default:
-          return 'Generate all questions and options in English language. Ensure proper English grammar and cultural context.';
+    // ============ RESOLVE TEMPLATE ============
+    let template;
+    try {
+      template = await resolveQuestionTemplate(category, language);
+    } catch (templateError) {
+      if (!templateError.statusCode) throw templateError;
+      return res.status(templateError.statusCode).json({
+        success: false,
+        error: templateError.message,
+        code: templateError.code
+      });
+    }
+
+    let questionMessages = renderQuestionMessages(template, { category, count: questionCount });
+
+    // ============ GENERATE, VALIDATE AND REPAIR ============
+    // Output that fails the question schema is sent back to the model with the errors;
+    // every attempt is reserved, billed and recorded on its own
+    const showCost = hasPlanFeature(userLimits, 'showCost');
+    const usage = { promptTokens: 0, completionTokens: 0, estimatedPromptTokens: 0 };
+    let cost = 0;
+    let aiData;
+    let questions = null;
+    let validationErrors = [];
+    let attempts = 0;
+
+    while (attempts <= QUESTIONS_MAX_REPAIR_ATTEMPTS) {
+      // ============ PRE-FLIGHT TOKEN CHECK ============
+      const preflight = await preflightChatRequest(uid, questionMessages, {
+        maxCompletionTokens: Math.min(QUESTIONS_MAX_COMPLETION_TOKENS, modelAccess.entry.maxOutputTokens || Infinity),
+        endpoint: 'generate-questions',
+        contextLength: modelAccess.entry.contextLength,
+        userLimits
+      });
+      if (!preflight.allowed) {
+        if (attempts === 0) return sendPreflightError(res, preflight);
+        // No budget left for a repair - report the invalid output below
+        break;
+      }
+      reservation = preflight.reservation;
+      attempts++;
+
+      // ============ CALL AI PROVIDER ============
+      try {
+        aiData = await chatCompletion({
+          model: modelAccess.entry.id,
+          messages: questionMessages,
+          temperature: 0.7,
+          maxTokens: preflight.maxTokens
+        });
+      } catch (providerError) {
+        console.error(`${providerError.provider || 'AI'} API Error:`, providerError.message);
+        await releaseTokenReservation(reservation);
+        return res.status(500).json({
+          success: false,
+          error: providerError.message || 'Failed to generate questions',
+          code: 'AI_ERROR',
+          provider: providerError.provider
+        });
       }
-    };
 
-    // ============ GET EXAMPLE STRUCTURE ============
-    const getExampleStructure = () => {
-      switch (language) {
-        case 'es':
-          return `[
-  {
-    "id": "q1",
-    "question": "¿Te describirías como una persona social?",
-    "type": "single",
-    "options": ["Muy social", "Algo social", "Prefiero estar solo"]
-  },
-  {
-    "id": "q2",
-    "question": "¿A menudo te sientes estresado o abrumado?",
-    "type": "conditional",
-    "options": ["Sí", "No"],
-    "followUp": {
-      "question": "Si es así, ¿con qué frecuencia?",
-      "type": "text"
-    }
-  }
-]`;
-        case 'ar':
-          return `[
-  {
-    "id": "q1",
-    "question": "هل تصف نفسك كشخص اجتماعي؟",
-    "type": "single",
-    "options": ["اجتماعي جداً", "اجتماعي إلى حد ما", "أفضل أن أكون وحيداً"]
-  },
-  {
-    "id": "q2",
-    "question": "هل تشعر غالباً بالتوتر أو الإرهاق؟",
-    "type": "conditional",
-    "options": ["نعم", "لا"],
-    "followUp": {
-      "question": "إذا كانت الإجابة نعم، كم مرة؟",
-      "type": "text"
-    }
-  }
-]`;
-        case 'en':
-        default:
-          return `[
-  {
-    "id": "q1",
-    "question": "Would you describe yourself as a social person?",
-    "type": "single",
-    "options": ["Very social", "Somewhat social", "Prefer to be alone"]
-  },
-  {
-    "id": "q2",
-    "question": "Do you often feel stressed or overwhelmed?",
-    "type": "conditional",
-    "options": ["Yes", "No"],
-    "followUp": {
-      "question": "If yes, how often?",
-      "type": "text"
-    }
-  }
-]`;
+      // ============ RECORD USAGE ============
+      const { promptTokens, completionTokens } = aiData.usage;
+      usage.promptTokens += promptTokens;
+      usage.completionTokens += completionTokens;
+      usage.estimatedPromptTokens += preflight.estimatedPromptTokens;
+      if (showCost) cost += calculateTokenCost(aiData.servedModel, promptTokens, completionTokens);
+
+      try {
+        await commitTokenReservation(reservation, {
+          model: aiData.servedModel,
+          promptTokens,
+          completionTokens,
+          estimatedPromptTokens: preflight.estimatedPromptTokens,
+          timestamp: new Date().toISOString()
+        });
+
+        // ============ TRACK HOURLY USAGE FOR BILLING ============
+        // DISABLED - Only using monthly billing now
+        /*
+        if (showCost && cost > 0) {
+          await trackHourlyApiUsage(uid, cost, {
+            model: aiData.servedModel,
+            promptTokens,
+            completionTokens,
+            endpoint: 'generate-questions',
+            timestamp: new Date().toISOString()
+          });
+        }
+        */
+      } catch (usageError) {
+        console.error('Failed to record usage:', usageError.message);
       }
-    };
+      reservation = null;
 
-    // ============ CALL OPENAI ============
-    const aiResponse = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: `You are a JSON generator. Always return valid JSON ONLY, no explanation. ${getLanguageInstructions()}`
-          },
-          {
-            role: 'user',
-            content: `Generate ${questionCount} new ${category} questions in this exact JSON structure, with varied question types (single, conditional, multiple, text):
-${getExampleStructure()}`
-          }
-        ],
-        temperature: 0.7,
-        max_tokens: 2000
-      })
-    });
+      // ============ PARSE AND VALIDATE ============
+      const reply = aiData.content?.trim() || '';
+      const parsed = parseModelJson(reply);
+      const check = parsed.error ? { valid: false, errors: [parsed.error] } : validateQuestions(parsed.value);
+
+      if (check.valid) {
+        questions = normalizeQuestions(parsed.value).slice(0, questionCount);
+        break;
+      }
 
-    const aiData = await aiResponse.json();
+      validationErrors = check.errors;
+      console.warn(`⚠️ Invalid questions from ${aiData.servedModel} (attempt ${attempts}):`, validationErrors.slice(0, 5).join('; '));
 
-    if (!aiResponse.ok) {
-      console.error('OpenAI API Error:', aiData);
+      questionMessages = [
+        ...questionMessages,
+        { role: 'assistant', content: reply },
+        {
+          role: 'user',
+          content: `That output is invalid:\n- ${validationErrors.slice(0, 10).join('\n- ')}\nReturn ONLY the corrected JSON array of ${questionCount} questions in the same structure, no explanation.`
+        }
+      ];
+    }
+
+    if (!questions) {
       return res.status(500).json({
         success: false,
-        error: aiData.error?.message || 'Failed to generate questions',
-        code: 'AI_ERROR'
+        error: 'Invalid response format from AI',
+        code: 'PARSE_ERROR',
+        validationErrors: validationErrors.slice(0, 10),
+        attempts
       });
     }
 
-    let questionsText = aiData.choices?.[0]?.message?.content?.trim() || '[]';
+    const { promptTokens, completionTokens } = usage;
+    const totalTokens = promptTokens + completionTokens;
 
-    // ============ PARSE JSON RESPONSE ============
-    let questions = [];
-    try {
-      questions = JSON.parse(questionsText);
-    } catch (parseError) {
-      console.warn('Failed to parse questions JSON, attempting extraction:', parseError.message);
-      // Try extracting JSON from response
-      const jsonMatch = questionsText.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        try {
-          questions = JSON.parse(jsonMatch[0]);
-        } catch (retryError) {
-          console.error('Failed to extract questions:', retryError.message);
-          return res.status(500).json({
-            success: false,
-            error: 'Invalid response format from AI',
-            code: 'PARSE_ERROR'
-          });
-        }
-      }
+    // ============ MODERATE QUESTIONS ============
+    const outputModeration = await moderateText({
+      uid,
+      text: questions.map(q => [q.question, ...(q.options || []), q.followUp?.question].filter(Boolean).join('\n')).join('\n'),
+      stage: 'output',
+      route: 'generate-questions'
+    });
+    if (outputModeration.action === 'block') {
+      return sendContentBlocked(res, outputModeration, 'output');
     }
 
-    // Add IDs if missing
-    questions = questions.map((q, idx) => ({
-      ...q,
-      id: q.id || `q${idx + 1}`
-    }));
-
-    // ============ CALCULATE COST ============
-    const promptTokens = aiData.usage?.prompt_tokens || 0;
-    const completionTokens = aiData.usage?.completion_tokens || 0;
-    const totalTokens = promptTokens + completionTokens;
-    const ispremium = userPlan === 'premium';
-    const cost = ispremium ? calculateTokenCost('gpt-4o-mini', promptTokens, completionTokens) : 0;
-
-    // ============ RECORD USAGE ============
+    // ============ SAVE QUESTIONNAIRE ============
+    // The questions were paid for - still return them if saving fails
+    let questionnaireId = null;
     try {
-      await recordTokenUsage(
-        uid,
-        {
-          model: 'gpt-4o-mini',
-          promptTokens,
-          completionTokens,
-          timestamp: new Date().toISOString()
-        },
-        userLimits.chatTokensDaily,
-        userLimits.chatTokensMonthly
-      );
-
-      // ============ TRACK HOURLY USAGE FOR BILLING ============
-      // DISABLED - Only using monthly billing now
-      /*
-      if (ispremium && cost > 0) {
-        await trackHourlyApiUsage(uid, cost, {
-          model: 'gpt-4o-mini',
-          promptTokens,
-          completionTokens,
-          endpoint: 'generate-questions',
-          timestamp: new Date().toISOString()
-        });
-      }
-      */
-    } catch (usageError) {
-      console.error('Failed to record usage:', usageError.message);
+      const questionnaire = await createQuestionnaire(uid, { category, language, questions, template });
+      questionnaireId = questionnaire.id;
+    } catch (error) {
+      console.error('⚠️ Failed to save questionnaire:', error.message);
     }
 
     // ============ GET REMAINING ============
-    const usageSummary = await getUsageSummary(uid);
+    const usageSummary = await getUsageSummary(uid, { userLimits });
 
     // ============ RESPONSE ============
     res.json({
       success: true,
+      questionnaireId,
       questions,
       language,
       category,
       count: questions.length,
+      template: {
+        category: template.category,
+        language: template.language,
+        version: template.version,
+        source: template.source
+      },
+      attempts,
       usage: {
         promptTokens,
         completionTokens,
-        totalTokens
+        totalTokens,
+        estimatedPromptTokens: usage.estimatedPromptTokens
       },
+      provider: aiData.provider,
+      model: aiData.servedModel,
       plan: userPlan,
       cost,
       remainingDaily: usageSummary.remainingDaily,
       remainingMonthly: usageSummary.remainingMonthly,
-      totalCostUSD: ispremium ? usageSummary.totalCostUSD : 0
+      totalCostUSD: showCost ? usageSummary.totalCostUSD : 0
     });
 
   } catch (error) {
     console.error('🔥 Error in POST /api/ai/generate-questions:', error.message);
+    await releaseTokenReservation(reservation);
+
+    if (error.code === 'MODERATION_UNAVAILABLE') {
+      return res.status(503).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: error.message,
@@ -1082,14 +1570,23 @@ ${getExampleStructure()}`
  * {
  *   messages: [{role: "user/assistant/system", content: "..."}, ...],
  *   model: "gpt-4o-mini" (default: "gpt-4o-mini"),
- *   temperature: 0.3 (optional, default: 0.3)
+ *   temperature: 0.3 (optional, default: 0.3),
+ *   updateProfile: true (optional, false = only return the keywords)
  * }
  * 
+ * Conversation mode: send conversationId (+ optional new "message") instead of messages.
+ * Keywords are extracted from the stored history (trimmed to the plan's
+ * maxTokensPerRequest); nothing is written back to the conversation.
+ * 
+ * The keywords are merged into the user's interest profile (GET /api/ai/interests);
+ * POST /api/ai/interests/rebuild does the same for the whole stored history.
+ * 
  * Response:
  * {
  *   success: true,
  *   keywords: ["keyword1", "keyword2", "keyword3"],
  *   count: 3,
+ *   profileUpdated: true,
  *   usage: {promptTokens, completionTokens, totalTokens},
  *   plan: "free",
  *   cost: 0.00015,
@@ -1098,14 +1595,34 @@ ${getExampleStructure()}`
  *   totalCostUSD: 0
  * }
  */
-router.post('/extract-keywords', verifyFirebaseToken, async (req, res) => {
+router.post('/extract-keywords', verifyFirebaseToken, rateLimitByUser, moderateInput('extract-keywords', getChatInputText), async (req, res) => {
+  let reservation = null;
+
   try {
     const uid = req.user.uid;
     const { 
-      messages,
       model = 'gpt-4o-mini',
-      temperature = 0.3
+      temperature = 0.3,
+      conversationId = null,
+      updateProfile = true
     } = req.body;
+    let { messages } = req.body;
+
+    // ============ GET USER PLAN ============
+    const userLimits = await getUserLimits(uid);
+    const userPlan = userLimits.plan || 'free';
+
+    // ============ CONVERSATION CONTEXT ============
+    if (conversationId) {
+      const newMessage = normalizeIncomingMessage(req.body.message);
+      const context = await buildConversationContext(
+        uid,
+        conversationId,
+        newMessage ? [newMessage] : [],
+        userLimits.limits.maxTokensPerRequest
+      );
+      messages = [{ role: 'system', content: KEYWORD_EXTRACTION_PROMPT }, ...context.messages];
+    }
 
     // ============ VALIDATION ============
     if (!Array.isArray(messages) || messages.length === 0) {
@@ -1127,119 +1644,130 @@ router.post('/extract-keywords', verifyFirebaseToken, async (req, res) => {
       }
     }
 
-    // ============ GET USER PLAN ============
-    const userLimits = await getUserLimits(uid);
-    const userPlan = userLimits.plan || 'free';
+    // ============ MODEL ENTITLEMENT ============
+    const modelAccess = checkModelAccess(model || DEFAULT_MODELS.chat, userPlan, 'chat');
+    if (!modelAccess.allowed) {
+      return sendModelAccessError(res, modelAccess);
+    }
 
     // ============ CHECK LIMITS ============
-    const canUse = await checkCanUseTokens(uid);
-    if (!canUse.allowed) {
+    const canUse = await checkCanUseTokens(uid, { userLimits });
+    if (!canUse.allowedChat) {
       return res.status(429).json({
         success: false,
-        error: 'Limit exceeded',
+        error: canUse.chatBlockedReason || canUse.reason || 'Limit exceeded',
         code: 'LIMIT_EXCEEDED'
       });
     }
 
-    // ============ CALL OPENAI ============
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
+    // ============ PRE-FLIGHT TOKEN CHECK ============
+    const preflight = await preflightChatRequest(uid, messages, {
+      maxCompletionTokens: Math.min(KEYWORDS_MAX_COMPLETION_TOKENS, modelAccess.entry.maxOutputTokens || Infinity),
+      endpoint: 'extract-keywords',
+      contextLength: modelAccess.entry.contextLength,
+      userLimits
+    });
+    if (!preflight.allowed) {
+      return sendPreflightError(res, preflight);
+    }
+    reservation = preflight.reservation;
+
+    // ============ CALL AI PROVIDER ============
+    let aiData;
+    try {
+      aiData = await chatCompletion({
         model: model || 'gpt-4o-mini',
         messages: messages,
         temperature: temperature || 0.3,
-        max_tokens: 200
-      })
-    });
-
-    const aiData = await response.json();
-
-    if (!response.ok) {
-      console.error('OpenAI API Error:', aiData);
+        maxTokens: preflight.maxTokens
+      });
+    } catch (providerError) {
+      console.error(`${providerError.provider || 'AI'} API Error:`, providerError.message);
+      await releaseTokenReservation(reservation);
       return res.status(500).json({
         success: false,
-        error: aiData.error?.message || 'Failed to extract keywords',
-        code: 'AI_ERROR'
+        error: providerError.message || 'Failed to extract keywords',
+        code: 'AI_ERROR',
+        provider: providerError.provider
       });
     }
 
     // ============ PARSE KEYWORDS ============
-    let keywordsText = aiData.choices?.[0]?.message?.content?.trim() || '[]';
-    let keywords = [];
-
-    try {
-      keywords = JSON.parse(keywordsText);
-    } catch (parseError) {
-      console.warn('Failed to parse keywords JSON, attempting extraction:', parseError.message);
-      // Try extracting JSON array from response
-      const jsonMatch = keywordsText.match(/\[[\s\S]*\]/);
-      if (jsonMatch) {
-        try {
-          keywords = JSON.parse(jsonMatch[0]);
-        } catch (retryError) {
-          console.error('Failed to extract keywords:', retryError.message);
-          // Fallback: extract quoted strings
-          const matches = keywordsText.match(/"([^"]+)"/g);
-          keywords = matches ? matches.map(m => m.replace(/"/g, '')) : [];
-        }
-      }
-    }
-
-    // Ensure it's an array
-    if (!Array.isArray(keywords)) {
-      keywords = [];
-    }
+    const keywords = parseKeywordReply(aiData.content);
 
     // ============ CALCULATE COST ============
-    const promptTokens = aiData.usage?.prompt_tokens || 0;
-    const completionTokens = aiData.usage?.completion_tokens || 0;
+    const { promptTokens, completionTokens } = aiData.usage;
     const totalTokens = promptTokens + completionTokens;
-    const ispremium = userPlan === 'premium';
-    const cost = ispremium ? calculateTokenCost('gpt-4o-mini', promptTokens, completionTokens) : 0;
+    const showCost = hasPlanFeature(userLimits, 'showCost');
+    const cost = showCost ? calculateTokenCost(aiData.servedModel, promptTokens, completionTokens) : 0;
 
     // ============ RECORD USAGE ============
     try {
-      await recordTokenUsage(
-        uid,
-        {
-          model: 'gpt-4o-mini',
-          promptTokens,
-          completionTokens,
-          timestamp: new Date().toISOString()
-        },
-        userLimits.chatTokensDaily,
-        userLimits.chatTokensMonthly
-      );
+      await commitTokenReservation(reservation, {
+        model: aiData.servedModel,
+        promptTokens,
+        completionTokens,
+        estimatedPromptTokens: preflight.estimatedPromptTokens,
+        timestamp: new Date().toISOString()
+      });
     } catch (usageError) {
       console.error('Failed to record usage:', usageError.message);
     }
 
+    // ============ MODERATE KEYWORDS ============
+    const outputModeration = await moderateText({ uid, text: keywords.join(', '), stage: 'output', route: 'extract-keywords' });
+    if (outputModeration.action === 'block') {
+      return sendContentBlocked(res, outputModeration, 'output');
+    }
+
+    // ============ UPDATE INTEREST PROFILE ============
+    // The keywords were paid for - still return them if the profile update fails
+    let profileUpdated = false;
+    if (updateProfile !== false && updateProfile !== 'false' && keywords.length > 0) {
+      try {
+        await addInterestMentions(uid, keywords);
+        profileUpdated = true;
+      } catch (profileError) {
+        console.error('⚠️ Failed to update interest profile:', profileError.message);
+      }
+    }
+
     // ============ GET REMAINING ============
-    const usageSummary = await getUsageSummary(uid);
+    const usageSummary = await getUsageSummary(uid, { userLimits });
 
     // ============ RESPONSE ============
     res.json({
       success: true,
       keywords,
       count: keywords.length,
+      profileUpdated,
       usage: {
         promptTokens,
         completionTokens,
-        totalTokens
+        totalTokens,
+        estimatedPromptTokens: preflight.estimatedPromptTokens
       },
+      provider: aiData.provider,
+      model: aiData.servedModel,
       plan: userPlan,
       cost,
       remainingDaily: usageSummary.remainingDaily,
       remainingMonthly: usageSummary.remainingMonthly,
-      totalCostUSD: ispremium ? usageSummary.totalCostUSD : 0
+      totalCostUSD: showCost ? usageSummary.totalCostUSD : 0
     });
 
   } catch (error) {
     console.error('🔥 Error in POST /api/ai/extract-keywords:', error.message);
+    await releaseTokenReservation(reservation);
+
+    if (error.code === 'CONVERSATION_NOT_FOUND' || error.code === 'MODERATION_UNAVAILABLE') {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
     res.status(500).json({
       success: false,
       error: error.message,
@@ -1250,53 +1778,46 @@ router.post('/extract-keywords', verifyFirebaseToken, async (req, res) => {
 
 /**
  * GET /api/ai/models
- * Get available OpenAI models
+ * Models from the model catalog (services/modelCatalogService.js) for the user's plan
  * 
- * Returns list of models available for use in the API
+ * Every enabled, priced model is listed; models the plan is not entitled to have
+ * available: false (the proxy routes reject them with 403 MODEL_NOT_ENTITLED).
  * 
  * Response:
  * {
  *   success: true,
  *   data: {
- *     models: [
- *       { id: "gpt-4o", name: "GPT-4 Omni", type: "chat" },
- *       { id: "gpt-4o-mini", name: "GPT-4 Mini", type: "chat" },
- *       { id: "tts-1", name: "Text-to-Speech", type: "tts" },
- *       { id: "whisper-1", name: "Whisper", type: "transcription" }
- *     ],
- *     defaultModel: "gpt-4o-mini"
+ *     models: {
+ *       chat: [{ id, name, description, provider, contextLength, maxOutputTokens,
+ *                pricing: { inputPerM, outputPerM, perMinute, source }, plans, available }],
+ *       tts: [...],
+ *       transcription: [...]
+ *     },
+ *     plan: "free",
+ *     defaultModel: "gpt-4o-mini",
+ *     defaultModels: { chat: "gpt-4o-mini", tts: "tts-1", transcription: "whisper-1" },
+ *     chatModels: ["gpt-4o-mini", ...],   (ids the plan may use)
+ *     ttsModels: ["tts-1", ...],
+ *     transcriptionModels: ["whisper-1"]
  *   }
  * }
  */
-router.get('/models', verifyFirebaseToken, async (req, res) => {
+router.get('/models', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
   try {
-    // Return supported models without calling OpenAI
-    // (since not all models are available from the models endpoint)
-    const supportedModels = {
-      chat: [
-        { id: 'gpt-4o', name: 'GPT-4 Omni', description: 'Latest multimodal model' },
-        { id: 'gpt-4o-mini', name: 'GPT-4 Mini', description: 'Lightweight chat model' }
-      ],
-      tts: [
-        { id: 'tts-1', name: 'Text-to-Speech', description: 'Real-time text to speech' }
-      ],
-      transcription: [
-        { id: 'whisper-1', name: 'Whisper', description: 'Audio transcription model' }
-      ]
-    };
+    const { plan } = await getUserLimits(req.user.uid);
+    const models = listModelsForPlan(plan);
+    const availableIds = (type) => models[type].filter(m => m.available).map(m => m.id);
 
     res.json({
       success: true,
       data: {
-        models: {
-          chat: supportedModels.chat,
-          tts: supportedModels.tts,
-          transcription: supportedModels.transcription
-        },
-        defaultModel: 'gpt-4o-mini',
-        chatModels: supportedModels.chat.map(m => m.id),
-        ttsModels: supportedModels.tts.map(m => m.id),
-        transcriptionModels: supportedModels.transcription.map(m => m.id)
+        models,
+        plan,
+        defaultModel: DEFAULT_MODELS.chat,
+        defaultModels: DEFAULT_MODELS,
+        chatModels: availableIds('chat'),
+        ttsModels: availableIds('tts'),
+        transcriptionModels: availableIds('transcription')
       }
     });
 
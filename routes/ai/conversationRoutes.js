@@ -0,0 +1,181 @@
+/**
+ * Conversation Routes
+ * Server-side history for the AI coach
+ * The app creates a conversation once, then sends only the new message + conversationId
+ * to /api/ai/chat, /api/ai/extract-keywords and /api/openrouter/chat/stream
+ */
+
+import express from 'express';
+import { verifyFirebaseToken } from '../../middleware/firebaseAuthMiddleware.js';
+import { rateLimitByUser } from '../../middleware/rateLimiter.js';
+import {
+  createConversation,
+  listConversations,
+  getConversation,
+  renameConversation,
+  deleteConversation,
+} from '../../services/conversationService.js';
+
+const router = express.Router();
+
+/**
+ * Send a service error as JSON
+ * CONVERSATION_NOT_FOUND -> 404, everything else -> 500
+ */
+function sendConversationError(res, error, route) {
+  console.error(`🔥 Error in ${route}:`, error.message);
+
+  if (error.code === 'CONVERSATION_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      error: error.message,
+      code: 'CONVERSATION_NOT_FOUND'
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    code: 'INTERNAL_ERROR'
+  });
+}
+
+/**
+ * POST /api/ai/conversations
+ * Create a conversation
+ *
+ * Body:
+ * {
+ *   title: "Leg day plan" (optional, defaults to the first user message),
+ *   systemPrompt: "You are a fitness coach..." (optional, sent before history on every turn)
+ * }
+ *
+ * Response (201):
+ * {
+ *   success: true,
+ *   conversation: { id, title, systemPrompt, messageCount, createdAt, updatedAt }
+ * }
+ */
+router.post('/', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const { title, systemPrompt } = req.body || {};
+
+    if (title !== undefined && title !== null && typeof title !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'title must be a string',
+        code: 'INVALID_TITLE'
+      });
+    }
+
+    if (systemPrompt !== undefined && systemPrompt !== null && typeof systemPrompt !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'systemPrompt must be a string',
+        code: 'INVALID_SYSTEM_PROMPT'
+      });
+    }
+
+    const conversation = await createConversation(uid, { title, systemPrompt });
+
+    res.status(201).json({
+      success: true,
+      conversation
+    });
+  } catch (error) {
+    sendConversationError(res, error, 'POST /api/ai/conversations');
+  }
+});
+
+/**
+ * GET /api/ai/conversations
+ * List the user's conversations (most recent first, without messages)
+ *
+ * Query: limit (default: 50, max: 100)
+ */
+router.get('/', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    const conversations = await listConversations(uid, pageSize);
+
+    res.json({
+      success: true,
+      conversations,
+      count: conversations.length
+    });
+  } catch (error) {
+    sendConversationError(res, error, 'GET /api/ai/conversations');
+  }
+});
+
+/**
+ * GET /api/ai/conversations/:conversationId
+ * Get a conversation with its messages (oldest first)
+ */
+router.get('/:conversationId', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const conversation = await getConversation(uid, req.params.conversationId);
+
+    res.json({
+      success: true,
+      conversation
+    });
+  } catch (error) {
+    sendConversationError(res, error, 'GET /api/ai/conversations/:conversationId');
+  }
+});
+
+/**
+ * PATCH /api/ai/conversations/:conversationId
+ * Rename a conversation
+ *
+ * Body: { title: "New title" }
+ */
+router.patch('/:conversationId', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const { title } = req.body || {};
+
+    if (!title || typeof title !== 'string' || title.trim() === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Valid title is required',
+        code: 'INVALID_TITLE'
+      });
+    }
+
+    const result = await renameConversation(uid, req.params.conversationId, title.trim());
+
+    res.json({
+      success: true,
+      conversation: result
+    });
+  } catch (error) {
+    sendConversationError(res, error, 'PATCH /api/ai/conversations/:conversationId');
+  }
+});
+
+/**
+ * DELETE /api/ai/conversations/:conversationId
+ * Delete a conversation and all its messages
+ */
+router.delete('/:conversationId', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const result = await deleteConversation(uid, req.params.conversationId);
+
+    res.json({
+      success: true,
+      message: 'Conversation deleted',
+      data: result
+    });
+  } catch (error) {
+    sendConversationError(res, error, 'DELETE /api/ai/conversations/:conversationId');
+  }
+});
+
+export default router;
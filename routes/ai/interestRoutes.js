@@ -0,0 +1,155 @@
+/**
+ * Interest Routes
+ * The user's interest profile, built from keywords extracted by /api/ai/extract-keywords
+ * (weights decay over time, see services/interestProfileService.js)
+ */
+
+import express from 'express';
+import { verifyFirebaseToken } from '../../middleware/firebaseAuthMiddleware.js';
+import { rateLimitByUser } from '../../middleware/rateLimiter.js';
+import { checkCanUseTokens } from '../../services/usageService.js';
+import { getInterestProfile, resetInterestProfile } from '../../services/interestProfileService.js';
+import { startInterestRebuild, getInterestJob } from '../../services/interestJobService.js';
+
+const router = express.Router();
+
+/**
+ * Send a service error as JSON
+ */
+function sendInterestError(res, error, route) {
+  console.error(`🔥 Error in ${route}:`, error.message);
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.jobId && { jobId: error.jobId })
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    code: 'INTERNAL_ERROR'
+  });
+}
+
+/**
+ * GET /api/ai/interests
+ * Get the user's interest profile, strongest topics first
+ *
+ * Query: ?limit=50 (max 200)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   profile: {
+ *     topics: [{ keyword: "knee pain", weight: 2.41, count: 4, firstSeenAt, lastSeenAt }],
+ *     topicCount: 37,
+ *     halfLifeDays: 30,
+ *     updatedAt: "..."
+ *   }
+ * }
+ */
+router.get('/', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const topicLimit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const profile = await getInterestProfile(req.user.uid, { limit: topicLimit });
+
+    res.json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    sendInterestError(res, error, 'GET /api/ai/interests');
+  }
+});
+
+/**
+ * DELETE /api/ai/interests
+ * Reset the user's interest profile
+ *
+ * Response: { success: true, removedTopics: 37 }
+ */
+router.delete('/', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const { removedTopics } = await resetInterestProfile(req.user.uid);
+
+    res.json({
+      success: true,
+      removedTopics
+    });
+  } catch (error) {
+    sendInterestError(res, error, 'DELETE /api/ai/interests');
+  }
+});
+
+/**
+ * POST /api/ai/interests/rebuild
+ * Extract keywords from the user's stored conversations in one background job
+ * Billed like /api/ai/extract-keywords (per batch, against the chat token limits);
+ * stops with status "partial" if the budget runs out.
+ *
+ * Body: { reset: false } (true = replace the profile instead of adding to it)
+ *
+ * Response (202): { success: true, job: { id, status: "queued", ... } }
+ * 409 INTEREST_JOB_RUNNING if the user already has a job running
+ */
+router.post('/rebuild', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const reset = req.body?.reset === true || req.body?.reset === 'true';
+
+    // ============ CHECK LIMITS ============
+    const canUse = await checkCanUseTokens(uid);
+    if (!canUse.allowedChat) {
+      return res.status(429).json({
+        success: false,
+        error: canUse.chatBlockedReason || canUse.reason || 'Limit exceeded',
+        code: 'LIMIT_EXCEEDED',
+        remaining: canUse.remainingDailyTokens
+      });
+    }
+
+    const job = startInterestRebuild(uid, { reset });
+
+    res.status(202).json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    sendInterestError(res, error, 'POST /api/ai/interests/rebuild');
+  }
+});
+
+/**
+ * GET /api/ai/interests/jobs/:jobId
+ * Poll a rebuild job
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   job: {
+ *     id, status: "queued" | "processing" | "completed" | "partial" | "failed",
+ *     progress: { batchesTotal, batchesCompleted, percent },
+ *     conversations, messages, keywordsFound,
+ *     usage: { promptTokens, completionTokens, totalTokens, cost },
+ *     stoppedReason: { code, reason } (partial only), error (failed only)
+ *   }
+ * }
+ */
+router.get('/jobs/:jobId', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const job = getInterestJob(req.user.uid, req.params.jobId);
+
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    sendInterestError(res, error, 'GET /api/ai/interests/jobs/:jobId');
+  }
+});
+
+export default router;
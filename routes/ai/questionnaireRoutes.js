@@ -0,0 +1,175 @@
+/**
+ * Questionnaire Routes
+ * Onboarding questionnaires generated by /api/ai/generate-questions
+ * The app answers them here; completed answers become the profile the coach sees
+ * in /api/ai/chat and /api/openrouter/chat/stream
+ */
+
+import express from 'express';
+import { verifyFirebaseToken } from '../../middleware/firebaseAuthMiddleware.js';
+import { rateLimitByUser } from '../../middleware/rateLimiter.js';
+import {
+  listQuestionnaires,
+  getQuestionnaire,
+  submitAnswers,
+  completeQuestionnaire,
+  getQuestionnaireProfile,
+} from '../../services/questionnaireService.js';
+
+const router = express.Router();
+
+/**
+ * Send a service error as JSON
+ * Errors with a statusCode (404/400/409) are passed through, everything else -> 500
+ */
+function sendQuestionnaireError(res, error, route) {
+  console.error(`🔥 Error in ${route}:`, error.message);
+
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      ...(error.missing && { missing: error.missing })
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message,
+    code: 'INTERNAL_ERROR'
+  });
+}
+
+/**
+ * GET /api/ai/questionnaires
+ * List the user's questionnaires, newest first
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   questionnaires: [{ id, category, language, status, questionCount, answeredCount, createdAt, updatedAt, completedAt }]
+ * }
+ */
+router.get('/', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const questionnaires = await listQuestionnaires(req.user.uid);
+    res.json({
+      success: true,
+      questionnaires
+    });
+  } catch (error) {
+    sendQuestionnaireError(res, error, 'GET /api/ai/questionnaires');
+  }
+});
+
+/**
+ * GET /api/ai/questionnaires/profile
+ * Get the answers the coach uses as context
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   profile: { entries: [{ questionnaireId, category, question, answer, answeredAt }], updatedAt }
+ * }
+ */
+router.get('/profile', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const profile = await getQuestionnaireProfile(req.user.uid);
+    res.json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    sendQuestionnaireError(res, error, 'GET /api/ai/questionnaires/profile');
+  }
+});
+
+/**
+ * GET /api/ai/questionnaires/:questionnaireId
+ * Get a questionnaire with its questions and answers
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   questionnaire: { id, category, language, questions, answers, status, ... }
+ * }
+ */
+router.get('/:questionnaireId', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const questionnaire = await getQuestionnaire(req.user.uid, req.params.questionnaireId);
+    res.json({
+      success: true,
+      questionnaire
+    });
+  } catch (error) {
+    sendQuestionnaireError(res, error, 'GET /api/ai/questionnaires/:questionnaireId');
+  }
+});
+
+/**
+ * POST /api/ai/questionnaires/:questionnaireId/answers
+ * Save answers (any subset; answering again replaces the earlier answer)
+ *
+ * Body:
+ * {
+ *   answers: {
+ *     q1: "Very social",                                  (single)
+ *     q2: ["Running", "Yoga"],                            (multiple)
+ *     q3: "I train before work",                          (text)
+ *     q4: { value: "Yes", followUp: "Twice a week" }      (conditional)
+ *   }
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   questionnaire: { id, status, questionCount, answeredCount, ..., missing: ["q5", "q4.followUp"] }
+ * }
+ */
+router.post('/:questionnaireId/answers', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const { answers } = req.body || {};
+
+    if (!answers || typeof answers !== 'object' || Array.isArray(answers) || Object.keys(answers).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'answers must be an object keyed by question id',
+        code: 'INVALID_ANSWERS'
+      });
+    }
+
+    const questionnaire = await submitAnswers(req.user.uid, req.params.questionnaireId, answers);
+    res.json({
+      success: true,
+      questionnaire
+    });
+  } catch (error) {
+    sendQuestionnaireError(res, error, 'POST /api/ai/questionnaires/:questionnaireId/answers');
+  }
+});
+
+/**
+ * POST /api/ai/questionnaires/:questionnaireId/complete
+ * Mark a questionnaire completed and add its answers to the coach's profile
+ * 409 QUESTIONNAIRE_INCOMPLETE (with "missing") if answers are missing
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   questionnaire: { id, status: "completed", completedAt, ... }
+ * }
+ */
+router.post('/:questionnaireId/complete', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const questionnaire = await completeQuestionnaire(req.user.uid, req.params.questionnaireId);
+    res.json({
+      success: true,
+      questionnaire
+    });
+  } catch (error) {
+    sendQuestionnaireError(res, error, 'POST /api/ai/questionnaires/:questionnaireId/complete');
+  }
+});
+
+export default router;
@@ -0,0 +1,256 @@
+/**
+ * Transcription Job Routes
+ * Resumable uploads and background transcription for recordings too long for
+ * POST /api/ai/transcribe (25 MB)
+ *
+ * Client flow:
+ *   POST  /api/ai/transcribe/uploads                       -> { upload: { id, offset: 0 } }
+ *   PATCH /api/ai/transcribe/uploads/:uploadId (bytes)     -> { upload: { offset } }   (repeat)
+ *   GET   /api/ai/transcribe/uploads/:uploadId             -> resume point after a dropped connection
+ *   POST  /api/ai/transcribe/uploads/:uploadId/complete    -> 202 { job: { id, status: "queued" } }
+ *   GET   /api/ai/transcribe/jobs/:jobId                   -> poll until status is "completed" or "failed"
+ *
+ * See services/transcriptionJobService.js
+ */
+
+import express from 'express';
+import { verifyFirebaseToken } from '../../middleware/firebaseAuthMiddleware.js';
+import { rateLimitByUser } from '../../middleware/rateLimiter.js';
+import { parseTranscriptionOptions } from '../../utils/transcriptionOptions.js';
+import {
+  createUploadSession,
+  getUploadSession,
+  appendUploadChunk,
+  completeUpload,
+  getTranscriptionJob,
+} from '../../services/transcriptionJobService.js';
+
+const router = express.Router();
+
+/**
+ * Send a service error as JSON
+ * Errors with a statusCode (404/409/413/429...) are passed through, everything else -> 500
+ */
+function sendTranscriptionJobError(res, error, route) {
+  console.error(`🔥 Error in ${route}:`, error.message);
+
+  if (error.statusCode) {
+    const { code, message, statusCode, ...details } = error;
+    return res.status(statusCode).json({
+      success: false,
+      error: message,
+      code,
+      ...details
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    error: error.message || 'Transcription failed',
+    code: 'TRANSCRIPTION_ERROR'
+  });
+}
+
+/**
+ * POST /api/ai/transcribe/uploads
+ * Start a resumable upload
+ *
+ * Body:
+ * {
+ *   filename: "session.m4a" (required, the extension identifies the format),
+ *   mimetype: "audio/mp4" (optional),
+ *   totalBytes: 73400320 (required, max 500 MB),
+ *   language: "en" (optional, default: "en"),
+ *   task, response_format, timestamp_granularities (optional, same as POST /api/ai/transcribe)
+ * }
+ *
+ * Checked before any byte is accepted:
+ * - 413 FILE_TOO_LARGE over 500 MB
+ * - 429 LIMIT_EXCEEDED when the voice limits are used up
+ * - 429 TOO_MANY_UPLOADS with 3 uploads on disk (unfinished or being transcribed), or
+ *   1 GB across them
+ * - 429 AUDIO_QUOTA_EXCEEDED when the open uploads are too large for the remaining
+ *   audio-minutes quota (even as uncompressed audio)
+ *
+ * Response (201):
+ * {
+ *   success: true,
+ *   upload: { id, filename, totalBytes, offset: 0, status: "uploading", jobId: null, createdAt, expiresAt }
+ * }
+ */
+router.post('/uploads', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const { filename, mimetype, totalBytes, language } = req.body || {};
+
+    if (!filename || typeof filename !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'filename is required',
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const options = parseTranscriptionOptions(req.body);
+    if (options.error) {
+      return res.status(400).json({
+        success: false,
+        error: options.error,
+        code: 'INVALID_TRANSCRIPTION_OPTIONS'
+      });
+    }
+
+    const upload = await createUploadSession(req.user.uid, {
+      filename,
+      mimetype,
+      totalBytes: Number(totalBytes),
+      language,
+      options
+    });
+
+    res.status(201).json({
+      success: true,
+      upload
+    });
+  } catch (error) {
+    sendTranscriptionJobError(res, error, 'POST /api/ai/transcribe/uploads');
+  }
+});
+
+/**
+ * GET /api/ai/transcribe/uploads/:uploadId
+ * Get an upload's current offset (resume point)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   upload: { id, filename, totalBytes, offset, status, jobId, createdAt, expiresAt }
+ * }
+ */
+router.get('/uploads/:uploadId', verifyFirebaseToken, rateLimitByUser, (req, res) => {
+  try {
+    const upload = getUploadSession(req.user.uid, req.params.uploadId);
+    res.set('Upload-Offset', String(upload.offset));
+    res.json({
+      success: true,
+      upload
+    });
+  } catch (error) {
+    sendTranscriptionJobError(res, error, 'GET /api/ai/transcribe/uploads/:uploadId');
+  }
+});
+
+/**
+ * PATCH /api/ai/transcribe/uploads/:uploadId
+ * Append bytes to an upload
+ *
+ * Headers:
+ *   Upload-Offset: 0 (required, byte offset the body starts at - must equal the upload's offset)
+ *   Content-Type: application/offset+octet-stream | application/octet-stream
+ * Body: raw file bytes (any size; a few MB per request keeps retries cheap)
+ *
+ * Errors:
+ * - 409 OFFSET_MISMATCH (response carries the current offset - continue from there)
+ * - 400 UPLOAD_INTERRUPTED (partial bytes were discarded - retry from the returned offset)
+ * - 413 UPLOAD_TOO_LARGE if the bytes go past totalBytes
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   upload: { id, offset, totalBytes, status: "uploading", ... }
+ * }
+ */
+router.patch('/uploads/:uploadId', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const offset = Number(req.get('Upload-Offset'));
+    if (!Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload-Offset header is required',
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    // express.json() consumed the body - the stream must reach the service untouched
+    if (req.is('application/json')) {
+      return res.status(415).json({
+        success: false,
+        error: 'Send the bytes as application/offset+octet-stream',
+        code: 'UNSUPPORTED_MEDIA_TYPE'
+      });
+    }
+
+    const upload = await appendUploadChunk(req.user.uid, req.params.uploadId, offset, req);
+    res.set('Upload-Offset', String(upload.offset));
+    res.json({
+      success: true,
+      upload
+    });
+  } catch (error) {
+    if (error.offset != null) res.set('Upload-Offset', String(error.offset));
+    sendTranscriptionJobError(res, error, 'PATCH /api/ai/transcribe/uploads/:uploadId');
+  }
+});
+
+/**
+ * POST /api/ai/transcribe/uploads/:uploadId/complete
+ * Finish an upload and start transcribing it
+ *
+ * The recording is measured, checked against the voice limits and its length reserved
+ * against the monthly audio-minutes quota before the job is queued (billed once when the
+ * job completes, released if it fails):
+ * - 409 UPLOAD_INCOMPLETE if bytes are missing
+ * - 400 INVALID_AUDIO if the duration cannot be read
+ * - 429 LIMIT_EXCEEDED / AUDIO_QUOTA_EXCEEDED
+ *
+ * Calling it again returns the same job.
+ *
+ * Response (202):
+ * {
+ *   success: true,
+ *   job: { id, status: "queued", progress: {chunksTotal, chunksCompleted, percent}, audioSeconds, ... }
+ * }
+ */
+router.post('/uploads/:uploadId/complete', verifyFirebaseToken, rateLimitByUser, async (req, res) => {
+  try {
+    const job = await completeUpload(req.user.uid, req.params.uploadId);
+    res.status(202).json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    sendTranscriptionJobError(res, error, 'POST /api/ai/transcribe/uploads/:uploadId/complete');
+  }
+});
+
+/**
+ * GET /api/ai/transcribe/jobs/:jobId
+ * Get a transcription job's progress and, once completed, its transcript
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   job: {
+ *     id, status: "queued" | "processing" | "completed" | "failed",
+ *     task, responseFormat,
+ *     progress: { chunksTotal: 7, chunksCompleted: 3, percent: 43 },
+ *     audioSeconds: 3920.5,
+ *     result: { text, language, duration, segments, words, subtitles } (completed, fields per response_format),
+ *     usage: { audioSeconds, audioMinutes, cost } (completed),
+ *     error: "..." (failed),
+ *     createdAt, completedAt
+ *   }
+ * }
+ */
+router.get('/jobs/:jobId', verifyFirebaseToken, rateLimitByUser, (req, res) => {
+  try {
+    const job = getTranscriptionJob(req.user.uid, req.params.jobId);
+    res.json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    sendTranscriptionJobError(res, error, 'GET /api/ai/transcribe/jobs/:jobId');
+  }
+});
+
+export default router;
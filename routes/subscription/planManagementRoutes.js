@@ -15,19 +15,21 @@ import {
   cancelSubscription,
   completeUpgradeToPremium
 } from '../../services/planManagementService.js';
+import { resolvePlan } from '../../services/planCatalogService.js';
 
 const router = express.Router();
 
 /**
  * POST /api/plans/upgrade
  * 
- * Upgrade user from free to premium
- * Creates subscription with automatic monthly billing
+ * Upgrade user to a paid plan
+ * Creates subscription with automatic monthly billing at the plan's Stripe prices
  * 
  * Request body:
  * {
  *   successUrl: "https://yourapp.com/success",
- *   cancelUrl: "https://yourapp.com/cancel"
+ *   cancelUrl: "https://yourapp.com/cancel",
+ *   planId: "premium" (optional, any plan in the plan catalog)
  * }
  * 
  * Response:
@@ -45,7 +47,7 @@ router.post('/upgrade', verifyFirebaseToken, async (req, res) => {
   try {
     const uid = req.user.uid;
     const email = req.user.email;
-    const { successUrl, cancelUrl } = req.body;
+    const { successUrl, cancelUrl, planId = 'premium' } = req.body;
 
     if (!successUrl || !cancelUrl) {
       return res.status(400).json({
@@ -58,7 +60,8 @@ router.post('/upgrade', verifyFirebaseToken, async (req, res) => {
       userId: uid,
       userEmail: email,
       successUrl,
-      cancelUrl
+      cancelUrl,
+      planId
     });
 
     res.json({
@@ -77,10 +80,17 @@ router.post('/upgrade', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    if (error.message === 'User already premium') {
+    if (error.message === 'Unknown plan') {
       return res.status(400).json({
-        error: 'User is already on premium plan',
-        code: 'ALREADY_PREMIUM'
+        error: `${req.body.planId} is not in the plan catalog`,
+        code: 'INVALID_PLAN'
+      });
+    }
+
+    if (error.message === 'User already on plan') {
+      return res.status(400).json({
+        error: `User is already on the ${req.body.planId || 'premium'} plan`,
+        code: 'ALREADY_ON_PLAN'
       });
     }
 
@@ -94,8 +104,8 @@ router.post('/upgrade', verifyFirebaseToken, async (req, res) => {
 /**
  * POST /api/plans/upgrade-success
  * 
- * Complete upgrade to premium after successful payment
- * Updates user plan and limits in database
+ * Complete upgrade after successful payment
+ * Moves the user to the plan the upgrade checkout was created for (premium by default)
  * 
  * Request body: {} (no body required, uses authenticated user)
  * 
@@ -251,14 +261,15 @@ router.post('/downgrade', async (req, res) => {
  * {
  *   success: true,
  *   data: {
- *     plan: "premium" | "free",
+ *     plan: "premium",                   (any plan in the plan catalog)
+ *     platformFeeUSD: 10,
  *     subscriptionStatus: "active" | "cancelled" | "past_due",
  *     billingAnniversaryDay: 15,
  *     currentPeriodStart: "2026-01-15T10:00:00.000Z",
  *     currentPeriodEnd: "2026-02-15T10:00:00.000Z",
  *     nextBillingDate: "2026-02-15T10:00:00.000Z",
  *     currentUsageCost: 2.45,
- *     estimatedNextBill: 9.45
+ *     estimatedNextBill: 12.45
  *   }
  * }
  */
@@ -292,16 +303,17 @@ router.get('/current', verifyFirebaseToken, async (req, res) => {
       }
     }
     
-    // Estimate next bill (platform fee + current usage)
-    const platformFee = 7.00;
-    const estimatedNextBill = userData.plan === 'premium' 
-      ? platformFee + currentUsage.totalCost 
+    // Estimate next bill (platform fee of the user's plan + current usage)
+    const plan = await resolvePlan(userData.plan);
+    const estimatedNextBill = plan.platformFeeUSD > 0
+      ? plan.platformFeeUSD + (currentUsage.totalCost || 0)
       : 0;
 
     res.json({
       success: true,
       data: {
-        plan: userData.plan || 'free',
+        plan: plan.id,
+        platformFeeUSD: plan.platformFeeUSD,
         subscriptionStatus: userData.subscriptionStatus || 'none',
         billingAnniversaryDay: userData.billingAnniversaryDay || null,
         currentPeriodStart: userData.currentPeriodStart || null,
@@ -5,6 +5,7 @@
  * - Tracking token usage from frontend
  * - Checking current usage and limits
  * - Enforcing rate limits
+ * - The timezone daily limits reset in
  */
 
 import express from 'express';
@@ -16,8 +17,10 @@ import {
   recordRequestUsage,
   validateTokenReport,
   getUserLimits,
-  getMonthlyUsage
+  getMonthlyUsage,
+  getDailyVoiceRequestsUsed
 } from '../../services/usageService.js';
+import { getTimezoneSettings, requestTimezoneChange } from '../../services/userTimezoneService.js';
 
 const router = express.Router();
 
@@ -32,14 +35,23 @@ const router = express.Router();
  *   plan: "free" | "premium",
  *   dailyUsed: 1250,
  *   dailyLimit: 1000000,
+ *   remainingDaily: 998750,
  *   monthlyUsed: 15000,
  *   monthlyLimit: 30000000,
+ *   remainingMonthly: 29985000,
  *   dailyVoiceRequestsUsed: 2,
  *   dailyChatRequestsUsed: 5,
  *   monthlyVoiceRequestsUsed: 25,
  *   monthlyChatRequestsUsed: 120,
  *   voiceRequestsLimit: 10, // free: 10, premium: 20
  *   chatRequestsLimit: 20,  // free: 20, premium: 40
+ *   date: "2026-01-27",                     // today in the user's timezone
+ *   timezone: "Asia/Dubai",                 // "UTC" unless the user set one
+ *   nextResetTime: "2026-01-27T20:00:00.000Z",
+ *   limitOverride: {                        // null unless support raised this user's limits
+ *     limits: { chatRequestsDaily: 100 },   // already included in the limits above
+ *     expiresAt: "2026-02-15T00:00:00.000Z"
+ *   },
  *   totalCostUSD: 45.32,
  *   month: "2026-01",
  *   lastReportedAt: "2026-01-27T10:30:00Z"
@@ -80,7 +92,7 @@ router.get('/summary', verifyFirebaseToken, async (req, res) => {
  * Uses hardcoded limits and checks against usage collection by uid
  * Now includes request limits for voice and chat
  * 
- * IMPORTANT: All daily limits reset at 12:00 AM UTC
+ * IMPORTANT: All daily limits reset at 12:00 AM in the user's timezone (UTC by default)
  * 
  * Response:
  * {
@@ -104,7 +116,8 @@ router.get('/summary', verifyFirebaseToken, async (req, res) => {
  *     resetInfo: {            // NEW: Reset information
  *       nextResetTime: "2026-01-29T00:00:00.000Z",
  *       hoursUntilReset: 17,
- *       minutesUntilReset: 27
+ *       minutesUntilReset: 27,
+ *       timezone: "UTC"
  *     },
  *     plan: "free",
  *     reason: null // Only present if not allowed
@@ -145,19 +158,28 @@ router.get('/can-use', verifyFirebaseToken, async (req, res) => {
  * Records token usage from frontend after API call
  * Called by frontend after each OpenAI API call
  * 
+ * Each report is stored once as a usage event, keyed by the client's idempotency key
+ * (body idempotencyKey or Idempotency-Key header). A retried report with the same key
+ * returns 200 and the recorded totals; the same key with a different report is a 409.
+ * Usage counts on the user's local day of its timestamp (at most 7 days old), in the
+ * timezone in effect when the report is recorded: a pending timezone change applies from
+ * its effectiveAt, so a late report of earlier usage then lands on its day in the new timezone.
+ * 
  * Request body:
  * {
+ *   idempotencyKey: "3f0c1c9e-5c1b-4b7a-9d1e-2f6a8b0c4d21",
  *   model: "gpt-4o" | "gpt-4o-mini",
  *   promptTokens: 150,
  *   completionTokens: 425,
  *   timestamp: "2025-01-21T10:30:45Z"
  * }
  * 
- * Response on success:
+ * Response on success (201 recorded, 200 already recorded):
  * {
  *   success: true,
  *   message: "Token usage recorded",
  *   data: {
+ *     duplicate: false,
  *     tokensAdded: 575,
  *     costAdded: 0.0092,
  *     newDailyTotal: 1825,
@@ -176,6 +198,7 @@ router.post('/report', verifyFirebaseToken, async (req, res) => {
   try {
     const uid = req.user.uid;
     const { model, promptTokens, completionTokens, timestamp } = req.body;
+    const idempotencyKey = req.body.idempotencyKey || req.get('Idempotency-Key');
 
     // ============ VALIDATION ============
     
@@ -184,7 +207,8 @@ router.post('/report', verifyFirebaseToken, async (req, res) => {
       model,
       promptTokens,
       completionTokens,
-      timestamp
+      timestamp,
+      idempotencyKey
     });
 
     if (!validation.valid) {
@@ -202,14 +226,14 @@ router.post('/report', verifyFirebaseToken, async (req, res) => {
 
     const result = await recordTokenUsage(
       uid,
-      { model, promptTokens, completionTokens, timestamp },
+      { model, promptTokens, completionTokens, timestamp, idempotencyKey },
       chatTokensDaily,
       chatTokensMonthly
     );
 
-    res.status(201).json({
+    res.status(result.duplicate ? 200 : 201).json({
       success: true,
-      message: 'Token usage recorded',
+      message: result.duplicate ? 'Token usage already recorded' : 'Token usage recorded',
       data: result
     });
 
@@ -231,10 +255,10 @@ router.post('/report', verifyFirebaseToken, async (req, res) => {
       });
     }
 
-    if (error.code === 'DUPLICATE_REPORT') {
-      return res.status(400).json({
+    if (error.code === 'IDEMPOTENCY_KEY_REUSED') {
+      return res.status(409).json({
         error: error.message,
-        code: 'DUPLICATE_REPORT'
+        code: 'IDEMPOTENCY_KEY_REUSED'
       });
     }
 
@@ -256,7 +280,11 @@ router.post('/report', verifyFirebaseToken, async (req, res) => {
  * POST /usage/record-request
  * 
  * Records request usage (voice or chat) from frontend
- * Called by frontend after each voice/chat request
+ * Called by frontend after each chat request
+ *
+ * Voice requests are counted by the server when speech is generated (/api/ai/speak,
+ * /api/ai/text-to-speech), so requestType "voice" is accepted but not counted again:
+ * the response has requestsAdded: 0 and countedByServer: true. Clients can stop sending it.
  * 
  * Request body:
  * {
@@ -304,6 +332,22 @@ router.post('/record-request', verifyFirebaseToken, async (req, res) => {
       });
     }
 
+    // Voice is counted server-side - counting it here too would charge every request twice
+    if (requestType === 'voice') {
+      const usage = await getMonthlyUsage(uid);
+      return res.status(200).json({
+        success: true,
+        message: 'voice requests are counted by the server',
+        data: {
+          success: true,
+          requestType,
+          requestsAdded: 0,
+          countedByServer: true,
+          newDailyTotal: getDailyVoiceRequestsUsed(uid, usage)
+        }
+      });
+    }
+
     // ============ RECORD REQUEST USAGE ============
 
     const result = await recordRequestUsage(uid, requestType, count);
@@ -346,4 +390,91 @@ router.post('/record-request', verifyFirebaseToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /usage/timezone
+ * 
+ * Returns the timezone the user's daily limits reset in
+ * 
+ * Response:
+ * {
+ *   success: true,
+ *   data: {
+ *     timezone: "UTC",
+ *     changedAt: null,
+ *     pendingTimezone: { timezone: "Asia/Dubai", effectiveAt: "2026-01-28T00:00:00.000Z" } | null,
+ *     nextChangeAllowedAt: null,
+ *     nextResetTime: "2026-01-28T00:00:00.000Z"
+ *   }
+ * }
+ */
+router.get('/timezone', verifyFirebaseToken, async (req, res) => {
+  try {
+    const settings = await getTimezoneSettings(req.user.uid);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('🔥 Error getting timezone:', error.message);
+
+    if (error.code === 'USER_NOT_FOUND') {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to get timezone',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /usage/timezone
+ * 
+ * Changes the timezone the user's daily limits reset in
+ * The change takes effect at the next midnight of the current timezone and can only be
+ * made once per cooldown period (TIMEZONE_CHANGE_COOLDOWN_DAYS, default 30), so moving
+ * the day boundary cannot hand out a second day's quota. Sending the current timezone
+ * cancels a pending change.
+ * 
+ * Request body:
+ * {
+ *   timezone: "America/New_York"
+ * }
+ * 
+ * Response: settings as GET /usage/timezone, plus status: "scheduled" | "cancelled" | "unchanged"
+ */
+router.put('/timezone', verifyFirebaseToken, async (req, res) => {
+  try {
+    const { timezone } = req.body || {};
+
+    const result = await requestTimezoneChange(req.user.uid, timezone);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('🔥 Error changing timezone:', error.message);
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to change timezone',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 export default router;
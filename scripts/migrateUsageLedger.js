@@ -0,0 +1,200 @@
+/**
+ * Usage Ledger Migration
+ * Rewrites existing usage data into the usage ledger shape (schema version 2,
+ * see services/usageLedgerService.js)
+ *
+ * - usage/{uid}_{month} docs in an older shape are converted in place
+ * - per-user usage/{uid} docs (from before months were split) move to usage/{uid}_{month}
+ * - users/{uid}.usageHistory[month].workoutsCount is added to that month's workouts total
+ *   and the map is removed from the user doc
+ *
+ * Every original is copied to usage_legacy/ before it is rewritten. Docs already in the
+ * current shape are skipped, so the migration can be re-run.
+ *
+ * Usage:
+ *   node scripts/migrateUsageLedger.js --dry-run      (report what would change, write nothing)
+ *   node scripts/migrateUsageLedger.js                (migrate)
+ *   node scripts/migrateUsageLedger.js --uid=<uid>    (one user only, combines with --dry-run)
+ */
+
+import 'dotenv/config';
+import { db } from '../firebase.js';
+import {
+  doc,
+  getDoc,
+  getDocs,
+  collection,
+  query,
+  where,
+  writeBatch,
+  runTransaction,
+  deleteField,
+} from 'firebase/firestore';
+import {
+  USAGE_LEDGER_VERSION,
+  isCurrentLedger,
+  convertLegacyUsage,
+  parseUsageDocId,
+  getUsageDocId,
+  readLedgerInTransaction,
+  writeUsageInTransaction,
+} from '../services/usageLedgerService.js';
+
+function parseArgs(argv) {
+  const options = { dryRun: false, uid: null };
+  argv.forEach(arg => {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg.startsWith('--uid=')) options.uid = arg.slice('--uid='.length) || null;
+    else throw new Error(`Unknown argument: ${arg}`);
+  });
+  return options;
+}
+
+function describeTotals(ledger) {
+  return Object.entries(ledger.monthly)
+    .filter(([, value]) => value)
+    .map(([metric, value]) => `${metric}=${metric === 'costUSD' ? value.toFixed(4) : value}`)
+    .join(', ') || 'empty';
+}
+
+/**
+ * Usage docs to look at (all, or one user's)
+ */
+async function loadUsageDocs(uid) {
+  if (!uid) {
+    return (await getDocs(collection(db, 'usage'))).docs;
+  }
+
+  const docs = (await getDocs(query(collection(db, 'usage'), where('uid', '==', uid)))).docs;
+  const perUserSnap = await getDoc(doc(db, 'usage', uid));
+  if (perUserSnap.exists() && !docs.some(docSnap => docSnap.id === perUserSnap.id)) {
+    docs.push(perUserSnap);
+  }
+  return docs;
+}
+
+/**
+ * Convert usage docs to the current shape
+ */
+async function migrateUsageDocs({ dryRun, uid }, report) {
+  const docs = await loadUsageDocs(uid);
+  const prefix = dryRun ? '[dry-run] ' : '';
+
+  for (const docSnap of docs) {
+    report.usageDocs.scanned += 1;
+    const data = docSnap.data();
+
+    if (isCurrentLedger(data)) {
+      report.usageDocs.current += 1;
+      continue;
+    }
+
+    const parsed = parseUsageDocId(docSnap.id);
+    const docUid = parsed?.uid || data.uid || docSnap.id;
+    const month = parsed?.month || data.month || data.chatTokens?.month || null;
+
+    if (!month) {
+      report.usageDocs.skipped.push({ id: docSnap.id, reason: 'no month on per-user doc' });
+      console.warn(`⚠️ ${prefix}usage/${docSnap.id}: no month, skipped`);
+      continue;
+    }
+
+    const targetId = getUsageDocId(docUid, month);
+    if (targetId !== docSnap.id) {
+      const targetSnap = await getDoc(doc(db, 'usage', targetId));
+      if (targetSnap.exists()) {
+        report.usageDocs.skipped.push({ id: docSnap.id, reason: `usage/${targetId} already exists, merge by hand` });
+        console.warn(`⚠️ ${prefix}usage/${docSnap.id}: usage/${targetId} already exists, skipped`);
+        continue;
+      }
+    }
+
+    const ledger = convertLegacyUsage(data, { uid: docUid, month });
+    console.log(`📝 ${prefix}usage/${docSnap.id} -> usage/${targetId}: ${describeTotals(ledger)}`);
+    report.usageDocs.converted += 1;
+
+    if (dryRun) continue;
+
+    const now = new Date().toISOString();
+    const batch = writeBatch(db);
+    batch.set(doc(db, 'usage_legacy', docSnap.id), { ...data, backedUpAt: now });
+    batch.set(doc(db, 'usage', targetId), { ...ledger, migratedAt: now });
+    if (targetId !== docSnap.id) {
+      batch.delete(docSnap.ref);
+    }
+    await batch.commit();
+  }
+}
+
+/**
+ * Move users.usageHistory workout counts into the ledgers
+ */
+async function migrateUsageHistory({ dryRun, uid }, report) {
+  const prefix = dryRun ? '[dry-run] ' : '';
+  const userDocs = uid
+    ? [await getDoc(doc(db, 'users', uid))].filter(userSnap => userSnap.exists())
+    : (await getDocs(collection(db, 'users'))).docs;
+
+  for (const userSnap of userDocs) {
+    const usageHistory = userSnap.data().usageHistory;
+    if (!usageHistory || Object.keys(usageHistory).length === 0) continue;
+
+    const months = Object.entries(usageHistory)
+      .map(([month, entry]) => ({ month, workouts: Number(entry?.workoutsCount) || 0 }))
+      .filter(({ month, workouts }) => /^\d{4}-\d{2}$/.test(month) && workouts > 0);
+
+    report.usageHistory.users += 1;
+    report.usageHistory.months += months.length;
+    report.usageHistory.workouts += months.reduce((sum, { workouts }) => sum + workouts, 0);
+    console.log(`📝 ${prefix}users/${userSnap.id}.usageHistory: ${months.map(({ month, workouts }) => `${month}=${workouts}`).join(', ') || 'no workouts'}`);
+
+    if (dryRun) continue;
+
+    await runTransaction(db, async (transaction) => {
+      // All reads before the first write
+      const reads = [];
+      for (const { month, workouts } of months) {
+        reads.push({ read: await readLedgerInTransaction(transaction, userSnap.id, month), workouts });
+      }
+
+      reads.forEach(({ read, workouts }) => {
+        writeUsageInTransaction(transaction, read, {
+          type: 'workout_migration',
+          deltas: { workouts },
+          date: null,
+          details: { source: 'users.usageHistory' }
+        });
+      });
+      transaction.set(doc(db, 'usage_legacy', `users_${userSnap.id}`), {
+        usageHistory,
+        backedUpAt: new Date().toISOString(),
+      });
+      transaction.update(userSnap.ref, { usageHistory: deleteField() });
+    });
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const report = {
+    usageDocs: { scanned: 0, current: 0, converted: 0, skipped: [] },
+    usageHistory: { users: 0, months: 0, workouts: 0 },
+  };
+
+  console.log(`🚀 Migrating usage to ledger schema v${USAGE_LEDGER_VERSION}${options.dryRun ? ' (dry run)' : ''}${options.uid ? ` for ${options.uid}` : ''}`);
+
+  await migrateUsageDocs(options, report);
+  await migrateUsageHistory(options, report);
+
+  console.log('\n✅ Usage ledger migration finished');
+  console.log(`   Usage docs: ${report.usageDocs.scanned} scanned, ${report.usageDocs.current} already current, ${report.usageDocs.converted} ${options.dryRun ? 'to convert' : 'converted'}, ${report.usageDocs.skipped.length} skipped`);
+  console.log(`   usageHistory: ${report.usageHistory.users} users, ${report.usageHistory.months} months, ${report.usageHistory.workouts} workouts ${options.dryRun ? 'to move' : 'moved'}`);
+  report.usageDocs.skipped.forEach(({ id, reason }) => console.log(`   ⚠️ usage/${id}: ${reason}`));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Usage ledger migration failed:', error);
+    process.exit(1);
+  });
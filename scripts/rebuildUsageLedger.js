@@ -0,0 +1,77 @@
+/**
+ * Usage Ledger Rebuild
+ * Recomputes the daily / monthly totals of usage ledgers from their usage events
+ * (see rebuildLedger in services/usageLedgerService.js) and corrects totals that drifted
+ *
+ * Ledgers without events (nothing recorded since the event log was added) are left as
+ * they are. Reservations, estimator counters and moderation stages are not touched.
+ *
+ * Usage:
+ *   node scripts/rebuildUsageLedger.js --dry-run          (report differences, write nothing)
+ *   node scripts/rebuildUsageLedger.js                    (rebuild the current month)
+ *   node scripts/rebuildUsageLedger.js --month=2026-01    (another month)
+ *   node scripts/rebuildUsageLedger.js --uid=<uid>        (one user only, combines with the others)
+ */
+
+import 'dotenv/config';
+import { getCurrentMonth } from '../utils/usageHelpers.js';
+import { listLedgers, rebuildLedger } from '../services/usageLedgerService.js';
+
+function parseArgs(argv) {
+  const options = { dryRun: false, uid: null, month: getCurrentMonth() };
+  argv.forEach(arg => {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg.startsWith('--uid=')) options.uid = arg.slice('--uid='.length) || null;
+    else if (arg.startsWith('--month=')) options.month = arg.slice('--month='.length);
+    else throw new Error(`Unknown argument: ${arg}`);
+  });
+  if (!/^\d{4}-\d{2}$/.test(options.month)) {
+    throw new Error(`--month must be YYYY-MM, got ${options.month}`);
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const prefix = options.dryRun ? '[dry-run] ' : '';
+  const report = { ledgers: 0, events: 0, unchanged: 0, corrected: 0, failed: [] };
+
+  console.log(`🚀 Rebuilding usage ledgers for ${options.month}${options.dryRun ? ' (dry run)' : ''}${options.uid ? ` for ${options.uid}` : ''}`);
+
+  const ledgers = (await listLedgers({ uid: options.uid }))
+    .filter(ledger => ledger.month === options.month);
+
+  for (const ledger of ledgers) {
+    report.ledgers += 1;
+
+    try {
+      const result = await rebuildLedger(ledger.uid, options.month, { dryRun: options.dryRun });
+      report.events += result.events;
+
+      if (result.differences.length === 0) {
+        report.unchanged += 1;
+        continue;
+      }
+
+      report.corrected += 1;
+      console.log(`📝 ${prefix}usage/${ledger.id}: ${result.differences.length} totals differ`);
+      result.differences.forEach(({ path, stored, rebuilt }) => {
+        console.log(`   ${path}: ${stored} -> ${rebuilt}`);
+      });
+    } catch (error) {
+      report.failed.push({ id: ledger.id, reason: error.message });
+      console.warn(`⚠️ ${prefix}usage/${ledger.id}: ${error.message}`);
+    }
+  }
+
+  console.log('\n✅ Usage ledger rebuild finished');
+  console.log(`   Ledgers: ${report.ledgers} scanned (${report.events} events), ${report.unchanged} unchanged, ${report.corrected} ${options.dryRun ? 'to correct' : 'corrected'}, ${report.failed.length} failed`);
+  report.failed.forEach(({ id, reason }) => console.log(`   ⚠️ usage/${id}: ${reason}`));
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Usage ledger rebuild failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,144 @@
+/**
+ * Legacy Cost Rescale
+ * Corrects costs recorded before the pricing registry, when per-1M prices were divided by
+ * 1K and every cost came out 1000x too high (see COST_BASIS in utils/tokenPricing.js)
+ *
+ * - usage ledgers without costBasis: costUSD divided by 1000 (rescaleLedgerCosts in
+ *   services/usageLedgerService.js - run scripts/migrateUsageLedger.js first)
+ * - usage_tracking docs without costBasis: cost divided by 1000, the original kept as
+ *   legacyCost. These feed the prorated charge on downgrade.
+ *
+ * Usage already reported to Stripe is not changed. The report lists the overstated amount
+ * per user so it can be credited.
+ *
+ * Corrected docs get costBasis, so the rescale can be re-run.
+ *
+ * Usage:
+ *   node scripts/rescaleLegacyCosts.js --dry-run          (report what would change, write nothing)
+ *   node scripts/rescaleLegacyCosts.js                    (rescale)
+ *   node scripts/rescaleLegacyCosts.js --uid=<uid>        (one user only, combines with --dry-run)
+ */
+
+import 'dotenv/config';
+import { db } from '../firebase.js';
+import {
+  getDocs,
+  collection,
+  query,
+  where,
+  updateDoc,
+} from 'firebase/firestore';
+import { COST_BASIS } from '../utils/tokenPricing.js';
+import { listLedgers, rescaleLedgerCosts } from '../services/usageLedgerService.js';
+
+function parseArgs(argv) {
+  const options = { dryRun: false, uid: null };
+  argv.forEach(arg => {
+    if (arg === '--dry-run') options.dryRun = true;
+    else if (arg.startsWith('--uid=')) options.uid = arg.slice('--uid='.length) || null;
+    else throw new Error(`Unknown argument: ${arg}`);
+  });
+  return options;
+}
+
+/**
+ * Rescale the ledgers
+ */
+async function rescaleLedgers({ dryRun, uid }, report) {
+  const prefix = dryRun ? '[dry-run] ' : '';
+  const ledgers = await listLedgers({ uid });
+
+  for (const ledger of ledgers) {
+    report.ledgers.scanned += 1;
+
+    if (ledger.costBasis === COST_BASIS) {
+      report.ledgers.current += 1;
+      continue;
+    }
+    if (!ledger.month) {
+      report.ledgers.failed.push({ id: ledger.id, reason: 'not migrated, run scripts/migrateUsageLedger.js first' });
+      continue;
+    }
+
+    try {
+      const result = await rescaleLedgerCosts(ledger.uid, ledger.month, { dryRun });
+      report.ledgers.rescaled += 1;
+      console.log(`📝 ${prefix}usage/${ledger.id}: ${result.differences.length} totals rescaled`);
+      result.differences
+        .filter(({ path }) => path.startsWith('monthly.'))
+        .forEach(({ path, stored, rebuilt }) => console.log(`   ${path}: ${stored} -> ${rebuilt}`));
+    } catch (error) {
+      report.ledgers.failed.push({ id: ledger.id, reason: error.message });
+      console.warn(`⚠️ ${prefix}usage/${ledger.id}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Rescale the usage_tracking records
+ */
+async function rescaleUsageTracking({ dryRun, uid }, report) {
+  const prefix = dryRun ? '[dry-run] ' : '';
+  const trackingCollection = collection(db, 'usage_tracking');
+  const snapshot = await getDocs(uid ? query(trackingCollection, where('userId', '==', uid)) : trackingCollection);
+
+  for (const docSnap of snapshot.docs) {
+    const record = docSnap.data();
+    report.tracking.scanned += 1;
+
+    if (record.costBasis === COST_BASIS) {
+      report.tracking.current += 1;
+      continue;
+    }
+
+    const cost = Number(record.cost) || 0;
+    const rescaledCost = cost / 1000;
+    report.tracking.rescaled += 1;
+    if (record.reportedToStripe) {
+      report.tracking.overstatedByUser[record.userId] =
+        (report.tracking.overstatedByUser[record.userId] || 0) + (cost - rescaledCost);
+    }
+    console.log(`📝 ${prefix}usage_tracking/${docSnap.id}: cost ${cost} -> ${rescaledCost}`);
+
+    if (dryRun) continue;
+
+    await updateDoc(docSnap.ref, {
+      cost: rescaledCost,
+      legacyCost: cost,
+      costBasis: COST_BASIS,
+      costRescaledAt: new Date().toISOString(),
+    });
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const report = {
+    ledgers: { scanned: 0, current: 0, rescaled: 0, failed: [] },
+    tracking: { scanned: 0, current: 0, rescaled: 0, overstatedByUser: {} },
+  };
+
+  console.log(`🚀 Rescaling legacy costs${options.dryRun ? ' (dry run)' : ''}${options.uid ? ` for ${options.uid}` : ''}`);
+
+  await rescaleLedgers(options, report);
+  await rescaleUsageTracking(options, report);
+
+  const verb = options.dryRun ? 'to rescale' : 'rescaled';
+  console.log('\n✅ Legacy cost rescale finished');
+  console.log(`   Usage ledgers: ${report.ledgers.scanned} scanned, ${report.ledgers.current} already current, ${report.ledgers.rescaled} ${verb}, ${report.ledgers.failed.length} failed`);
+  console.log(`   usage_tracking: ${report.tracking.scanned} scanned, ${report.tracking.current} already current, ${report.tracking.rescaled} ${verb}`);
+  report.ledgers.failed.forEach(({ id, reason }) => console.log(`   ⚠️ usage/${id}: ${reason}`));
+
+  const overstated = Object.entries(report.tracking.overstatedByUser);
+  if (overstated.length > 0) {
+    console.log('   Overstated usage already reported to Stripe (credit by hand):');
+    overstated.forEach(([userId, amount]) => console.log(`   ⚠️ ${userId}: $${amount.toFixed(2)}`));
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('❌ Legacy cost rescale failed:', error);
+    process.exit(1);
+  });
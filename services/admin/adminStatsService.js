@@ -20,6 +20,27 @@ import {
   orderBy,
   limit
 } from 'firebase/firestore';
+import { listLedgers, getMonthlyMetric } from '../usageLedgerService.js';
+import { getPlan, resolvePlan } from '../planCatalogService.js';
+
+/**
+ * Whether a user is on a paid plan (a plan with a platform fee in the plan catalog)
+ * Call resolvePlan() first so the catalog is fresh.
+ */
+function isPaidUser(user) {
+  return getPlan(user.plan).platformFeeUSD > 0;
+}
+
+/**
+ * Number of users per plan id (users on a plan not in the catalog count as free)
+ */
+function countUsersByPlan(users) {
+  return users.reduce((counts, user) => {
+    const planId = getPlan(user.plan).id;
+    counts[planId] = (counts[planId] || 0) + 1;
+    return counts;
+  }, {});
+}
 
 /**
  * Get overall platform overview statistics
@@ -33,8 +54,8 @@ export async function getOverviewStats() {
     const users = usersSnapshot.docs.map(d => d.data());
 
     // Get all usage records
-    const usageSnapshot = await getDocs(collection(db, 'usage'));
-    const usageRecords = usageSnapshot.docs.map(d => d.data());
+    const usageRecords = await listLedgers();
+    await resolvePlan();
 
     // Calculate metrics
     const totalUsers = users.length;
@@ -48,20 +69,22 @@ export async function getOverviewStats() {
     }, 0);
 
     const totalTokensUsed = usageRecords.reduce((sum, record) => {
-      return sum + (record.chatTokens?.monthly || 0);
+      return sum + getMonthlyMetric(record, 'chatTokens');
     }, 0);
 
     const totalCostUSD = usageRecords.reduce((sum, record) => {
-      return sum + (record.totalCostUSD || 0);
+      return sum + getMonthlyMetric(record, 'costUSD');
     }, 0);
 
-    const freeUsers = users.filter(u => u.plan !== 'premium').length;
-    const premiumUsers = users.filter(u => u.plan === 'premium').length;
+    // "premium" = any plan with a platform fee
+    const premiumUsers = users.filter(isPaidUser).length;
+    const freeUsers = totalUsers - premiumUsers;
 
     return {
       totalUsers,
       freeUsers,
       premiumUsers,
+      usersByPlan: countUsersByPlan(users),
       activeSubscriptions,
       totalRevenue: parseFloat(totalRevenue.toFixed(2)),
       totalTokensUsed,
@@ -84,11 +107,7 @@ export async function getOverviewStats() {
  */
 export async function getUsageStats(filters = {}) {
   try {
-    const usageSnapshot = await getDocs(collection(db, 'usage'));
-    let usageRecords = usageSnapshot.docs.map(d => ({
-      id: d.id,
-      ...d.data()
-    }));
+    let usageRecords = await listLedgers();
 
     // Filter by user if specified
     if (filters.userId) {
@@ -96,8 +115,8 @@ export async function getUsageStats(filters = {}) {
     }
 
     // Calculate totals and breakdown
-    const totalTokens = usageRecords.reduce((sum, r) => sum + (r.chatTokens?.monthly || 0), 0);
-    const totalCost = usageRecords.reduce((sum, r) => sum + (r.totalCostUSD || 0), 0);
+    const totalTokens = usageRecords.reduce((sum, r) => sum + getMonthlyMetric(r, 'chatTokens'), 0);
+    const totalCost = usageRecords.reduce((sum, r) => sum + getMonthlyMetric(r, 'costUSD'), 0);
     const recordCount = usageRecords.length;
 
     // Group by month
@@ -107,8 +126,8 @@ export async function getUsageStats(filters = {}) {
       if (!byMonth[month]) {
         byMonth[month] = { tokens: 0, cost: 0, users: new Set() };
       }
-      byMonth[month].tokens += record.chatTokens?.monthly || 0;
-      byMonth[month].cost += record.totalCostUSD || 0;
+      byMonth[month].tokens += getMonthlyMetric(record, 'chatTokens');
+      byMonth[month].cost += getMonthlyMetric(record, 'costUSD');
       byMonth[month].users.add(record.uid);
     });
 
@@ -131,8 +150,8 @@ export async function getUsageStats(filters = {}) {
       records: usageRecords.map(r => ({
         uid: r.uid,
         month: r.month,
-        tokens: r.chatTokens?.monthly || 0,
-        cost: parseFloat((r.totalCostUSD || 0).toFixed(2))
+        tokens: getMonthlyMetric(r, 'chatTokens'),
+        cost: parseFloat(getMonthlyMetric(r, 'costUSD').toFixed(2))
       }))
     };
   } catch (error) {
@@ -151,8 +170,7 @@ export async function getRevenueStats() {
     const usersSnapshot = await getDocs(collection(db, 'users'));
     const users = usersSnapshot.docs.map(d => d.data());
 
-    const usageSnapshot = await getDocs(collection(db, 'usage'));
-    const usageRecords = usageSnapshot.docs.map(d => d.data());
+    const usageRecords = await listLedgers();
 
     // Calculate subscription revenue
     const subscriptionRevenue = users.reduce((sum, u) => {
@@ -161,7 +179,7 @@ export async function getRevenueStats() {
 
     // Calculate API usage revenue
     const apiUsageRevenue = usageRecords.reduce((sum, r) => {
-      return sum + (r.totalCostUSD || 0);
+      return sum + getMonthlyMetric(r, 'costUSD');
     }, 0);
 
     // Count paid vs free users
@@ -175,7 +193,7 @@ export async function getRevenueStats() {
       if (!monthlyRevenue[month]) {
         monthlyRevenue[month] = 0;
       }
-      monthlyRevenue[month] += record.totalCostUSD || 0;
+      monthlyRevenue[month] += getMonthlyMetric(record, 'costUSD');
     });
 
     users.forEach(u => {
@@ -226,15 +244,14 @@ export async function getTopUsers(metric = 'spenders', count = 10) {
       ...d.data()
     }));
 
-    const usageSnapshot = await getDocs(collection(db, 'usage'));
+    const usageRecords = await listLedgers();
     const usageMap = {};
-    usageSnapshot.docs.forEach(d => {
-      const data = d.data();
+    usageRecords.forEach(data => {
       if (!usageMap[data.uid]) {
         usageMap[data.uid] = { tokens: 0, cost: 0 };
       }
-      usageMap[data.uid].tokens += data.chatTokens?.monthly || 0;
-      usageMap[data.uid].cost += data.totalCostUSD || 0;
+      usageMap[data.uid].tokens += getMonthlyMetric(data, 'chatTokens');
+      usageMap[data.uid].cost += getMonthlyMetric(data, 'costUSD');
     });
 
     let rankedUsers = [];
@@ -304,8 +321,7 @@ export async function getModelUsageStats() {
     const transactions = transactionsSnapshot.docs.map(d => d.data());
 
     // Also get usage records which have model info
-    const usageSnapshot = await getDocs(collection(db, 'usage'));
-    const usageRecords = usageSnapshot.docs.map(d => d.data());
+    const usageRecords = await listLedgers();
 
     // Group by model from transactions
     const modelStats = {};
@@ -359,6 +375,7 @@ export async function getUserGrowthStats() {
   try {
     const usersSnapshot = await getDocs(collection(db, 'users'));
     const users = usersSnapshot.docs.map(d => d.data());
+    await resolvePlan();
 
     // Group users by creation month
     const byMonth = {};
@@ -370,7 +387,7 @@ export async function getUserGrowthStats() {
         byMonth[month] = { total: 0, free: 0, premium: 0 };
       }
       byMonth[month].total += 1;
-      if (u.plan === 'premium') {
+      if (isPaidUser(u)) {
         byMonth[month].premium += 1;
       } else {
         byMonth[month].free += 1;
@@ -393,8 +410,9 @@ export async function getUserGrowthStats() {
 
     return {
       totalUsers: users.length,
-      freeUsers: users.filter(u => u.plan !== 'premium').length,
-      premiumUsers: users.filter(u => u.plan === 'premium').length,
+      freeUsers: users.filter(u => !isPaidUser(u)).length,
+      premiumUsers: users.filter(isPaidUser).length,
+      usersByPlan: countUsersByPlan(users),
       monthlyBreakdown: cumulativeGrowth
     };
   } catch (error) {
@@ -0,0 +1,331 @@
+/**
+ * AI Provider Service
+ * Single entry point for chat, streaming chat, transcription, text-to-speech and moderation
+ *
+ * Every provider implements the same interface:
+ *   chat({ model, messages, temperature, maxTokens, signal })
+ *     -> { provider, id, model, content, finishReason, choices, usage }
+ *   stream({ model, messages, temperature, maxTokens, signal, onDelta })
+ *     -> { provider, id, model, content, finishReason, usage | null }
+ *   transcribe({ file, model, language, task, responseFormat, timestampGranularities })
+ *     -> { provider, text, language, duration, segments, words, subtitles, raw }
+ *   speak({ model, input, voice, speed, instructions }) -> { provider, audio: Buffer, mimeType }
+ *   speakStream({ model, input, voice, speed, instructions, signal }) -> { provider, stream: Readable, mimeType }
+ *   moderate({ model, input }) -> { provider, model, flagged, categories, scores }
+ *   listModels() -> [{ id, name, description, contextLength, maxOutputTokens, pricing }]
+ * usage is { promptTokens, completionTokens, totalTokens }
+ *
+ * The provider is chosen per model:
+ *   1. AI_PROVIDER env override (e.g. AI_PROVIDER=mock runs the proxy offline)
+ *   2. the model's provider in the pricing registry (utils/tokenPricing.js)
+ *   3. "vendor/model" ids go to OpenRouter, everything else to OpenAI
+ *
+ * Provider errors carry { provider, status, code: 'AI_ERROR' }
+ *
+ * Failover (all operations):
+ *   - 429, 5xx and network errors are retried up to MAX_RETRIES times with
+ *     exponential backoff and full jitter
+ *   - each provider has a circuit breaker; while it is open the provider is skipped
+ *   - when the primary still fails, the request is retried on the equivalent OpenRouter
+ *     model (FALLBACK_MODELS, or "openai/<model>" for OpenAI models priced on OpenRouter)
+ *   - streams are only retried / failed over before the first delta was sent
+ * Results report the serving provider and servedModel (the model id to bill at)
+ */
+
+import openaiProvider from './providers/openaiProvider.js';
+import openrouterProvider from './providers/openrouterProvider.js';
+import mockProvider from './providers/mockProvider.js';
+import { createCircuitBreaker } from './circuitBreaker.js';
+import { createProviderError, isAbortError } from './providers/providerError.js';
+import { getModelPricing } from '../../utils/tokenPricing.js';
+
+const DEFAULT_PROVIDER = 'openai';
+
+const MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 500;
+const RETRY_MAX_DELAY_MS = 4000;
+
+// Equivalent model on another provider, used when the primary is degraded
+// Every entry needs a pricing entry so the fallback can be billed
+const FALLBACK_MODELS = {
+  'gpt-4o-mini': 'openai/gpt-4o-mini',
+  'gpt-4o': 'openai/gpt-4o',
+};
+
+const providers = new Map();
+const breakers = new Map();
+
+/**
+ * Register a provider (replaces any provider with the same name)
+ * @param {Object} provider - { name, chat, stream, transcribe, speak, speakStream, moderate, listModels }
+ */
+export function registerProvider(provider) {
+  for (const method of ['chat', 'stream', 'transcribe', 'speak', 'speakStream', 'moderate', 'listModels']) {
+    if (typeof provider?.[method] !== 'function') {
+      throw new Error(`Provider ${provider?.name || 'unknown'} must implement ${method}()`);
+    }
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} Provider
+ */
+export function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Resolve the provider name for a model
+ * @param {string} model - Model identifier
+ * @returns {string} Provider name
+ */
+export function resolveProviderName(model) {
+  if (process.env.AI_PROVIDER) {
+    return process.env.AI_PROVIDER;
+  }
+  const pricing = getModelPricing(model);
+  if (pricing?.provider) {
+    return pricing.provider;
+  }
+  if (typeof model === 'string' && model.includes('/')) {
+    return 'openrouter';
+  }
+  return DEFAULT_PROVIDER;
+}
+
+/**
+ * Get the provider that serves a model
+ * @param {string} model - Model identifier
+ * @returns {Object} Provider
+ */
+export function getProviderForModel(model) {
+  return getProvider(resolveProviderName(model));
+}
+
+/**
+ * Get (or create) the circuit breaker for a provider
+ * @param {string} providerName - Provider name
+ * @returns {Object} Circuit breaker
+ */
+function getBreaker(providerName) {
+  if (!breakers.has(providerName)) {
+    breakers.set(providerName, createCircuitBreaker({ name: providerName }));
+  }
+  return breakers.get(providerName);
+}
+
+/**
+ * Get circuit breaker state for every provider that has been called
+ * @returns {Array} [{ name, state, consecutiveFailures, openedAt }]
+ */
+export function getProviderHealth() {
+  return [...breakers.values()].map(breaker => breaker.getState());
+}
+
+/**
+ * Check if a provider error is worth retrying (rate limit, server or network error)
+ * @param {Error} error - Provider error
+ * @returns {boolean} True if the request may succeed on retry
+ */
+export function isRetryableError(error) {
+  if (isAbortError(error)) return false;
+  if (error.status === null || error.status === undefined) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Exponential backoff with full jitter
+ * @param {number} attempt - Zero-based retry attempt
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(attempt) {
+  const cap = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+  return Math.round(Math.random() * cap);
+}
+
+/**
+ * Call one provider, retrying retryable errors while its circuit is closed
+ * @param {string} providerName - Provider name
+ * @param {string} method - chat | stream | transcribe | speak | speakStream | moderate
+ * @param {Object} params - Provider params
+ * @param {Function} canRetry - Returns false once retrying is unsafe (stream already started)
+ * @returns {Promise<Object>} Provider result
+ */
+async function callWithRetry(providerName, method, params, canRetry) {
+  const provider = getProvider(providerName);
+  const breaker = getBreaker(providerName);
+
+  for (let attempt = 0; ; attempt++) {
+    if (!breaker.canRequest()) {
+      throw createProviderError(providerName, `${providerName} is temporarily unavailable`, 503, 'AI_UNAVAILABLE');
+    }
+
+    try {
+      const result = await provider[method](params);
+      breaker.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+
+      // The provider answered (e.g. 400) - it is healthy, the request is not
+      if (!isRetryableError(error)) {
+        breaker.recordSuccess();
+        throw error;
+      }
+
+      breaker.recordFailure();
+      if (attempt >= MAX_RETRIES || !canRetry()) throw error;
+
+      const delay = getRetryDelay(attempt);
+      console.warn(`⚠️ ${providerName} ${method} failed (${error.status || 'network'}), retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Equivalent model to fail over to
+ * OpenAI models added to the model catalog later fall back to their OpenRouter id
+ * once it has a price, so the fallback can be billed
+ * @param {string} model - Requested model
+ * @returns {string|null} Fallback model id, null if there is none
+ */
+function getFallbackModel(model) {
+  if (FALLBACK_MODELS[model]) return FALLBACK_MODELS[model];
+  if (resolveProviderName(model) !== 'openai') return null;
+
+  const openRouterModel = `openai/${model}`;
+  return getModelPricing(openRouterModel) ? openRouterModel : null;
+}
+
+/**
+ * Run an operation on the model's provider, failing over to its fallback model
+ * @param {string} method - chat | stream | transcribe | speak | speakStream | moderate
+ * @param {Object} params - Provider params (model required)
+ * @returns {Promise<Object>} Provider result + { provider, servedModel, requestedModel, fallbackUsed }
+ * @throws {Error} Last provider error, tagged with provider and servedModel
+ */
+async function runWithFailover(method, params) {
+  const primaryProvider = resolveProviderName(params.model);
+  const targets = [{ provider: primaryProvider, model: params.model }];
+
+  const fallbackModel = getFallbackModel(params.model);
+  if (fallbackModel && resolveProviderName(fallbackModel) !== primaryProvider) {
+    targets.push({ provider: resolveProviderName(fallbackModel), model: fallbackModel });
+  }
+
+  // Once a delta reached the client, a retry would duplicate text
+  let emitted = false;
+  const callParams = params.onDelta
+    ? { ...params, onDelta: (...args) => { emitted = true; params.onDelta(...args); } }
+    : params;
+
+  let lastError = null;
+
+  for (let i = 0; i < targets.length; i++) {
+    const target = targets[i];
+
+    try {
+      const result = await callWithRetry(target.provider, method, { ...callParams, model: target.model }, () => !emitted);
+
+      if (i > 0) {
+        console.log(`✅ ${method} for ${params.model} served by ${target.provider} (${target.model})`);
+      }
+
+      return {
+        ...result,
+        provider: target.provider,
+        servedModel: target.model,
+        requestedModel: params.model,
+        fallbackUsed: i > 0,
+      };
+    } catch (error) {
+      error.provider = error.provider || target.provider;
+      error.servedModel = target.model;
+      lastError = error;
+
+      if (emitted || !isRetryableError(error)) throw error;
+
+      const next = targets[i + 1];
+      if (next) {
+        console.warn(`⚠️ ${target.provider} degraded for ${target.model}, falling back to ${next.provider} (${next.model})`);
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Chat completion
+ * @param {Object} params - { model, messages, temperature, maxTokens, signal }
+ * @returns {Promise<Object>} Normalized completion
+ */
+export async function chatCompletion(params) {
+  return runWithFailover('chat', params);
+}
+
+/**
+ * Streaming chat completion
+ * @param {Object} params - { model, messages, temperature, maxTokens, signal, onDelta }
+ * @returns {Promise<Object>} Normalized result (usage is null if the upstream sent none)
+ */
+export async function streamChatCompletion(params) {
+  return runWithFailover('stream', params);
+}
+
+/**
+ * Audio transcription (task: 'translate' translates to English)
+ * @param {Object} params - { file, model, language, task, responseFormat, timestampGranularities }
+ * @returns {Promise<Object>} { provider, text, language, duration, segments, words, subtitles, raw }
+ */
+export async function transcribeAudio(params) {
+  return runWithFailover('transcribe', params);
+}
+
+/**
+ * Text-to-speech
+ * @param {Object} params - { model, input, voice, speed, instructions }
+ * @returns {Promise<Object>} { provider, audio, mimeType }
+ */
+export async function synthesizeSpeech(params) {
+  return runWithFailover('speak', params);
+}
+
+/**
+ * Streaming text-to-speech (retried / failed over until the audio starts arriving)
+ * @param {Object} params - { model, input, voice, speed, instructions, signal }
+ * @returns {Promise<Object>} { provider, stream: Readable of audio chunks, mimeType }
+ */
+export async function streamSpeech(params) {
+  return runWithFailover('speakStream', params);
+}
+
+/**
+ * Content moderation
+ * @param {Object} params - { model, input }
+ * @returns {Promise<Object>} { provider, model, flagged, categories, scores }
+ */
+export async function moderateContent(params) {
+  return runWithFailover('moderate', params);
+}
+
+/**
+ * List the models a provider offers (no failover - the listing is per provider)
+ * @param {string} providerName - Provider name
+ * @returns {Promise<Array>} [{ id, name, description, contextLength, maxOutputTokens, pricing }]
+ */
+export async function listProviderModels(providerName) {
+  return callWithRetry(providerName, 'listModels', {}, () => true);
+}
+
+registerProvider(openaiProvider);
+registerProvider(openrouterProvider);
+registerProvider(mockProvider);
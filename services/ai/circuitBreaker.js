@@ -0,0 +1,82 @@
+/**
+ * Circuit Breaker
+ * Tracks consecutive failures per AI provider so a degraded provider is skipped
+ * instead of making every request wait for it to fail
+ *
+ * States:
+ *   closed    - requests go through
+ *   open      - requests are skipped until cooldownMs has passed
+ *   half-open - one trial request is let through; success closes, failure re-opens
+ */
+
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_COOLDOWN_MS = 30 * 1000;
+
+/**
+ * Create a circuit breaker
+ * @param {Object} options - { name, failureThreshold, cooldownMs }
+ * @returns {Object} Breaker with canRequest, recordSuccess, recordFailure, getState
+ */
+export function createCircuitBreaker({
+  name,
+  failureThreshold = DEFAULT_FAILURE_THRESHOLD,
+  cooldownMs = DEFAULT_COOLDOWN_MS,
+} = {}) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialStartedAt = null;
+
+  return {
+    name,
+
+    /**
+     * Check if a request may be sent (moves open -> half-open after the cooldown)
+     * @returns {boolean} True if the request should go through
+     */
+    canRequest() {
+      if (state === 'open' && Date.now() - openedAt >= cooldownMs) {
+        state = 'half-open';
+        trialStartedAt = null;
+      }
+      if (state === 'closed') return true;
+      // A trial that never reported back (e.g. aborted) frees up after another cooldown
+      if (state === 'half-open' && (!trialStartedAt || Date.now() - trialStartedAt >= cooldownMs)) {
+        trialStartedAt = Date.now();
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      if (state !== 'closed') {
+        console.log(`✅ Circuit closed for ${name}`);
+      }
+      state = 'closed';
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialStartedAt = null;
+    },
+
+    recordFailure() {
+      consecutiveFailures++;
+      if (state === 'half-open' || consecutiveFailures >= failureThreshold) {
+        if (state !== 'open') {
+          console.warn(`⚠️ Circuit opened for ${name} after ${consecutiveFailures} consecutive failures`);
+        }
+        state = 'open';
+        openedAt = Date.now();
+        trialStartedAt = null;
+      }
+    },
+
+    getState() {
+      return {
+        name,
+        state,
+        consecutiveFailures,
+        openedAt: openedAt ? new Date(openedAt).toISOString() : null,
+      };
+    },
+  };
+}
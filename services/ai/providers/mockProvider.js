@@ -0,0 +1,194 @@
+/**
+ * Mock Provider
+ * Offline provider for local development and tests - no network calls
+ * Enable with AI_PROVIDER=mock
+ *
+ * Replies are deterministic: chat echoes the last user message,
+ * transcribe returns MOCK_TRANSCRIPT, speak / speakStream return a short silent buffer
+ * and moderate only flags inputs containing "mock-flag:<category>"
+ */
+
+import { Readable } from 'stream';
+
+const PROVIDER_NAME = 'mock';
+
+const MOCK_TRANSCRIPT = 'This is a mock transcription.';
+
+/**
+ * Rough token estimate (~4 chars per token)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function messagesToText(messages = []) {
+  return messages
+    .map(m => (typeof m.content === 'string' ? m.content : m.text || ''))
+    .join('\n');
+}
+
+function buildReply(messages = []) {
+  const lastUser = [...messages].reverse().find(m => m.role === 'user');
+  const text = lastUser
+    ? (typeof lastUser.content === 'string' ? lastUser.content : lastUser.text || '[audio message]')
+    : '';
+  return `Mock reply: ${text}`;
+}
+
+function buildUsage(messages, content) {
+  const promptTokens = estimateTokens(messagesToText(messages));
+  const completionTokens = estimateTokens(content);
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+  };
+}
+
+async function chat({ model, messages }) {
+  const content = buildReply(messages);
+  return {
+    provider: PROVIDER_NAME,
+    id: `mock-${Date.now()}`,
+    model,
+    content,
+    finishReason: 'stop',
+    choices: [{ text: content, message: { role: 'assistant', content } }],
+    usage: buildUsage(messages, content),
+  };
+}
+
+async function stream({ model, messages, signal, onDelta = null }) {
+  const content = buildReply(messages);
+  let streamed = '';
+
+  // Emit word by word so clients exercise their delta handling
+  for (const word of content.split(/(?=\s)/)) {
+    if (signal?.aborted) {
+      const error = new Error('Request aborted');
+      error.name = 'AbortError';
+      error.code = 'ABORTED';
+      throw error;
+    }
+    streamed += word;
+    if (onDelta) onDelta(word, streamed);
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return {
+    provider: PROVIDER_NAME,
+    id: `mock-${Date.now()}`,
+    model,
+    content,
+    finishReason: 'stop',
+    usage: buildUsage(messages, content),
+  };
+}
+
+/**
+ * Format seconds as a subtitle timestamp (00:00:01,500 for SRT, 00:00:01.500 for VTT)
+ */
+function formatSubtitleTime(seconds, separator) {
+  const date = new Date(Math.round(seconds * 1000)).toISOString();
+  return `${date.substring(11, 19)}${separator}${date.substring(20, 23)}`;
+}
+
+async function transcribe({ language = null, task = 'transcribe', responseFormat = 'json', timestampGranularities = [] }) {
+  // One word per half second, one segment for the whole transcript
+  const words = MOCK_TRANSCRIPT.split(' ').map((word, index) => ({
+    word,
+    start: index * 0.5,
+    end: (index + 1) * 0.5,
+  }));
+  const duration = words[words.length - 1].end;
+  const segments = [{ id: 0, start: 0, end: duration, text: MOCK_TRANSCRIPT }];
+  const resolvedLanguage = task === 'translate' ? 'en' : (language && language !== 'auto' ? language : 'en');
+
+  if (responseFormat === 'srt' || responseFormat === 'vtt') {
+    const separator = responseFormat === 'srt' ? ',' : '.';
+    const cue = `${formatSubtitleTime(0, separator)} --> ${formatSubtitleTime(duration, separator)}\n${MOCK_TRANSCRIPT}\n`;
+    const subtitles = responseFormat === 'srt' ? `1\n${cue}` : `WEBVTT\n\n${cue}`;
+    return {
+      provider: PROVIDER_NAME,
+      text: null,
+      language: resolvedLanguage,
+      duration: null,
+      segments: null,
+      words: null,
+      subtitles,
+      raw: subtitles,
+    };
+  }
+
+  const verbose = responseFormat === 'verbose_json';
+  return {
+    provider: PROVIDER_NAME,
+    text: MOCK_TRANSCRIPT,
+    language: resolvedLanguage,
+    duration: verbose ? duration : null,
+    segments: verbose && (timestampGranularities.length === 0 || timestampGranularities.includes('segment')) ? segments : null,
+    words: verbose && timestampGranularities.includes('word') ? words : null,
+    subtitles: null,
+    raw: { text: MOCK_TRANSCRIPT },
+  };
+}
+
+async function speak() {
+  return {
+    provider: PROVIDER_NAME,
+    audio: Buffer.alloc(1024),
+    mimeType: 'audio/mpeg',
+  };
+}
+
+async function speakStream() {
+  return {
+    provider: PROVIDER_NAME,
+    stream: Readable.from([Buffer.alloc(512), Buffer.alloc(512)]),
+    mimeType: 'audio/mpeg',
+  };
+}
+
+/**
+ * Flags a category when the input contains "mock-flag:<category>"
+ * (e.g. "mock-flag:violence"), so moderation can be exercised offline
+ */
+async function moderate({ model = 'omni-moderation-latest', input }) {
+  const text = Array.isArray(input) ? input.join('\n') : String(input || '');
+  const categories = {};
+  const scores = {};
+  for (const match of text.matchAll(/mock-flag:([a-z/-]+)/g)) {
+    categories[match[1]] = true;
+    scores[match[1]] = 0.99;
+  }
+
+  return {
+    provider: PROVIDER_NAME,
+    model,
+    flagged: Object.keys(categories).length > 0,
+    categories,
+    scores,
+  };
+}
+
+async function listModels() {
+  return [{
+    id: 'mock-chat',
+    name: 'Mock Chat',
+    description: 'Offline mock model',
+    contextLength: 128000,
+    maxOutputTokens: 4096,
+    pricing: { inputPerM: 0, outputPerM: 0 },
+  }];
+}
+
+export default {
+  name: PROVIDER_NAME,
+  chat,
+  stream,
+  transcribe,
+  speak,
+  speakStream,
+  moderate,
+  listModels,
+};
@@ -0,0 +1,308 @@
+/**
+ * OpenAI Provider
+ * Adapter for the OpenAI API using the official openai package
+ * Implements the provider interface: chat, stream, transcribe, speak, speakStream, moderate, listModels
+ */
+
+import { Readable } from 'stream';
+import OpenAI, { toFile } from 'openai';
+import { createProviderError, isAbortError } from './providerError.js';
+
+const PROVIDER_NAME = 'openai';
+
+let client = null;
+
+/**
+ * Lazily create the OpenAI client (env is loaded by the time the first request arrives)
+ * Retries are disabled here - retry policy lives in aiProviderService
+ */
+function getClient() {
+  if (!client) {
+    client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      maxRetries: 0,
+    });
+  }
+  return client;
+}
+
+/**
+ * Convert an SDK error into a provider error
+ */
+function toProviderError(error) {
+  if (isAbortError(error)) {
+    error.code = 'ABORTED';
+    return error;
+  }
+  return createProviderError(PROVIDER_NAME, error.message || 'OpenAI request failed', error.status ?? null);
+}
+
+/**
+ * Normalize usage from an OpenAI response
+ */
+function normalizeUsage(usage) {
+  const promptTokens = usage?.prompt_tokens || 0;
+  const completionTokens = usage?.completion_tokens || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: promptTokens + completionTokens,
+  };
+}
+
+/**
+ * Chat completion
+ * @param {Object} params - { model, messages, temperature, maxTokens, signal }
+ * @returns {Promise<Object>} { provider, id, model, content, finishReason, choices, usage }
+ */
+async function chat({ model, messages, temperature = 0.7, maxTokens = 2000, signal }) {
+  try {
+    const data = await getClient().chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+    }, { signal });
+
+    return {
+      provider: PROVIDER_NAME,
+      id: data.id,
+      model: data.model || model,
+      content: data.choices?.[0]?.message?.content || '',
+      finishReason: data.choices?.[0]?.finish_reason || null,
+      choices: (data.choices || []).map(choice => ({
+        text: choice.message?.content || '',
+        message: choice.message,
+      })),
+      usage: normalizeUsage(data.usage),
+    };
+  } catch (error) {
+    throw toProviderError(error);
+  }
+}
+
+/**
+ * Streaming chat completion
+ * @param {Object} params - { model, messages, temperature, maxTokens, signal, onDelta }
+ *   onDelta(content, fullContent) is called for each text delta
+ * @returns {Promise<Object>} { provider, id, model, content, finishReason, usage|null }
+ */
+async function stream({ model, messages, temperature = 0.7, maxTokens = 2000, signal, onDelta = null }) {
+  let content = '';
+  let finishReason = null;
+  let usage = null;
+  let id = null;
+  let responseModel = model;
+
+  try {
+    const completion = await getClient().chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+      stream_options: { include_usage: true },
+    }, { signal });
+
+    for await (const chunk of completion) {
+      if (chunk.id) id = chunk.id;
+      if (chunk.model) responseModel = chunk.model;
+
+      // Final chunk carries usage (include_usage) and an empty choices array
+      if (chunk.usage) {
+        usage = normalizeUsage(chunk.usage);
+      }
+
+      const choice = chunk.choices?.[0];
+      if (!choice) continue;
+
+      if (choice.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+
+      const delta = choice.delta?.content;
+      if (delta) {
+        content += delta;
+        if (onDelta) onDelta(delta, content);
+      }
+    }
+
+    return { provider: PROVIDER_NAME, id, model: responseModel, content, finishReason, usage };
+  } catch (error) {
+    throw toProviderError(error);
+  }
+}
+
+/**
+ * Audio transcription or translation to English
+ * response_format text/srt/vtt come back as a plain string; json/verbose_json as an object
+ * @param {Object} params - { file: { buffer, mimetype, originalname }, model, language,
+ *   task: 'transcribe' | 'translate', responseFormat, timestampGranularities: ['word', 'segment'] }
+ * @returns {Promise<Object>} { provider, text, language, duration, segments, words, subtitles, raw }
+ */
+async function transcribe({
+  file,
+  model = 'whisper-1',
+  language = null,
+  task = 'transcribe',
+  responseFormat = 'json',
+  timestampGranularities = [],
+}) {
+  try {
+    const upload = await toFile(file.buffer, file.originalname || 'audio.m4a', {
+      type: file.mimetype || 'audio/mp4',
+    });
+
+    // Translations always produce English and take no source language or granularities
+    const data = task === 'translate'
+      ? await getClient().audio.translations.create({
+          file: upload,
+          model,
+          response_format: responseFormat,
+        })
+      : await getClient().audio.transcriptions.create({
+          file: upload,
+          model,
+          response_format: responseFormat,
+          ...(language && language !== 'auto' && { language }),
+          ...(timestampGranularities.length > 0 && { timestamp_granularities: timestampGranularities }),
+        });
+
+    if (typeof data === 'string') {
+      const isSubtitles = responseFormat === 'srt' || responseFormat === 'vtt';
+      return {
+        provider: PROVIDER_NAME,
+        text: isSubtitles ? null : data,
+        language: task === 'translate' ? 'en' : language,
+        duration: null,
+        segments: null,
+        words: null,
+        subtitles: isSubtitles ? data : null,
+        raw: data,
+      };
+    }
+
+    return {
+      provider: PROVIDER_NAME,
+      text: data.text || '',
+      language: task === 'translate' ? 'en' : (data.language || language),
+      duration: data.duration ?? null,
+      segments: data.segments || null,
+      words: data.words || null,
+      subtitles: null,
+      raw: data,
+    };
+  } catch (error) {
+    throw toProviderError(error);
+  }
+}
+
+/**
+ * Text-to-speech
+ * @param {Object} params - { model, input, voice, speed, instructions }
+ *   instructions: delivery/tone guidance (gpt-4o-mini-tts only, ignored by tts-1)
+ * @returns {Promise<Object>} { provider, audio: Buffer, mimeType }
+ */
+async function speak({ model = 'tts-1', input, voice = 'alloy', speed = 1.0, instructions = null }) {
+  try {
+    const response = await getClient().audio.speech.create({
+      model,
+      input,
+      voice,
+      speed,
+      ...(instructions && { instructions }),
+    });
+
+    const audioBuffer = await response.arrayBuffer();
+
+    return {
+      provider: PROVIDER_NAME,
+      audio: Buffer.from(audioBuffer),
+      mimeType: 'audio/mpeg',
+    };
+  } catch (error) {
+    throw toProviderError(error);
+  }
+}
+
+/**
+ * Streaming text-to-speech: resolves once the audio starts arriving
+ * @param {Object} params - { model, input, voice, speed, instructions, signal }
+ * @returns {Promise<Object>} { provider, stream: Readable of audio chunks, mimeType }
+ */
+async function speakStream({ model = 'tts-1', input, voice = 'alloy', speed = 1.0, instructions = null, signal }) {
+  try {
+    const response = await getClient().audio.speech.create({
+      model,
+      input,
+      voice,
+      speed,
+      ...(instructions && { instructions }),
+    }, { signal });
+
+    return {
+      provider: PROVIDER_NAME,
+      stream: Readable.fromWeb(response.body),
+      mimeType: 'audio/mpeg',
+    };
+  } catch (error) {
+    throw toProviderError(error);
+  }
+}
+
+/**
+ * Content moderation
+ * @param {Object} params - { model, input }
+ * @returns {Promise<Object>} { provider, model, flagged, categories: { [category]: boolean }, scores: { [category]: number } }
+ */
+async function moderate({ model = 'omni-moderation-latest', input }) {
+  try {
+    const data = await getClient().moderations.create({ model, input });
+    const result = data.results?.[0] || {};
+
+    return {
+      provider: PROVIDER_NAME,
+      model: data.model || model,
+      flagged: !!result.flagged,
+      categories: result.categories || {},
+      scores: result.category_scores || {},
+    };
+  } catch (error) {
+    throw toProviderError(error);
+  }
+}
+
+/**
+ * Models the API key can use
+ * OpenAI's listing only has ids - names, context limits and prices come from the catalog
+ * @returns {Promise<Array>} [{ id, name, description, contextLength, maxOutputTokens, pricing }]
+ */
+async function listModels() {
+  try {
+    const models = [];
+    for await (const model of getClient().models.list()) {
+      models.push({
+        id: model.id,
+        name: model.id,
+        description: null,
+        contextLength: null,
+        maxOutputTokens: null,
+        pricing: null,
+      });
+    }
+    return models;
+  } catch (error) {
+    throw toProviderError(error);
+  }
+}
+
+export default {
+  name: PROVIDER_NAME,
+  chat,
+  stream,
+  transcribe,
+  speak,
+  speakStream,
+  moderate,
+  listModels,
+};
@@ -0,0 +1,165 @@
+/**
+ * OpenRouter Provider
+ * Adapter over services/openrouter/openRouterService.js
+ * Implements chat, stream and listModels; OpenRouter has no audio or moderation endpoints
+ */
+
+import {
+  createChatCompletion,
+  createStreamingChatCompletion,
+  listModels as listOpenRouterModels,
+} from '../../openrouter/openRouterService.js';
+import { createProviderError, isAbortError } from './providerError.js';
+
+const PROVIDER_NAME = 'openrouter';
+
+/**
+ * Convert an openRouterService error into a provider error
+ * The service throws "OpenRouter API error: <status> - <body>" for HTTP errors,
+ * fetch throws TypeError for network errors, anything else is a request validation error
+ */
+function toProviderError(error) {
+  if (isAbortError(error)) {
+    error.code = 'ABORTED';
+    return error;
+  }
+  const match = /OpenRouter API error: (\d{3})/.exec(error.message || '');
+  let status = 400;
+  if (match) {
+    status = Number(match[1]);
+  } else if (error instanceof TypeError) {
+    status = null;
+  }
+  return createProviderError(PROVIDER_NAME, error.message || 'OpenRouter request failed', status);
+}
+
+/**
+ * Chat completion
+ * @param {Object} params - { model, messages, temperature, maxTokens }
+ * @returns {Promise<Object>} { provider, id, model, content, finishReason, choices, usage }
+ */
+async function chat({ model, messages, temperature = 0.7, maxTokens = 2000 }) {
+  try {
+    const result = await createChatCompletion({
+      model,
+      messages,
+      options: { temperature, max_tokens: maxTokens },
+    });
+
+    return {
+      provider: PROVIDER_NAME,
+      id: result.id,
+      model: result.model || model,
+      content: result.choices?.[0]?.message?.content || '',
+      finishReason: result.choices?.[0]?.finish_reason || null,
+      choices: (result.choices || []).map(choice => ({
+        text: choice.message?.content || '',
+        message: choice.message,
+      })),
+      usage: {
+        promptTokens: result.usage.promptTokens,
+        completionTokens: result.usage.completionTokens,
+        totalTokens: result.usage.promptTokens + result.usage.completionTokens,
+      },
+    };
+  } catch (error) {
+    throw toProviderError(error);
+  }
+}
+
+/**
+ * Streaming chat completion
+ * Messages may carry audio ({ audio, audioFormat, text }) - converted by openRouterService
+ * @param {Object} params - { model, messages, temperature, maxTokens, signal, onDelta }
+ * @returns {Promise<Object>} { provider, id, model, content, finishReason, usage|null }
+ */
+async function stream({ model, messages, temperature, maxTokens, signal, onDelta = null }) {
+  let finishReason = null;
+
+  try {
+    const result = await createStreamingChatCompletion({
+      model,
+      messages,
+      options: {
+        ...(temperature !== undefined && { temperature }),
+        ...(maxTokens !== undefined && { max_tokens: maxTokens }),
+      },
+      signal,
+      onChunk: (chunk) => {
+        if (chunk.finishReason) finishReason = chunk.finishReason;
+        if (onDelta) onDelta(chunk.content, chunk.fullContent);
+      },
+    });
+
+    // openRouterService reports zeros when the upstream sent no usage block
+    const usage = result.usage?.totalTokens
+      ? {
+          promptTokens: result.usage.promptTokens,
+          completionTokens: result.usage.completionTokens,
+          totalTokens: result.usage.totalTokens,
+        }
+      : null;
+
+    return {
+      provider: PROVIDER_NAME,
+      id: result.id,
+      model: result.model || model,
+      content: result.content,
+      finishReason,
+      usage,
+    };
+  } catch (error) {
+    throw toProviderError(error);
+  }
+}
+
+async function transcribe() {
+  throw createProviderError(PROVIDER_NAME, 'Transcription is not supported by OpenRouter', 400, 'UNSUPPORTED_OPERATION');
+}
+
+async function speak() {
+  throw createProviderError(PROVIDER_NAME, 'Text-to-speech is not supported by OpenRouter', 400, 'UNSUPPORTED_OPERATION');
+}
+
+async function speakStream() {
+  throw createProviderError(PROVIDER_NAME, 'Text-to-speech is not supported by OpenRouter', 400, 'UNSUPPORTED_OPERATION');
+}
+
+/**
+ * Models OpenRouter offers, with list prices (USD per token -> USD per 1M tokens)
+ * @returns {Promise<Array>} [{ id, name, description, contextLength, maxOutputTokens, pricing }]
+ */
+async function listModels() {
+  try {
+    const models = await listOpenRouterModels();
+    return models.map(model => {
+      const inputPerM = Math.round(parseFloat(model.pricing?.prompt) * 1000000 * 10000) / 10000;
+      const outputPerM = Math.round(parseFloat(model.pricing?.completion) * 1000000 * 10000) / 10000;
+      return {
+        id: model.id,
+        name: model.name || model.id,
+        description: model.description || null,
+        contextLength: model.context_length || null,
+        maxOutputTokens: model.top_provider?.max_completion_tokens || null,
+        pricing: Number.isFinite(inputPerM) && Number.isFinite(outputPerM) ? { inputPerM, outputPerM } : null,
+      };
+    });
+  } catch (error) {
+    throw toProviderError(error);
+  }
+}
+
+async function moderate() {
+  throw createProviderError(PROVIDER_NAME, 'Moderation is not supported by OpenRouter', 400, 'UNSUPPORTED_OPERATION');
+}
+
+export default {
+  name: PROVIDER_NAME,
+  chat,
+  stream,
+  transcribe,
+  speak,
+  speakStream,
+  moderate,
+  listModels,
+};
@@ -0,0 +1,29 @@
+/**
+ * Provider Error Helper
+ * Normalizes errors thrown by AI provider adapters
+ */
+
+/**
+ * Create an error tagged with the provider and upstream HTTP status
+ * @param {string} provider - Provider name (openai, openrouter, mock)
+ * @param {string} message - Error message
+ * @param {number|null} status - Upstream HTTP status (null for network errors)
+ * @param {string} code - Error code returned to the app (default: AI_ERROR)
+ * @returns {Error} Error with provider, status and code fields
+ */
+export function createProviderError(provider, message, status = null, code = 'AI_ERROR') {
+  const error = new Error(message);
+  error.provider = provider;
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check if an error came from an aborted request (client disconnected)
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the request was aborted
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.name === 'APIUserAbortError' || error?.code === 'ABORTED';
+}
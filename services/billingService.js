@@ -1,12 +1,14 @@
 /**
  * Billing Service
  * Handles monthly billing calculations and Stripe integration
+ *
+ * Users on a plan with a platform fee (plan catalog, platformFeeUSD) are invoiced the fee of
+ * their plan plus their API usage; plans without a fee are never invoiced.
  */
 
 import { db } from '../firebase.js';
 import Stripe from 'stripe';
 import nodemailer from 'nodemailer';
-import { getLimitsForPlan } from '../utils/limitsConfig.js';
 import {
   doc,
   getDoc,
@@ -18,6 +20,8 @@ import {
   getDocs
 } from 'firebase/firestore';
 import { getCurrentMonth } from '../utils/usageHelpers.js';
+import { readLedger, getMonthlyMetric } from './usageLedgerService.js';
+import { getPlan, resolvePlan, getBillablePlanIds } from './planCatalogService.js';
 
 // Setup email transporter
 const transporter = nodemailer.createTransport({
@@ -31,9 +35,6 @@ const transporter = nodemailer.createTransport({
 // Initialize Stripe with API key
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
-// Platform fee for premium users
-const PLATFORM_FEE = 10.00;
-
 /**
  * Create or get Stripe customer for user
  * 
@@ -87,10 +88,16 @@ export async function getOrCreateStripeCustomer(uid, email) {
  * @param {string} email - User email
  * @param {string} successUrl - URL to redirect after success
  * @param {string} cancelUrl - URL to redirect if cancelled
+ * @param {string} planId - Plan to upgrade to, charged its platform fee (default: premium)
  * @returns {Promise<string>} Stripe checkout session URL
  */
-export async function createUpgradeCheckout(uid, email, successUrl, cancelUrl) {
+export async function createUpgradeCheckout(uid, email, successUrl, cancelUrl, planId = 'premium') {
   try {
+    const plan = await resolvePlan(planId);
+    if (plan.id !== planId || !plan.platformFeeUSD) {
+      throw new Error('Unknown plan');
+    }
+
     // Get or create Stripe customer
     const customerId = await getOrCreateStripeCustomer(uid, email);
 
@@ -103,10 +110,10 @@ export async function createUpgradeCheckout(uid, email, successUrl, cancelUrl) {
           price_data: {
             currency: 'usd',
             product_data: {
-              name: 'Korpo premium Plan',
-              description: 'Unlimited access to AI features'
+              name: `Korpo ${plan.name} Plan`,
+              description: plan.description || 'Unlimited access to AI features'
             },
-            unit_amount: Math.round(PLATFORM_FEE * 100) // Convert to cents
+            unit_amount: Math.round(plan.platformFeeUSD * 100) // Convert to cents
           },
           quantity: 1
         }
@@ -115,7 +122,7 @@ export async function createUpgradeCheckout(uid, email, successUrl, cancelUrl) {
       cancel_url: cancelUrl,
       metadata: {
         uid: uid,
-        planType: 'premium',
+        planType: plan.id,
         upgradeDate: new Date().toISOString()
       }
     });
@@ -130,10 +137,10 @@ export async function createUpgradeCheckout(uid, email, successUrl, cancelUrl) {
 }
 
 /**
- * Generate hourly invoice for premium user
+ * Generate hourly invoice for a user on a plan with a platform fee
  * DISABLED - Only using monthly billing now
  * BILLING LOGIC:
- * - Charges platform fee (prorated hourly: $10/month ÷ 730 hours = ~$0.0137/hour)
+ * - Charges the plan's platform fee (prorated hourly: $10/month ÷ 730 hours = ~$0.0137/hour)
  * - Charges API usage cost for the specific hour
  * - Sends detailed email invoice with payment link
  * - Saves invoice to Firestore for tracking
@@ -158,19 +165,20 @@ export async function generateHourlyInvoice(uid, hour = null) {
 
     const user = userSnap.data();
 
-    // Only premium users get hourly billing
-    if (user.plan !== 'premium') {
+    // Only plans with a platform fee get hourly billing
+    const plan = await resolvePlan(user.plan);
+    if (!plan.platformFeeUSD) {
       return {
         uid,
         hour: invoiceHour,
         status: 'free_plan',
-        message: 'No hourly billing for free plan users'
+        message: 'No hourly billing for plans without a platform fee'
       };
     }
 
     // Calculate hourly platform fee (monthly fee ÷ average hours per month)
     // $10/month ÷ 730 hours/month (average) = ~$0.0137/hour
-    const hourlyPlatformFee = PLATFORM_FEE / 730;
+    const hourlyPlatformFee = plan.platformFeeUSD / 730;
 
     // Get API usage cost for this specific hour
     const hourlyUsageCost = await getHourlyUsageCost(uid, invoiceHour);
@@ -242,7 +250,7 @@ export async function generateHourlyInvoice(uid, hour = null) {
 */
 
 /**
- * Generate monthly invoice for premium user
+ * Generate monthly invoice for a user on a plan with a platform fee
  * BILLING LOGIC:
  * - User pays platform fee on upgrade (e.g., Jan 27)
  * - First invoice: One month later (e.g., Feb 27) with platform fee + API usage from previous month
@@ -267,15 +275,17 @@ export async function generateMonthlyInvoice(uid, month = null) {
 
     const user = userSnap.data();
 
-    // Only premium users get charged
-    if (user.plan !== 'premium') {
+    // Only plans with a platform fee get charged
+    const plan = await resolvePlan(user.plan);
+    if (!plan.platformFeeUSD) {
       return {
         uid,
         month: invoiceMonth,
         status: 'free_plan',
-        message: 'No invoice for free plan users'
+        message: 'No invoice for plans without a platform fee'
       };
     }
+    const platformFee = plan.platformFeeUSD;
 
     // CRITICAL: Skip invoicing for the month when user initially paid platform fee
     // This ensures user pays today (Jan 27) but gets first invoice next month (Feb 27)
@@ -293,18 +303,17 @@ export async function generateMonthlyInvoice(uid, month = null) {
     }
 
     // Get API usage cost from the invoice month (the month we're billing for)
-    const usageDocId = `${uid}_${invoiceMonth}`;
-    const usageRef = doc(db, 'usage', usageDocId);
-    const usageSnap = await getDoc(usageRef);
-    const apiUsageCost = usageSnap.exists() ? (usageSnap.data().totalCostUSD || 0) : 0;
+    const usage = await readLedger(uid, invoiceMonth);
+    const apiUsageCost = getMonthlyMetric(usage, 'costUSD');
 
     // Calculate total: Platform fee + API usage cost
-    const totalAmount = PLATFORM_FEE + apiUsageCost;
+    const totalAmount = platformFee + apiUsageCost;
 
     const invoiceData = {
       uid,
       month: invoiceMonth,
-      platformFee: PLATFORM_FEE,
+      plan: plan.id,
+      platformFee,
       apiUsageCost,
       totalAmount,
       isFirstMonth: false, // This is always false since we skip first month
@@ -319,7 +328,7 @@ export async function generateMonthlyInvoice(uid, month = null) {
     const invoiceRef = doc(db, 'invoices', `${uid}_${invoiceMonth}`);
     await setDoc(invoiceRef, invoiceData);
 
-    console.log(`✅ Generated RECURRING invoice for ${uid}: $${totalAmount.toFixed(2)} (Platform: $${PLATFORM_FEE.toFixed(2)}, API Usage: $${apiUsageCost.toFixed(2)})`);
+    console.log(`✅ Generated RECURRING invoice for ${uid}: $${totalAmount.toFixed(2)} (Platform: $${platformFee.toFixed(2)}, API Usage: $${apiUsageCost.toFixed(2)})`);
 
     // Send invoice email to user
     if (user.email) {
@@ -335,14 +344,14 @@ export async function generateMonthlyInvoice(uid, month = null) {
               
               <p>Hi ${user.name || 'there'},</p>
               
-              <p>Your monthly invoice for Korpo premium is ready.</p>
+              <p>Your monthly invoice for Korpo ${plan.name} is ready.</p>
               
               <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
                 <h3 style="margin-top: 0;">Invoice Details</h3>
                 <table style="width: 100%; border-collapse: collapse;">
                   <tr>
                     <td style="padding: 8px 0; border-bottom: 1px solid #ddd;">Platform Fee</td>
-                    <td style="padding: 8px 0; border-bottom: 1px solid #ddd; text-align: right;">$${PLATFORM_FEE.toFixed(2)}</td>
+                    <td style="padding: 8px 0; border-bottom: 1px solid #ddd; text-align: right;">$${platformFee.toFixed(2)}</td>
                   </tr>
                   <tr>
                     <td style="padding: 8px 0; border-bottom: 1px solid #ddd;">API Usage (${invoiceMonth})</td>
@@ -437,10 +446,10 @@ export async function createStripeInvoice(uid, month) {
     });
 
     // Add line items to invoice
-    // 1. Platform fee
+    // 1. Platform fee (of the plan the invoice was generated for)
     await stripe.invoiceItems.create({
       customer: customerId,
-      amount: Math.round(PLATFORM_FEE * 100), // Convert to cents
+      amount: Math.round(invoice.platformFee * 100), // Convert to cents
       currency: 'usd',
       description: 'Platform Fee',
       invoice: stripeInvoice.id
@@ -533,26 +542,32 @@ async function isFirstMonthAfterUpgrade(uid, upgradedAt, invoiceMonth) {
 }
 
 /**
- * Get all premium users that need billing
+ * Get the users on a plan with a platform fee
+ * @returns {Promise<Array>} Firestore user docs
+ */
+async function getBillableUserDocs() {
+  const planIds = await getBillablePlanIds();
+  if (planIds.length === 0) return [];
+
+  const usersRef = collection(db, 'users');
+  const querySnapshot = await getDocs(query(usersRef, where('plan', 'in', planIds)));
+  return querySnapshot.docs;
+}
+
+/**
+ * Get all users that need billing (on a plan with a platform fee)
  * (For cron job to run monthly billing)
  * 
- * @returns {Promise<Array>} List of Premium users
+ * @returns {Promise<Array>} List of billable users
  */
 export async function getPremiumUsers() {
   try {
-    const usersRef = collection(db, 'users');
-    const q = query(usersRef, where('plan', '==', 'premium'));
-    const querySnapshot = await getDocs(q);
+    const users = (await getBillableUserDocs()).map(doc => ({
+      uid: doc.id,
+      ...doc.data()
+    }));
 
-    const users = [];
-    querySnapshot.forEach(doc => {
-      users.push({
-        uid: doc.id,
-        ...doc.data()
-      });
-    });
-
-    console.log(`✅ Found ${users.length} premium users`);
+    console.log(`✅ Found ${users.length} billable users`);
     return users;
 
   } catch (error) {
@@ -591,20 +606,18 @@ export async function upgradeToPremium(uid, newLimits) {
 }
 
 /**
- * Get all premium users whose billing anniversary is today
- * @returns {Promise<Array>} List of premium users with anniversary today
+ * Get all users on a plan with a platform fee whose billing anniversary is today
+ * @returns {Promise<Array>} List of billable users with anniversary today
  */
 export async function getpremiumUsersByAnniversary() {
   try {
-    const usersRef = collection(db, 'users');
-    const q = query(usersRef, where('plan', '==', 'premium'));
-    const querySnapshot = await getDocs(q);
+    const userDocs = await getBillableUserDocs();
 
     const today = new Date();
     const todayDate = today.getDate(); // e.g., 21
 
     const usersWithAnniversaryToday = [];
-    querySnapshot.forEach(doc => {
+    userDocs.forEach(doc => {
       const user = doc.data();
       // If user has a billing anniversary day and it matches today, include them
       if (user.billingAnniversaryDay === todayDate) {
@@ -615,7 +628,7 @@ export async function getpremiumUsersByAnniversary() {
       }
     });
 
-    console.log(`✅ Found ${usersWithAnniversaryToday.length} premium users with anniversary today (${todayDate})`);
+    console.log(`✅ Found ${usersWithAnniversaryToday.length} billable users with anniversary today (${todayDate})`);
     return usersWithAnniversaryToday;
 
   } catch (error) {
@@ -723,17 +736,12 @@ export async function processPlatformFeePayment(uid, paymentData) {
       billingAnniversaryDay: billingDay
     };
 
-    // If user is not premium, upgrade them
-    if (user.plan !== 'premium') {
+    // Users on a plan without a fee move to premium (limits follow the plan in the plan
+    // catalog); users on any plan with a fee keep it
+    const upgraded = !(await resolvePlan(user.plan)).platformFeeUSD;
+    if (upgraded) {
       updateData.plan = 'premium';
       updateData.upgradedAt = now.toISOString();
-      // Set premium limits from centralized config
-      const premiumLimits = getLimitsForPlan('premium');
-      updateData.limits = {
-        dailyLimit: premiumLimits.chatTokensDaily,
-        maxTokensPerRequest: premiumLimits.maxTokensPerRequest,
-        maxRequestsPerMinute: premiumLimits.maxRequestsPerMinute
-      };
     }
 
     await updateDoc(userRef, updateData);
@@ -744,7 +752,7 @@ export async function processPlatformFeePayment(uid, paymentData) {
       success: true,
       uid,
       billingAnniversaryDay: billingDay,
-      upgradedTopremium: user.plan !== 'premium',
+      upgradedTopremium: upgraded,
       nextBillingDate: getNextBillingDate(billingDay)
     };
 
@@ -1015,26 +1023,19 @@ async function getHourlyUsageCost(uid, hour) {
 */
 
 /**
- * Get all premium users for hourly billing
+ * Get all users on a plan with a platform fee for hourly billing
  * DISABLED - Only using monthly billing now
- * @returns {Promise<Array>} List of premium users
+ * @returns {Promise<Array>} List of billable users
  */
 /*
 export async function getPremiumUsersForHourlyBilling() {
   try {
-    const usersRef = collection(db, 'users');
-    const q = query(usersRef, where('plan', '==', 'premium'));
-    const querySnapshot = await getDocs(q);
-
-    const users = [];
-    querySnapshot.forEach(doc => {
-      users.push({
-        uid: doc.id,
-        ...doc.data()
-      });
-    });
+    const users = (await getBillableUserDocs()).map(doc => ({
+      uid: doc.id,
+      ...doc.data()
+    }));
 
-    console.log(`✅ Found ${users.length} premium users for hourly billing`);
+    console.log(`✅ Found ${users.length} billable users for hourly billing`);
     return users;
 
   } catch (error) {
@@ -1089,7 +1090,7 @@ export async function generateInvoiceEmailWithPaymentLink({ uid, user, invoiceDa
           
           <p>Hi ${user.name || 'there'},</p>
           
-          <p>Your monthly invoice for Korpo premium is ready.</p>
+          <p>Your monthly invoice for Korpo ${invoiceData.plan ? getPlan(invoiceData.plan).name : 'premium'} is ready.</p>
           
           <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
             <h3 style="margin-top: 0;">Invoice Details</h3>
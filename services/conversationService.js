@@ -0,0 +1,317 @@
+/**
+ * Conversation Service
+ * Stores AI coach conversations per user so the app only sends the new message
+ *
+ * Firestore layout:
+ *   users/{uid}/conversations/{conversationId}
+ *     { title, systemPrompt, messageCount, lastMessagePreview, createdAt, updatedAt }
+ *   users/{uid}/conversations/{conversationId}/messages/{messageId}
+ *     { seq, role, content, model, createdAt }
+ */
+
+import { db } from '../firebase.js';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  collection,
+  getDocs,
+  query,
+  orderBy,
+  limit,
+  writeBatch,
+  increment,
+} from 'firebase/firestore';
+import { v4 as uuidv4 } from 'uuid';
+import { countMessageTokens } from '../utils/tokenEstimator.js';
+
+// Tokens kept free for the model's reply when fitting history into maxTokensPerRequest
+const COMPLETION_TOKEN_RESERVE = 2000;
+// Most recent messages loaded when building context
+const HISTORY_LOAD_LIMIT = 200;
+const MAX_TITLE_LENGTH = 100;
+
+function getConversationRef(uid, conversationId) {
+  return doc(db, 'users', uid, 'conversations', conversationId);
+}
+
+function getMessagesRef(uid, conversationId) {
+  return collection(db, 'users', uid, 'conversations', conversationId, 'messages');
+}
+
+/**
+ * Normalize the "message" field sent by the app into { role, content }
+ * @param {string|Object} message - String or { role?, content }
+ * @returns {Object|null} Normalized message or null if invalid
+ */
+export function normalizeIncomingMessage(message) {
+  if (typeof message === 'string' && message.trim() !== '') {
+    return { role: 'user', content: message };
+  }
+  if (message && typeof message === 'object' && message.content) {
+    return { role: message.role || 'user', content: message.content };
+  }
+  return null;
+}
+
+/**
+ * Create a new conversation
+ * @param {string} uid - User ID
+ * @param {Object} data - { title?, systemPrompt? }
+ * @returns {Promise<Object>} Created conversation
+ */
+export async function createConversation(uid, { title = null, systemPrompt = null } = {}) {
+  try {
+    const conversationId = uuidv4();
+    const now = new Date().toISOString();
+
+    const conversation = {
+      title: title ? String(title).slice(0, MAX_TITLE_LENGTH) : null,
+      systemPrompt: systemPrompt || null,
+      messageCount: 0,
+      lastMessagePreview: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await setDoc(getConversationRef(uid, conversationId), conversation);
+
+    console.log(`✅ Created conversation ${conversationId} for ${uid}`);
+
+    return { id: conversationId, ...conversation };
+  } catch (error) {
+    console.error('🔥 Error creating conversation:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List a user's conversations, most recently updated first
+ * @param {string} uid - User ID
+ * @param {number} pageSize - Max conversations to return
+ * @returns {Promise<Array>} Conversations (without messages)
+ */
+export async function listConversations(uid, pageSize = 50) {
+  try {
+    const q = query(
+      collection(db, 'users', uid, 'conversations'),
+      orderBy('updatedAt', 'desc'),
+      limit(pageSize)
+    );
+    const snapshot = await getDocs(q);
+
+    return snapshot.docs.map(docSnap => ({
+      id: docSnap.id,
+      ...docSnap.data(),
+    }));
+  } catch (error) {
+    console.error('🔥 Error listing conversations:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a conversation, optionally with its messages
+ * @param {string} uid - User ID
+ * @param {string} conversationId - Conversation ID
+ * @param {Object} options - { includeMessages: true, messageLimit: HISTORY_LOAD_LIMIT }
+ * @returns {Promise<Object>} Conversation
+ * @throws {Object} CONVERSATION_NOT_FOUND
+ */
+export async function getConversation(uid, conversationId, { includeMessages = true, messageLimit = HISTORY_LOAD_LIMIT } = {}) {
+  try {
+    const conversationSnap = await getDoc(getConversationRef(uid, conversationId));
+
+    if (!conversationSnap.exists()) {
+      throw {
+        code: 'CONVERSATION_NOT_FOUND',
+        message: `Conversation ${conversationId} not found`,
+        statusCode: 404,
+      };
+    }
+
+    const conversation = { id: conversationId, ...conversationSnap.data() };
+
+    if (includeMessages) {
+      // Load the newest messages, then return them oldest first
+      const q = query(getMessagesRef(uid, conversationId), orderBy('seq', 'desc'), limit(messageLimit));
+      const snapshot = await getDocs(q);
+      conversation.messages = snapshot.docs
+        .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+        .reverse();
+    }
+
+    return conversation;
+  } catch (error) {
+    console.error('🔥 Error getting conversation:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Rename a conversation
+ * @param {string} uid - User ID
+ * @param {string} conversationId - Conversation ID
+ * @param {string} title - New title
+ * @returns {Promise<Object>} { id, title, updatedAt }
+ */
+export async function renameConversation(uid, conversationId, title) {
+  try {
+    // Throws CONVERSATION_NOT_FOUND
+    await getConversation(uid, conversationId, { includeMessages: false });
+
+    const updatedAt = new Date().toISOString();
+    const newTitle = String(title).slice(0, MAX_TITLE_LENGTH);
+
+    await updateDoc(getConversationRef(uid, conversationId), {
+      title: newTitle,
+      updatedAt,
+    });
+
+    return { id: conversationId, title: newTitle, updatedAt };
+  } catch (error) {
+    console.error('🔥 Error renaming conversation:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a conversation and all its messages
+ * @param {string} uid - User ID
+ * @param {string} conversationId - Conversation ID
+ * @returns {Promise<Object>} { id, deletedMessages }
+ */
+export async function deleteConversation(uid, conversationId) {
+  try {
+    await getConversation(uid, conversationId, { includeMessages: false });
+
+    const messagesSnap = await getDocs(getMessagesRef(uid, conversationId));
+
+    // Firestore batches are capped at 500 writes
+    const docs = messagesSnap.docs;
+    for (let i = 0; i < docs.length; i += 450) {
+      const batch = writeBatch(db);
+      docs.slice(i, i + 450).forEach(docSnap => batch.delete(docSnap.ref));
+      await batch.commit();
+    }
+
+    const batch = writeBatch(db);
+    batch.delete(getConversationRef(uid, conversationId));
+    await batch.commit();
+
+    console.log(`🗑️ Deleted conversation ${conversationId} (${docs.length} messages) for ${uid}`);
+
+    return { id: conversationId, deletedMessages: docs.length };
+  } catch (error) {
+    console.error('🔥 Error deleting conversation:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Append messages to a conversation
+ * Sets the title from the first user message if the conversation has none
+ *
+ * @param {string} uid - User ID
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} messages - [{ role, content, model? }]
+ * @returns {Promise<void>}
+ */
+export async function appendConversationMessages(uid, conversationId, messages) {
+  try {
+    const conversation = await getConversation(uid, conversationId, { includeMessages: false });
+    const now = new Date().toISOString();
+    const batch = writeBatch(db);
+
+    messages.forEach((message, idx) => {
+      const messageRef = doc(getMessagesRef(uid, conversationId));
+      batch.set(messageRef, {
+        seq: (conversation.messageCount || 0) + idx,
+        role: message.role,
+        content: message.content,
+        model: message.model || null,
+        createdAt: now,
+      });
+    });
+
+    const lastMessage = messages[messages.length - 1];
+    const updates = {
+      messageCount: increment(messages.length),
+      lastMessagePreview: typeof lastMessage?.content === 'string' ? lastMessage.content.slice(0, 120) : null,
+      updatedAt: now,
+    };
+
+    if (!conversation.title) {
+      const firstUserMessage = messages.find(m => m.role === 'user' && typeof m.content === 'string');
+      if (firstUserMessage) {
+        updates.title = firstUserMessage.content.slice(0, 60);
+      }
+    }
+
+    batch.update(getConversationRef(uid, conversationId), updates);
+    await batch.commit();
+  } catch (error) {
+    console.error('🔥 Error appending conversation messages:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Fit messages into a token budget
+ * Keeps system messages and the newest messages, dropping the oldest first
+ *
+ * @param {Array} messages - Full message list, oldest first
+ * @param {number} maxTokens - Token budget
+ * @returns {Object} { messages, trimmedCount, estimatedTokens }
+ */
+export function trimMessagesToBudget(messages, maxTokens) {
+  const systemMessages = messages.filter(m => m.role === 'system');
+  const otherMessages = messages.filter(m => m.role !== 'system');
+
+  let budget = maxTokens - systemMessages.reduce((sum, m) => sum + countMessageTokens(m), 0);
+  const kept = [];
+
+  // Walk backwards from the newest message; always keep the last one
+  for (let i = otherMessages.length - 1; i >= 0; i--) {
+    const tokens = countMessageTokens(otherMessages[i]);
+    if (kept.length > 0 && tokens > budget) break;
+    kept.unshift(otherMessages[i]);
+    budget -= tokens;
+  }
+
+  const result = [...systemMessages, ...kept];
+
+  return {
+    messages: result,
+    trimmedCount: otherMessages.length - kept.length,
+    estimatedTokens: result.reduce((sum, m) => sum + countMessageTokens(m), 0),
+  };
+}
+
+/**
+ * Build the message list for a provider call from stored history + the new message
+ *
+ * @param {string} uid - User ID
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} newMessages - Messages for this turn (not yet stored)
+ * @param {number} maxTokensPerRequest - Plan's per-request token limit
+ * @returns {Promise<Object>} { messages, trimmedCount, estimatedTokens }
+ */
+export async function buildConversationContext(uid, conversationId, newMessages, maxTokensPerRequest) {
+  const conversation = await getConversation(uid, conversationId);
+
+  const history = conversation.messages.map(m => ({ role: m.role, content: m.content }));
+  const systemMessages = conversation.systemPrompt
+    ? [{ role: 'system', content: conversation.systemPrompt }]
+    : [];
+
+  const budget = Math.max(0, (maxTokensPerRequest || 0) - COMPLETION_TOKEN_RESERVE);
+  const context = trimMessagesToBudget([...systemMessages, ...history, ...newMessages], budget);
+
+  if (context.trimmedCount > 0) {
+    console.log(`✂️ Trimmed ${context.trimmedCount} old messages from conversation ${conversationId} to fit ${budget} tokens`);
+  }
+
+  return context;
+}
@@ -0,0 +1,52 @@
+/**
+ * Firestore Rate Limit Store
+ * Shared sliding window counters for middleware/rateLimiter.js, so every instance
+ * counts against the same limit
+ *
+ * Firestore layout:
+ *   rate_limits/{key}   (key URI-encoded, e.g. "user%3A<uid>")
+ *     { windowStart, current, previous, expiresAt }
+ *
+ * Each hit is one transaction on the key's doc. expiresAt can drive a Firestore TTL
+ * policy so idle keys are cleaned up.
+ */
+
+import { db } from '../firebase.js';
+import { doc, runTransaction } from 'firebase/firestore';
+
+const RATE_LIMIT_COLLECTION = 'rate_limits';
+
+/**
+ * Create a Firestore-backed rate limit store
+ * @returns {Object} Store with increment(key, windowMs, now)
+ */
+export function createFirestoreRateLimitStore() {
+  return {
+    name: 'firestore',
+
+    async increment(key, windowMs, now = Date.now()) {
+      const counterRef = doc(db, RATE_LIMIT_COLLECTION, encodeURIComponent(key));
+      const windowStart = Math.floor(now / windowMs) * windowMs;
+
+      return runTransaction(db, async (transaction) => {
+        const counterSnap = await transaction.get(counterRef);
+        const entry = counterSnap.exists() ? counterSnap.data() : null;
+
+        let next;
+        if (entry && entry.windowStart === windowStart) {
+          next = { windowStart, current: entry.current + 1, previous: entry.previous };
+        } else if (entry && entry.windowStart === windowStart - windowMs) {
+          next = { windowStart, current: 1, previous: entry.current };
+        } else {
+          next = { windowStart, current: 1, previous: 0 };
+        }
+
+        transaction.set(counterRef, {
+          ...next,
+          expiresAt: new Date(windowStart + 2 * windowMs),
+        });
+        return next;
+      });
+    },
+  };
+}
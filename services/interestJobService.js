@@ -0,0 +1,271 @@
+/**
+ * Interest Job Service
+ * Builds a user's interest profile from their stored conversation history in one job
+ *
+ * The user's messages are grouped into batches of up to BATCH_PROMPT_TOKENS, keywords
+ * are extracted batch by batch and merged with the time of the batch's last message,
+ * so old history weighs less than recent chats (see interestProfileService).
+ *
+ * Each batch goes through the same pre-flight check and token billing as
+ * /api/ai/extract-keywords; the job reports the summed usage. If the user's budget runs
+ * out part-way, the job stops with status "partial" and keeps what it extracted.
+ *
+ * Jobs live in this process, like transcription jobs - one running job per user.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import {
+  preflightChatRequest,
+  commitTokenReservation,
+  releaseTokenReservation,
+} from './usageService.js';
+import { chatCompletion } from './ai/aiProviderService.js';
+import { listConversations, getConversation } from './conversationService.js';
+import { addInterestMentions, resetInterestProfile } from './interestProfileService.js';
+import { calculateTokenCost } from '../utils/tokenPricing.js';
+import { hasPlanFeature } from './planCatalogService.js';
+import { countMessageTokens } from '../utils/tokenEstimator.js';
+import { KEYWORD_EXTRACTION_PROMPT, parseKeywordReply } from '../utils/keywordExtraction.js';
+
+const EXTRACTION_MODEL = 'gpt-4o-mini';
+const BATCH_PROMPT_TOKENS = 3000;
+const BATCH_MAX_COMPLETION_TOKENS = 200;
+// Bounds the cost of one job: 20 batches is roughly 60k prompt tokens
+const MAX_BATCHES = 20;
+const MAX_CONVERSATIONS = 50;
+
+const JOB_TTL_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+const jobs = new Map();
+
+/**
+ * Public view of a job
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    reset: job.reset,
+    progress: {
+      batchesTotal: job.batchesTotal,
+      batchesCompleted: job.batchesCompleted,
+      percent: job.batchesTotal > 0 ? Math.round((job.batchesCompleted / job.batchesTotal) * 100) : 0,
+    },
+    conversations: job.conversations,
+    messages: job.messages,
+    keywordsFound: job.keywordsFound,
+    usage: job.usage,
+    ...(job.stoppedReason && { stoppedReason: job.stoppedReason }),
+    ...(job.status === 'failed' && { error: job.error }),
+    createdAt: new Date(job.createdAt).toISOString(),
+    completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null,
+  };
+}
+
+/**
+ * Group the user's messages (oldest first) into prompt-sized batches
+ * @returns {Array} [{ messages: [{ role, content }], at }]
+ */
+function planBatches(messages) {
+  const batches = [];
+  let current = null;
+
+  messages.forEach(message => {
+    const tokens = countMessageTokens(message);
+    if (!current || (current.tokens + tokens > BATCH_PROMPT_TOKENS && current.messages.length > 0)) {
+      current = { messages: [], tokens: 0, at: message.createdAt };
+      batches.push(current);
+    }
+    current.messages.push({ role: 'user', content: message.content });
+    current.tokens += tokens;
+    current.at = message.createdAt || current.at;
+  });
+
+  // Keep the newest history when there is more than one job can process
+  return batches.slice(-MAX_BATCHES);
+}
+
+/**
+ * Load the user's own text messages across their conversations, oldest first
+ */
+async function loadUserMessages(uid) {
+  const conversations = await listConversations(uid, MAX_CONVERSATIONS);
+  const messages = [];
+
+  for (const conversation of conversations) {
+    const { messages: history = [] } = await getConversation(uid, conversation.id);
+    history
+      .filter(m => m.role === 'user' && typeof m.content === 'string' && m.content.trim())
+      .forEach(m => messages.push({ role: 'user', content: m.content, createdAt: m.createdAt }));
+  }
+
+  messages.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+  return { conversations: conversations.length, messages };
+}
+
+/**
+ * Extract and bill one batch
+ * @returns {Promise<Object>} { keywords } or { stopped: { code, reason } } when the budget is gone
+ */
+async function processBatch(job, batch) {
+  const messages = [{ role: 'system', content: KEYWORD_EXTRACTION_PROMPT }, ...batch.messages];
+
+  const preflight = await preflightChatRequest(job.uid, messages, {
+    maxCompletionTokens: BATCH_MAX_COMPLETION_TOKENS,
+    endpoint: 'interest-rebuild'
+  });
+  if (!preflight.allowed) {
+    return { stopped: { code: preflight.code, reason: preflight.reason } };
+  }
+
+  let aiData;
+  try {
+    aiData = await chatCompletion({
+      model: EXTRACTION_MODEL,
+      messages,
+      temperature: 0.3,
+      maxTokens: preflight.maxTokens
+    });
+  } catch (providerError) {
+    await releaseTokenReservation(preflight.reservation);
+    throw providerError;
+  }
+
+  const { promptTokens, completionTokens } = aiData.usage;
+  job.usage.promptTokens += promptTokens;
+  job.usage.completionTokens += completionTokens;
+  job.usage.totalTokens += promptTokens + completionTokens;
+  if (hasPlanFeature(preflight.userLimits, 'showCost')) {
+    job.usage.cost += calculateTokenCost(aiData.servedModel, promptTokens, completionTokens);
+  }
+
+  try {
+    await commitTokenReservation(preflight.reservation, {
+      model: aiData.servedModel,
+      promptTokens,
+      completionTokens,
+      estimatedPromptTokens: preflight.estimatedPromptTokens,
+      timestamp: new Date().toISOString()
+    });
+  } catch (usageError) {
+    console.error(`⚠️ Failed to record usage for interest job ${job.id}:`, usageError.message);
+  }
+
+  return { keywords: parseKeywordReply(aiData.content) };
+}
+
+/**
+ * Run a job: load history, extract batch by batch, merge into the profile
+ */
+async function processJob(job) {
+  job.status = 'processing';
+
+  try {
+    const { conversations, messages } = await loadUserMessages(job.uid);
+    const batches = planBatches(messages);
+    job.conversations = conversations;
+    job.messages = messages.length;
+    job.batchesTotal = batches.length;
+    console.log(`📝 Interest job ${job.id}: ${messages.length} message(s) in ${batches.length} batch(es)`);
+
+    const mentions = [];
+    for (const batch of batches) {
+      const result = await processBatch(job, batch);
+      if (result.stopped) {
+        job.stoppedReason = result.stopped;
+        break;
+      }
+      result.keywords.forEach(keyword => mentions.push({ keyword, at: batch.at }));
+      job.batchesCompleted += 1;
+    }
+
+    // One profile write for the whole job
+    if (job.reset) {
+      await resetInterestProfile(job.uid);
+    }
+    const { added } = await addInterestMentions(job.uid, mentions);
+    job.keywordsFound = added;
+
+    job.status = job.stoppedReason ? 'partial' : 'completed';
+    job.completedAt = Date.now();
+    job.usage.cost = Math.round(job.usage.cost * 1e6) / 1e6;
+    console.log(`✅ Interest job ${job.id} ${job.status}: ${added} keyword(s)`);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message || 'Interest rebuild failed';
+    job.completedAt = Date.now();
+    console.error(`🔥 Interest job ${job.id} failed:`, error.message);
+  }
+}
+
+/**
+ * Start building the user's interest profile from their conversation history
+ * @param {string} uid - User ID
+ * @param {Object} options - { reset: false } - reset replaces the profile instead of adding to it
+ * @returns {Object} Job (status "queued")
+ * @throws {Object} INTEREST_JOB_RUNNING (409)
+ */
+export function startInterestRebuild(uid, { reset = false } = {}) {
+  const running = [...jobs.values()].find(job => job.uid === uid && !job.completedAt);
+  if (running) {
+    throw {
+      code: 'INTEREST_JOB_RUNNING',
+      message: `Interest job ${running.id} is still running`,
+      statusCode: 409,
+      jobId: running.id
+    };
+  }
+
+  const job = {
+    id: uuidv4(),
+    uid,
+    reset,
+    status: 'queued',
+    batchesTotal: 0,
+    batchesCompleted: 0,
+    conversations: 0,
+    messages: 0,
+    keywordsFound: 0,
+    usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 },
+    stoppedReason: null,
+    error: null,
+    createdAt: Date.now(),
+    completedAt: null,
+  };
+  jobs.set(job.id, job);
+
+  // Not awaited - the client polls getInterestJob
+  processJob(job);
+
+  return serializeJob(job);
+}
+
+/**
+ * Get an interest job's status
+ * @param {string} uid - User ID
+ * @param {string} jobId - Job ID
+ * @returns {Object} Job
+ */
+export function getInterestJob(uid, jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.uid !== uid) {
+    throw {
+      code: 'JOB_NOT_FOUND',
+      message: 'Interest job not found or expired',
+      statusCode: 404
+    };
+  }
+  return serializeJob(job);
+}
+
+// ============ CLEANUP ============
+// Finished jobs are kept for polling, then swept (unref: never keeps the process alive)
+setInterval(() => {
+  const now = Date.now();
+  jobs.forEach((job, jobId) => {
+    if (job.completedAt && now - job.completedAt > JOB_TTL_MS) {
+      jobs.delete(jobId);
+    }
+  });
+}, SWEEP_INTERVAL_MS).unref();
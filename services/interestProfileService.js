@@ -0,0 +1,279 @@
+/**
+ * Interest Profile Service
+ * Merges keywords from /api/ai/extract-keywords into a weighted, time-decayed profile of
+ * what each user talks about, and keeps cross-user topic counts for admin analytics
+ *
+ * Firestore layout:
+ *   users/{uid}/profile/interests
+ *     {
+ *       topics: { [keyword]: { weight, count, firstSeenAt, lastSeenAt } },
+ *       updatedAt          (weights are stored as of this time)
+ *     }
+ *   interest_topics/{keyword}
+ *     { keyword, mentions, users, lastSeenAt }
+ *     mentions - every time the keyword was extracted, for any user
+ *     users    - users whose profile currently holds the keyword
+ *
+ * Weights decay exponentially: a mention is worth 1 when it happens and half that
+ * after INTEREST_HALF_LIFE_DAYS. Topics that fall below MIN_TOPIC_WEIGHT are dropped.
+ */
+
+import { db } from '../firebase.js';
+import {
+  doc,
+  getDoc,
+  deleteDoc,
+  collection,
+  getDocs,
+  query,
+  orderBy,
+  limit,
+  runTransaction,
+  writeBatch,
+  increment,
+} from 'firebase/firestore';
+import { normalizeKeyword } from '../utils/keywordExtraction.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HALF_LIFE_DAYS = Number(process.env.INTEREST_HALF_LIFE_DAYS) || 30;
+// A single mention drops below this after ~4.3 half-lives
+const MIN_TOPIC_WEIGHT = 0.05;
+// Lowest-weight topics are dropped past this, keeping the profile doc small
+const MAX_TOPICS = 200;
+
+function getInterestProfileRef(uid) {
+  return doc(db, 'users', uid, 'profile', 'interests');
+}
+
+function getTopicRef(keyword) {
+  return doc(db, 'interest_topics', keyword);
+}
+
+/**
+ * Decay factor for a weight that is `elapsedMs` old
+ * @param {number} elapsedMs - Age in milliseconds (negative ages count as 0)
+ * @returns {number} Multiplier in (0, 1]
+ */
+export function getDecayFactor(elapsedMs) {
+  return Math.pow(0.5, Math.max(0, elapsedMs) / (HALF_LIFE_DAYS * DAY_MS));
+}
+
+/**
+ * Bring every topic's weight from `fromTime` to `toTime`, dropping faded topics
+ */
+function decayTopics(topics, fromTime, toTime) {
+  const factor = getDecayFactor(toTime - fromTime);
+  const decayed = {};
+  Object.entries(topics).forEach(([keyword, topic]) => {
+    const weight = topic.weight * factor;
+    if (weight >= MIN_TOPIC_WEIGHT) {
+      decayed[keyword] = { ...topic, weight };
+    }
+  });
+  return decayed;
+}
+
+/**
+ * Merge mentions into a topics map (pure, exported for the rebuild job)
+ * Each mention adds its decayed weight, so backfilled history counts less than
+ * what the user said today.
+ *
+ * @param {Object} topics - Existing topics, weights as of `updatedAt`
+ * @param {string|null} updatedAt - ISO time the weights refer to (null for an empty profile)
+ * @param {Array} mentions - [{ keyword, at: ISO time }] (keywords already normalized)
+ * @param {number} now - Time to bring weights to (ms)
+ * @returns {Object} Topics with weights as of `now`
+ */
+export function mergeMentions(topics, updatedAt, mentions, now = Date.now()) {
+  const merged = updatedAt ? decayTopics(topics, new Date(updatedAt).getTime(), now) : { ...topics };
+
+  mentions.forEach(({ keyword, at }) => {
+    const atTime = Math.min(new Date(at).getTime(), now);
+    const existing = merged[keyword];
+    merged[keyword] = {
+      weight: (existing?.weight || 0) + getDecayFactor(now - atTime),
+      count: (existing?.count || 0) + 1,
+      firstSeenAt: existing && existing.firstSeenAt < at ? existing.firstSeenAt : at,
+      lastSeenAt: existing && existing.lastSeenAt > at ? existing.lastSeenAt : at,
+    };
+  });
+
+  // Drop faded mentions (old backfilled history) and cap the profile size
+  const kept = Object.entries(merged)
+    .filter(([, topic]) => topic.weight >= MIN_TOPIC_WEIGHT)
+    .sort(([, a], [, b]) => b.weight - a.weight)
+    .slice(0, MAX_TOPICS);
+
+  return Object.fromEntries(kept);
+}
+
+/**
+ * Update the cross-user topic counts after a profile changed
+ * Analytics only - failures are logged, never thrown
+ */
+async function updateTopicStats(mentionCounts, addedTopics, removedTopics, now) {
+  try {
+    const batch = writeBatch(db);
+
+    mentionCounts.forEach((mentions, keyword) => {
+      batch.set(getTopicRef(keyword), {
+        keyword,
+        mentions: increment(mentions),
+        lastSeenAt: now,
+        ...(addedTopics.has(keyword) && { users: increment(1) }),
+      }, { merge: true });
+    });
+
+    addedTopics.forEach(keyword => {
+      if (!mentionCounts.has(keyword)) {
+        batch.set(getTopicRef(keyword), { keyword, users: increment(1) }, { merge: true });
+      }
+    });
+
+    removedTopics.forEach(keyword => {
+      batch.set(getTopicRef(keyword), { keyword, users: increment(-1) }, { merge: true });
+    });
+
+    await batch.commit();
+  } catch (error) {
+    console.error('⚠️ Failed to update interest topic stats:', error.message);
+  }
+}
+
+/**
+ * Add extracted keywords to a user's interest profile
+ * @param {string} uid - User ID
+ * @param {Array} mentions - [{ keyword, at? }] or plain keyword strings (at = now)
+ * @returns {Promise<Object>} { added, topicCount } - added: distinct keywords merged
+ */
+export async function addInterestMentions(uid, mentions) {
+  const now = Date.now();
+  const nowIso = new Date(now).toISOString();
+
+  // Normalize, and count a keyword once per message batch
+  const seen = new Set();
+  const normalizedMentions = [];
+  mentions.forEach(mention => {
+    const raw = typeof mention === 'string' ? mention : mention?.keyword;
+    const keyword = normalizeKeyword(raw);
+    const at = (typeof mention === 'object' && mention?.at) || nowIso;
+    const dedupeKey = `${keyword}|${at}`;
+    if (keyword && !seen.has(dedupeKey)) {
+      seen.add(dedupeKey);
+      normalizedMentions.push({ keyword, at });
+    }
+  });
+
+  if (normalizedMentions.length === 0) {
+    return { added: 0, topicCount: null };
+  }
+
+  try {
+    let previousKeywords = new Set();
+    let nextKeywords = new Set();
+
+    await runTransaction(db, async (transaction) => {
+      const profileSnap = await transaction.get(getInterestProfileRef(uid));
+      const profile = profileSnap.exists() ? profileSnap.data() : { topics: {}, updatedAt: null };
+      const topics = mergeMentions(profile.topics || {}, profile.updatedAt, normalizedMentions, now);
+
+      previousKeywords = new Set(Object.keys(profile.topics || {}));
+      nextKeywords = new Set(Object.keys(topics));
+
+      transaction.set(getInterestProfileRef(uid), { topics, updatedAt: nowIso });
+    });
+
+    const mentionCounts = new Map();
+    normalizedMentions.forEach(({ keyword }) => {
+      mentionCounts.set(keyword, (mentionCounts.get(keyword) || 0) + 1);
+    });
+    const addedTopics = new Set([...nextKeywords].filter(k => !previousKeywords.has(k)));
+    const removedTopics = new Set([...previousKeywords].filter(k => !nextKeywords.has(k)));
+    await updateTopicStats(mentionCounts, addedTopics, removedTopics, nowIso);
+
+    return { added: mentionCounts.size, topicCount: nextKeywords.size };
+  } catch (error) {
+    console.error('🔥 Error updating interest profile:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's interest profile with weights decayed to now
+ * @param {string} uid - User ID
+ * @param {Object} options - { limit: 50 }
+ * @returns {Promise<Object>} { topics: [{ keyword, weight, count, firstSeenAt, lastSeenAt }], topicCount, halfLifeDays, updatedAt }
+ */
+export async function getInterestProfile(uid, { limit: topicLimit = 50 } = {}) {
+  try {
+    const profileSnap = await getDoc(getInterestProfileRef(uid));
+    if (!profileSnap.exists()) {
+      return { topics: [], topicCount: 0, halfLifeDays: HALF_LIFE_DAYS, updatedAt: null };
+    }
+
+    const profile = profileSnap.data();
+    const decayed = decayTopics(profile.topics || {}, new Date(profile.updatedAt).getTime(), Date.now());
+    const topics = Object.entries(decayed)
+      .map(([keyword, topic]) => ({ keyword, ...topic, weight: Math.round(topic.weight * 1000) / 1000 }))
+      .sort((a, b) => b.weight - a.weight);
+
+    return {
+      topics: topics.slice(0, topicLimit),
+      topicCount: topics.length,
+      halfLifeDays: HALF_LIFE_DAYS,
+      updatedAt: profile.updatedAt,
+    };
+  } catch (error) {
+    console.error('🔥 Error getting interest profile:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Delete a user's interest profile
+ * @param {string} uid - User ID
+ * @returns {Promise<Object>} { removedTopics }
+ */
+export async function resetInterestProfile(uid) {
+  try {
+    const profileSnap = await getDoc(getInterestProfileRef(uid));
+    if (!profileSnap.exists()) {
+      return { removedTopics: 0 };
+    }
+
+    const keywords = Object.keys(profileSnap.data().topics || {});
+    await deleteDoc(getInterestProfileRef(uid));
+    await updateTopicStats(new Map(), new Set(), new Set(keywords), new Date().toISOString());
+
+    console.log(`🗑️ Reset interest profile for ${uid} (${keywords.length} topics)`);
+    return { removedTopics: keywords.length };
+  } catch (error) {
+    console.error('🔥 Error resetting interest profile:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Most common topics across all users (admin analytics)
+ * @param {Object} options - { limit: 20, sortBy: "users" | "mentions" }
+ * @returns {Promise<Array>} [{ keyword, users, mentions, lastSeenAt }]
+ */
+export async function getTopInterestTopics({ limit: topicLimit = 20, sortBy = 'users' } = {}) {
+  try {
+    const q = query(collection(db, 'interest_topics'), orderBy(sortBy, 'desc'), limit(topicLimit));
+    const snapshot = await getDocs(q);
+
+    return snapshot.docs.map(docSnap => {
+      const data = docSnap.data();
+      return {
+        keyword: data.keyword || docSnap.id,
+        users: Math.max(0, data.users || 0),
+        mentions: data.mentions || 0,
+        lastSeenAt: data.lastSeenAt || null,
+      };
+    });
+  } catch (error) {
+    console.error('🔥 Error getting top interest topics:', error.message);
+    throw error;
+  }
+}
@@ -0,0 +1,263 @@
+/**
+ * Limit Override Service
+ * Per-user overrides of plan limits (beta testers, compensation after an outage)
+ *
+ * Firestore layout:
+ *   limit_overrides/{uid}
+ *     {
+ *       uid,
+ *       limits: { chatRequestsDaily: 100, ... },   (any plan limit field, replaces the plan value)
+ *       reason: "Beta tester",
+ *       expiresAt,                                 (the plan limits apply again from then)
+ *       createdBy, createdAt
+ *     }
+ *   limit_override_audit/{autoId}
+ *     { uid, action: "set" | "remove", before, after, reason, adminUid, createdAt }
+ *
+ * A user has at most one override, setting a new one replaces it. Expired overrides are
+ * ignored on read, nothing has to run at expiry; they stay in place (marked expired in the
+ * admin views) until replaced or removed.
+ */
+
+import { db } from '../firebase.js';
+import {
+  doc,
+  getDoc,
+  getDocs,
+  collection,
+  query,
+  where,
+  runTransaction,
+} from 'firebase/firestore';
+import { PLAN_LIMIT_FIELDS } from './planCatalogService.js';
+
+const OVERRIDES_COLLECTION = 'limit_overrides';
+const AUDIT_COLLECTION = 'limit_override_audit';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REASON_MAX_LENGTH = 500;
+export const LIMIT_OVERRIDE_MAX_DAYS = Number(process.env.LIMIT_OVERRIDE_MAX_DAYS) || 365;
+
+/**
+ * Whether an override still applies
+ * @param {Object|null} override - limit_overrides/{uid} data
+ * @param {number} now - Time in ms (default: Date.now())
+ */
+export function isOverrideActive(override, now = Date.now()) {
+  return Boolean(override) && new Date(override.expiresAt).getTime() > now;
+}
+
+/**
+ * Override as returned to admins
+ */
+function toOverrideView(override) {
+  return { ...override, active: isOverrideActive(override) };
+}
+
+/**
+ * Validate an override request
+ * @returns {string|null} Error message or null if valid
+ */
+function validateOverride({ limits, expiresAt, reason }) {
+  if (!limits || typeof limits !== 'object' || Array.isArray(limits) || Object.keys(limits).length === 0) {
+    return 'limits must be an object with at least one limit';
+  }
+  for (const [field, value] of Object.entries(limits)) {
+    if (!PLAN_LIMIT_FIELDS.includes(field)) {
+      return `Unknown limit: ${field}. Allowed: ${PLAN_LIMIT_FIELDS.join(', ')}`;
+    }
+    if (!Number.isInteger(value) || value < 0) {
+      return `limits.${field} must be a non-negative integer`;
+    }
+  }
+  if (limits.chatTokensDaily !== undefined && limits.chatTokensMonthly !== undefined &&
+      limits.chatTokensDaily > limits.chatTokensMonthly) {
+    return 'limits.chatTokensDaily cannot exceed limits.chatTokensMonthly';
+  }
+
+  const expiresAtMs = new Date(expiresAt).getTime();
+  if (!expiresAt || Number.isNaN(expiresAtMs)) {
+    return 'expiresAt must be an ISO date';
+  }
+  if (expiresAtMs <= Date.now()) {
+    return 'expiresAt must be in the future';
+  }
+  if (expiresAtMs > Date.now() + LIMIT_OVERRIDE_MAX_DAYS * DAY_MS) {
+    return `expiresAt cannot be more than ${LIMIT_OVERRIDE_MAX_DAYS} days away`;
+  }
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return 'reason is required';
+  }
+  if (reason.trim().length > REASON_MAX_LENGTH) {
+    return `reason cannot be longer than ${REASON_MAX_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Get the override that currently applies to a user
+ * @param {string} uid - User ID
+ * @returns {Promise<Object|null>} The override, null if there is none or it expired
+ */
+export async function getActiveLimitOverride(uid) {
+  try {
+    const overrideSnap = await getDoc(doc(db, OVERRIDES_COLLECTION, uid));
+    const override = overrideSnap.exists() ? overrideSnap.data() : null;
+    return isOverrideActive(override) ? override : null;
+  } catch (error) {
+    console.error('🔥 Error getting limit override:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's override (active or expired) and the audit log of their overrides
+ * @param {string} uid - User ID
+ * @returns {Promise<Object>} { override, audit } (audit newest first)
+ */
+export async function getLimitOverride(uid) {
+  try {
+    const [overrideSnap, auditSnap] = await Promise.all([
+      getDoc(doc(db, OVERRIDES_COLLECTION, uid)),
+      getDocs(query(collection(db, AUDIT_COLLECTION), where('uid', '==', uid))),
+    ]);
+
+    const audit = auditSnap.docs
+      .map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      override: overrideSnap.exists() ? toOverrideView(overrideSnap.data()) : null,
+      audit,
+    };
+  } catch (error) {
+    console.error('🔥 Error getting limit override:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List overrides, soonest expiry first
+ * @param {Object} options - { includeExpired }
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listLimitOverrides({ includeExpired = false } = {}) {
+  try {
+    const snapshot = await getDocs(collection(db, OVERRIDES_COLLECTION));
+
+    return snapshot.docs
+      .map(docSnap => toOverrideView(docSnap.data()))
+      .filter(override => includeExpired || override.active)
+      .sort((a, b) => a.expiresAt.localeCompare(b.expiresAt));
+  } catch (error) {
+    console.error('🔥 Error listing limit overrides:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Set a user's override (replaces the current one)
+ * @param {string} uid - User ID
+ * @param {Object} data - { limits, expiresAt, reason }
+ * @param {Object} options - { adminUid }
+ * @returns {Promise<Object>} Saved override
+ * @throws {Object} INVALID_LIMIT_OVERRIDE (400), USER_NOT_FOUND (404)
+ */
+export async function setLimitOverride(uid, { limits, expiresAt, reason } = {}, { adminUid = null } = {}) {
+  const error = validateOverride({ limits, expiresAt, reason });
+  if (error) {
+    throw { code: 'INVALID_LIMIT_OVERRIDE', message: error, statusCode: 400 };
+  }
+
+  try {
+    const override = await runTransaction(db, async (transaction) => {
+      const overrideRef = doc(db, OVERRIDES_COLLECTION, uid);
+      const userSnap = await transaction.get(doc(db, 'users', uid));
+      if (!userSnap.exists()) {
+        throw { code: 'USER_NOT_FOUND', message: 'User not found', statusCode: 404 };
+      }
+      const overrideSnap = await transaction.get(overrideRef);
+
+      const now = new Date().toISOString();
+      const next = {
+        uid,
+        limits,
+        reason: reason.trim(),
+        expiresAt: new Date(expiresAt).toISOString(),
+        createdBy: adminUid,
+        createdAt: now,
+      };
+
+      transaction.set(overrideRef, next);
+      transaction.set(doc(collection(db, AUDIT_COLLECTION)), {
+        uid,
+        action: 'set',
+        before: overrideSnap.exists() ? overrideSnap.data() : null,
+        after: next,
+        reason: next.reason,
+        adminUid,
+        createdAt: now,
+      });
+
+      return next;
+    });
+
+    console.log(`✅ Limit override for ${uid} set by ${adminUid} until ${override.expiresAt}:`, override.limits);
+
+    return toOverrideView(override);
+  } catch (error) {
+    console.error('🔥 Error setting limit override:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Remove a user's override (the plan limits apply again right away)
+ * @param {string} uid - User ID
+ * @param {Object} data - { reason }
+ * @param {Object} options - { adminUid }
+ * @returns {Promise<Object>} The removed override
+ * @throws {Object} INVALID_LIMIT_OVERRIDE (400), LIMIT_OVERRIDE_NOT_FOUND (404)
+ */
+export async function removeLimitOverride(uid, { reason } = {}, { adminUid = null } = {}) {
+  if (typeof reason !== 'string' || !reason.trim()) {
+    throw { code: 'INVALID_LIMIT_OVERRIDE', message: 'reason is required', statusCode: 400 };
+  }
+  if (reason.trim().length > REASON_MAX_LENGTH) {
+    throw {
+      code: 'INVALID_LIMIT_OVERRIDE',
+      message: `reason cannot be longer than ${REASON_MAX_LENGTH} characters`,
+      statusCode: 400,
+    };
+  }
+
+  try {
+    const removed = await runTransaction(db, async (transaction) => {
+      const overrideRef = doc(db, OVERRIDES_COLLECTION, uid);
+      const overrideSnap = await transaction.get(overrideRef);
+      if (!overrideSnap.exists()) {
+        throw { code: 'LIMIT_OVERRIDE_NOT_FOUND', message: 'User has no limit override', statusCode: 404 };
+      }
+
+      transaction.delete(overrideRef);
+      transaction.set(doc(collection(db, AUDIT_COLLECTION)), {
+        uid,
+        action: 'remove',
+        before: overrideSnap.data(),
+        after: null,
+        reason: reason.trim(),
+        adminUid,
+        createdAt: new Date().toISOString(),
+      });
+
+      return overrideSnap.data();
+    });
+
+    console.log(`🗑️ Limit override for ${uid} removed by ${adminUid}`);
+
+    return toOverrideView(removed);
+  } catch (error) {
+    console.error('🔥 Error removing limit override:', error.message);
+    throw error;
+  }
+}
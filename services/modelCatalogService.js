@@ -0,0 +1,535 @@
+/**
+ * Model Catalog Service
+ * Which models the app may use, on which plans, and within which limits
+ *
+ * Firestore layout:
+ *   model_catalog/{docId}   (docId = model id with "/" replaced by "__")
+ *     {
+ *       id: "google/gemini-2.5-flash",
+ *       name: "Gemini 2.5 Flash",
+ *       description: "...",
+ *       provider: "openai" | "openrouter",
+ *       type: "chat" | "tts" | "transcription",
+ *       plans: ["free", "premium"] | ["*"],   (plan ids entitled to the model, "*" = every plan)
+ *       contextLength: 1048576,               (prompt + reply tokens the model accepts)
+ *       maxOutputTokens: 65536,               (null = no model-specific cap)
+ *       enabled: true,
+ *       source: "admin" | "openrouter" | "openai",
+ *       updatedBy, updatedAt
+ *     }
+ *
+ * Built-in entries (DEFAULT_MODEL_CATALOG) apply until an admin overrides them.
+ * Prices are not stored here: they come from the pricing registry (services/pricingService.js),
+ * and a model can only be enabled once it is priced.
+ *
+ * The catalog is cached in memory and refreshed by loadModelCatalog() (startup + cron),
+ * so the entitlement check on every AI request never waits on Firestore.
+ */
+
+import { db } from '../firebase.js';
+import {
+  doc,
+  setDoc,
+  deleteDoc,
+  collection,
+  getDocs,
+} from 'firebase/firestore';
+import { listProviderModels } from './ai/aiProviderService.js';
+import { addPricingVersion } from './pricingService.js';
+import { getModelPricing, hasModelPricing } from '../utils/tokenPricing.js';
+import { hasPlan } from './planCatalogService.js';
+
+const CATALOG_COLLECTION = 'model_catalog';
+export const MODEL_TYPES = ['chat', 'tts', 'transcription'];
+const LISTING_PROVIDERS = ['openai', 'openrouter'];
+
+// Entitles every plan in the plan catalog, including plans added later
+const ALL_PLANS = '*';
+
+export const DEFAULT_MODEL_CATALOG = {
+  'gpt-4o-mini': {
+    name: 'GPT-4o Mini',
+    description: 'Fast, low-cost chat model',
+    provider: 'openai',
+    type: 'chat',
+    plans: [ALL_PLANS],
+    contextLength: 128000,
+    maxOutputTokens: 16384,
+  },
+  'gpt-4o': {
+    name: 'GPT-4o',
+    description: 'Flagship multimodal chat model',
+    provider: 'openai',
+    type: 'chat',
+    plans: ['premium'],
+    contextLength: 128000,
+    maxOutputTokens: 16384,
+  },
+  'google/gemini-3-flash-preview': {
+    name: 'Gemini 3 Flash Preview',
+    description: 'Gemini 3 Flash via OpenRouter (text and audio input)',
+    provider: 'openrouter',
+    type: 'chat',
+    plans: [ALL_PLANS],
+    contextLength: 1048576,
+    maxOutputTokens: 65536,
+  },
+  'google/gemini-2.5-flash': {
+    name: 'Gemini 2.5 Flash',
+    description: 'Gemini 2.5 Flash via OpenRouter (text and audio input)',
+    provider: 'openrouter',
+    type: 'chat',
+    plans: [ALL_PLANS],
+    contextLength: 1048576,
+    maxOutputTokens: 65535,
+  },
+  'openai/gpt-4o-mini': {
+    name: 'GPT-4o Mini (OpenRouter)',
+    description: 'GPT-4o Mini via OpenRouter',
+    provider: 'openrouter',
+    type: 'chat',
+    plans: [ALL_PLANS],
+    contextLength: 128000,
+    maxOutputTokens: 16384,
+  },
+  'tts-1': {
+    name: 'Text-to-Speech',
+    description: 'Real-time text to speech',
+    provider: 'openai',
+    type: 'tts',
+    plans: [ALL_PLANS],
+    contextLength: null,
+    maxOutputTokens: null,
+  },
+  'gpt-4o-mini-tts': {
+    name: 'GPT-4o Mini TTS',
+    description: 'Text to speech with delivery instructions (voice profiles)',
+    provider: 'openai',
+    type: 'tts',
+    plans: [ALL_PLANS],
+    contextLength: null,
+    maxOutputTokens: null,
+  },
+  'whisper-1': {
+    name: 'Whisper',
+    description: 'Audio transcription model',
+    provider: 'openai',
+    type: 'transcription',
+    plans: [ALL_PLANS],
+    contextLength: null,
+    maxOutputTokens: null,
+  },
+};
+
+// Model the app gets when it doesn't send one
+export const DEFAULT_MODELS = {
+  chat: 'gpt-4o-mini',
+  tts: 'tts-1',
+  transcription: 'whisper-1',
+};
+
+let catalog = buildDefaultCatalog();
+let lastLoadedAt = null;
+
+function buildDefaultCatalog() {
+  return Object.fromEntries(
+    Object.entries(DEFAULT_MODEL_CATALOG).map(([id, entry]) => [id, { id, ...entry, enabled: true, source: 'builtin' }])
+  );
+}
+
+function getCatalogDocId(model) {
+  return model.replace(/\//g, '__');
+}
+
+function getCatalogRef(model) {
+  return doc(db, CATALOG_COLLECTION, getCatalogDocId(model));
+}
+
+/**
+ * Load the catalog from Firestore into the cache (Firestore overrides the built-in entries)
+ * @returns {Promise<Object>} { models, loadedAt }
+ */
+export async function loadModelCatalog() {
+  try {
+    const snapshot = await getDocs(collection(db, CATALOG_COLLECTION));
+    const loaded = buildDefaultCatalog();
+
+    snapshot.docs.forEach(docSnap => {
+      const data = docSnap.data();
+      loaded[data.id] = {
+        id: data.id,
+        name: data.name || data.id,
+        description: data.description || null,
+        provider: data.provider,
+        type: data.type,
+        plans: data.plans || [],
+        contextLength: data.contextLength ?? null,
+        maxOutputTokens: data.maxOutputTokens ?? null,
+        enabled: data.enabled !== false,
+        source: data.source || 'admin',
+        updatedBy: data.updatedBy || null,
+        updatedAt: data.updatedAt || null,
+      };
+    });
+
+    catalog = loaded;
+    lastLoadedAt = new Date().toISOString();
+
+    console.log(`✅ Loaded model catalog (${snapshot.size} custom, ${Object.keys(loaded).length} total)`);
+
+    return { models: Object.keys(loaded).length, loadedAt: lastLoadedAt };
+  } catch (error) {
+    // Keep the previous snapshot (or the built-in catalog)
+    console.error('🔥 Error loading model catalog:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Catalog entry with its current price
+ */
+function withPricing(entry) {
+  const pricing = getModelPricing(entry.id);
+  return {
+    ...entry,
+    pricing: pricing
+      ? {
+        inputPerM: pricing.inputPerM,
+        outputPerM: pricing.outputPerM,
+        perMinute: pricing.perMinute,
+        source: pricing.source,
+      }
+      : null,
+  };
+}
+
+/**
+ * Get a catalog entry
+ * @param {string} model - Model id
+ * @returns {Object|null} Entry or null if the model is not in the catalog
+ */
+export function getModelEntry(model) {
+  return catalog[model] || null;
+}
+
+/**
+ * Whether a catalog entry is available on a plan
+ */
+function isEntitled(entry, plan) {
+  return entry.plans.includes(ALL_PLANS) || entry.plans.includes(plan);
+}
+
+/**
+ * Check that a plan may use a model
+ * @param {string} model - Model id
+ * @param {string} plan - User's plan
+ * @param {string} type - 'chat' | 'tts' | 'transcription'
+ * @returns {Object} Allowed: { allowed: true, entry }
+ *   Rejected: { allowed: false, code: UNKNOWN_MODEL | MODEL_NOT_ENTITLED, message, statusCode, allowedModels }
+ */
+export function checkModelAccess(model, plan, type = 'chat') {
+  const entry = catalog[model];
+  const allowedModels = Object.values(catalog)
+    .filter(m => m.type === type && m.enabled && isEntitled(m, plan) && hasModelPricing(m.id))
+    .map(m => m.id);
+
+  // Unpriced models can't be billed, so they count as unknown too
+  if (!entry || !entry.enabled || entry.type !== type || !hasModelPricing(model)) {
+    return {
+      allowed: false,
+      code: 'UNKNOWN_MODEL',
+      message: `Unknown ${type} model: ${model}`,
+      statusCode: 400,
+      allowedModels,
+    };
+  }
+
+  if (!isEntitled(entry, plan)) {
+    return {
+      allowed: false,
+      code: 'MODEL_NOT_ENTITLED',
+      message: `${model} is not available on the ${plan} plan`,
+      statusCode: 403,
+      allowedModels,
+    };
+  }
+
+  return { allowed: true, entry };
+}
+
+/**
+ * Models for the app's model picker, grouped by type
+ * Models the plan is not entitled to are included with available: false (upsell)
+ * @param {string} plan - User's plan
+ * @returns {Object} { chat: [...], tts: [...], transcription: [...] }
+ */
+export function listModelsForPlan(plan) {
+  const grouped = Object.fromEntries(MODEL_TYPES.map(type => [type, []]));
+
+  Object.values(catalog)
+    .filter(entry => entry.enabled && hasModelPricing(entry.id) && grouped[entry.type])
+    .sort((a, b) => a.id.localeCompare(b.id))
+    .forEach(entry => {
+      const { pricing } = withPricing(entry);
+      grouped[entry.type].push({
+        id: entry.id,
+        name: entry.name,
+        description: entry.description,
+        provider: entry.provider,
+        contextLength: entry.contextLength,
+        maxOutputTokens: entry.maxOutputTokens,
+        pricing,
+        plans: entry.plans,
+        available: isEntitled(entry, plan),
+      });
+    });
+
+  return grouped;
+}
+
+/**
+ * Get the full catalog (admin view)
+ * @returns {Object} { models: [...], defaults, loadedAt }
+ */
+export function listModelCatalog() {
+  return {
+    models: Object.values(catalog)
+      .sort((a, b) => a.id.localeCompare(b.id))
+      .map(entry => ({
+        ...withPricing(entry),
+        builtIn: Object.prototype.hasOwnProperty.call(DEFAULT_MODEL_CATALOG, entry.id),
+      })),
+    defaults: DEFAULT_MODELS,
+    loadedAt: lastLoadedAt,
+  };
+}
+
+/**
+ * Validate a catalog entry
+ * @returns {string|null} Error message or null if valid
+ */
+function validateModelEntry({ provider, type, plans, contextLength, maxOutputTokens }) {
+  if (!LISTING_PROVIDERS.includes(provider)) {
+    return `provider must be one of: ${LISTING_PROVIDERS.join(', ')}`;
+  }
+  if (!MODEL_TYPES.includes(type)) {
+    return `type must be one of: ${MODEL_TYPES.join(', ')}`;
+  }
+  if (!Array.isArray(plans) || plans.some(plan => plan !== ALL_PLANS && !hasPlan(plan))) {
+    return `plans must be an array of plan ids from the plan catalog, or ["${ALL_PLANS}"] for every plan`;
+  }
+  for (const [field, value] of Object.entries({ contextLength, maxOutputTokens })) {
+    if (value !== null && (!Number.isInteger(value) || value <= 0)) {
+      return `${field} must be a positive integer or null`;
+    }
+  }
+  if (contextLength && maxOutputTokens && maxOutputTokens > contextLength) {
+    return 'maxOutputTokens cannot exceed contextLength';
+  }
+  return null;
+}
+
+/**
+ * Find a model in a provider's listing
+ * @returns {Promise<Object|null>} Listing entry
+ */
+async function findListedModel(provider, model) {
+  const listed = await listProviderModels(provider);
+  return listed.find(m => m.id === model) || null;
+}
+
+/**
+ * Create or update a catalog entry
+ * New entries are filled from the provider's model listing (name, description, context
+ * limits); OpenRouter models also get their list price added to the pricing registry
+ * when they have none yet. Fields sent in `data` win over the listing.
+ *
+ * @param {string} model - Model id
+ * @param {Object} data - { name, description, provider, type, plans, contextLength, maxOutputTokens, enabled }
+ * @param {Object} options - { updatedBy }
+ * @returns {Promise<Object>} Saved entry (with pricing)
+ * @throws {Object} INVALID_MODEL_ENTRY (400), MODEL_NOT_LISTED (404), MODEL_NOT_PRICED (400)
+ */
+export async function saveModelEntry(model, data, { updatedBy = null } = {}) {
+  const existing = catalog[model] || null;
+  const provider = data.provider || existing?.provider || (model.includes('/') ? 'openrouter' : 'openai');
+
+  if (!LISTING_PROVIDERS.includes(provider)) {
+    throw {
+      code: 'INVALID_MODEL_ENTRY',
+      message: `provider must be one of: ${LISTING_PROVIDERS.join(', ')}`,
+      statusCode: 400,
+    };
+  }
+
+  try {
+    // ============ FILL FROM PROVIDER LISTING ============
+    let listed = null;
+    if (!existing) {
+      listed = await findListedModel(provider, model);
+      if (!listed) {
+        throw {
+          code: 'MODEL_NOT_LISTED',
+          message: `${model} is not offered by ${provider}`,
+          statusCode: 404,
+        };
+      }
+      if (listed.pricing && !hasModelPricing(model)) {
+        await addPricingVersion(
+          model,
+          { ...listed.pricing, provider, description: listed.name },
+          { source: `${provider}_sync`, createdBy: updatedBy }
+        );
+      }
+    }
+
+    const entry = {
+      id: model,
+      name: data.name ?? existing?.name ?? listed?.name ?? model,
+      description: data.description ?? existing?.description ?? listed?.description ?? null,
+      provider,
+      type: data.type ?? existing?.type ?? 'chat',
+      plans: data.plans ?? existing?.plans ?? ['premium'],
+      contextLength: data.contextLength !== undefined ? data.contextLength : existing?.contextLength ?? listed?.contextLength ?? null,
+      maxOutputTokens: data.maxOutputTokens !== undefined ? data.maxOutputTokens : existing?.maxOutputTokens ?? listed?.maxOutputTokens ?? null,
+      enabled: data.enabled ?? existing?.enabled ?? true,
+      source: existing ? existing.source === 'builtin' ? 'admin' : existing.source : provider,
+      updatedBy,
+      updatedAt: new Date().toISOString(),
+    };
+
+    const error = validateModelEntry(entry);
+    if (error) {
+      throw { code: 'INVALID_MODEL_ENTRY', message: error, statusCode: 400 };
+    }
+
+    if (entry.enabled && !hasModelPricing(model)) {
+      throw {
+        code: 'MODEL_NOT_PRICED',
+        message: `${model} has no price - add one under /api/admin/pricing before enabling it`,
+        statusCode: 400,
+      };
+    }
+
+    await setDoc(getCatalogRef(model), entry);
+    catalog = { ...catalog, [model]: entry };
+
+    console.log(`✅ Model catalog entry ${model} saved by ${updatedBy}`);
+
+    return withPricing(entry);
+  } catch (error) {
+    console.error('🔥 Error saving model catalog entry:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Remove a catalog entry (built-in models go back to their default entry)
+ * @param {string} model - Model id
+ * @returns {Promise<Object>} { model, restoredDefault }
+ * @throws {Object} MODEL_NOT_FOUND (404)
+ */
+export async function deleteModelEntry(model) {
+  if (!catalog[model]) {
+    throw {
+      code: 'MODEL_NOT_FOUND',
+      message: `${model} is not in the catalog`,
+      statusCode: 404,
+    };
+  }
+
+  try {
+    await deleteDoc(getCatalogRef(model));
+
+    const next = { ...catalog };
+    const restoredDefault = Object.prototype.hasOwnProperty.call(DEFAULT_MODEL_CATALOG, model);
+    if (restoredDefault) {
+      next[model] = buildDefaultCatalog()[model];
+    } else {
+      delete next[model];
+    }
+    catalog = next;
+
+    console.log(`🗑️ Model catalog entry ${model} removed`);
+
+    return { model, restoredDefault };
+  } catch (error) {
+    console.error('🔥 Error deleting model catalog entry:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Models a provider offers, marked with whether they are already in the catalog
+ * @param {string} provider - 'openai' | 'openrouter'
+ * @param {Object} options - { search } - case-insensitive filter on id and name
+ * @returns {Promise<Array>} [{ id, name, description, contextLength, maxOutputTokens, pricing, inCatalog }]
+ * @throws {Object} INVALID_PROVIDER (400)
+ */
+export async function listAvailableProviderModels(provider, { search = '' } = {}) {
+  if (!LISTING_PROVIDERS.includes(provider)) {
+    throw {
+      code: 'INVALID_PROVIDER',
+      message: `provider must be one of: ${LISTING_PROVIDERS.join(', ')}`,
+      statusCode: 400,
+    };
+  }
+
+  const term = search.toLowerCase();
+  const listed = await listProviderModels(provider);
+
+  return listed
+    .filter(model => !term || model.id.toLowerCase().includes(term) || (model.name || '').toLowerCase().includes(term))
+    .map(model => ({ ...model, inCatalog: Boolean(catalog[model.id]) }))
+    .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Refresh context limits of catalog models from the provider listings
+ * Only models whose limits came from a listing (not set by an admin) are updated.
+ * @returns {Promise<Object>} { updated: [ids], failed: [{ provider, error }] }
+ */
+export async function syncModelCatalogLimits() {
+  const result = { updated: [], failed: [] };
+
+  for (const provider of LISTING_PROVIDERS) {
+    const entries = Object.values(catalog).filter(entry => entry.provider === provider && entry.source === provider);
+    if (entries.length === 0) continue;
+
+    try {
+      const listed = new Map((await listProviderModels(provider)).map(model => [model.id, model]));
+
+      for (const entry of entries) {
+        const model = listed.get(entry.id);
+        if (!model) continue;
+
+        const contextLength = model.contextLength ?? entry.contextLength;
+        const maxOutputTokens = model.maxOutputTokens ?? entry.maxOutputTokens;
+        if (contextLength === entry.contextLength && maxOutputTokens === entry.maxOutputTokens) continue;
+
+        const updated = { ...entry, contextLength, maxOutputTokens, updatedAt: new Date().toISOString() };
+        await setDoc(getCatalogRef(entry.id), updated);
+        catalog = { ...catalog, [entry.id]: updated };
+        result.updated.push(entry.id);
+      }
+    } catch (error) {
+      console.error(`⚠️ Failed to sync ${provider} model limits:`, error.message);
+      result.failed.push({ provider, error: error.message });
+    }
+  }
+
+  console.log(`✅ Model catalog sync: ${result.updated.length} updated, ${result.failed.length} provider(s) failed`);
+
+  return result;
+}
+
+/**
+ * Catalog models served by a provider (e.g. to sync OpenRouter prices)
+ * @param {string} provider - Provider name
+ * @returns {Array<string>} Model ids
+ */
+export function getCatalogModelIds(provider) {
+  return Object.values(catalog)
+    .filter(entry => entry.provider === provider && entry.enabled)
+    .map(entry => entry.id);
+}
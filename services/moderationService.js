@@ -0,0 +1,344 @@
+/**
+ * Moderation Service
+ * Screens what users send to the AI proxy and what the models answer
+ *
+ * Every flagged category maps to an action:
+ *   block - the request (input) or reply (output) is refused and queued for review
+ *   flag  - the request goes through and is queued for review
+ *   allow - ignored
+ * The strictest action among the flagged categories wins; categories without an
+ * action use defaultAction.
+ *
+ * Firestore layout:
+ *   moderation_config/settings
+ *     { enabled, model, failOpen, defaultAction, actions: { [category]: action }, updatedBy, updatedAt }
+ *   moderation_queue/{reviewId}
+ *     {
+ *       uid, route, stage: "input" | "output", action: "block" | "flag",
+ *       categories: ["violence"], scores: { violence: 0.91 }, excerpt,
+ *       status: "pending" | "resolved", resolution, note, reviewedBy, reviewedAt, createdAt
+ *     }
+ *
+ * The config is cached in memory and refreshed by loadModerationConfig() (startup + cron).
+ * Every moderation call is metered per user with recordModerationUsage, separately from
+ * chat tokens.
+ */
+
+import { db } from '../firebase.js';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  collection,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+} from 'firebase/firestore';
+import { v4 as uuidv4 } from 'uuid';
+import { moderateContent } from './ai/aiProviderService.js';
+import { recordModerationUsage } from './usageService.js';
+import { countTextTokens } from '../utils/tokenEstimator.js';
+
+export const MODERATION_ACTIONS = ['block', 'flag', 'allow'];
+const ACTION_SEVERITY = { allow: 0, flag: 1, block: 2 };
+
+// OpenAI omni-moderation categories
+export const MODERATION_CATEGORIES = [
+  'harassment',
+  'harassment/threatening',
+  'hate',
+  'hate/threatening',
+  'illicit',
+  'illicit/violent',
+  'self-harm',
+  'self-harm/intent',
+  'self-harm/instructions',
+  'sexual',
+  'sexual/minors',
+  'violence',
+  'violence/graphic',
+];
+
+export const REVIEW_RESOLUTIONS = ['approved', 'confirmed'];
+
+// Self-harm is flagged rather than blocked: a user mentioning it should still get a reply
+// (and a human should look at it), while instructions for it are never passed through
+export const DEFAULT_MODERATION_CONFIG = {
+  enabled: true,
+  model: 'omni-moderation-latest',
+  failOpen: true,
+  defaultAction: 'flag',
+  actions: {
+    'harassment/threatening': 'block',
+    'hate/threatening': 'block',
+    'illicit/violent': 'block',
+    'self-harm/instructions': 'block',
+    'sexual/minors': 'block',
+    'violence/graphic': 'block',
+  },
+};
+
+// Longest text sent to the moderation model / stored in the review queue
+const MAX_MODERATION_CHARS = 20000;
+const MAX_EXCERPT_CHARS = 2000;
+
+let config = { ...DEFAULT_MODERATION_CONFIG };
+let lastLoadedAt = null;
+
+function getConfigRef() {
+  return doc(db, 'moderation_config', 'settings');
+}
+
+function getReviewRef(reviewId) {
+  return doc(db, 'moderation_queue', reviewId);
+}
+
+/**
+ * Load the config from Firestore into the cache (missing fields fall back to the defaults)
+ * @returns {Promise<Object>} { config, loadedAt }
+ */
+export async function loadModerationConfig() {
+  try {
+    const configSnap = await getDoc(getConfigRef());
+    const stored = configSnap.exists() ? configSnap.data() : {};
+
+    config = {
+      ...DEFAULT_MODERATION_CONFIG,
+      ...stored,
+      actions: { ...DEFAULT_MODERATION_CONFIG.actions, ...(stored.actions || {}) },
+    };
+    lastLoadedAt = new Date().toISOString();
+
+    console.log(`✅ Loaded moderation config (${config.enabled ? 'enabled' : 'disabled'})`);
+
+    return { config, loadedAt: lastLoadedAt };
+  } catch (error) {
+    // Keep the previous snapshot (or the defaults)
+    console.error('🔥 Error loading moderation config:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get the cached config (admin view)
+ * @returns {Object} { config, categories, loadedAt }
+ */
+export function getModerationConfig() {
+  return { config, categories: MODERATION_CATEGORIES, loadedAt: lastLoadedAt };
+}
+
+/**
+ * Update the config (partial updates; actions are merged per category)
+ * @param {Object} data - { enabled, failOpen, defaultAction, actions }
+ * @param {Object} options - { updatedBy }
+ * @returns {Promise<Object>} Saved config
+ * @throws {Object} INVALID_MODERATION_CONFIG (400)
+ */
+export async function saveModerationConfig(data, { updatedBy = null } = {}) {
+  const invalid = (message) => ({ code: 'INVALID_MODERATION_CONFIG', message, statusCode: 400 });
+
+  if (data.enabled !== undefined && typeof data.enabled !== 'boolean') {
+    throw invalid('enabled must be a boolean');
+  }
+  if (data.failOpen !== undefined && typeof data.failOpen !== 'boolean') {
+    throw invalid('failOpen must be a boolean');
+  }
+  if (data.defaultAction !== undefined && !MODERATION_ACTIONS.includes(data.defaultAction)) {
+    throw invalid(`defaultAction must be one of: ${MODERATION_ACTIONS.join(', ')}`);
+  }
+  if (data.actions !== undefined) {
+    if (!data.actions || typeof data.actions !== 'object' || Array.isArray(data.actions)) {
+      throw invalid('actions must be an object of category -> action');
+    }
+    for (const [category, action] of Object.entries(data.actions)) {
+      if (!MODERATION_CATEGORIES.includes(category)) {
+        throw invalid(`Unknown category: ${category}`);
+      }
+      if (!MODERATION_ACTIONS.includes(action)) {
+        throw invalid(`${category}: action must be one of: ${MODERATION_ACTIONS.join(', ')}`);
+      }
+    }
+  }
+
+  try {
+    const saved = {
+      enabled: data.enabled ?? config.enabled,
+      model: config.model,
+      failOpen: data.failOpen ?? config.failOpen,
+      defaultAction: data.defaultAction ?? config.defaultAction,
+      actions: { ...config.actions, ...(data.actions || {}) },
+      updatedBy,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await setDoc(getConfigRef(), saved);
+    config = saved;
+
+    console.log(`✅ Moderation config updated by ${updatedBy}`);
+
+    return saved;
+  } catch (error) {
+    console.error('🔥 Error saving moderation config:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Strictest configured action among the flagged categories
+ */
+function resolveAction(flaggedCategories) {
+  return flaggedCategories.reduce((strictest, category) => {
+    const action = config.actions[category] || config.defaultAction;
+    return ACTION_SEVERITY[action] > ACTION_SEVERITY[strictest] ? action : strictest;
+  }, 'allow');
+}
+
+/**
+ * Add a blocked / flagged item to the review queue
+ * @returns {Promise<string|null>} Review id (null if queueing failed - never throws)
+ */
+async function queueForReview({ uid, route, stage, action, categories, scores, text }) {
+  try {
+    const reviewId = uuidv4();
+    await setDoc(getReviewRef(reviewId), {
+      uid,
+      route,
+      stage,
+      action,
+      categories,
+      scores,
+      excerpt: text.slice(0, MAX_EXCERPT_CHARS),
+      status: 'pending',
+      resolution: null,
+      note: null,
+      reviewedBy: null,
+      reviewedAt: null,
+      createdAt: new Date().toISOString(),
+    });
+    return reviewId;
+  } catch (error) {
+    console.error('⚠️ Failed to queue moderation review:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Screen a text
+ * @param {Object} params - { uid, text, stage: 'input' | 'output', route }
+ * @returns {Promise<Object>} { action: 'allow' | 'flag' | 'block', categories, reviewId, skipped? }
+ * @throws {Object} MODERATION_UNAVAILABLE (503) when the moderation call fails and failOpen is off
+ */
+export async function moderateText({ uid, text, stage, route }) {
+  const input = (text || '').trim();
+  if (!config.enabled || !input) {
+    return { action: 'allow', categories: [], reviewId: null, skipped: true };
+  }
+
+  // Most recent text wins when trimming - that's what the model acts on
+  const screened = input.length > MAX_MODERATION_CHARS ? input.slice(-MAX_MODERATION_CHARS) : input;
+
+  let result;
+  try {
+    result = await moderateContent({ model: config.model, input: screened });
+  } catch (error) {
+    console.error(`⚠️ Moderation failed for ${route} ${stage}:`, error.message);
+    if (config.failOpen) {
+      return { action: 'allow', categories: [], reviewId: null, skipped: true };
+    }
+    throw {
+      code: 'MODERATION_UNAVAILABLE',
+      message: 'Content moderation is temporarily unavailable',
+      statusCode: 503,
+    };
+  }
+
+  try {
+    await recordModerationUsage(uid, {
+      model: result.servedModel || config.model,
+      stage,
+      inputTokens: countTextTokens(screened),
+    });
+  } catch (usageError) {
+    console.error('Failed to record moderation usage:', usageError.message);
+  }
+
+  const categories = Object.keys(result.categories).filter(category => result.categories[category]);
+  const action = result.flagged ? resolveAction(categories) : 'allow';
+
+  let reviewId = null;
+  if (action !== 'allow') {
+    const scores = Object.fromEntries(categories.map(category => [category, result.scores[category] ?? null]));
+    reviewId = await queueForReview({ uid, route, stage, action, categories, scores, text: screened });
+    console.warn(`⚠️ Moderation ${action} on ${route} ${stage} for ${uid}: ${categories.join(', ')}`);
+  }
+
+  return { action, categories, reviewId };
+}
+
+/**
+ * List review queue items, newest first
+ * @param {Object} options - { status: 'pending' | 'resolved', limit: 50 }
+ * @returns {Promise<Array>} Review items
+ */
+export async function listReviewItems({ status = 'pending', limit: pageSize = 50 } = {}) {
+  try {
+    const q = query(
+      collection(db, 'moderation_queue'),
+      where('status', '==', status),
+      orderBy('createdAt', 'desc'),
+      limit(pageSize)
+    );
+    const snapshot = await getDocs(q);
+
+    return snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+  } catch (error) {
+    console.error('🔥 Error listing moderation reviews:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Resolve a review item
+ * @param {string} reviewId - Review id
+ * @param {Object} data - { resolution: 'approved' (false positive) | 'confirmed', note }
+ * @param {Object} options - { reviewedBy }
+ * @returns {Promise<Object>} Updated review item
+ * @throws {Object} INVALID_RESOLUTION (400), REVIEW_NOT_FOUND (404)
+ */
+export async function resolveReviewItem(reviewId, { resolution, note = null }, { reviewedBy = null } = {}) {
+  if (!REVIEW_RESOLUTIONS.includes(resolution)) {
+    throw {
+      code: 'INVALID_RESOLUTION',
+      message: `resolution must be one of: ${REVIEW_RESOLUTIONS.join(', ')}`,
+      statusCode: 400,
+    };
+  }
+
+  const reviewSnap = await getDoc(getReviewRef(reviewId));
+  if (!reviewSnap.exists()) {
+    throw {
+      code: 'REVIEW_NOT_FOUND',
+      message: `Review ${reviewId} not found`,
+      statusCode: 404,
+    };
+  }
+
+  try {
+    const updates = {
+      status: 'resolved',
+      resolution,
+      note: typeof note === 'string' ? note.slice(0, 1000) : null,
+      reviewedBy,
+      reviewedAt: new Date().toISOString(),
+    };
+    await updateDoc(getReviewRef(reviewId), updates);
+
+    return { id: reviewId, ...reviewSnap.data(), ...updates };
+  } catch (error) {
+    console.error('🔥 Error resolving moderation review:', error.message);
+    throw error;
+  }
+}
@@ -10,6 +10,9 @@ dotenv.config();
 const OPENROUTER_API_URL = 'https://openrouter.ai/api/v1';
 const DEFAULT_MODEL = 'google/gemini-3-flash-preview';
 
+// Which models users may pick (and on which plans) is decided by the model catalog
+// (services/modelCatalogService.js)
+
 /**
  * Get OpenRouter API key from environment
  */
@@ -134,6 +137,29 @@ export async function fetchAccountCredits(apiKey = null) {
   }
 }
 
+/**
+ * List every model OpenRouter offers
+ * @returns {Promise<Array>} Raw OpenRouter model objects (id, name, description, pricing,
+ *   context_length, top_provider, architecture, ...)
+ */
+export async function listModels() {
+  const response = await fetch(`${OPENROUTER_API_URL}/models`, {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${getApiKey()}`,
+      'Content-Type': 'application/json',
+    },
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`OpenRouter API error: ${response.status} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  return data.data || [];
+}
+
 /**
  * Get model information from OpenRouter
  * @param {string} modelId - Model identifier (default: google/gemini-3-flash-preview)
@@ -141,21 +167,8 @@ export async function fetchAccountCredits(apiKey = null) {
  */
 export async function getModelInfo(modelId = DEFAULT_MODEL) {
   try {
-    const response = await fetch(`${OPENROUTER_API_URL}/models`, {
-      method: 'GET',
-      headers: {
-        'Authorization': `Bearer ${getApiKey()}`,
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`OpenRouter API error: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    const model = data.data?.find(m => m.id === modelId);
+    const models = await listModels();
+    const model = models.find(m => m.id === modelId);
     
     if (!model) {
       throw new Error(`Model ${modelId} not found`);
@@ -260,13 +273,15 @@ export async function createChatCompletion({
  * @param {string} params.model - Model identifier (default: google/gemini-3-flash-preview)
  * @param {Object} params.options - Additional options (temperature, max_tokens, etc.)
  * @param {Function} params.onChunk - Callback function for each chunk
+ * @param {AbortSignal} params.signal - Aborts the upstream request (e.g. client disconnected)
  * @returns {Promise<Object>} Final response with usage information
  */
 export async function createStreamingChatCompletion({ 
   messages, 
   model = DEFAULT_MODEL, 
   options = {},
-  onChunk = null
+  onChunk = null,
+  signal = undefined
 }) {
   try {
     if (!messages || !Array.isArray(messages) || messages.length === 0) {
@@ -387,6 +402,7 @@ export async function createStreamingChatCompletion({
         'X-Title': process.env.APP_NAME || 'Korpo AI',
       },
       body: JSON.stringify(requestBody),
+      signal,
     });
 
     console.log('✅ Debug: Got response, status:', response.status, response.statusText);
@@ -0,0 +1,462 @@
+/**
+ * Plan Catalog Service
+ * The plans users can be on, with everything that differs between them
+ *
+ * Firestore layout:
+ *   plan_catalog/{planId}
+ *     {
+ *       id: "pro",
+ *       name: "Pro",
+ *       description: "...",
+ *       limits: {
+ *         chatTokensDaily, chatTokensMonthly, maxTokensPerRequest, maxRequestsPerMinute,
+ *         voiceRequestsDaily, chatRequestsDaily, audioMinutesMonthly
+ *       },
+ *       platformFeeUSD: 10,                             (0 = no monthly platform fee)
+ *       stripe: { platformPriceId, usagePriceId },      (subscription checkout prices)
+ *       revenueCat: { entitlementIds: ["pro"] },        (entitlements that put a user on the plan)
+ *       features: { tts: true, showCost: true },       (PLAN_FEATURES, flags left out are off)
+ *       sortOrder: 20,
+ *       source: "builtin" | "admin",
+ *       updatedBy, updatedAt
+ *     }
+ *
+ * Built-in plans (DEFAULT_PLANS) apply until an admin overrides them. "free" is the plan of
+ * users without one (or on a plan that was removed) and cannot be removed.
+ *
+ * Plans are read on every request (limits, platform fee), so they are served from an
+ * in-process cache. Synchronous reads return the cached plans and refresh them in the
+ * background once they are older than PLAN_CACHE_TTL_MS; resolvePlan() waits for the refresh.
+ */
+
+import { db } from '../firebase.js';
+import {
+  doc,
+  setDoc,
+  deleteDoc,
+  collection,
+  getDocs,
+  query,
+  where,
+  limit,
+} from 'firebase/firestore';
+
+const CATALOG_COLLECTION = 'plan_catalog';
+const PLAN_CACHE_TTL_MS = (Number(process.env.PLAN_CACHE_TTL_SECONDS) || 60) * 1000;
+const PLAN_ID_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+export const DEFAULT_PLAN_ID = 'free';
+
+export const PLAN_LIMIT_FIELDS = [
+  'chatTokensDaily',
+  'chatTokensMonthly',
+  'maxTokensPerRequest',
+  'maxRequestsPerMinute',
+  'voiceRequestsDaily',
+  'chatRequestsDaily',
+  'audioMinutesMonthly',
+];
+
+// Feature flags a plan can switch on
+export const PLAN_FEATURES = {
+  tts: 'Text to speech (/api/ai/speak, /api/ai/text-to-speech)',
+  showCost: 'AI responses report the actual cost (otherwise $0)',
+};
+
+// IMPORTANT: All daily limits reset at 12:00 AM in the user's timezone (UTC by default)
+export const DEFAULT_PLANS = {
+  free: {
+    name: 'Free',
+    description: 'Free tier - 1M daily tokens, 10 voice/20 chat requests per day',
+    limits: {
+      chatTokensDaily: 1000000,    // 1M tokens per day
+      chatTokensMonthly: 30000000, // 30M tokens per month (1M * 30 days)
+      maxTokensPerRequest: 50000,  // 50K tokens per request
+      maxRequestsPerMinute: 1000,  // 1,000 requests per minute (upper bound)
+      voiceRequestsDaily: 10,      // 10 voice requests per day
+      chatRequestsDaily: 20,       // 20 chat requests per day
+      audioMinutesMonthly: 60,     // 60 minutes of transcribed audio per month
+    },
+    platformFeeUSD: 0,
+    stripe: { platformPriceId: null, usagePriceId: null },
+    revenueCat: { entitlementIds: [] },
+    features: { tts: false, showCost: false },
+    sortOrder: 0,
+  },
+  premium: {
+    name: 'Premium',
+    description: 'Premium tier - 1M daily tokens, 20 voice/40 chat requests per day',
+    limits: {
+      chatTokensDaily: 1000000,    // 1M tokens per day (updated from 3M)
+      chatTokensMonthly: 30000000, // 30M tokens per month (1M * 30 days, updated from 90M)
+      maxTokensPerRequest: 100000, // 100K tokens per request
+      maxRequestsPerMinute: 5000,  // 5,000 requests per minute (upper bound)
+      voiceRequestsDaily: 20,      // 20 voice requests per day
+      chatRequestsDaily: 40,       // 40 chat requests per day
+      audioMinutesMonthly: 600,    // 600 minutes of transcribed audio per month
+    },
+    platformFeeUSD: 10,
+    // Filled from STRIPE_PLATFORM_PRICE_ID / STRIPE_USAGE_PRICE_ID (see buildDefaultPlans)
+    stripe: { platformPriceId: null, usagePriceId: null },
+    revenueCat: { entitlementIds: ['premium'] },
+    features: { tts: true, showCost: true },
+    sortOrder: 10,
+  },
+};
+
+let plans = buildDefaultPlans();
+let lastLoadedAt = null;
+let loadedAtMs = 0;
+let loading = null;
+
+function buildDefaultPlans() {
+  const built = Object.fromEntries(
+    Object.entries(DEFAULT_PLANS).map(([id, plan]) => [id, {
+      id,
+      ...plan,
+      limits: { ...plan.limits },
+      stripe: { ...plan.stripe },
+      revenueCat: { entitlementIds: [...plan.revenueCat.entitlementIds] },
+      features: { ...plan.features },
+      source: 'builtin',
+    }])
+  );
+  // Env is read here rather than at import time, after dotenv has run
+  built.premium.stripe = {
+    platformPriceId: process.env.STRIPE_PLATFORM_PRICE_ID || null,
+    usagePriceId: process.env.STRIPE_USAGE_PRICE_ID || null,
+  };
+  return built;
+}
+
+/**
+ * Plan from a stored doc (missing fields fall back to the built-in plan, then the free plan)
+ */
+function toPlan(data) {
+  const base = buildDefaultPlans()[data.id] || buildDefaultPlans()[DEFAULT_PLAN_ID];
+  return {
+    id: data.id,
+    name: data.name || data.id,
+    description: data.description || null,
+    limits: { ...base.limits, ...(data.limits || {}) },
+    platformFeeUSD: data.platformFeeUSD ?? 0,
+    stripe: {
+      platformPriceId: data.stripe?.platformPriceId || null,
+      usagePriceId: data.stripe?.usagePriceId || null,
+    },
+    revenueCat: { entitlementIds: data.revenueCat?.entitlementIds || [] },
+    features: { ...base.features, ...(data.features || {}) },
+    sortOrder: data.sortOrder ?? 100,
+    source: data.source || 'admin',
+    updatedBy: data.updatedBy || null,
+    updatedAt: data.updatedAt || null,
+  };
+}
+
+function getPlanRef(planId) {
+  return doc(db, CATALOG_COLLECTION, planId);
+}
+
+/**
+ * Load the catalog from Firestore into the cache (Firestore overrides the built-in plans)
+ * Concurrent calls share one load.
+ * @returns {Promise<Object>} { plans, loadedAt }
+ */
+export function loadPlanCatalog() {
+  if (loading) return loading;
+
+  loading = (async () => {
+    try {
+      const snapshot = await getDocs(collection(db, CATALOG_COLLECTION));
+      const loaded = buildDefaultPlans();
+
+      snapshot.docs.forEach(docSnap => {
+        const plan = toPlan({ id: docSnap.id, ...docSnap.data() });
+        loaded[plan.id] = plan;
+      });
+
+      plans = loaded;
+      loadedAtMs = Date.now();
+      lastLoadedAt = new Date(loadedAtMs).toISOString();
+
+      return { plans: Object.keys(loaded).length, loadedAt: lastLoadedAt };
+    } catch (error) {
+      // Keep the previous snapshot (or the built-in plans) and retry after the TTL, not on every read
+      loadedAtMs = Date.now();
+      console.error('🔥 Error loading plan catalog:', error.message);
+      throw error;
+    } finally {
+      loading = null;
+    }
+  })();
+
+  return loading;
+}
+
+function isStale() {
+  return Date.now() - loadedAtMs > PLAN_CACHE_TTL_MS;
+}
+
+/**
+ * Start a background refresh when the cache is older than its TTL
+ */
+function refreshIfStale() {
+  if (isStale() && !loading) {
+    loadPlanCatalog().catch(() => {});
+  }
+}
+
+/**
+ * Get a plan from the cache
+ * @param {string} planId - Plan id
+ * @returns {Object} The plan, the free plan for unknown ids
+ */
+export function getPlan(planId = DEFAULT_PLAN_ID) {
+  refreshIfStale();
+  return plans[String(planId || DEFAULT_PLAN_ID).toLowerCase()] || plans[DEFAULT_PLAN_ID];
+}
+
+/**
+ * Get a plan, refreshing the cache first when it is older than its TTL
+ * (falls back to the cached plans if Firestore can't be read)
+ * @param {string} planId - Plan id
+ * @returns {Promise<Object>} The plan, the free plan for unknown ids
+ */
+export async function resolvePlan(planId = DEFAULT_PLAN_ID) {
+  if (isStale()) {
+    await loadPlanCatalog().catch(() => {});
+  }
+  return getPlan(planId);
+}
+
+/**
+ * Whether a plan id is in the catalog
+ */
+export function hasPlan(planId) {
+  refreshIfStale();
+  return typeof planId === 'string' && Object.prototype.hasOwnProperty.call(plans, planId.toLowerCase());
+}
+
+/**
+ * Ids of all plans, in display order
+ * @returns {Array<string>}
+ */
+export function getPlanIds() {
+  return listPlans().plans.map(plan => plan.id);
+}
+
+/**
+ * All plans, in display order
+ * @returns {Object} { plans, loadedAt }
+ */
+export function listPlans() {
+  refreshIfStale();
+  return {
+    plans: Object.values(plans).sort((a, b) => a.sortOrder - b.sortOrder || a.id.localeCompare(b.id)),
+    loadedAt: lastLoadedAt,
+  };
+}
+
+/**
+ * Ids of the plans that pay a monthly platform fee (the ones billing invoices),
+ * refreshing the cache first when it is older than its TTL
+ * @returns {Promise<Array<string>>}
+ */
+export async function getBillablePlanIds() {
+  await resolvePlan();
+  return listPlans().plans
+    .filter(plan => plan.platformFeeUSD > 0)
+    .map(plan => plan.id);
+}
+
+/**
+ * Whether a plan has a feature switched on
+ * @param {Object} plan - Plan, or a getUserLimits() result (carries the plan's features)
+ * @param {string} feature - Flag from PLAN_FEATURES
+ * @returns {boolean}
+ */
+export function hasPlanFeature(plan, feature) {
+  return plan?.features?.[feature] === true;
+}
+
+/**
+ * Plan a RevenueCat purchase puts the user on
+ * @param {Array<string>} entitlementIds - Entitlements of the RevenueCat event
+ * @returns {Object|null} Highest plan (by sortOrder) granted by any of them, null if none matches
+ */
+export function findPlanByEntitlements(entitlementIds = []) {
+  const matches = listPlans().plans
+    .filter(plan => plan.revenueCat.entitlementIds.some(id => entitlementIds.includes(id)));
+  return matches.length ? matches[matches.length - 1] : null;
+}
+
+/**
+ * Validate a plan
+ * @returns {string|null} Error message or null if valid
+ */
+function validatePlan(plan) {
+  for (const field of PLAN_LIMIT_FIELDS) {
+    if (!Number.isInteger(plan.limits[field]) || plan.limits[field] < 0) {
+      return `limits.${field} must be a non-negative integer`;
+    }
+  }
+  if (plan.limits.chatTokensDaily > plan.limits.chatTokensMonthly) {
+    return 'limits.chatTokensDaily cannot exceed limits.chatTokensMonthly';
+  }
+  if (typeof plan.platformFeeUSD !== 'number' || !Number.isFinite(plan.platformFeeUSD) || plan.platformFeeUSD < 0) {
+    return 'platformFeeUSD must be a non-negative number';
+  }
+  for (const [field, value] of Object.entries(plan.stripe)) {
+    if (value !== null && (typeof value !== 'string' || !value.startsWith('price_'))) {
+      return `stripe.${field} must be a Stripe price id (price_...) or null`;
+    }
+  }
+  if (!Array.isArray(plan.revenueCat.entitlementIds) || plan.revenueCat.entitlementIds.some(id => typeof id !== 'string' || !id)) {
+    return 'revenueCat.entitlementIds must be an array of entitlement ids';
+  }
+  if (!plan.features || typeof plan.features !== 'object' || Array.isArray(plan.features)) {
+    return 'features must be an object of true / false flags';
+  }
+  for (const [flag, value] of Object.entries(plan.features)) {
+    if (!Object.prototype.hasOwnProperty.call(PLAN_FEATURES, flag)) {
+      return `Unknown feature: ${flag}. Allowed: ${Object.keys(PLAN_FEATURES).join(', ')}`;
+    }
+    if (typeof value !== 'boolean') {
+      return `features.${flag} must be true or false`;
+    }
+  }
+  if (!Number.isInteger(plan.sortOrder)) {
+    return 'sortOrder must be an integer';
+  }
+  return null;
+}
+
+/**
+ * Create or update a plan
+ * Fields left out keep their current value (new plans start from the free plan's limits).
+ *
+ * @param {string} planId - Plan id (lowercase, e.g. "pro")
+ * @param {Object} data - { name, description, limits, platformFeeUSD, stripe, revenueCat, features, sortOrder }
+ * @param {Object} options - { updatedBy }
+ * @returns {Promise<Object>} Saved plan
+ * @throws {Object} INVALID_PLAN (400), ENTITLEMENT_IN_USE (409)
+ */
+export async function savePlan(planId, data = {}, { updatedBy = null } = {}) {
+  if (!PLAN_ID_PATTERN.test(planId || '')) {
+    throw {
+      code: 'INVALID_PLAN',
+      message: 'Plan id must be 2-32 characters: lowercase letters, digits, "-" or "_", starting with a letter',
+      statusCode: 400,
+    };
+  }
+
+  try {
+    await resolvePlan(planId);
+    const existing = plans[planId] || null;
+    const base = existing || plans[DEFAULT_PLAN_ID];
+
+    const plan = {
+      id: planId,
+      name: data.name ?? existing?.name ?? planId,
+      description: data.description ?? existing?.description ?? null,
+      limits: Object.fromEntries(PLAN_LIMIT_FIELDS.map(field => [field, data.limits?.[field] ?? base.limits[field]])),
+      platformFeeUSD: data.platformFeeUSD ?? existing?.platformFeeUSD ?? 0,
+      stripe: {
+        platformPriceId: data.stripe?.platformPriceId !== undefined ? data.stripe.platformPriceId : existing?.stripe.platformPriceId ?? null,
+        usagePriceId: data.stripe?.usagePriceId !== undefined ? data.stripe.usagePriceId : existing?.stripe.usagePriceId ?? null,
+      },
+      revenueCat: { entitlementIds: data.revenueCat?.entitlementIds ?? existing?.revenueCat.entitlementIds ?? [] },
+      features: { ...(existing || base).features, ...data.features },
+      sortOrder: data.sortOrder ?? existing?.sortOrder ?? 100,
+      source: 'admin',
+      updatedBy,
+      updatedAt: new Date().toISOString(),
+    };
+
+    const error = validatePlan(plan);
+    if (error) {
+      throw { code: 'INVALID_PLAN', message: error, statusCode: 400 };
+    }
+
+    // An entitlement may only map to one plan, or RevenueCat purchases become ambiguous
+    const taken = Object.values(plans).find(other =>
+      other.id !== planId && other.revenueCat.entitlementIds.some(id => plan.revenueCat.entitlementIds.includes(id))
+    );
+    if (taken) {
+      throw {
+        code: 'ENTITLEMENT_IN_USE',
+        message: `RevenueCat entitlement already mapped to the ${taken.id} plan`,
+        statusCode: 409,
+      };
+    }
+
+    await setDoc(getPlanRef(planId), plan);
+    plans = { ...plans, [planId]: plan };
+
+    console.log(`✅ Plan ${planId} saved by ${updatedBy}`);
+
+    return plan;
+  } catch (error) {
+    console.error('🔥 Error saving plan:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Remove a plan (built-in plans go back to their default)
+ * Custom plans can only be removed once no user is on them.
+ *
+ * @param {string} planId - Plan id
+ * @returns {Promise<Object>} { plan, restoredDefault }
+ * @throws {Object} PLAN_NOT_FOUND (404), PLAN_REQUIRED (400), PLAN_IN_USE (409)
+ */
+export async function deletePlan(planId) {
+  await resolvePlan(planId);
+
+  if (!hasPlan(planId)) {
+    throw {
+      code: 'PLAN_NOT_FOUND',
+      message: `${planId} is not in the plan catalog`,
+      statusCode: 404,
+    };
+  }
+  if (planId === DEFAULT_PLAN_ID && plans[planId].source === 'builtin') {
+    throw {
+      code: 'PLAN_REQUIRED',
+      message: `The ${DEFAULT_PLAN_ID} plan cannot be removed`,
+      statusCode: 400,
+    };
+  }
+
+  try {
+    const restoredDefault = Object.prototype.hasOwnProperty.call(DEFAULT_PLANS, planId);
+
+    if (!restoredDefault) {
+      const usersOnPlan = await getDocs(query(collection(db, 'users'), where('plan', '==', planId), limit(1)));
+      if (!usersOnPlan.empty) {
+        throw {
+          code: 'PLAN_IN_USE',
+          message: `Users are still on the ${planId} plan - move them to another plan first`,
+          statusCode: 409,
+        };
+      }
+    }
+
+    await deleteDoc(getPlanRef(planId));
+
+    const next = { ...plans };
+    if (restoredDefault) {
+      next[planId] = buildDefaultPlans()[planId];
+    } else {
+      delete next[planId];
+    }
+    plans = next;
+
+    console.log(`🗑️ Plan ${planId} removed${restoredDefault ? ' (built-in plan restored)' : ''}`);
+
+    return { plan: planId, restoredDefault };
+  } catch (error) {
+    console.error('🔥 Error deleting plan:', error.message);
+    throw error;
+  }
+}
@@ -5,17 +5,24 @@
 
 import Stripe from 'stripe';
 import { db } from '../firebase.js';
-import { doc, getDoc, updateDoc, collection, query, where, getDocs, addDoc } from 'firebase/firestore';
+import { doc, getDoc, updateDoc, collection, query, where, getDocs, addDoc, deleteField } from 'firebase/firestore';
 import { createSubscriptionCheckout } from './stripe/subscriptionService.js';
+import { resolvePlan, hasPlan, DEFAULT_PLAN_ID } from './planCatalogService.js';
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 /**
- * Upgrade user to premium plan
- * Creates subscription checkout for automatic billing
+ * Upgrade user to a paid plan (premium by default, or any plan in the plan catalog)
+ * Creates subscription checkout for automatic billing; the target plan is kept on the
+ * user doc (pendingUpgradePlan) until completeUpgradeToPremium applies it
  */
-export async function upgradeToPremium({ userId, userEmail, successUrl, cancelUrl }) {
+export async function upgradeToPremium({ userId, userEmail, successUrl, cancelUrl, planId = 'premium' }) {
   try {
+    await resolvePlan(planId);
+    if (!hasPlan(planId)) {
+      throw new Error('Unknown plan');
+    }
+
     // Check if user exists and current plan
     const userRef = doc(db, 'users', userId);
     const userDoc = await getDoc(userRef);
@@ -26,8 +33,8 @@ export async function upgradeToPremium({ userId, userEmail, successUrl, cancelUr
 
     const userData = userDoc.data();
 
-    if (userData.plan === 'premium') {
-      throw new Error('User already premium');
+    if (userData.plan === planId) {
+      throw new Error('User already on plan');
     }
 
     // Create subscription checkout
@@ -35,10 +42,13 @@ export async function upgradeToPremium({ userId, userEmail, successUrl, cancelUr
       userId,
       userEmail,
       successUrl,
-      cancelUrl
+      cancelUrl,
+      planId
     });
 
-    console.log(`✅ Created upgrade checkout for user ${userId}`);
+    await updateDoc(userRef, { pendingUpgradePlan: planId });
+
+    console.log(`✅ Created ${planId} upgrade checkout for user ${userId}`);
     return checkoutResult;
 
   } catch (error) {
@@ -48,8 +58,9 @@ export async function upgradeToPremium({ userId, userEmail, successUrl, cancelUr
 }
 
 /**
- * Complete upgrade to premium after successful payment
- * Updates user plan and limits in database
+ * Complete upgrade after successful payment
+ * Updates user plan in database (to options.planId, else the plan the checkout was
+ * created for, else premium)
  * 
  * @param {string} userId - User ID
  * @param {Object} options - Upgrade options
@@ -57,6 +68,7 @@ export async function upgradeToPremium({ userId, userEmail, successUrl, cancelUr
  */
 export async function completeUpgradeToPremium(userId, options = {}) {
   const {
+    planId: requestedPlanId = null,
     resetDailyUsage = false,
     resetMonthlyUsage = false,
     grantBonusTokens = false,
@@ -72,39 +84,39 @@ export async function completeUpgradeToPremium(userId, options = {}) {
     }
 
     const userData = userDoc.data();
+    const planId = requestedPlanId || userData.pendingUpgradePlan || 'premium';
+
+    await resolvePlan(planId);
+    if (!hasPlan(planId)) {
+      throw new Error('Unknown plan');
+    }
 
-    if (userData.plan === 'premium') {
-      console.log(`User ${userId} already premium, skipping upgrade`);
-      return { message: 'User already premium' };
+    if (userData.plan === planId) {
+      console.log(`User ${userId} already on ${planId}, skipping upgrade`);
+      return { message: `User already on ${planId}` };
     }
 
     // Get current usage before upgrade
     const { getCurrentUsageForPlanChange, applyUsageAdjustment } = await import('./usageResetService.js');
     const currentUsage = await getCurrentUsageForPlanChange(userId);
 
-    // Get premium plan limits
+    // Get target plan limits
     const { getLimitsForPlan } = await import('../utils/limitsConfig.js');
-    const premiumLimits = getLimitsForPlan('premium');
+    const planLimits = getLimitsForPlan(planId);
     
     const today = new Date();
     const billingDayOfMonth = today.getDate();
 
-    // Update user to premium with new limits
+    // Update user to the target plan (limits follow the plan in the plan catalog)
     await updateDoc(userRef, {
-      plan: 'premium',
+      plan: planId,
+      pendingUpgradePlan: deleteField(),
       subscriptionStatus: 'active',
       upgradedAt: new Date().toISOString(),
       billingAnniversaryDay: billingDayOfMonth,
-      // Update limits to premium plan limits
-      limits: {
-        chatTokensDaily: premiumLimits.chatTokensDaily,
-        chatTokensMonthly: premiumLimits.chatTokensMonthly,
-        voiceRequestsDaily: premiumLimits.voiceRequestsDaily,
-        chatRequestsDaily: premiumLimits.chatRequestsDaily,
-        maxTokensPerRequest: premiumLimits.maxTokensPerRequest,
-        maxRequestsPerMinute: premiumLimits.maxRequestsPerMinute
-      },
-      limitsUpdatedAt: new Date().toISOString()
+      // Limits copied by older plan changes are no longer read
+      limits: deleteField(),
+      limitsUpdatedAt: deleteField()
     });
 
     // Apply usage adjustments if requested
@@ -123,27 +135,27 @@ export async function completeUpgradeToPremium(userId, options = {}) {
       userId,
       action: 'upgrade',
       fromPlan: userData.plan || 'free',
-      toPlan: 'premium',
+      toPlan: planId,
       timestamp: new Date().toISOString(),
       billingAnniversaryDay: billingDayOfMonth,
-      newLimits: premiumLimits,
+      newLimits: planLimits,
       currentUsageBeforeUpgrade: currentUsage,
       usageAdjustments: usageAdjustments
     });
 
-    console.log(`✅ Upgraded user ${userId} to premium with updated limits:`, premiumLimits);
+    console.log(`✅ Upgraded user ${userId} to ${planId} with updated limits:`, planLimits);
     if (usageAdjustments) {
       console.log(`📊 Applied usage adjustments:`, usageAdjustments);
     }
 
     return {
-      newPlan: 'premium',
-      newLimits: premiumLimits,
+      newPlan: planId,
+      newLimits: planLimits,
       subscriptionStatus: 'active',
       billingAnniversaryDay: billingDayOfMonth,
       currentUsageBeforeUpgrade: currentUsage,
       usageAdjustments: usageAdjustments,
-      message: 'Successfully upgraded to premium'
+      message: `Successfully upgraded to ${planId}`
     };
 
   } catch (error) {
@@ -153,7 +165,7 @@ export async function completeUpgradeToPremium(userId, options = {}) {
 }
 
 /**
- * Downgrade user from premium to free
+ * Downgrade user from a paid plan to free
  * - Calculate prorated API usage
  * - Create immediate invoice for API usage only
  * - Cancel subscription
@@ -179,7 +191,8 @@ export async function downgradeToPremium(userId, options = {}) {
 
     const userData = userDoc.data();
 
-    if (userData.plan !== 'premium') {
+    const fromPlan = userData.plan || DEFAULT_PLAN_ID;
+    if (fromPlan === DEFAULT_PLAN_ID) {
       throw new Error('User not on premium plan');
     }
 
@@ -239,39 +252,32 @@ export async function downgradeToPremium(userId, options = {}) {
       console.log('No Stripe subscription ID found, marking subscription as cancelled in database');
     }
 
-    // Step 4: Get free plan limits and update user
+    // Step 4: Move the user to the free plan (limits follow the plan in the plan catalog)
     const { getLimitsForPlan } = await import('../utils/limitsConfig.js');
-    const freeLimits = getLimitsForPlan('free');
+    const freeLimits = getLimitsForPlan(DEFAULT_PLAN_ID);
     
     await updateDoc(userRef, {
-      plan: 'free',
+      plan: DEFAULT_PLAN_ID,
       subscriptionStatus: 'cancelled',
       downgradedAt: new Date().toISOString(),
-      // Update limits to free plan limits
-      limits: {
-        chatTokensDaily: freeLimits.chatTokensDaily,
-        chatTokensMonthly: freeLimits.chatTokensMonthly,
-        voiceRequestsDaily: freeLimits.voiceRequestsDaily,
-        chatRequestsDaily: freeLimits.chatRequestsDaily,
-        maxTokensPerRequest: freeLimits.maxTokensPerRequest,
-        maxRequestsPerMinute: freeLimits.maxRequestsPerMinute
-      },
+      // Limits copied by older plan changes are no longer read
+      limits: deleteField(),
       // Keep subscription data for reference
-      previousPlan: 'premium',
+      previousPlan: fromPlan,
       previousSubscriptionId: userData.stripeSubscriptionId || 'nested_subscription',
       // Update nested subscription status if it exists
       ...(userData.subscription && {
         'subscription.status': 'cancelled'
       }),
-      limitsUpdatedAt: new Date().toISOString()
+      limitsUpdatedAt: deleteField()
     });
 
     // Step 5: Log downgrade event
     await addDoc(collection(db, 'plan_changes'), {
       userId,
       action: 'downgrade',
-      fromPlan: 'premium',
-      toPlan: 'free',
+      fromPlan,
+      toPlan: DEFAULT_PLAN_ID,
       timestamp: new Date().toISOString(),
       finalInvoiceId: finalInvoice?.id || null,
       finalAmount: usageData.totalCost,
@@ -280,7 +286,7 @@ export async function downgradeToPremium(userId, options = {}) {
       newLimits: freeLimits
     });
 
-    console.log(`✅ Downgraded user ${userId} from premium to free with updated limits:`, freeLimits);
+    console.log(`✅ Downgraded user ${userId} from ${fromPlan} to ${DEFAULT_PLAN_ID} with updated limits:`, freeLimits);
 
     return {
       finalInvoice: finalInvoice ? {
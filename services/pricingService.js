@@ -0,0 +1,327 @@
+/**
+ * Pricing Service
+ * Versioned per-model pricing registry stored in Firestore
+ *
+ * Firestore layout:
+ *   model_pricing/{docId}   (docId = model id with "/" replaced by "__")
+ *     {
+ *       model: "google/gemini-2.5-flash",
+ *       provider: "openai" | "openrouter",
+ *       description: "...",
+ *       versions: [
+ *         { inputPerM, outputPerM, cachedPerM, perMinute, effectiveFrom, source, createdBy, createdAt }
+ *       ],
+ *       updatedAt
+ *     }
+ *
+ * Prices are USD per 1M tokens (perMinute: USD per audio minute, transcription models only).
+ * A new price never rewrites an old version: it is appended with its own effectiveFrom, so
+ * usage is always billed at the price that was in effect when the tokens were used
+ * (see calculateTokenCost in utils/tokenPricing.js).
+ *
+ * The registry is cached in memory and pushed to utils/tokenPricing.js, which keeps
+ * cost calculation synchronous for every caller.
+ */
+
+import { db } from '../firebase.js';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  collection,
+  getDocs,
+} from 'firebase/firestore';
+import { setPricingRegistry, TOKEN_PRICING } from '../utils/tokenPricing.js';
+import { getModelInfo } from './openrouter/openRouterService.js';
+
+const PRICING_COLLECTION = 'model_pricing';
+const VALID_PROVIDERS = ['openai', 'openrouter'];
+// New versions may not start in the past - usage already billed would not match them
+const BACKDATE_TOLERANCE_MS = 60 * 1000;
+
+let lastLoadedAt = null;
+
+function getPricingDocId(model) {
+  return model.replace(/\//g, '__');
+}
+
+function getPricingRef(model) {
+  return doc(db, PRICING_COLLECTION, getPricingDocId(model));
+}
+
+function sortVersions(versions = []) {
+  return [...versions].sort((a, b) => new Date(a.effectiveFrom) - new Date(b.effectiveFrom));
+}
+
+/**
+ * Load the registry from Firestore and push it to tokenPricing
+ * @returns {Promise<Object>} { models, loadedAt }
+ */
+export async function loadPricingRegistry() {
+  try {
+    const snapshot = await getDocs(collection(db, PRICING_COLLECTION));
+    const registry = {};
+
+    snapshot.docs.forEach(docSnap => {
+      const data = docSnap.data();
+      if (!data.model || !Array.isArray(data.versions) || data.versions.length === 0) return;
+
+      registry[data.model] = {
+        provider: data.provider,
+        description: data.description || null,
+        versions: sortVersions(data.versions),
+      };
+    });
+
+    setPricingRegistry(registry);
+    lastLoadedAt = new Date().toISOString();
+
+    console.log(`✅ Loaded pricing registry (${Object.keys(registry).length} models)`);
+
+    return { models: Object.keys(registry).length, loadedAt: lastLoadedAt };
+  } catch (error) {
+    // Keep the previous snapshot (or the built-in defaults) - billing must not stop
+    console.error('🔥 Error loading pricing registry:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List every priced model with its current price and version count
+ * Includes built-in defaults that are not in the registry yet
+ * @returns {Promise<Array>} Models
+ */
+export async function listModelPricing() {
+  try {
+    const snapshot = await getDocs(collection(db, PRICING_COLLECTION));
+    const now = Date.now();
+    const models = {};
+
+    snapshot.docs.forEach(docSnap => {
+      const data = docSnap.data();
+      const versions = sortVersions(data.versions);
+      const current = [...versions].reverse().find(v => new Date(v.effectiveFrom).getTime() <= now) || null;
+      const upcoming = versions.filter(v => new Date(v.effectiveFrom).getTime() > now);
+
+      models[data.model] = {
+        model: data.model,
+        provider: data.provider,
+        description: data.description || null,
+        current,
+        upcoming,
+        versionCount: versions.length,
+        source: 'registry',
+        updatedAt: data.updatedAt || null,
+      };
+    });
+
+    Object.entries(TOKEN_PRICING).forEach(([model, pricing]) => {
+      if (models[model]) return;
+      models[model] = {
+        model,
+        provider: pricing.provider || 'openai',
+        description: pricing.description || null,
+        current: {
+          inputPerM: pricing.inputPerM,
+          outputPerM: pricing.outputPerM,
+          cachedPerM: pricing.cachedPerM ?? null,
+          perMinute: pricing.perMinute ?? null,
+          effectiveFrom: null,
+        },
+        upcoming: [],
+        versionCount: 0,
+        source: 'default',
+        updatedAt: null,
+      };
+    });
+
+    return Object.values(models).sort((a, b) => a.model.localeCompare(b.model));
+  } catch (error) {
+    console.error('🔥 Error listing model pricing:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get the full price history of a model
+ * @param {string} model - Model id
+ * @returns {Promise<Object>} { model, provider, description, versions }
+ * @throws {Object} PRICING_NOT_FOUND
+ */
+export async function getModelPricingHistory(model) {
+  try {
+    const pricingSnap = await getDoc(getPricingRef(model));
+
+    if (!pricingSnap.exists()) {
+      throw {
+        code: 'PRICING_NOT_FOUND',
+        message: `No pricing registered for ${model}`,
+        statusCode: 404,
+      };
+    }
+
+    const data = pricingSnap.data();
+    return {
+      model: data.model,
+      provider: data.provider,
+      description: data.description || null,
+      versions: sortVersions(data.versions),
+      updatedAt: data.updatedAt || null,
+    };
+  } catch (error) {
+    console.error('🔥 Error getting model pricing:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Validate a price version payload
+ * @returns {Object} { valid: boolean, error?: string }
+ */
+function validatePriceVersion({ inputPerM, outputPerM, cachedPerM, perMinute, effectiveFrom }) {
+  for (const [field, value] of Object.entries({ inputPerM, outputPerM })) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      return { valid: false, error: `${field} must be a non-negative number (USD per 1M tokens)` };
+    }
+  }
+
+  if (cachedPerM !== undefined && cachedPerM !== null
+    && (typeof cachedPerM !== 'number' || !Number.isFinite(cachedPerM) || cachedPerM < 0)) {
+    return { valid: false, error: 'cachedPerM must be a non-negative number (USD per 1M tokens)' };
+  }
+
+  if (perMinute !== undefined && perMinute !== null
+    && (typeof perMinute !== 'number' || !Number.isFinite(perMinute) || perMinute < 0)) {
+    return { valid: false, error: 'perMinute must be a non-negative number (USD per audio minute)' };
+  }
+
+  if (effectiveFrom !== undefined && Number.isNaN(new Date(effectiveFrom).getTime())) {
+    return { valid: false, error: 'effectiveFrom must be an ISO date' };
+  }
+
+  if (effectiveFrom !== undefined && new Date(effectiveFrom).getTime() < Date.now() - BACKDATE_TOLERANCE_MS) {
+    return { valid: false, error: 'effectiveFrom cannot be in the past' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Add a price version for a model (creates the model entry if needed)
+ *
+ * @param {string} model - Model id
+ * @param {Object} price - { inputPerM, outputPerM, cachedPerM?, perMinute?, effectiveFrom? (default: now), provider?, description? }
+ * @param {Object} meta - { source: 'admin' | 'openrouter_sync', createdBy }
+ * @returns {Promise<Object>} { model, provider, version }
+ * @throws {Object} INVALID_PRICING
+ */
+export async function addPricingVersion(model, price, { source = 'admin', createdBy = null } = {}) {
+  try {
+    const validation = validatePriceVersion(price);
+    if (!validation.valid) {
+      throw { code: 'INVALID_PRICING', message: validation.error, statusCode: 400 };
+    }
+
+    const pricingRef = getPricingRef(model);
+    const pricingSnap = await getDoc(pricingRef);
+    const existing = pricingSnap.exists() ? pricingSnap.data() : null;
+
+    const provider = price.provider
+      || existing?.provider
+      || TOKEN_PRICING[model]?.provider
+      || (model.includes('/') ? 'openrouter' : 'openai');
+
+    if (!VALID_PROVIDERS.includes(provider)) {
+      throw {
+        code: 'INVALID_PRICING',
+        message: `provider must be one of: ${VALID_PROVIDERS.join(', ')}`,
+        statusCode: 400,
+      };
+    }
+
+    const now = new Date().toISOString();
+    const version = {
+      inputPerM: price.inputPerM,
+      outputPerM: price.outputPerM,
+      cachedPerM: price.cachedPerM ?? null,
+      perMinute: price.perMinute ?? null,
+      effectiveFrom: price.effectiveFrom ? new Date(price.effectiveFrom).toISOString() : now,
+      source,
+      createdBy,
+      createdAt: now,
+    };
+
+    await setDoc(pricingRef, {
+      model,
+      provider,
+      description: price.description || existing?.description || TOKEN_PRICING[model]?.description || null,
+      versions: sortVersions([...(existing?.versions || []), version]),
+      updatedAt: now,
+    });
+
+    console.log(`✅ Added pricing version for ${model}: $${version.inputPerM}/$${version.outputPerM} per 1M from ${version.effectiveFrom}`);
+
+    await loadPricingRegistry();
+
+    return { model, provider, version };
+  } catch (error) {
+    console.error('🔥 Error adding pricing version:', error.message || error);
+    throw error;
+  }
+}
+
+/**
+ * Pull current list prices from OpenRouter and add a version where they changed
+ * OpenRouter reports USD per token as strings; stored as USD per 1M tokens
+ *
+ * @param {Array<string>} models - OpenRouter model ids (the catalog's OpenRouter models, see
+ *   getCatalogModelIds in services/modelCatalogService.js)
+ * @param {string} createdBy - Admin uid (null for the scheduled sync)
+ * @returns {Promise<Object>} { updated, unchanged, failed }
+ */
+export async function syncOpenRouterPricing(models, createdBy = null) {
+  const result = { updated: [], unchanged: [], failed: [] };
+
+  for (const model of models) {
+    try {
+      const info = await getModelInfo(model);
+      const inputPerM = Math.round(parseFloat(info.model.pricing?.prompt) * 1000000 * 10000) / 10000;
+      const outputPerM = Math.round(parseFloat(info.model.pricing?.completion) * 1000000 * 10000) / 10000;
+
+      if (!Number.isFinite(inputPerM) || !Number.isFinite(outputPerM)) {
+        throw new Error('OpenRouter returned no pricing');
+      }
+
+      const pricingSnap = await getDoc(getPricingRef(model));
+      const versions = pricingSnap.exists() ? sortVersions(pricingSnap.data().versions) : [];
+      const latest = versions[versions.length - 1];
+
+      if (latest && latest.inputPerM === inputPerM && latest.outputPerM === outputPerM) {
+        result.unchanged.push(model);
+        continue;
+      }
+
+      await addPricingVersion(
+        model,
+        { inputPerM, outputPerM, provider: 'openrouter', description: info.model.name },
+        { source: 'openrouter_sync', createdBy }
+      );
+      result.updated.push({ model, inputPerM, outputPerM });
+    } catch (error) {
+      console.error(`⚠️ Failed to sync OpenRouter pricing for ${model}:`, error.message || error);
+      result.failed.push({ model, error: error.message || String(error) });
+    }
+  }
+
+  console.log(`✅ OpenRouter pricing sync: ${result.updated.length} updated, ${result.unchanged.length} unchanged, ${result.failed.length} failed`);
+
+  return result;
+}
+
+/**
+ * When the registry snapshot was last loaded
+ * @returns {string|null} ISO timestamp
+ */
+export function getPricingRegistryLoadedAt() {
+  return lastLoadedAt;
+}
@@ -0,0 +1,399 @@
+/**
+ * Question Template Service
+ * Versioned prompt templates for /api/ai/generate-questions, per category and language
+ *
+ * Firestore layout:
+ *   question_templates/{category}__{language}
+ *     {
+ *       category: "fitness" | "default",
+ *       language: "en",
+ *       activeVersion: 3,
+ *       versions: [
+ *         { version, systemPrompt, userPrompt, example, note, createdBy, createdAt }
+ *       ],
+ *       updatedAt
+ *     }
+ *
+ * Prompts may use {{count}}, {{category}} and {{example}} (the example questions as JSON).
+ * Lookup order for a request: {category}__{language}, then default__{language}, then the
+ * built-in template for the language. A language is supported once any of them exists,
+ * so new languages only need a default__{language} template.
+ *
+ * Versions are never edited: a change is a new version, and rolling back re-activates an
+ * older one.
+ */
+
+import { db } from '../firebase.js';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  collection,
+  getDocs,
+} from 'firebase/firestore';
+import { validateQuestions } from '../utils/questionValidation.js';
+
+const TEMPLATES_COLLECTION = 'question_templates';
+export const DEFAULT_TEMPLATE_CATEGORY = 'default';
+// Resolved templates are re-read from Firestore at most once a minute
+const TEMPLATE_CACHE_MS = 60 * 1000;
+const KEY_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+const MAX_PROMPT_LENGTH = 4000;
+
+const DEFAULT_USER_PROMPT = 'Generate {{count}} new {{category}} questions in this exact JSON structure, with varied question types (single, conditional, multiple, text):\n{{example}}';
+
+// Built-in templates (version 0) - used until an admin adds a version for the language
+const BUILT_IN_TEMPLATES = {
+  en: {
+    systemPrompt: 'You are a JSON generator. Always return valid JSON ONLY, no explanation. Generate all questions and options in English language. Ensure proper English grammar and cultural context.',
+    userPrompt: DEFAULT_USER_PROMPT,
+    example: [
+      {
+        id: 'q1',
+        question: 'Would you describe yourself as a social person?',
+        type: 'single',
+        options: ['Very social', 'Somewhat social', 'Prefer to be alone'],
+      },
+      {
+        id: 'q2',
+        question: 'Do you often feel stressed or overwhelmed?',
+        type: 'conditional',
+        options: ['Yes', 'No'],
+        followUp: {
+          question: 'If yes, how often?',
+          type: 'text',
+        },
+      },
+    ],
+  },
+  es: {
+    systemPrompt: 'You are a JSON generator. Always return valid JSON ONLY, no explanation. Generate all questions and options in Spanish language. Ensure proper Spanish grammar and cultural context.',
+    userPrompt: DEFAULT_USER_PROMPT,
+    example: [
+      {
+        id: 'q1',
+        question: '¿Te describirías como una persona social?',
+        type: 'single',
+        options: ['Muy social', 'Algo social', 'Prefiero estar solo'],
+      },
+      {
+        id: 'q2',
+        question: '¿A menudo te sientes estresado o abrumado?',
+        type: 'conditional',
+        options: ['Sí', 'No'],
+        followUp: {
+          question: 'Si es así, ¿con qué frecuencia?',
+          type: 'text',
+        },
+      },
+    ],
+  },
+  ar: {
+    systemPrompt: 'You are a JSON generator. Always return valid JSON ONLY, no explanation. Generate all questions and options in Arabic language. Ensure proper Arabic grammar and cultural context. Use formal Arabic (Modern Standard Arabic).',
+    userPrompt: DEFAULT_USER_PROMPT,
+    example: [
+      {
+        id: 'q1',
+        question: 'هل تصف نفسك كشخص اجتماعي؟',
+        type: 'single',
+        options: ['اجتماعي جداً', 'اجتماعي إلى حد ما', 'أفضل أن أكون وحيداً'],
+      },
+      {
+        id: 'q2',
+        question: 'هل تشعر غالباً بالتوتر أو الإرهاق؟',
+        type: 'conditional',
+        options: ['نعم', 'لا'],
+        followUp: {
+          question: 'إذا كانت الإجابة نعم، كم مرة؟',
+          type: 'text',
+        },
+      },
+    ],
+  },
+};
+
+const templateCache = new Map();
+
+function getTemplateDocId(category, language) {
+  return `${category}__${language}`;
+}
+
+function getTemplateRef(category, language) {
+  return doc(db, TEMPLATES_COLLECTION, getTemplateDocId(category, language));
+}
+
+function normalizeKey(value) {
+  return typeof value === 'string' ? value.trim().toLowerCase() : '';
+}
+
+/**
+ * Active version of a template document, or null
+ */
+function getActiveVersion(data) {
+  if (!data || !Array.isArray(data.versions)) return null;
+  return data.versions.find(v => v.version === data.activeVersion) || null;
+}
+
+/**
+ * Read one template document's active version (cached)
+ * @returns {Promise<Object|null>} Template or null
+ */
+async function loadTemplate(category, language) {
+  const docId = getTemplateDocId(category, language);
+  const cached = templateCache.get(docId);
+  if (cached && Date.now() - cached.loadedAt < TEMPLATE_CACHE_MS) {
+    return cached.template;
+  }
+
+  const templateSnap = await getDoc(getTemplateRef(category, language));
+  const active = templateSnap.exists() ? getActiveVersion(templateSnap.data()) : null;
+  const template = active ? { category, language, source: 'firestore', ...active } : null;
+
+  templateCache.set(docId, { template, loadedAt: Date.now() });
+  return template;
+}
+
+/**
+ * Find the template for a request
+ * @param {string} category - Question category
+ * @param {string} language - Language code
+ * @returns {Promise<Object>} { category, language, version, systemPrompt, userPrompt, example, source }
+ * @throws {Object} UNSUPPORTED_LANGUAGE (400) when no template exists for the language
+ */
+export async function resolveQuestionTemplate(category, language) {
+  const categoryKey = normalizeKey(category);
+  const languageKey = normalizeKey(language);
+
+  if (KEY_PATTERN.test(languageKey)) {
+    const template = (KEY_PATTERN.test(categoryKey) && await loadTemplate(categoryKey, languageKey))
+      || await loadTemplate(DEFAULT_TEMPLATE_CATEGORY, languageKey);
+    if (template) return template;
+  }
+
+  const builtIn = BUILT_IN_TEMPLATES[languageKey];
+  if (builtIn) {
+    return { category: DEFAULT_TEMPLATE_CATEGORY, language: languageKey, version: 0, source: 'builtin', ...builtIn };
+  }
+
+  const languages = await listSupportedLanguages();
+  throw {
+    code: 'UNSUPPORTED_LANGUAGE',
+    message: `No question template for language "${language}". Supported: ${languages.join(', ')}`,
+    statusCode: 400
+  };
+}
+
+/**
+ * Build the chat messages for a template
+ * @param {Object} template - From resolveQuestionTemplate
+ * @param {Object} params - { category, count }
+ * @returns {Array} Messages
+ */
+export function renderQuestionMessages(template, { category, count }) {
+  const fill = (text) => text
+    .replace(/\{\{count\}\}/g, String(count))
+    .replace(/\{\{category\}\}/g, category)
+    .replace(/\{\{example\}\}/g, JSON.stringify(template.example, null, 2));
+
+  return [
+    { role: 'system', content: fill(template.systemPrompt) },
+    { role: 'user', content: fill(template.userPrompt) },
+  ];
+}
+
+/**
+ * Languages with a built-in or default template
+ * @returns {Promise<Array<string>>} Language codes
+ */
+export async function listSupportedLanguages() {
+  const languages = new Set(Object.keys(BUILT_IN_TEMPLATES));
+  const snapshot = await getDocs(collection(db, TEMPLATES_COLLECTION));
+  snapshot.docs.forEach(docSnap => {
+    const data = docSnap.data();
+    if (data.category === DEFAULT_TEMPLATE_CATEGORY && getActiveVersion(data)) {
+      languages.add(data.language);
+    }
+  });
+  return [...languages].sort();
+}
+
+/**
+ * List every template (admin view) - built-in templates that were never overridden included
+ * @returns {Promise<Array>} [{ category, language, activeVersion, versionCount, source, updatedAt }]
+ */
+export async function listQuestionTemplates() {
+  const snapshot = await getDocs(collection(db, TEMPLATES_COLLECTION));
+  const templates = snapshot.docs.map(docSnap => {
+    const data = docSnap.data();
+    return {
+      category: data.category,
+      language: data.language,
+      activeVersion: data.activeVersion,
+      versionCount: (data.versions || []).length,
+      source: 'firestore',
+      updatedAt: data.updatedAt || null,
+    };
+  });
+
+  Object.keys(BUILT_IN_TEMPLATES).forEach(language => {
+    if (!templates.some(t => t.category === DEFAULT_TEMPLATE_CATEGORY && t.language === language)) {
+      templates.push({
+        category: DEFAULT_TEMPLATE_CATEGORY,
+        language,
+        activeVersion: 0,
+        versionCount: 1,
+        source: 'builtin',
+        updatedAt: null,
+      });
+    }
+  });
+
+  return templates.sort((a, b) => `${a.category}/${a.language}`.localeCompare(`${b.category}/${b.language}`));
+}
+
+/**
+ * Get every version of a template
+ * @param {string} category - Category (or "default")
+ * @param {string} language - Language code
+ * @returns {Promise<Object>} { category, language, activeVersion, versions }
+ */
+export async function getQuestionTemplateHistory(category, language) {
+  const categoryKey = normalizeKey(category);
+  const languageKey = normalizeKey(language);
+  const templateSnap = await getDoc(getTemplateRef(categoryKey, languageKey));
+
+  if (templateSnap.exists()) {
+    const data = templateSnap.data();
+    return {
+      category: categoryKey,
+      language: languageKey,
+      activeVersion: data.activeVersion,
+      versions: data.versions || [],
+    };
+  }
+
+  const builtIn = categoryKey === DEFAULT_TEMPLATE_CATEGORY && BUILT_IN_TEMPLATES[languageKey];
+  if (builtIn) {
+    return {
+      category: categoryKey,
+      language: languageKey,
+      activeVersion: 0,
+      versions: [{ version: 0, ...builtIn, note: 'Built-in template', createdBy: null, createdAt: null }],
+    };
+  }
+
+  throw {
+    code: 'TEMPLATE_NOT_FOUND',
+    message: `No question template for ${categoryKey}/${languageKey}`,
+    statusCode: 404
+  };
+}
+
+/**
+ * Validate a new template version
+ * @returns {string|null} Error message or null if valid
+ */
+function validateTemplateVersion({ systemPrompt, userPrompt, example }) {
+  if (typeof systemPrompt !== 'string' || systemPrompt.trim() === '' || systemPrompt.length > MAX_PROMPT_LENGTH) {
+    return `systemPrompt must be a non-empty string of at most ${MAX_PROMPT_LENGTH} characters`;
+  }
+  if (typeof userPrompt !== 'string' || userPrompt.length > MAX_PROMPT_LENGTH) {
+    return `userPrompt must be a string of at most ${MAX_PROMPT_LENGTH} characters`;
+  }
+  if (!userPrompt.includes('{{count}}') || !userPrompt.includes('{{example}}')) {
+    return 'userPrompt must contain {{count}} and {{example}}';
+  }
+  const exampleCheck = validateQuestions(example);
+  if (!exampleCheck.valid) {
+    return `example does not match the question schema: ${exampleCheck.errors.join('; ')}`;
+  }
+  return null;
+}
+
+/**
+ * Add a template version and make it active
+ * @param {string} category - Category, or "default" for every category in the language
+ * @param {string} language - Language code (e.g. "fr" adds a new language)
+ * @param {Object} data - { systemPrompt, userPrompt (default: standard prompt), example, note }
+ * @param {Object} options - { createdBy }
+ * @returns {Promise<Object>} { category, language, version }
+ */
+export async function addQuestionTemplateVersion(category, language, data, { createdBy = null } = {}) {
+  const categoryKey = normalizeKey(category);
+  const languageKey = normalizeKey(language);
+
+  if (!KEY_PATTERN.test(categoryKey) || !KEY_PATTERN.test(languageKey)) {
+    throw {
+      code: 'INVALID_TEMPLATE_KEY',
+      message: 'category and language must be 1-32 lowercase letters, digits, "-" or "_"',
+      statusCode: 400
+    };
+  }
+
+  const version = {
+    systemPrompt: data.systemPrompt,
+    userPrompt: data.userPrompt || DEFAULT_USER_PROMPT,
+    example: data.example,
+    note: data.note || null,
+  };
+
+  const validationError = validateTemplateVersion(version);
+  if (validationError) {
+    throw {
+      code: 'INVALID_TEMPLATE',
+      message: validationError,
+      statusCode: 400
+    };
+  }
+
+  const templateRef = getTemplateRef(categoryKey, languageKey);
+  const templateSnap = await getDoc(templateRef);
+  const versions = templateSnap.exists() ? templateSnap.data().versions || [] : [];
+  const nextVersion = versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+  const now = new Date().toISOString();
+
+  await setDoc(templateRef, {
+    category: categoryKey,
+    language: languageKey,
+    activeVersion: nextVersion,
+    versions: [...versions, { version: nextVersion, ...version, createdBy, createdAt: now }],
+    updatedAt: now,
+  });
+
+  templateCache.delete(getTemplateDocId(categoryKey, languageKey));
+  console.log(`✅ Added question template ${categoryKey}/${languageKey} v${nextVersion} by ${createdBy}`);
+
+  return { category: categoryKey, language: languageKey, version: nextVersion };
+}
+
+/**
+ * Make an existing version the active one (rollback)
+ * @param {string} category - Category
+ * @param {string} language - Language code
+ * @param {number} version - Version number
+ * @returns {Promise<Object>} { category, language, activeVersion }
+ */
+export async function activateQuestionTemplateVersion(category, language, version) {
+  const categoryKey = normalizeKey(category);
+  const languageKey = normalizeKey(language);
+  const templateRef = getTemplateRef(categoryKey, languageKey);
+  const templateSnap = await getDoc(templateRef);
+
+  if (!templateSnap.exists() || !(templateSnap.data().versions || []).some(v => v.version === version)) {
+    throw {
+      code: 'TEMPLATE_NOT_FOUND',
+      message: `No version ${version} of question template ${categoryKey}/${languageKey}`,
+      statusCode: 404
+    };
+  }
+
+  await setDoc(templateRef, {
+    activeVersion: version,
+    updatedAt: new Date().toISOString(),
+  }, { merge: true });
+
+  templateCache.delete(getTemplateDocId(categoryKey, languageKey));
+  console.log(`✅ Activated question template ${categoryKey}/${languageKey} v${version}`);
+
+  return { category: categoryKey, language: languageKey, activeVersion: version };
+}
@@ -0,0 +1,405 @@
+/**
+ * Questionnaire Service
+ * Stores the question sets from /api/ai/generate-questions, collects the user's answers
+ * and turns completed questionnaires into a profile the AI coach reads as system context
+ *
+ * Firestore layout:
+ *   users/{uid}/questionnaires/{questionnaireId}
+ *     {
+ *       category, language, template: { category, language, version },
+ *       questions: [...],                        (validated, see utils/questionValidation.js)
+ *       answers: { [questionId]: { value, followUp, answeredAt } },
+ *       status: "in_progress" | "completed",
+ *       questionCount, answeredCount, createdAt, updatedAt, completedAt
+ *     }
+ *   users/{uid}/profile/questionnaire
+ *     { entries: [{ questionnaireId, category, question, answer, answeredAt }], updatedAt }
+ *
+ * Answer values by question type:
+ *   single / conditional - one of the options
+ *   multiple             - non-empty array of options
+ *   text                 - string
+ * A conditional's followUp answer is required when the value is followUp.showIf, and
+ * rejected otherwise.
+ */
+
+import { db } from '../firebase.js';
+import {
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  collection,
+  getDocs,
+  query,
+  orderBy,
+  limit,
+} from 'firebase/firestore';
+import { v4 as uuidv4 } from 'uuid';
+
+const MAX_TEXT_ANSWER_LENGTH = 2000;
+// Newest answers win when the profile grows past this
+const MAX_PROFILE_ENTRIES = 50;
+// Keeps the injected system message small next to the plan's maxTokensPerRequest
+const MAX_PROFILE_CONTEXT_CHARS = 4000;
+
+function getQuestionnaireRef(uid, questionnaireId) {
+  return doc(db, 'users', uid, 'questionnaires', questionnaireId);
+}
+
+function getProfileRef(uid) {
+  return doc(db, 'users', uid, 'profile', 'questionnaire');
+}
+
+/**
+ * Summary of a questionnaire (no questions or answers)
+ */
+function summarizeQuestionnaire(id, data) {
+  return {
+    id,
+    category: data.category,
+    language: data.language,
+    status: data.status,
+    questionCount: data.questionCount,
+    answeredCount: data.answeredCount,
+    createdAt: data.createdAt,
+    updatedAt: data.updatedAt,
+    completedAt: data.completedAt || null,
+  };
+}
+
+/**
+ * Store a generated question set as a new questionnaire
+ * @param {string} uid - User ID
+ * @param {Object} data - { category, language, questions, template }
+ * @returns {Promise<Object>} Questionnaire
+ */
+export async function createQuestionnaire(uid, { category, language, questions, template = null }) {
+  try {
+    const questionnaireId = uuidv4();
+    const now = new Date().toISOString();
+
+    const questionnaire = {
+      category,
+      language,
+      template: template
+        ? { category: template.category, language: template.language, version: template.version }
+        : null,
+      questions,
+      answers: {},
+      status: 'in_progress',
+      questionCount: questions.length,
+      answeredCount: 0,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null,
+    };
+
+    await setDoc(getQuestionnaireRef(uid, questionnaireId), questionnaire);
+
+    console.log(`✅ Created questionnaire ${questionnaireId} for ${uid} (${questions.length} questions)`);
+
+    return { id: questionnaireId, ...questionnaire };
+  } catch (error) {
+    console.error('🔥 Error creating questionnaire:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * List a user's questionnaires, newest first
+ * @param {string} uid - User ID
+ * @param {number} pageSize - Max questionnaires to return
+ * @returns {Promise<Array>} Questionnaire summaries
+ */
+export async function listQuestionnaires(uid, pageSize = 50) {
+  try {
+    const q = query(
+      collection(db, 'users', uid, 'questionnaires'),
+      orderBy('createdAt', 'desc'),
+      limit(pageSize)
+    );
+    const snapshot = await getDocs(q);
+
+    return snapshot.docs.map(docSnap => summarizeQuestionnaire(docSnap.id, docSnap.data()));
+  } catch (error) {
+    console.error('🔥 Error listing questionnaires:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a questionnaire with its questions and answers
+ * @param {string} uid - User ID
+ * @param {string} questionnaireId - Questionnaire ID
+ * @returns {Promise<Object>} Questionnaire
+ * @throws {Object} QUESTIONNAIRE_NOT_FOUND
+ */
+export async function getQuestionnaire(uid, questionnaireId) {
+  const questionnaireSnap = await getDoc(getQuestionnaireRef(uid, questionnaireId));
+
+  if (!questionnaireSnap.exists()) {
+    throw {
+      code: 'QUESTIONNAIRE_NOT_FOUND',
+      message: `Questionnaire ${questionnaireId} not found`,
+      statusCode: 404,
+    };
+  }
+
+  return { id: questionnaireId, ...questionnaireSnap.data() };
+}
+
+/**
+ * Check one answer against its question
+ * @returns {string|null} Error message or null if valid
+ */
+function validateAnswerValue(type, options, value) {
+  if (type === 'text') {
+    if (typeof value !== 'string' || value.trim() === '' || value.length > MAX_TEXT_ANSWER_LENGTH) {
+      return `must be a non-empty string of at most ${MAX_TEXT_ANSWER_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  if (type === 'multiple') {
+    if (!Array.isArray(value) || value.length === 0 || new Set(value).size !== value.length) {
+      return 'must be a non-empty array of distinct options';
+    }
+    const unknown = value.find(v => !options.includes(v));
+    return unknown !== undefined ? `"${unknown}" is not an option` : null;
+  }
+
+  // single / conditional
+  return options.includes(value) ? null : `must be one of: ${options.join(', ')}`;
+}
+
+/**
+ * Validate an answer (value or { value, followUp }) and normalize it
+ * @returns {Object} { answer } or { error }
+ */
+function normalizeAnswer(question, rawAnswer) {
+  const isWrapped = rawAnswer && typeof rawAnswer === 'object' && !Array.isArray(rawAnswer);
+  const value = isWrapped ? rawAnswer.value : rawAnswer;
+  const followUpValue = isWrapped ? rawAnswer.followUp ?? null : null;
+
+  const valueError = validateAnswerValue(question.type, question.options || [], value);
+  if (valueError) return { error: `${question.id}: answer ${valueError}` };
+
+  let followUp = null;
+  if (question.type === 'conditional') {
+    const triggered = value === question.followUp.showIf;
+    if (triggered && followUpValue != null) {
+      const followUpError = validateAnswerValue(question.followUp.type, question.followUp.options || [], followUpValue);
+      if (followUpError) return { error: `${question.id}: followUp answer ${followUpError}` };
+      followUp = followUpValue;
+    } else if (!triggered && followUpValue != null) {
+      return { error: `${question.id}: followUp is only asked when the answer is "${question.followUp.showIf}"` };
+    }
+  } else if (followUpValue != null) {
+    return { error: `${question.id}: only conditional questions take a followUp answer` };
+  }
+
+  return { answer: { value: typeof value === 'string' ? value.trim() : value, followUp } };
+}
+
+/**
+ * Save answers (partial submissions allowed; an answer replaces the previous one)
+ * @param {string} uid - User ID
+ * @param {string} questionnaireId - Questionnaire ID
+ * @param {Object} answers - { [questionId]: value | { value, followUp } }
+ * @returns {Promise<Object>} Questionnaire summary with the missing question ids
+ * @throws {Object} QUESTIONNAIRE_NOT_FOUND, QUESTIONNAIRE_COMPLETED (409), INVALID_ANSWERS (400)
+ */
+export async function submitAnswers(uid, questionnaireId, answers) {
+  const questionnaire = await getQuestionnaire(uid, questionnaireId);
+
+  if (questionnaire.status === 'completed') {
+    throw {
+      code: 'QUESTIONNAIRE_COMPLETED',
+      message: 'Questionnaire is already completed',
+      statusCode: 409,
+    };
+  }
+
+  const questionsById = new Map(questionnaire.questions.map(q => [q.id, q]));
+  const errors = [];
+  const updates = {};
+  const now = new Date().toISOString();
+
+  Object.entries(answers).forEach(([questionId, rawAnswer]) => {
+    const question = questionsById.get(questionId);
+    if (!question) {
+      errors.push(`${questionId}: unknown question`);
+      return;
+    }
+    const { answer, error } = normalizeAnswer(question, rawAnswer);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+    updates[questionId] = { ...answer, answeredAt: now };
+  });
+
+  if (errors.length > 0) {
+    throw {
+      code: 'INVALID_ANSWERS',
+      message: errors.join('; '),
+      statusCode: 400,
+    };
+  }
+
+  const mergedAnswers = { ...questionnaire.answers, ...updates };
+  const answeredCount = Object.keys(mergedAnswers).length;
+
+  const fieldUpdates = { answeredCount, updatedAt: now };
+  Object.entries(updates).forEach(([questionId, answer]) => {
+    fieldUpdates[`answers.${questionId}`] = answer;
+  });
+  await updateDoc(getQuestionnaireRef(uid, questionnaireId), fieldUpdates);
+
+  return {
+    ...summarizeQuestionnaire(questionnaireId, { ...questionnaire, answeredCount, updatedAt: now }),
+    missing: getMissingAnswers(questionnaire.questions, mergedAnswers),
+  };
+}
+
+/**
+ * Question ids still needing an answer (including triggered follow-ups)
+ * @returns {Array<string>} e.g. ["q3", "q2.followUp"]
+ */
+function getMissingAnswers(questions, answers) {
+  const missing = [];
+  questions.forEach(question => {
+    const answer = answers[question.id];
+    if (!answer) {
+      missing.push(question.id);
+    } else if (question.type === 'conditional' && answer.value === question.followUp.showIf && answer.followUp == null) {
+      missing.push(`${question.id}.followUp`);
+    }
+  });
+  return missing;
+}
+
+/**
+ * Format an answer for the coach
+ */
+function formatAnswer(question, answer) {
+  const value = Array.isArray(answer.value) ? answer.value.join(', ') : answer.value;
+  if (question.type === 'conditional' && answer.followUp != null) {
+    const followUp = Array.isArray(answer.followUp) ? answer.followUp.join(', ') : answer.followUp;
+    return `${value} (${question.followUp.question} ${followUp})`;
+  }
+  return value;
+}
+
+/**
+ * Mark a questionnaire completed and add its answers to the user's profile
+ * @param {string} uid - User ID
+ * @param {string} questionnaireId - Questionnaire ID
+ * @returns {Promise<Object>} Questionnaire summary
+ * @throws {Object} QUESTIONNAIRE_INCOMPLETE (409) with the missing question ids
+ */
+export async function completeQuestionnaire(uid, questionnaireId) {
+  const questionnaire = await getQuestionnaire(uid, questionnaireId);
+
+  if (questionnaire.status === 'completed') {
+    return summarizeQuestionnaire(questionnaireId, questionnaire);
+  }
+
+  const missing = getMissingAnswers(questionnaire.questions, questionnaire.answers);
+  if (missing.length > 0) {
+    throw {
+      code: 'QUESTIONNAIRE_INCOMPLETE',
+      message: `Unanswered: ${missing.join(', ')}`,
+      statusCode: 409,
+      missing,
+    };
+  }
+
+  const now = new Date().toISOString();
+
+  // ============ UPDATE PROFILE ============
+  // Re-answered questions replace their earlier entry
+  const profileSnap = await getDoc(getProfileRef(uid));
+  const newEntries = questionnaire.questions.map(question => ({
+    questionnaireId,
+    category: questionnaire.category,
+    question: question.question,
+    answer: formatAnswer(question, questionnaire.answers[question.id]),
+    answeredAt: questionnaire.answers[question.id].answeredAt,
+  }));
+  const newQuestions = new Set(newEntries.map(entry => entry.question));
+  const previousEntries = profileSnap.exists() ? profileSnap.data().entries || [] : [];
+  const entries = [
+    ...previousEntries.filter(entry => !newQuestions.has(entry.question)),
+    ...newEntries,
+  ].slice(-MAX_PROFILE_ENTRIES);
+
+  await setDoc(getProfileRef(uid), { entries, updatedAt: now });
+
+  await updateDoc(getQuestionnaireRef(uid, questionnaireId), {
+    status: 'completed',
+    completedAt: now,
+    updatedAt: now,
+  });
+
+  console.log(`✅ Completed questionnaire ${questionnaireId} for ${uid}`);
+
+  return summarizeQuestionnaire(questionnaireId, {
+    ...questionnaire,
+    status: 'completed',
+    completedAt: now,
+    updatedAt: now,
+  });
+}
+
+/**
+ * Get the answers from the user's completed questionnaires
+ * @param {string} uid - User ID
+ * @returns {Promise<Object>} { entries, updatedAt }
+ */
+export async function getQuestionnaireProfile(uid) {
+  const profileSnap = await getDoc(getProfileRef(uid));
+  if (!profileSnap.exists()) {
+    return { entries: [], updatedAt: null };
+  }
+  const data = profileSnap.data();
+  return { entries: data.entries || [], updatedAt: data.updatedAt || null };
+}
+
+/**
+ * Add the user's questionnaire profile to a chat as a system message
+ * Inserted after the leading system messages (persona / conversation prompt) so the
+ * coach's own instructions come first. Never throws - chat works without a profile.
+ *
+ * @param {string} uid - User ID
+ * @param {Array} messages - Chat messages
+ * @returns {Promise<Object>} { messages, profileEntries }
+ */
+export async function withQuestionnaireProfile(uid, messages) {
+  try {
+    const { entries } = await getQuestionnaireProfile(uid);
+    if (entries.length === 0) return { messages, profileEntries: 0 };
+
+    // Newest answers first, so trimming drops the oldest
+    let content = 'What the user told you in their onboarding questionnaires (use it to personalize your answers, do not repeat it back verbatim):';
+    let included = 0;
+    for (const entry of [...entries].reverse()) {
+      const line = `\n- ${entry.question} ${entry.answer}`;
+      if (content.length + line.length > MAX_PROFILE_CONTEXT_CHARS) break;
+      content += line;
+      included++;
+    }
+
+    const insertAt = messages.findIndex(message => message.role !== 'system');
+    const profileMessage = { role: 'system', content };
+    const withProfile = insertAt === -1
+      ? [...messages, profileMessage]
+      : [...messages.slice(0, insertAt), profileMessage, ...messages.slice(insertAt)];
+
+    return { messages: withProfile, profileEntries: included };
+  } catch (error) {
+    console.error('⚠️ Failed to load questionnaire profile:', error.message);
+    return { messages, profileEntries: 0 };
+  }
+}
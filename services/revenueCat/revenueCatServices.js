@@ -12,6 +12,7 @@ import {
   increment,
   Timestamp,
 } from "firebase/firestore";
+import { DEFAULT_PLAN_ID, findPlanByEntitlements } from "../planCatalogService.js";
 
 const REFERRAL_DISCOUNT_RATE = 0.1;
 
@@ -20,6 +21,12 @@ function getEventAmount(event) {
   return typeof amount === "number" && amount > 0 ? amount : 0;
 }
 
+// Plan the event's entitlements map to in the plan catalog (premium when none is mapped)
+function getEventPlanId(event) {
+  const entitlementIds = event.entitlement_ids || (event.entitlement_id ? [event.entitlement_id] : []);
+  return findPlanByEntitlements(entitlementIds)?.id || "premium";
+}
+
 function getEventTransactionId(event) {
   return event.transaction_id || event.id || null;
 }
@@ -279,12 +286,13 @@ export const handleRevenueCatWebhook = async (payload) => {
     switch (eventType) {
       case "INITIAL_PURCHASE":
       case "RENEWAL":
-      case "UNCANCELLATION":
+      case "UNCANCELLATION": {
+        const planId = getEventPlanId(event);
         await updateDoc(userRef, {
-          plan: "premium",
+          plan: planId,
           upgradedAt: new Date().toISOString(),
         });
-        console.log(`✅ User ${subscriberId} upgraded to premium`);
+        console.log(`✅ User ${subscriberId} upgraded to ${planId}`);
 
         if (eventType === "INITIAL_PURCHASE" || eventType === "RENEWAL") {
           try {
@@ -294,14 +302,15 @@ export const handleRevenueCatWebhook = async (payload) => {
           }
         }
         break;
+      }
 
       case "CANCELLATION":
       case "EXPIRED":
         await updateDoc(userRef, {
-          plan: "free",
+          plan: DEFAULT_PLAN_ID,
           downgradedAt: new Date().toISOString(),
         });
-        console.log(`⚠️ User ${subscriberId} downgraded to free`);
+        console.log(`⚠️ User ${subscriberId} downgraded to ${DEFAULT_PLAN_ID}`);
         break;
 
       default:
@@ -0,0 +1,53 @@
+/**
+ * Cloud Storage TTS Cache Store
+ * Shared speech cache for services/ttsCacheService.js, so every instance serves the
+ * audio generated by any other
+ *
+ * Bucket layout:
+ *   <prefix>/<key>.mp3   (custom metadata: model, voice)
+ *
+ * Uses the Firebase Admin app initialized in korpo.js. Objects are immutable (the key is
+ * a content hash), so a bucket lifecycle rule on age is the only cleanup needed.
+ */
+
+import admin from 'firebase-admin';
+
+/**
+ * Create a Cloud Storage-backed TTS cache store
+ * @param {Object} options - { bucket (default: the Firebase app's bucket), prefix }
+ * @returns {Object} Store with get(key), put(key, audio, metadata)
+ */
+export function createStorageTtsCacheStore({ bucket: bucketName, prefix = 'tts-cache' } = {}) {
+  const getFile = (key) => {
+    const bucket = bucketName ? admin.storage().bucket(bucketName) : admin.storage().bucket();
+    return bucket.file(`${prefix}/${key}.mp3`);
+  };
+
+  return {
+    name: 'storage',
+
+    async get(key) {
+      try {
+        const [audio] = await getFile(key).download();
+        return audio;
+      } catch (error) {
+        if (error.code === 404) return null;
+        throw error;
+      }
+    },
+
+    async put(key, audio, metadata = {}) {
+      await getFile(key).save(audio, {
+        resumable: false,
+        contentType: metadata.mimeType || 'audio/mpeg',
+        metadata: {
+          cacheControl: 'private, max-age=31536000, immutable',
+          metadata: {
+            model: metadata.model || '',
+            voice: metadata.voice || '',
+          },
+        },
+      });
+    },
+  };
+}
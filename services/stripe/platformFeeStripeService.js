@@ -50,8 +50,8 @@ export async function createPlatformFeeCheckoutSession({
       };
     }
 
-    // Get platform fee amount
-    const platformFeeAmount = getPlatformFee();
+    // Get platform fee amount (the user's plan's fee)
+    const platformFeeAmount = platformFeeStatus.amount ?? getPlatformFee();
 
     // Create checkout session
     const session = await stripe.checkout.sessions.create({
@@ -8,6 +8,8 @@ import dotenv from 'dotenv';
 import { db } from '../../firebase.js';
 import { doc, getDoc, updateDoc, setDoc, collection, addDoc } from 'firebase/firestore';
 import { getPlatformFee } from '../../utils/platformFeeHelper.js';
+import { resolvePlan } from '../planCatalogService.js';
+import { COST_BASIS } from '../../utils/tokenPricing.js';
 
 dotenv.config();
 
@@ -86,12 +88,14 @@ export async function createStripeProducts() {
 /**
  * Create subscription checkout session for first-time platform fee payment
  * This saves the payment method and creates a subscription for automatic billing
+ * Prices are the plan's Stripe price IDs from the plan catalog (planId, default premium)
  */
 export async function createSubscriptionCheckout({
   userId,
   userEmail,
   successUrl,
-  cancelUrl
+  cancelUrl,
+  planId = 'premium'
 }) {
   try {
     if (!userId) {
@@ -101,12 +105,12 @@ export async function createSubscriptionCheckout({
     // Get or create Stripe customer
     const customer = await getOrCreateStripeCustomer(userId, userEmail);
 
-    // Get platform fee price ID (you'll need to store this from createStripeProducts)
-    const platformPriceId = process.env.STRIPE_PLATFORM_PRICE_ID;
-    const usagePriceId = process.env.STRIPE_USAGE_PRICE_ID;
+    // Plan's price IDs (built-in premium: STRIPE_PLATFORM_PRICE_ID / STRIPE_USAGE_PRICE_ID from createStripeProducts)
+    const plan = await resolvePlan(planId);
+    const { platformPriceId, usagePriceId } = plan.stripe;
 
     if (!platformPriceId || !usagePriceId) {
-      throw new Error('Stripe price IDs not configured. Run createStripeProducts first.');
+      throw new Error(`Stripe price IDs not configured for the ${plan.id} plan. Run createStripeProducts first or set them in the plan catalog.`);
     }
 
     // Create checkout session with subscription mode
@@ -137,7 +141,8 @@ export async function createSubscriptionCheckout({
       subscription_data: {
         metadata: {
           userId,
-          type: 'premium_subscription'
+          type: 'premium_subscription',
+          plan: plan.id
         }
       }
     });
@@ -217,7 +222,8 @@ export async function handleSubscriptionCreated(subscription) {
     await updateDoc(userRef, {
       stripeSubscriptionId: subscription.id,
       subscriptionStatus: subscription.status,
-      plan: 'premium',
+      // Plan the checkout was created for (older subscriptions carry none)
+      plan: subscription.metadata.plan || 'premium',
       upgradedAt: new Date().toISOString(),
       billingAnniversaryDay: new Date().getDate(),
       currentPeriodStart: new Date(subscription.current_period_start * 1000).toISOString(),
@@ -253,8 +259,8 @@ export async function trackApiUsage(userId, cost) {
       return;
     }
 
-    // Get usage price ID
-    const usagePriceId = process.env.STRIPE_USAGE_PRICE_ID;
+    // Get usage price ID of the user's plan (the default one for plans without their own)
+    const usagePriceId = (await resolvePlan(userData.plan)).stripe.usagePriceId || process.env.STRIPE_USAGE_PRICE_ID;
     
     // Report usage to Stripe (cost in cents)
     await stripe.subscriptionItems.createUsageRecord(
@@ -270,6 +276,7 @@ export async function trackApiUsage(userId, cost) {
     await addDoc(collection(db, 'usage_tracking'), {
       userId,
       cost,
+      costBasis: COST_BASIS,
       timestamp: new Date().toISOString(),
       subscriptionId,
       reportedToStripe: true
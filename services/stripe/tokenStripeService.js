@@ -81,7 +81,7 @@ export async function createTokenPurchaseSession({
 
     // Backend recalculates price independently (mandatory validation)
     // Simplified: tokens are free, only platform fee applies
-    let platformFeeAmount = platformFeeRequired ? getPlatformFee() : 0;
+    let platformFeeAmount = platformFeeRequired ? platformFeeStatus.amount ?? getPlatformFee() : 0;
     
     // ---- 🆕 APPLY DISCOUNT FROM PROMO CODE ----
     try {
@@ -239,7 +239,7 @@ export async function createTokenPaymentIntent({ userId, tokens, price }) {
     const platformFeeRequired = platformFeeStatus.required;
 
     // Backend recalculates price independently
-    const platformFeeAmount = platformFeeRequired ? getPlatformFee() : 0;
+    const platformFeeAmount = platformFeeRequired ? platformFeeStatus.amount ?? getPlatformFee() : 0;
     const totalPrice = platformFeeAmount;
 
     // Validate total price if provided
@@ -0,0 +1,612 @@
+/**
+ * Transcription Job Service
+ * Transcribes recordings longer than the 25 MB /api/ai/transcribe limit
+ *
+ * Flow:
+ *   1. createUploadSession   - client announces the file size
+ *   2. appendUploadChunk     - client PATCHes bytes at Upload-Offset (resumable: on a dropped
+ *                              connection it asks for the offset and continues from there)
+ *   3. completeUpload        - file is measured, its length reserved against the audio quota and queued
+ *   4. processJob            - split on silence, transcribe chunks in parallel, stitch
+ *   5. getTranscriptionJob   - client polls for progress and the final transcript
+ *
+ * Uploads are streamed to os.tmpdir() and never held in memory. To keep one user from
+ * filling the disk, a user can have at most MAX_OPEN_UPLOADS_PER_USER uploads on disk
+ * (unfinished or still being transcribed) totalling MAX_UPLOAD_BYTES_PER_USER, and a new
+ * upload must fit the remaining audio quota at MAX_BYTES_PER_AUDIO_SECOND before any byte
+ * is accepted. Upload sessions and jobs
+ * live in this process (the audio is on this instance's disk), so multi-instance
+ * deployments need sticky sessions for /api/ai/transcribe/*.
+ *
+ * The recording's length is reserved against the monthly audio quota when the job is
+ * queued (so parallel uploads cannot overspend it together) and billed as one request once
+ * every chunk has been transcribed; a failed job releases the reservation. Billing is
+ * retried, and a job whose billing still fails stays in memory (billingPending) and is
+ * retried by the sweep until it succeeds.
+ */
+
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import {
+  checkCanUseTokens,
+  getUserLimits,
+  reserveAudioSeconds,
+  commitAudioReservation,
+  releaseAudioReservation,
+} from './usageService.js';
+import { transcribeAudio } from './ai/aiProviderService.js';
+import { calculateAudioCost } from '../utils/tokenPricing.js';
+import { getAudioFileDurationSeconds } from '../utils/audioDuration.js';
+import { detectSilences, planChunks, extractChunk } from '../utils/audioSplitter.js';
+import { formatSubtitles } from '../utils/transcriptionOptions.js';
+
+const UPLOAD_ROOT = path.join(os.tmpdir(), 'korpo-transcribe');
+
+// 500 MB covers several hours of compressed speech
+export const MAX_UPLOAD_BYTES = 500 * 1024 * 1024;
+// Per user, across uploads still on disk
+const MAX_OPEN_UPLOADS_PER_USER = Number(process.env.TRANSCRIBE_MAX_OPEN_UPLOADS) || 3;
+const MAX_UPLOAD_BYTES_PER_USER = (Number(process.env.TRANSCRIBE_MAX_USER_UPLOAD_MB) || 1024) * 1024 * 1024;
+// Densest audio worth sending (48 kHz 16-bit stereo PCM) - bounds the bytes the remaining
+// audio quota can account for
+const MAX_BYTES_PER_AUDIO_SECOND = 192 * 1000;
+const CHUNK_CONCURRENCY = 3;
+const TRANSCRIPTION_MODEL = 'whisper-1';
+
+// Unfinished uploads are dropped after 24h, finished jobs are kept for polling for 1h
+const UPLOAD_TTL_MS = 24 * 60 * 60 * 1000;
+const JOB_TTL_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+// Billing attempts when a job completes (1s, 2s, 4s apart), then once per sweep
+const BILLING_ATTEMPTS = 3;
+const BILLING_RETRY_BASE_MS = 1000;
+
+const uploads = new Map();
+const jobs = new Map();
+
+function getUploadDir(uploadId) {
+  return path.join(UPLOAD_ROOT, uploadId);
+}
+
+async function removeUploadDir(uploadId) {
+  try {
+    await fsPromises.rm(getUploadDir(uploadId), { recursive: true, force: true });
+  } catch (error) {
+    console.error(`⚠️ Failed to remove upload ${uploadId}:`, error.message);
+  }
+}
+
+/**
+ * Public view of an upload session
+ */
+function serializeUpload(upload) {
+  return {
+    id: upload.id,
+    filename: upload.filename,
+    totalBytes: upload.totalBytes,
+    offset: upload.offset,
+    status: upload.status,
+    jobId: upload.jobId,
+    createdAt: new Date(upload.createdAt).toISOString(),
+    expiresAt: new Date(upload.createdAt + UPLOAD_TTL_MS).toISOString(),
+  };
+}
+
+/**
+ * Public view of a job (result only once completed)
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    task: job.options.task,
+    responseFormat: job.options.responseFormat,
+    progress: {
+      chunksTotal: job.chunksTotal,
+      chunksCompleted: job.chunksCompleted,
+      percent: job.chunksTotal > 0 ? Math.round((job.chunksCompleted / job.chunksTotal) * 100) : 0,
+    },
+    audioSeconds: Math.round(job.audioSeconds * 100) / 100,
+    ...(job.status === 'completed' && { result: job.result, usage: job.usage }),
+    ...(job.status === 'failed' && { error: job.error }),
+    createdAt: new Date(job.createdAt).toISOString(),
+    completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null,
+  };
+}
+
+function getOwnedUpload(uid, uploadId) {
+  const upload = uploads.get(uploadId);
+  // Other users' uploads are reported as missing, not forbidden
+  if (!upload || upload.uid !== uid) {
+    throw {
+      code: 'UPLOAD_NOT_FOUND',
+      message: 'Upload not found or expired',
+      statusCode: 404
+    };
+  }
+  return upload;
+}
+
+/**
+ * Start a resumable upload
+ * Checks the voice limits, the user's open uploads and that the upload (with the user's
+ * other open uploads) fits the remaining audio quota, before any byte is accepted.
+ *
+ * @param {string} uid - User ID
+ * @param {Object} data - { filename, mimetype, totalBytes, language, options }
+ *   options: parsed transcription options (see utils/transcriptionOptions.js)
+ * @returns {Promise<Object>} Upload session
+ * @throws {Object} INVALID_UPLOAD_SIZE (400), FILE_TOO_LARGE (413), LIMIT_EXCEEDED (429),
+ *   AUDIO_QUOTA_EXCEEDED (429), TOO_MANY_UPLOADS (429)
+ */
+export async function createUploadSession(uid, { filename, mimetype, totalBytes, language, options }) {
+  if (!Number.isInteger(totalBytes) || totalBytes <= 0) {
+    throw {
+      code: 'INVALID_UPLOAD_SIZE',
+      message: 'totalBytes must be a positive integer',
+      statusCode: 400
+    };
+  }
+  if (totalBytes > MAX_UPLOAD_BYTES) {
+    throw {
+      code: 'FILE_TOO_LARGE',
+      message: `File is larger than the ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB limit`,
+      statusCode: 413
+    };
+  }
+
+  const canUse = await checkCanUseTokens(uid);
+  if (!canUse.allowedVoice) {
+    throw {
+      code: 'LIMIT_EXCEEDED',
+      message: canUse.voiceBlockedReason || canUse.reason || 'Limit exceeded',
+      statusCode: 429
+    };
+  }
+
+  // Counted after the await and registered right below, so parallel requests see each other
+  const openUploads = [...uploads.values()].filter(upload => upload.uid === uid);
+  const openBytes = openUploads.reduce((sum, upload) => sum + upload.totalBytes, 0);
+  if (openUploads.length >= MAX_OPEN_UPLOADS_PER_USER) {
+    throw {
+      code: 'TOO_MANY_UPLOADS',
+      message: `At most ${MAX_OPEN_UPLOADS_PER_USER} uploads can be open at once, complete or wait for one first`,
+      statusCode: 429
+    };
+  }
+  if (openBytes + totalBytes > MAX_UPLOAD_BYTES_PER_USER) {
+    throw {
+      code: 'TOO_MANY_UPLOADS',
+      message: `Open uploads cannot exceed ${MAX_UPLOAD_BYTES_PER_USER / (1024 * 1024)} MB in total`,
+      statusCode: 429
+    };
+  }
+  if (openBytes + totalBytes > canUse.remainingAudioSeconds * MAX_BYTES_PER_AUDIO_SECOND) {
+    throw {
+      code: 'AUDIO_QUOTA_EXCEEDED',
+      message: `Only ${Math.floor(canUse.remainingAudioSeconds)}s of the monthly transcription quota is left, not enough for this upload`,
+      statusCode: 429,
+      remainingAudioSeconds: canUse.remainingAudioSeconds
+    };
+  }
+
+  const id = uuidv4();
+  const extension = path.extname(filename || '').toLowerCase() || '.m4a';
+  const filePath = path.join(getUploadDir(id), `source${extension}`);
+
+  const upload = {
+    id,
+    uid,
+    filename: filename || `audio${extension}`,
+    mimetype: mimetype || null,
+    totalBytes,
+    offset: 0,
+    filePath,
+    language: language || 'en',
+    options,
+    status: 'uploading',
+    writing: false,
+    jobId: null,
+    createdAt: Date.now(),
+  };
+  uploads.set(id, upload);
+
+  try {
+    await fsPromises.mkdir(getUploadDir(id), { recursive: true });
+    await fsPromises.writeFile(filePath, '');
+  } catch (error) {
+    uploads.delete(id);
+    await removeUploadDir(id);
+    throw error;
+  }
+
+  console.log(`✅ Created upload ${id} for ${uid}: ${totalBytes} bytes`);
+  return serializeUpload(upload);
+}
+
+/**
+ * Get an upload session (used to resume after a dropped connection)
+ * @param {string} uid - User ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Object} Upload session
+ */
+export function getUploadSession(uid, uploadId) {
+  return serializeUpload(getOwnedUpload(uid, uploadId));
+}
+
+/**
+ * Append bytes to an upload
+ * The client sends the offset it thinks the upload is at; a mismatch (e.g. a retried PATCH
+ * that had already landed) is rejected so bytes are never written twice.
+ *
+ * @param {string} uid - User ID
+ * @param {string} uploadId - Upload ID
+ * @param {number} offset - Byte offset the data starts at
+ * @param {Readable} source - Request stream
+ * @returns {Promise<Object>} Upload session with the new offset
+ */
+export async function appendUploadChunk(uid, uploadId, offset, source) {
+  const upload = getOwnedUpload(uid, uploadId);
+
+  if (upload.status !== 'uploading') {
+    throw {
+      code: 'UPLOAD_ALREADY_COMPLETED',
+      message: 'Upload is already completed',
+      statusCode: 409
+    };
+  }
+  if (upload.writing) {
+    throw {
+      code: 'UPLOAD_IN_PROGRESS',
+      message: 'Another request is writing to this upload',
+      statusCode: 409
+    };
+  }
+  if (offset !== upload.offset) {
+    throw {
+      code: 'OFFSET_MISMATCH',
+      message: `Upload is at offset ${upload.offset}, not ${offset}`,
+      statusCode: 409,
+      offset: upload.offset
+    };
+  }
+
+  upload.writing = true;
+  const startOffset = upload.offset;
+  let received = 0;
+
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (startOffset + received > upload.totalBytes) {
+        return callback(Object.assign(new Error('Upload is larger than the announced totalBytes'), { code: 'UPLOAD_TOO_LARGE' }));
+      }
+      callback(null, chunk);
+    }
+  });
+
+  try {
+    await pipeline(source, counter, fs.createWriteStream(upload.filePath, { flags: 'a' }));
+    upload.offset = startOffset + received;
+    return serializeUpload(upload);
+  } catch (error) {
+    // Roll back a partial write so the client can retry from the same offset
+    await fsPromises.truncate(upload.filePath, startOffset).catch(() => {});
+    upload.offset = startOffset;
+
+    if (error.code === 'UPLOAD_TOO_LARGE') {
+      throw {
+        code: 'UPLOAD_TOO_LARGE',
+        message: error.message,
+        statusCode: 413
+      };
+    }
+    throw {
+      code: 'UPLOAD_INTERRUPTED',
+      message: `Upload interrupted, resume from offset ${startOffset}`,
+      statusCode: 400,
+      offset: startOffset
+    };
+  } finally {
+    upload.writing = false;
+    upload.updatedAt = Date.now();
+  }
+}
+
+/**
+ * Finish an upload and queue its transcription job
+ * Checks the voice limits and reserves the recording's length against the audio-minutes quota.
+ *
+ * @param {string} uid - User ID
+ * @param {string} uploadId - Upload ID
+ * @returns {Promise<Object>} Job (status: queued)
+ */
+export async function completeUpload(uid, uploadId) {
+  const upload = getOwnedUpload(uid, uploadId);
+
+  if (upload.jobId) {
+    return serializeJob(jobs.get(upload.jobId));
+  }
+  if (upload.writing || upload.offset !== upload.totalBytes) {
+    throw {
+      code: 'UPLOAD_INCOMPLETE',
+      message: `Upload has ${upload.offset} of ${upload.totalBytes} bytes`,
+      statusCode: 409,
+      offset: upload.offset
+    };
+  }
+
+  if (upload.status === 'completing') {
+    throw {
+      code: 'UPLOAD_IN_PROGRESS',
+      message: 'Upload is already being completed',
+      statusCode: 409
+    };
+  }
+
+  // Blocks further PATCHes and concurrent completes while the file is checked
+  upload.status = 'completing';
+  let audioSeconds;
+  let reservation;
+  try {
+    audioSeconds = await getAudioFileDurationSeconds(upload.filePath, {
+      mimetype: upload.mimetype,
+      originalname: upload.filename,
+    });
+
+    const canUse = await checkCanUseTokens(uid);
+    if (!canUse.allowedVoice) {
+      throw {
+        code: 'LIMIT_EXCEEDED',
+        message: canUse.voiceBlockedReason || canUse.reason || 'Limit exceeded',
+        statusCode: 429
+      };
+    }
+
+    // Throws AUDIO_QUOTA_EXCEEDED when the recording doesn't fit next to other queued jobs
+    const userLimits = await getUserLimits(uid);
+    reservation = await reserveAudioSeconds(uid, audioSeconds, userLimits.limits, { endpoint: 'transcribe-job' });
+  } catch (error) {
+    // Uploaded bytes are kept so the client can retry once quota frees up
+    upload.status = 'uploading';
+    throw error;
+  }
+
+  const job = {
+    id: uuidv4(),
+    uid,
+    uploadId,
+    status: 'queued',
+    options: upload.options,
+    language: upload.language,
+    audioSeconds,
+    reservation,
+    billingPending: false,
+    chunksTotal: 0,
+    chunksCompleted: 0,
+    result: null,
+    usage: null,
+    error: null,
+    createdAt: Date.now(),
+    completedAt: null,
+  };
+  jobs.set(job.id, job);
+  upload.status = 'completed';
+  upload.jobId = job.id;
+
+  console.log(`✅ Queued transcription job ${job.id} for ${uid}: ${Math.round(audioSeconds)}s of audio`);
+
+  processJob(job, upload).catch((error) => {
+    console.error(`🔥 Transcription job ${job.id} crashed:`, error.message);
+  });
+
+  return serializeJob(job);
+}
+
+/**
+ * Run async work over items with at most `limit` in flight
+ */
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function run() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, run));
+  return results;
+}
+
+/**
+ * Transcribe one chunk and shift its timestamps onto the recording's timeline
+ */
+async function transcribeChunk(job, upload, chunk) {
+  const chunkPath = path.join(getUploadDir(upload.id), `chunk-${chunk.index}.mp3`);
+  await extractChunk(upload.filePath, chunkPath, chunk);
+
+  try {
+    const { task, timestampGranularities } = job.options;
+    const transcription = await transcribeAudio({
+      file: {
+        buffer: await fsPromises.readFile(chunkPath),
+        originalname: `chunk-${chunk.index}.mp3`,
+        mimetype: 'audio/mpeg',
+      },
+      model: TRANSCRIPTION_MODEL,
+      language: job.language,
+      task,
+      // Segments are always requested so chunks can be stitched into SRT/VTT
+      responseFormat: 'verbose_json',
+      timestampGranularities: task === 'translate'
+        ? []
+        : [...new Set(['segment', ...timestampGranularities])],
+    });
+
+    return {
+      text: (transcription.text || '').trim(),
+      language: transcription.language,
+      segments: (transcription.segments || []).map(segment => ({
+        ...segment,
+        start: segment.start + chunk.start,
+        end: segment.end + chunk.start,
+      })),
+      words: (transcription.words || []).map(word => ({
+        ...word,
+        start: word.start + chunk.start,
+        end: word.end + chunk.start,
+      })),
+    };
+  } finally {
+    await fsPromises.rm(chunkPath, { force: true });
+  }
+}
+
+/**
+ * Join chunk transcripts into one result in the requested response format
+ */
+function stitchTranscripts(job, chunkResults) {
+  const { task, responseFormat, timestampGranularities } = job.options;
+  const text = chunkResults.map(chunk => chunk.text).filter(Boolean).join(' ');
+  const segments = chunkResults
+    .flatMap(chunk => chunk.segments)
+    .map((segment, index) => ({ ...segment, id: index }));
+  const words = chunkResults.flatMap(chunk => chunk.words);
+  const language = task === 'translate' ? 'en' : (chunkResults[0]?.language || job.language);
+
+  if (responseFormat === 'srt' || responseFormat === 'vtt') {
+    return { text, language, subtitles: formatSubtitles(segments, responseFormat) };
+  }
+  if (responseFormat === 'verbose_json') {
+    return {
+      text,
+      language,
+      duration: job.audioSeconds,
+      segments,
+      ...(timestampGranularities.includes('word') && { words }),
+    };
+  }
+  return { text, language };
+}
+
+/**
+ * Bill a completed job by settling its audio reservation
+ * @returns {Promise<boolean>} Whether the usage is recorded
+ */
+async function billJob(job, attempts = BILLING_ATTEMPTS) {
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    try {
+      await commitAudioReservation(job.reservation, {
+        model: TRANSCRIPTION_MODEL,
+        timestamp: new Date(job.completedAt).toISOString()
+      });
+      job.billingPending = false;
+      return true;
+    } catch (usageError) {
+      console.error(`⚠️ Failed to record usage for transcription job ${job.id} (attempt ${attempt}/${attempts}):`, usageError.message);
+      if (attempt < attempts) {
+        await new Promise(resolve => setTimeout(resolve, BILLING_RETRY_BASE_MS * 2 ** (attempt - 1)));
+      }
+    }
+  }
+
+  job.billingPending = true;
+  return false;
+}
+
+/**
+ * Split, transcribe and stitch a job, then bill it and delete the audio
+ */
+async function processJob(job, upload) {
+  job.status = 'processing';
+
+  try {
+    const silences = await detectSilences(upload.filePath);
+    const chunks = planChunks(job.audioSeconds, silences);
+    job.chunksTotal = chunks.length;
+    console.log(`📝 Transcription job ${job.id}: ${chunks.length} chunk(s), ${silences.length} silence(s) found`);
+
+    const chunkResults = await mapWithConcurrency(chunks, CHUNK_CONCURRENCY, async (chunk) => {
+      const result = await transcribeChunk(job, upload, chunk);
+      job.chunksCompleted += 1;
+      return result;
+    });
+
+    job.result = stitchTranscripts(job, chunkResults);
+    job.status = 'completed';
+    job.completedAt = Date.now();
+
+    // ============ RECORD USAGE ============
+    // All chunks are billed together as one transcription of the full recording
+    const audioSeconds = Math.round(job.audioSeconds * 100) / 100;
+    job.usage = {
+      audioSeconds,
+      audioMinutes: Math.round((job.audioSeconds / 60) * 100) / 100,
+      cost: calculateAudioCost(TRANSCRIPTION_MODEL, job.audioSeconds),
+    };
+    if (!(await billJob(job))) {
+      console.error(`🔥 Transcription job ${job.id} completed but is not billed yet, retrying on the next sweep`);
+    }
+
+    console.log(`✅ Transcription job ${job.id} completed`);
+  } catch (error) {
+    job.status = 'failed';
+    job.error = error.message || 'Transcription failed';
+    job.completedAt = Date.now();
+    console.error(`🔥 Transcription job ${job.id} failed:`, error.message);
+    await releaseAudioReservation(job.reservation);
+  } finally {
+    uploads.delete(upload.id);
+    await removeUploadDir(upload.id);
+  }
+}
+
+/**
+ * Get a transcription job's status (and result once completed)
+ * @param {string} uid - User ID
+ * @param {string} jobId - Job ID
+ * @returns {Object} Job
+ */
+export function getTranscriptionJob(uid, jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.uid !== uid) {
+    throw {
+      code: 'JOB_NOT_FOUND',
+      message: 'Transcription job not found or expired',
+      statusCode: 404
+    };
+  }
+  return serializeJob(job);
+}
+
+// ============ CLEANUP ============
+// Expired uploads and finished jobs are swept periodically, jobs whose billing failed are
+// billed again (unref: never keeps the process alive)
+setInterval(() => {
+  const now = Date.now();
+
+  uploads.forEach((upload, uploadId) => {
+    if (upload.status === 'uploading' && !upload.writing && now - upload.createdAt > UPLOAD_TTL_MS) {
+      uploads.delete(uploadId);
+      removeUploadDir(uploadId);
+    }
+  });
+
+  jobs.forEach((job, jobId) => {
+    if (job.billingPending) {
+      billJob(job, 1).catch(() => {});
+      return;
+    }
+    if (job.completedAt && now - job.completedAt > JOB_TTL_MS) {
+      jobs.delete(jobId);
+    }
+  });
+}, SWEEP_INTERVAL_MS).unref();
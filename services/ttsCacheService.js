@@ -0,0 +1,120 @@
+/**
+ * TTS Cache Service
+ * Content-addressed cache for synthesized speech, so the same coaching cue in the same
+ * voice is generated once and then served from the cache
+ *
+ * The key is a SHA-256 of everything that changes the audio: model, text, voice, speed,
+ * delivery instructions, tone and language. Identical requests from different users
+ * share one entry.
+ *
+ * Entries live on local disk by default (TTS_CACHE_DIR, default: <tmpdir>/korpo-tts-cache).
+ * Multi-instance deployments share them through setTtsCacheStore(), e.g. with
+ * services/storageTtsCacheStore.js. A store is any object with:
+ *   get(key) -> Promise<Buffer | null>
+ *   put(key, audio: Buffer, metadata) -> Promise<void>
+ *
+ * Cache failures never fail a request - a broken store behaves like a miss.
+ */
+
+import { createHash } from 'crypto';
+import fsPromises from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Bump to invalidate every entry (e.g. when the text preparation changes)
+// v2: tones are voice profiles - v1 audio was generated from rewritten text
+const CACHE_KEY_VERSION = 2;
+
+/**
+ * Build the cache key for a TTS request
+ * @param {Object} params - { model, text, voice, speed, instructions, tone, language }
+ * @returns {string} Hex SHA-256
+ */
+export function getSpeechCacheKey({ model, text, voice, speed, instructions = '', tone = '', language = '' }) {
+  return createHash('sha256')
+    .update(JSON.stringify([
+      CACHE_KEY_VERSION,
+      model,
+      text,
+      voice,
+      Number(speed).toFixed(2),
+      instructions || '',
+      (tone || '').toLowerCase(),
+      (language || '').toLowerCase(),
+    ]))
+    .digest('hex');
+}
+
+/**
+ * Create a local disk store
+ * Files are sharded by the first two key characters: <dir>/ab/abcdef....mp3
+ * @param {Object} options - { dir }
+ * @returns {Object} Store with get(key), put(key, audio, metadata)
+ */
+export function createDiskTtsCacheStore({ dir = path.join(os.tmpdir(), 'korpo-tts-cache') } = {}) {
+  const getFilePath = (key) => path.join(dir, key.slice(0, 2), `${key}.mp3`);
+
+  return {
+    name: 'disk',
+
+    async get(key) {
+      try {
+        return await fsPromises.readFile(getFilePath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async put(key, audio) {
+      const filePath = getFilePath(key);
+      await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+      // Write then rename so a concurrent reader never sees a partial file
+      const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+      await fsPromises.writeFile(tempPath, audio);
+      await fsPromises.rename(tempPath, filePath);
+    },
+  };
+}
+
+let store = createDiskTtsCacheStore({ dir: process.env.TTS_CACHE_DIR || undefined });
+
+/**
+ * Replace the cache store (call once at startup)
+ * @param {Object} newStore - Store with get(key), put(key, audio, metadata)
+ */
+export function setTtsCacheStore(newStore) {
+  if (!newStore || typeof newStore.get !== 'function' || typeof newStore.put !== 'function') {
+    throw new Error('TTS cache store must implement get(key) and put(key, audio, metadata)');
+  }
+  store = newStore;
+  console.log(`✅ TTS cache store: ${newStore.name || 'custom'}`);
+}
+
+/**
+ * Look up cached audio
+ * @param {string} key - Cache key from getSpeechCacheKey
+ * @returns {Promise<Buffer|null>} Audio or null on a miss
+ */
+export async function getCachedSpeech(key) {
+  try {
+    return await store.get(key);
+  } catch (error) {
+    console.error(`⚠️ TTS cache (${store.name || 'custom'}) read failed, treating as miss:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Store generated audio (never throws)
+ * @param {string} key - Cache key from getSpeechCacheKey
+ * @param {Buffer} audio - MP3 audio
+ * @param {Object} metadata - { model, voice, mimeType } stored alongside where the store supports it
+ */
+export async function cacheSpeech(key, audio, metadata = {}) {
+  try {
+    await store.put(key, audio, metadata);
+  } catch (error) {
+    console.error(`⚠️ TTS cache (${store.name || 'custom'}) write failed:`, error.message);
+  }
+}
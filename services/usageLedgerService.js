@@ -0,0 +1,887 @@
+/**
+ * Usage Ledger Service
+ * Repository for the per-user monthly usage docs - every reader and writer of usage
+ * counters (limits, resets, billing, admin stats, workout tracking) goes through here
+ *
+ * Firestore layout (schema version 2):
+ *   usage/{uid}_{YYYY-MM}
+ *     {
+ *       schemaVersion: 2,
+ *       uid, month,
+ *       daily: { "2026-01-27": { chatTokens: 1200, chatRequests: 3, costUSD: 0.0012 } },
+ *       monthly: { chatTokens, chatRequests, voiceRequests, audioSeconds, moderationCalls, workouts, costUSD },
+ *       moderation: { byStage: { input: 3, output: 2 }, inputTokens: 540 },
+ *       tokenEstimates: { estimatedPromptTokens, actualPromptTokens, requests },
+ *       reservations: { [id]: { tokens | audioSeconds, date, endpoint, createdAt, expiresAt } },
+ *       lastReportedAt,
+ *       lastReset: { scope: "daily" | "monthly", date, reason, at, cleared: { chatTokens, ... } },
+ *       eventCount,                                  (events applied, = sequence of the last one)
+ *       baseline: { daily, monthly, at },            (totals before the first event)
+ *       costBasis: "per_1m",                         (unset = costUSD 1000x too high, see below)
+ *       createdAt, updatedAt, migratedAt, rebuiltAt, costRescaledAt
+ *     }
+ *   usage_events/{uid}_{idempotencyKey | uuid}      (append-only, never updated)
+ *     {
+ *       uid, month, date (null = monthly totals only), sequence,
+ *       type: "chat_tokens" | "chat_request" | "voice_request" | "audio" | "moderation"
+ *             | "workout" | "workout_migration" | "reset",
+ *       source: "client" | "server", idempotencyKey, deltas: { [metric]: amount },
+ *       details: { model, promptTokens, ... }, occurredAt, recordedAt
+ *     }
+ *   usage_legacy/{docId}   (original of every doc rewritten from an older shape)
+ *
+ * Months are UTC; days are the user's local dates (users/{uid}.timezone, UTC when unset, see
+ * services/userTimezoneService.js), so daily quotas reset at the user's midnight. Ledgers
+ * returned by readLedger / readLedgerInTransaction carry the user's timezone and local
+ * "today" (not stored). On the first UTC day of a month the user's local day can have
+ * started in the previous month's doc (east of UTC) or still be its last day (west of UTC),
+ * so that doc is read too and its bucket for the local today is attached as carriedDay
+ * (not stored): getDailyMetric and the token reservation checks add it, and the day's
+ * quota is not handed out twice. A daily reset in the new doc clears the carried part.
+ *
+ * A day only holds the metrics used that day. Days and the monthly totals are written
+ * together, so daily sums match the totals except for resets (a daily reset clears the
+ * day only, the month keeps counting) and workouts migrated from users.usageHistory
+ * (monthly only).
+ *
+ * Every change to the totals is written together with its event in one transaction, so
+ * daily / monthly are the baseline plus the month's events replayed in sequence order
+ * (rebuildLedger, scripts/rebuildUsageLedger.js). Client reports carry an idempotency key
+ * that is the event id: a retried report finds its event and is not counted twice.
+ *
+ * Version 1 docs (chatTokens.daily / requests.* / audioSeconds / moderation.daily, the
+ * dailyUsage / dailyRequests maps of the old reset code, and per-user "usage/{uid}" docs
+ * from before months were split) are converted on read. The first write to one rewrites it
+ * in the current shape; scripts/migrateUsageLedger.js converts all of them at once.
+ *
+ * Costs recorded before the pricing registry were computed per 1K tokens from per-1M prices.
+ * Ledgers created since carry costBasis (COST_BASIS in utils/tokenPricing.js); older ones
+ * (including converted version 1 docs) keep those 1000x costs in their totals or baseline
+ * until rescaleLedgerCosts / scripts/rescaleLegacyCosts.js corrects them.
+ */
+
+import { db } from '../firebase.js';
+import { randomUUID } from 'crypto';
+import {
+  doc,
+  getDoc,
+  getDocs,
+  collection,
+  query,
+  where,
+  increment,
+  runTransaction,
+} from 'firebase/firestore';
+import { getCurrentMonth, getTodayDate } from '../utils/usageHelpers.js';
+import { getUserTimezone, resolveUserTimezone } from './userTimezoneService.js';
+import { COST_BASIS } from '../utils/tokenPricing.js';
+
+export const USAGE_LEDGER_VERSION = 2;
+
+export const USAGE_METRICS = [
+  'chatTokens',
+  'chatRequests',
+  'voiceRequests',
+  'audioSeconds',
+  'moderationCalls',
+  'workouts',
+  'costUSD',
+];
+
+// Counters the plan limits are enforced on - what a reset clears
+// (cost is what gets invoiced, so it is never reset)
+export const QUOTA_METRICS = ['chatTokens', 'chatRequests', 'voiceRequests', 'audioSeconds'];
+
+const USAGE_COLLECTION = 'usage';
+const LEGACY_COLLECTION = 'usage_legacy';
+const EVENTS_COLLECTION = 'usage_events';
+const MONTHLY_DOC_ID = /^(.+)_(\d{4}-\d{2})$/;
+
+/**
+ * Usage doc id for a user and month
+ */
+export function getUsageDocId(uid, month = getCurrentMonth()) {
+  return `${uid}_${month}`;
+}
+
+/**
+ * Usage event reference (client events are keyed by their idempotency key)
+ */
+export function getUsageEventRef(uid, idempotencyKey) {
+  return doc(db, EVENTS_COLLECTION, `${uid}_${idempotencyKey}`);
+}
+
+/**
+ * Usage doc reference for a user and month
+ */
+export function getUsageRef(uid, month = getCurrentMonth()) {
+  return doc(db, USAGE_COLLECTION, getUsageDocId(uid, month));
+}
+
+/**
+ * Split a usage doc id into uid and month (null for per-user docs from before months were split)
+ * @returns {Object|null} { uid, month }
+ */
+export function parseUsageDocId(docId) {
+  const match = MONTHLY_DOC_ID.exec(docId);
+  return match ? { uid: match[1], month: match[2] } : null;
+}
+
+function emptyTotals() {
+  return Object.fromEntries(USAGE_METRICS.map(metric => [metric, 0]));
+}
+
+/**
+ * New ledger with every total at zero
+ * @param {string} uid - User ID
+ * @param {string} month - YYYY-MM
+ * @returns {Object} Ledger
+ */
+export function createEmptyLedger(uid, month) {
+  const now = new Date().toISOString();
+  return {
+    schemaVersion: USAGE_LEDGER_VERSION,
+    uid,
+    month,
+    daily: {},
+    monthly: emptyTotals(),
+    reservations: {},
+    lastReportedAt: null,
+    lastReset: null,
+    eventCount: 0,
+    costBasis: COST_BASIS,
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Whether a stored usage doc already has the current shape
+ */
+export function isCurrentLedger(data) {
+  return data?.schemaVersion === USAGE_LEDGER_VERSION;
+}
+
+function sumValues(map = {}) {
+  return Object.values(map).reduce((sum, value) => sum + (Number(value) || 0), 0);
+}
+
+/**
+ * Convert a version 1 usage doc to the current shape
+ * The dailyUsage / dailyRequests maps written by the old reset code only fill days the
+ * chatTokens / requests counters don't have.
+ *
+ * @param {Object} data - Stored doc
+ * @param {Object} fallback - { uid, month } when the doc has none
+ * @returns {Object} Ledger
+ */
+export function convertLegacyUsage(data = {}, { uid = null, month = null } = {}) {
+  const ledger = createEmptyLedger(data.uid || uid, data.month || data.chatTokens?.month || month);
+  // Version 1 costs are from before the pricing registry (see rescaleLedgerCosts)
+  delete ledger.costBasis;
+  const chatTokens = data.chatTokens || {};
+  const requests = data.requests || chatTokens.requests || {};
+
+  const addDaily = (date, metric, value) => {
+    const amount = Number(value) || 0;
+    if (!amount) return;
+    ledger.daily[date] = ledger.daily[date] || {};
+    ledger.daily[date][metric] = (ledger.daily[date][metric] || 0) + amount;
+  };
+
+  const sources = [
+    ['chatTokens', chatTokens.daily],
+    ['chatRequests', requests.chat?.daily],
+    ['voiceRequests', requests.voice?.daily],
+    ['audioSeconds', data.audioSeconds?.daily],
+    ['moderationCalls', data.moderation?.daily],
+  ];
+  sources.forEach(([metric, days]) => {
+    Object.entries(days || {}).forEach(([date, value]) => addDaily(date, metric, value));
+  });
+
+  Object.entries(data.dailyUsage || {}).forEach(([date, day]) => {
+    if (chatTokens.daily?.[date] === undefined) addDaily(date, 'chatTokens', day?.totalTokens);
+  });
+  Object.entries(data.dailyRequests || {}).forEach(([date, day]) => {
+    if (requests.chat?.daily?.[date] === undefined) addDaily(date, 'chatRequests', day?.chat);
+    if (requests.voice?.daily?.[date] === undefined) addDaily(date, 'voiceRequests', day?.voice);
+  });
+
+  ledger.monthly = {
+    ...emptyTotals(),
+    chatTokens: chatTokens.monthly ?? data.totalTokensUsed ?? sumValues(chatTokens.daily),
+    chatRequests: requests.chat?.monthly ?? sumValues(requests.chat?.daily),
+    voiceRequests: requests.voice?.monthly ?? sumValues(requests.voice?.daily),
+    audioSeconds: data.audioSeconds?.monthly ?? sumValues(data.audioSeconds?.daily),
+    moderationCalls: data.moderation?.monthly ?? sumValues(data.moderation?.daily),
+    costUSD: data.totalCostUSD ?? chatTokens.totalCostUSD ?? 0,
+  };
+
+  if (data.moderation) {
+    ledger.moderation = {
+      byStage: data.moderation.byStage || {},
+      inputTokens: data.moderation.inputTokens || 0,
+    };
+  }
+  if (data.tokenEstimates) {
+    ledger.tokenEstimates = data.tokenEstimates;
+  }
+  ledger.reservations = data.reservations || {};
+  ledger.lastReportedAt = data.lastReportedAt || chatTokens.lastReportedAt || null;
+  if (data.lastResetAt) {
+    ledger.lastReset = {
+      scope: null,
+      date: data.lastResetDate || null,
+      reason: data.lastResetReason || null,
+      at: data.lastResetAt,
+      cleared: null,
+    };
+  }
+  if (data.createdAt) {
+    ledger.createdAt = data.createdAt;
+  }
+
+  return ledger;
+}
+
+/**
+ * Read any stored usage doc as a current-shape ledger
+ * @param {Object|null} data - Stored doc (null = no doc yet)
+ * @param {Object} fallback - { uid, month }
+ * @returns {Object} Ledger
+ */
+export function normalizeLedger(data, { uid = null, month = null } = {}) {
+  if (!data) return createEmptyLedger(uid, month);
+  if (!isCurrentLedger(data)) return convertLegacyUsage(data, { uid, month });
+
+  return {
+    ...data,
+    daily: data.daily || {},
+    monthly: { ...emptyTotals(), ...(data.monthly || {}) },
+    reservations: data.reservations || {},
+    eventCount: data.eventCount || 0,
+  };
+}
+
+/**
+ * Month before a YYYY-MM month
+ */
+function getMonthBefore(month) {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, monthNumber - 2, 1));
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Previous month's doc to read for a user's ledger (see carriedDay in the header)
+ * @returns {string|null} Its month, null outside the first UTC day of the current month
+ */
+function getCarryOverMonth(month) {
+  if (month !== getCurrentMonth() || !getTodayDate().endsWith('-01')) return null;
+  return getMonthBefore(month);
+}
+
+/**
+ * Ledger with the user's timezone and local date attached, plus the previous month's usage
+ * of that date when the previous month's doc was read (carriedDay)
+ * @param {Object} ledger - Normalized ledger
+ * @param {string} timezone - User's timezone
+ * @param {Object|null} previousData - Previous month's usage doc data, if read
+ */
+function withUserDay(ledger, timezone, previousData = null) {
+  const today = getTodayDate(timezone);
+  const withDay = { ...ledger, timezone, today };
+
+  // A daily (or monthly) reset today already cleared the whole day
+  if (!previousData || ledger.lastReset?.date === today) return withDay;
+
+  const previous = normalizeLedger(previousData, { uid: ledger.uid, month: getMonthBefore(ledger.month) });
+  const totals = previous.daily[today];
+  const reservations = Object.fromEntries(
+    Object.entries(previous.reservations).filter(([, reservation]) => reservation.date === today)
+  );
+  if (!totals && Object.keys(reservations).length === 0) return withDay;
+
+  return {
+    ...withDay,
+    carriedDay: { date: today, month: previous.month, totals: totals || {}, reservations },
+  };
+}
+
+/**
+ * Ledger without the fields attached on read
+ */
+function toStoredLedger(ledger) {
+  const { timezone, today, carriedDay, ...stored } = ledger;
+  return stored;
+}
+
+/**
+ * Value of a metric on a day (including the part of it in the previous month's doc)
+ * @param {Object} ledger - Ledger from readLedger
+ * @param {string} metric - One of USAGE_METRICS
+ * @param {string} date - YYYY-MM-DD (default: the user's today, UTC for ledgers not read for a user)
+ */
+export function getDailyMetric(ledger, metric, date = ledger?.today || getTodayDate()) {
+  const carried = ledger?.carriedDay?.date === date ? ledger.carriedDay.totals[metric] || 0 : 0;
+  return (ledger?.daily?.[date]?.[metric] || 0) + carried;
+}
+
+/**
+ * Monthly total of a metric
+ * @param {Object} ledger - Ledger from readLedger
+ * @param {string} metric - One of USAGE_METRICS
+ */
+export function getMonthlyMetric(ledger, metric) {
+  return ledger?.monthly?.[metric] || 0;
+}
+
+/**
+ * Read a user's ledger for a month (an empty ledger if nothing was recorded)
+ * Falls back to the per-user "usage/{uid}" doc when it holds the requested month.
+ *
+ * @param {string} uid - User ID
+ * @param {string} month - YYYY-MM (default: current month)
+ * @returns {Promise<Object>} Ledger (with the user's timezone and today)
+ */
+export async function readLedger(uid, month = getCurrentMonth()) {
+  try {
+    const carryOverMonth = getCarryOverMonth(month);
+    const [usageSnap, timezone, previousSnap] = await Promise.all([
+      getDoc(getUsageRef(uid, month)),
+      getUserTimezone(uid),
+      carryOverMonth ? getDoc(getUsageRef(uid, carryOverMonth)) : null,
+    ]);
+    const previousData = previousSnap?.exists() ? previousSnap.data() : null;
+    if (usageSnap.exists()) {
+      return withUserDay(normalizeLedger(usageSnap.data(), { uid, month }), timezone, previousData);
+    }
+
+    const perUserSnap = await getDoc(doc(db, USAGE_COLLECTION, uid));
+    if (perUserSnap.exists()) {
+      const data = perUserSnap.data();
+      if ((data.month || data.chatTokens?.month) === month) {
+        return withUserDay(normalizeLedger(data, { uid, month }), timezone, previousData);
+      }
+    }
+
+    return withUserDay(createEmptyLedger(uid, month), timezone, previousData);
+  } catch (error) {
+    console.error('🔥 Error reading usage ledger:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Read a ledger inside a transaction (before any write in that transaction)
+ * The user doc is read too, for the timezone the day buckets follow, and on the first UTC
+ * day of the month the previous month's doc (carriedDay).
+ * @returns {Promise<Object>} { ref, snap, ledger, uid, month }
+ */
+export async function readLedgerInTransaction(transaction, uid, month = getCurrentMonth()) {
+  const ref = getUsageRef(uid, month);
+  const snap = await transaction.get(ref);
+  const userSnap = await transaction.get(doc(db, 'users', uid));
+  const { timezone } = resolveUserTimezone(userSnap.exists() ? userSnap.data() : {});
+  const carryOverMonth = getCarryOverMonth(month);
+  const previousSnap = carryOverMonth ? await transaction.get(getUsageRef(uid, carryOverMonth)) : null;
+  const ledger = normalizeLedger(snap.exists() ? snap.data() : null, { uid, month });
+  return {
+    ref,
+    snap,
+    uid,
+    month,
+    ledger: withUserDay(ledger, timezone, previousSnap?.exists() ? previousSnap.data() : null),
+  };
+}
+
+/**
+ * Increment updates for metric deltas
+ * @param {Object} deltas - { [metric]: amount }
+ * @param {string|null} date - Day to add to (null = monthly totals only)
+ * @returns {Object} Firestore update map
+ */
+export function buildUsageUpdates(deltas = {}, date = getTodayDate()) {
+  const updates = {};
+
+  Object.entries(deltas).forEach(([metric, amount]) => {
+    if (!USAGE_METRICS.includes(metric)) {
+      throw new Error(`Unknown usage metric: ${metric}`);
+    }
+    if (!amount) return;
+    if (date) updates[`daily.${date}.${metric}`] = increment(amount);
+    updates[`monthly.${metric}`] = increment(amount);
+  });
+
+  return updates;
+}
+
+/**
+ * Ledger with deltas applied (what the doc holds once the write commits)
+ */
+export function applyUsageDeltas(ledger, deltas = {}, date = getTodayDate()) {
+  const next = {
+    ...ledger,
+    daily: { ...ledger.daily },
+    monthly: { ...ledger.monthly },
+  };
+
+  Object.entries(deltas).forEach(([metric, amount]) => {
+    if (!amount) return;
+    if (date) {
+      next.daily[date] = { ...(next.daily[date] || {}) };
+      next.daily[date][metric] = (next.daily[date][metric] || 0) + amount;
+    }
+    next.monthly[metric] = (next.monthly[metric] || 0) + amount;
+  });
+
+  return next;
+}
+
+/**
+ * Ledger with a reset applied (see resetUsage)
+ */
+function applyReset(ledger, { scope, date }) {
+  const next = {
+    ...ledger,
+    daily: { ...ledger.daily },
+    monthly: { ...ledger.monthly },
+  };
+  const dates = scope === 'daily' ? [date] : Object.keys(next.daily);
+
+  dates.forEach(day => {
+    if (!next.daily[day]) return;
+    next.daily[day] = { ...next.daily[day] };
+    QUOTA_METRICS.forEach(metric => {
+      if (next.daily[day][metric] !== undefined) next.daily[day][metric] = 0;
+    });
+  });
+  if (scope === 'monthly') {
+    QUOTA_METRICS.forEach(metric => { next.monthly[metric] = 0; });
+  }
+
+  return next;
+}
+
+/**
+ * Ledger with an event applied (replay)
+ * @param {Object} ledger - Ledger (daily / monthly)
+ * @param {Object} event - Stored usage event
+ * @returns {Object} Ledger
+ */
+export function applyUsageEvent(ledger, event) {
+  if (event.type === 'reset') {
+    return applyReset(ledger, { scope: event.details?.scope, date: event.date });
+  }
+  return applyUsageDeltas(ledger, event.deltas, event.date);
+}
+
+/**
+ * Write usage inside a transaction
+ * Creates the doc if missing and rewrites older shapes (original copied to usage_legacy)
+ * before the increments, so every write lands in the current shape. Writes that change
+ * the totals (deltas, or a reset) append their usage event in the same transaction.
+ *
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} read - Result of readLedgerInTransaction
+ * @param {Object} write - {
+ *   type: event type (required with deltas),
+ *   deltas: { [metric]: amount },
+ *   date: day the usage belongs to (default: the user's today, null = monthly totals only),
+ *   fields: extra update map (dotted paths, increment() / deleteField() allowed),
+ *   details: stored with the event (model, tokens, ...),
+ *   idempotencyKey: key the event id is built from (caller checked it is unused), null = random id,
+ *   source: 'client' | 'server' (default: client when there is an idempotencyKey),
+ *   occurredAt: when the usage happened (default: now)
+ * }
+ * @returns {Object} Ledger with the deltas applied
+ */
+export function writeUsageInTransaction(transaction, read, {
+  type = null,
+  deltas = {},
+  date = read.ledger.today,
+  fields = {},
+  details = {},
+  idempotencyKey = null,
+  source = idempotencyKey ? 'client' : 'server',
+  occurredAt = null,
+} = {}) {
+  const { ref, snap, ledger, uid, month } = read;
+  const now = new Date().toISOString();
+  const appendsEvent = type === 'reset' || Object.values(deltas).some(Boolean);
+
+  if (appendsEvent && !type) {
+    throw new Error('Usage writes that change totals need an event type');
+  }
+
+  if (!snap.exists()) {
+    transaction.set(ref, toStoredLedger(ledger));
+  } else if (!isCurrentLedger(snap.data())) {
+    transaction.set(doc(db, LEGACY_COLLECTION, ref.id), { ...snap.data(), backedUpAt: now });
+    transaction.set(ref, { ...toStoredLedger(ledger), migratedAt: now });
+    console.log(`📝 Upgraded usage doc ${uid}_${month} to schema v${USAGE_LEDGER_VERSION}`);
+  }
+
+  const eventFields = {};
+  if (appendsEvent) {
+    // Transactions on the ledger doc are serialized, so sequences are gap-free
+    const sequence = ledger.eventCount + 1;
+    const eventRef = idempotencyKey
+      ? getUsageEventRef(uid, idempotencyKey)
+      : doc(db, EVENTS_COLLECTION, `${uid}_${randomUUID()}`);
+
+    transaction.set(eventRef, {
+      uid,
+      month,
+      date,
+      sequence,
+      type,
+      source,
+      idempotencyKey,
+      deltas,
+      details,
+      occurredAt: occurredAt || now,
+      recordedAt: now,
+    });
+
+    eventFields.eventCount = sequence;
+    if (!ledger.baseline) {
+      eventFields.baseline = { daily: ledger.daily, monthly: ledger.monthly, at: now };
+    }
+  }
+
+  transaction.update(ref, {
+    ...buildUsageUpdates(deltas, date),
+    ...fields,
+    ...eventFields,
+    updatedAt: now,
+  });
+
+  return applyUsageDeltas(ledger, deltas, date);
+}
+
+/**
+ * Add usage to a user's ledger
+ * @param {string} uid - User ID
+ * @param {Object} write - { type, deltas, fields, date, details } (see writeUsageInTransaction),
+ *   month (default: current)
+ * @returns {Promise<Object>} Ledger with the deltas applied
+ */
+export async function recordUsage(uid, {
+  type = null,
+  deltas = {},
+  fields = {},
+  details = {},
+  date,
+  month = getCurrentMonth(),
+} = {}) {
+  try {
+    return await runTransaction(db, async (transaction) => {
+      const read = await readLedgerInTransaction(transaction, uid, month);
+      return writeUsageInTransaction(transaction, read, { type, deltas, date, fields, details });
+    });
+  } catch (error) {
+    console.error('🔥 Error recording usage:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Clear a user's quota counters for today or the current month
+ * daily: today's quota metrics go to 0, the monthly totals keep what was used
+ * monthly: the monthly quota totals and every day of the month go to 0
+ * Cost, moderation, workouts and reservations are never touched.
+ *
+ * @param {string} uid - User ID
+ * @param {Object} options - { scope: 'daily' | 'monthly', reason }
+ * @returns {Promise<Object>} { scope, date, month, reason, cleared: { [metric]: amount } }
+ */
+export async function resetUsage(uid, { scope = 'daily', reason = 'plan_change' } = {}) {
+  if (!['daily', 'monthly'].includes(scope)) {
+    throw new Error(`Invalid reset scope: ${scope}`);
+  }
+
+  const now = new Date().toISOString();
+
+  try {
+    return await runTransaction(db, async (transaction) => {
+      const read = await readLedgerInTransaction(transaction, uid);
+      const { ledger, month } = read;
+      // "Today" in the user's timezone
+      const { today } = ledger;
+      const fields = {};
+      const cleared = {};
+
+      QUOTA_METRICS.forEach(metric => {
+        if (scope === 'daily') {
+          cleared[metric] = getDailyMetric(ledger, metric, today);
+          if (ledger.daily[today]?.[metric] !== undefined) {
+            fields[`daily.${today}.${metric}`] = 0;
+          }
+        } else {
+          cleared[metric] = getMonthlyMetric(ledger, metric);
+          fields[`monthly.${metric}`] = 0;
+          Object.keys(ledger.daily).forEach(date => {
+            if (ledger.daily[date][metric] !== undefined) {
+              fields[`daily.${date}.${metric}`] = 0;
+            }
+          });
+        }
+      });
+
+      const lastReset = { scope, date: today, reason, at: now, cleared };
+      fields.lastReset = lastReset;
+      writeUsageInTransaction(transaction, read, {
+        type: 'reset',
+        date: today,
+        fields,
+        details: { scope, reason, cleared }
+      });
+
+      return { ...lastReset, month };
+    });
+  } catch (error) {
+    console.error(`🔥 Error resetting ${scope} usage:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * All ledgers, optionally for one user (admin stats)
+ * @param {Object} options - { uid }
+ * @returns {Promise<Array>} [{ id, ...ledger }]
+ */
+export async function listLedgers({ uid = null } = {}) {
+  try {
+    const usageCollection = collection(db, USAGE_COLLECTION);
+    const snapshot = await getDocs(uid ? query(usageCollection, where('uid', '==', uid)) : usageCollection);
+
+    return snapshot.docs.map(docSnap => {
+      const parsed = parseUsageDocId(docSnap.id);
+      return {
+        id: docSnap.id,
+        ...normalizeLedger(docSnap.data(), { uid: parsed?.uid || docSnap.id, month: parsed?.month || null }),
+      };
+    });
+  } catch (error) {
+    console.error('🔥 Error listing usage ledgers:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Metric differences between two ledgers (cost compared to 1e-9 USD)
+ * @returns {Array} [{ path, stored, rebuilt }]
+ */
+function diffTotals(stored, rebuilt) {
+  const differences = [];
+  const differs = (a = 0, b = 0) => Math.abs(a - b) > 1e-9;
+
+  USAGE_METRICS.forEach(metric => {
+    if (differs(stored.monthly[metric], rebuilt.monthly[metric])) {
+      differences.push({ path: `monthly.${metric}`, stored: stored.monthly[metric] || 0, rebuilt: rebuilt.monthly[metric] || 0 });
+    }
+  });
+
+  const dates = new Set([...Object.keys(stored.daily), ...Object.keys(rebuilt.daily)]);
+  [...dates].sort().forEach(date => {
+    USAGE_METRICS.forEach(metric => {
+      const storedValue = stored.daily[date]?.[metric];
+      const rebuiltValue = rebuilt.daily[date]?.[metric];
+      if (differs(storedValue, rebuiltValue)) {
+        differences.push({ path: `daily.${date}.${metric}`, stored: storedValue || 0, rebuilt: rebuiltValue || 0 });
+      }
+    });
+  });
+
+  return differences;
+}
+
+/**
+ * A ledger's usage events in sequence order
+ * @throws {Object} USAGE_EVENTS_INCOMPLETE (409) when events are missing (only checked
+ *   for ledgers with a baseline, the ones events were written for)
+ */
+async function loadLedgerEvents(uid, month, ledger) {
+  const eventsSnap = await getDocs(query(
+    collection(db, EVENTS_COLLECTION),
+    where('uid', '==', uid),
+    where('month', '==', month)
+  ));
+  const events = eventsSnap.docs
+    .map(docSnap => docSnap.data())
+    .sort((a, b) => a.sequence - b.sequence);
+
+  if (ledger.baseline && events.length !== ledger.eventCount) {
+    throw {
+      code: 'USAGE_EVENTS_INCOMPLETE',
+      message: `${uid} ${month}: ledger counts ${ledger.eventCount} events but ${events.length} were found`,
+      statusCode: 409,
+    };
+  }
+  return events;
+}
+
+/**
+ * Totals of a baseline with events applied in order
+ */
+function replayEvents(baseline, events) {
+  return events.reduce(applyUsageEvent, {
+    daily: baseline.daily || {},
+    monthly: { ...emptyTotals(), ...(baseline.monthly || {}) },
+  });
+}
+
+/**
+ * Stop a rewrite of the totals when usage was recorded after they were computed
+ * @throws {Object} USAGE_LEDGER_CHANGED (409)
+ */
+function assertLedgerUnchanged(currentSnap, { uid, month, eventCount }, action) {
+  if ((currentSnap.data().eventCount || 0) !== eventCount) {
+    throw {
+      code: 'USAGE_LEDGER_CHANGED',
+      message: `${uid} ${month}: new usage was recorded while ${action}, run it again`,
+      statusCode: 409,
+    };
+  }
+}
+
+/**
+ * Recompute a ledger's daily / monthly totals from its baseline and usage events
+ * Other fields (reservations, tokenEstimates, moderation.byStage, ...) are left alone.
+ *
+ * @param {string} uid - User ID
+ * @param {string} month - YYYY-MM
+ * @param {Object} options - { dryRun: true = only report the differences }
+ * @returns {Promise<Object>} { uid, month, events, differences, applied }
+ * @throws {Object} USAGE_LEDGER_NOT_FOUND (404), USAGE_EVENTS_INCOMPLETE (409),
+ *   USAGE_LEDGER_CHANGED (409, events were added while rebuilding - run it again)
+ */
+export async function rebuildLedger(uid, month, { dryRun = false } = {}) {
+  const ref = getUsageRef(uid, month);
+  const ledgerSnap = await getDoc(ref);
+  if (!ledgerSnap.exists()) {
+    throw {
+      code: 'USAGE_LEDGER_NOT_FOUND',
+      message: `No usage ledger for ${uid} in ${month}`,
+      statusCode: 404,
+    };
+  }
+
+  const ledger = normalizeLedger(ledgerSnap.data(), { uid, month });
+  const events = await loadLedgerEvents(uid, month, ledger);
+
+  const result = { uid, month, events: events.length, differences: [], applied: false };
+
+  // No baseline = no event was ever written for this month, the totals are all there is
+  if (!ledger.baseline) return result;
+
+  const rebuilt = replayEvents(ledger.baseline, events);
+  result.differences = diffTotals(ledger, rebuilt);
+
+  if (dryRun || result.differences.length === 0) return result;
+
+  try {
+    await runTransaction(db, async (transaction) => {
+      const currentSnap = await transaction.get(ref);
+      assertLedgerUnchanged(currentSnap, { uid, month, eventCount: ledger.eventCount }, 'rebuilding');
+      transaction.update(ref, {
+        daily: rebuilt.daily,
+        monthly: rebuilt.monthly,
+        rebuiltAt: new Date().toISOString(),
+      });
+    });
+    result.applied = true;
+
+    console.log(`✅ Rebuilt usage ledger ${uid}_${month} from ${events.length} events (${result.differences.length} totals corrected)`);
+
+    return result;
+  } catch (error) {
+    console.error('🔥 Error rebuilding usage ledger:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Divide the costs recorded before the pricing registry by 1000 (see COST_BASIS)
+ * Ledgers without events are scaled as they are; ledgers with events get their baseline
+ * scaled and the totals replayed from it, since events always hold per-1M costs. The
+ * ledger is marked with costBasis, so running it again changes nothing.
+ *
+ * @param {string} uid - User ID
+ * @param {string} month - YYYY-MM
+ * @param {Object} options - { dryRun: true = only report the differences }
+ * @returns {Promise<Object>} { uid, month, events, differences, applied, alreadyRescaled }
+ * @throws {Object} USAGE_LEDGER_NOT_FOUND (404), USAGE_LEDGER_NOT_MIGRATED (409),
+ *   USAGE_EVENTS_INCOMPLETE (409), USAGE_LEDGER_CHANGED (409)
+ */
+export async function rescaleLedgerCosts(uid, month, { dryRun = false } = {}) {
+  const ref = getUsageRef(uid, month);
+  const ledgerSnap = await getDoc(ref);
+  if (!ledgerSnap.exists()) {
+    throw {
+      code: 'USAGE_LEDGER_NOT_FOUND',
+      message: `No usage ledger for ${uid} in ${month}`,
+      statusCode: 404,
+    };
+  }
+  if (!isCurrentLedger(ledgerSnap.data())) {
+    throw {
+      code: 'USAGE_LEDGER_NOT_MIGRATED',
+      message: `${uid} ${month}: run scripts/migrateUsageLedger.js first`,
+      statusCode: 409,
+    };
+  }
+
+  const ledger = normalizeLedger(ledgerSnap.data(), { uid, month });
+  const result = { uid, month, events: 0, differences: [], applied: false, alreadyRescaled: false };
+
+  if (ledger.costBasis === COST_BASIS) {
+    result.alreadyRescaled = true;
+    return result;
+  }
+
+  const scaleCost = (totals = {}) => (
+    totals.costUSD ? { ...totals, costUSD: totals.costUSD / 1000 } : totals
+  );
+  const scaleTotals = ({ daily = {}, monthly = {} }) => ({
+    daily: Object.fromEntries(Object.entries(daily).map(([date, totals]) => [date, scaleCost(totals)])),
+    monthly: scaleCost(monthly),
+  });
+
+  const baseline = ledger.baseline ? { ...ledger.baseline, ...scaleTotals(ledger.baseline) } : null;
+  let rescaled;
+  if (baseline) {
+    const events = await loadLedgerEvents(uid, month, ledger);
+    result.events = events.length;
+    rescaled = replayEvents(baseline, events);
+  } else {
+    rescaled = scaleTotals(ledger);
+  }
+  result.differences = diffTotals(ledger, rescaled);
+
+  if (dryRun) return result;
+
+  try {
+    await runTransaction(db, async (transaction) => {
+      const currentSnap = await transaction.get(ref);
+      assertLedgerUnchanged(currentSnap, { uid, month, eventCount: ledger.eventCount }, 'rescaling costs');
+      transaction.update(ref, {
+        daily: rescaled.daily,
+        monthly: rescaled.monthly,
+        ...(baseline ? { baseline } : {}),
+        costBasis: COST_BASIS,
+        costRescaledAt: new Date().toISOString(),
+      });
+    });
+    result.applied = true;
+
+    console.log(`✅ Rescaled costs of usage ledger ${uid}_${month} (${result.differences.length} totals corrected)`);
+
+    return result;
+  } catch (error) {
+    console.error('🔥 Error rescaling usage ledger costs:', error.message);
+    throw error;
+  }
+}
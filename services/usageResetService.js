@@ -4,13 +4,12 @@
  * Handles resetting or adjusting usage counters during plan changes
  */
 
-import { db } from '../firebase.js';
-import { doc, getDoc, updateDoc, collection, query, where, getDocs } from 'firebase/firestore';
-import { getCurrentMonth } from '../utils/usageHelpers.js';
+import { readLedger, resetUsage, getDailyMetric, getMonthlyMetric } from './usageLedgerService.js';
 
 /**
- * Reset daily usage for a user (sets today's usage to 0)
+ * Reset daily usage for a user (sets today's quota counters to 0)
  * Useful when upgrading to give immediate access to new limits
+ * The monthly totals and the cost billed for the month are kept.
  * 
  * @param {string} uid - User ID
  * @param {string} reason - Reason for reset (e.g., 'upgrade', 'downgrade')
@@ -18,60 +17,16 @@ import { getCurrentMonth } from '../utils/usageHelpers.js';
  */
 export async function resetDailyUsage(uid, reason = 'plan_change') {
   try {
-    const currentMonth = getCurrentMonth();
-    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
-    
-    // Get current usage document
-    const usageDocId = `${uid}_${currentMonth}`;
-    const usageRef = doc(db, 'usage', usageDocId);
-    const usageSnap = await getDoc(usageRef);
-    
-    if (!usageSnap.exists()) {
-      console.log(`No usage document found for ${uid}, nothing to reset`);
-      return { resetTokens: 0, resetVoiceRequests: 0, resetChatRequests: 0 };
-    }
-    
-    const usageData = usageSnap.data();
-    const dailyUsage = usageData.dailyUsage || {};
-    const dailyRequests = usageData.dailyRequests || {};
-    
-    // Calculate what we're resetting
-    const resetTokens = dailyUsage[today]?.totalTokens || 0;
-    const resetVoiceRequests = dailyRequests[today]?.voice || 0;
-    const resetChatRequests = dailyRequests[today]?.chat || 0;
-    
-    // Reset today's usage to 0 (ensure entries exist)
-    const updatedDailyUsage = { ...dailyUsage };
-    const updatedDailyRequests = { ...dailyRequests };
-    
-    // Always ensure today's entries exist and are reset to 0
-    updatedDailyUsage[today] = {
-      totalTokens: 0,
-      totalCost: 0,
-      requests: 0
-    };
-    
-    updatedDailyRequests[today] = {
-      voice: 0,
-      chat: 0
-    };
-    
-    // Update usage document
-    await updateDoc(usageRef, {
-      dailyUsage: updatedDailyUsage,
-      dailyRequests: updatedDailyRequests,
-      lastResetDate: today,
-      lastResetReason: reason,
-      lastResetAt: new Date().toISOString()
-    });
-    
-    console.log(`✅ Reset daily usage for ${uid}: ${resetTokens} tokens, ${resetVoiceRequests} voice, ${resetChatRequests} chat`);
-    
+    const { cleared, date } = await resetUsage(uid, { scope: 'daily', reason });
+
+    console.log(`✅ Reset daily usage for ${uid}: ${cleared.chatTokens} tokens, ${cleared.voiceRequests} voice, ${cleared.chatRequests} chat`);
+
     return {
-      resetTokens,
-      resetVoiceRequests,
-      resetChatRequests,
-      resetDate: today,
+      resetTokens: cleared.chatTokens,
+      resetVoiceRequests: cleared.voiceRequests,
+      resetChatRequests: cleared.chatRequests,
+      resetAudioSeconds: cleared.audioSeconds,
+      resetDate: date,
       reason
     };
     
@@ -82,8 +37,9 @@ export async function resetDailyUsage(uid, reason = 'plan_change') {
 }
 
 /**
- * Reset monthly usage for a user (sets current month's usage to 0)
- * Use with caution - this resets ALL usage for the current month
+ * Reset monthly usage for a user (sets the current month's quota counters to 0)
+ * Use with caution - this resets ALL quota usage for the current month
+ * The cost is kept: it is what the month's invoice bills.
  * 
  * @param {string} uid - User ID
  * @param {string} reason - Reason for reset
@@ -91,49 +47,16 @@ export async function resetDailyUsage(uid, reason = 'plan_change') {
  */
 export async function resetMonthlyUsage(uid, reason = 'plan_change') {
   try {
-    const currentMonth = getCurrentMonth();
-    const usageDocId = `${uid}_${currentMonth}`;
-    const usageRef = doc(db, 'usage', usageDocId);
-    const usageSnap = await getDoc(usageRef);
-    
-    if (!usageSnap.exists()) {
-      console.log(`No usage document found for ${uid}, nothing to reset`);
-      return { resetTokens: 0, resetCost: 0 };
-    }
-    
-    const usageData = usageSnap.data();
-    const resetTokens = usageData.totalTokensUsed || 0;
-    const resetCost = usageData.totalCostUSD || 0;
-    
-    // Calculate total requests being reset
-    const dailyRequests = usageData.dailyRequests || {};
-    let resetVoiceRequests = 0;
-    let resetChatRequests = 0;
-    
-    Object.values(dailyRequests).forEach(dayRequests => {
-      resetVoiceRequests += dayRequests.voice || 0;
-      resetChatRequests += dayRequests.chat || 0;
-    });
-    
-    // Reset all usage to 0
-    await updateDoc(usageRef, {
-      totalTokensUsed: 0,
-      totalCostUSD: 0,
-      dailyUsage: {},
-      dailyRequests: {},
-      lastResetDate: new Date().toISOString().split('T')[0],
-      lastResetReason: reason,
-      lastResetAt: new Date().toISOString()
-    });
-    
-    console.log(`✅ Reset monthly usage for ${uid}: ${resetTokens} tokens, $${resetCost}`);
-    
+    const { cleared, month } = await resetUsage(uid, { scope: 'monthly', reason });
+
+    console.log(`✅ Reset monthly usage for ${uid}: ${cleared.chatTokens} tokens`);
+
     return {
-      resetTokens,
-      resetCost,
-      resetVoiceRequests,
-      resetChatRequests,
-      resetMonth: currentMonth,
+      resetTokens: cleared.chatTokens,
+      resetVoiceRequests: cleared.voiceRequests,
+      resetChatRequests: cleared.chatRequests,
+      resetAudioSeconds: cleared.audioSeconds,
+      resetMonth: month,
       reason
     };
     
@@ -201,42 +124,22 @@ export async function applyUsageAdjustment(uid, planChange, options = {}) {
  */
 export async function getCurrentUsageForPlanChange(uid) {
   try {
-    const currentMonth = getCurrentMonth();
-    const today = new Date().toISOString().split('T')[0];
-    
-    const usageDocId = `${uid}_${currentMonth}`;
-    const usageRef = doc(db, 'usage', usageDocId);
-    const usageSnap = await getDoc(usageRef);
-    
-    if (!usageSnap.exists()) {
-      return {
-        dailyTokens: 0,
-        monthlyTokens: 0,
-        dailyVoiceRequests: 0,
-        dailyChatRequests: 0,
-        monthlyCost: 0
-      };
-    }
-    
-    const usageData = usageSnap.data();
-    const dailyUsage = usageData.dailyUsage || {};
-    const dailyRequests = usageData.dailyRequests || {};
+    const usage = await readLedger(uid);
     
     return {
-      dailyTokens: dailyUsage[today]?.totalTokens || 0,
-      monthlyTokens: usageData.totalTokensUsed || 0,
-      dailyVoiceRequests: dailyRequests[today]?.voice || 0,
-      dailyChatRequests: dailyRequests[today]?.chat || 0,
-      monthlyCost: usageData.totalCostUSD || 0,
-      // Calculate monthly request totals
-      monthlyVoiceRequests: Object.values(dailyRequests).reduce((sum, day) => sum + (day.voice || 0), 0),
-      monthlyChatRequests: Object.values(dailyRequests).reduce((sum, day) => sum + (day.chat || 0), 0),
-      currentMonth,
-      today
+      dailyTokens: getDailyMetric(usage, 'chatTokens'),
+      monthlyTokens: getMonthlyMetric(usage, 'chatTokens'),
+      dailyVoiceRequests: getDailyMetric(usage, 'voiceRequests'),
+      dailyChatRequests: getDailyMetric(usage, 'chatRequests'),
+      monthlyCost: getMonthlyMetric(usage, 'costUSD'),
+      monthlyVoiceRequests: getMonthlyMetric(usage, 'voiceRequests'),
+      monthlyChatRequests: getMonthlyMetric(usage, 'chatRequests'),
+      currentMonth: usage.month,
+      today: usage.today
     };
     
   } catch (error) {
     console.error('🔥 Error getting current usage:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
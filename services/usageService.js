@@ -7,35 +7,63 @@
  * - Validating token consumption against limits
  * - Recording usage in Firestore
  * - Calculating costs based on tokens
+ *
+ * Usage docs are read and written through services/usageLedgerService.js.
  */
 
+import { randomUUID } from 'crypto';
 import { db } from '../firebase.js';
 import {
   doc,
   getDoc,
-  setDoc,
   updateDoc,
   increment,
-  serverTimestamp
+  deleteField,
+  runTransaction
 } from 'firebase/firestore';
 
-import { calculateTokenCost } from '../utils/tokenPricing.js';
+import { calculateTokenCost, calculateAudioCost } from '../utils/tokenPricing.js';
 import {
   getCurrentMonth,
   getTodayDate,
   isTimestampNewer,
   extractMonthFromTimestamp,
+  getDateInTimezone,
   getTimeUntilReset
 } from '../utils/usageHelpers.js';
-import { getLimitsForPlan } from '../utils/limitsConfig.js';
-
-// ============ HARDCODED LIMITS ============
-// Update these values as needed for your business requirements
-// NOTE: These are now managed in utils/limitsConfig.js for centralized control
+import { getLimitsForPlan, validateRequestLimits } from '../utils/limitsConfig.js';
+import { resolvePlan, DEFAULT_PLAN_ID } from './planCatalogService.js';
+import { getActiveLimitOverride } from './limitOverrideService.js';
+import { estimateChatPromptTokens } from '../utils/tokenEstimator.js';
+import {
+  readLedger,
+  readLedgerInTransaction,
+  writeUsageInTransaction,
+  recordUsage,
+  getUsageRef,
+  getUsageEventRef,
+  getDailyMetric,
+  getMonthlyMetric
+} from './usageLedgerService.js';
+
+// Smallest completion budget worth calling the provider for
+const MIN_COMPLETION_TOKENS = 50;
+// Reservations not settled within this window belong to a crashed request and stop counting
+const RESERVATION_TTL_MS = 10 * 60 * 1000;
+// Transcription jobs of long recordings run for a while before they settle
+const AUDIO_RESERVATION_TTL_MS = 6 * 60 * 60 * 1000;
+// Client idempotency keys (a UUID fits), used in the usage event id
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9._:-]{8,128}$/;
+// Reports are accepted for usage up to a week old (offline clients) and a little clock skew
+const REPORT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const REPORT_MAX_FUTURE_MS = 5 * 60 * 1000;
+
+// ============ PLAN LIMITS ============
+// Managed in the plan catalog (services/planCatalogService.js, admin: /api/admin/plans)
 
 /**
- * Get hardcoded limits based on user plan
- * @param {string} plan - User plan ('free' or 'premium')
+ * Get the limits of a plan
+ * @param {string} plan - User plan (any plan id in the catalog)
  * @returns {Object} Limits object with daily and monthly token limits
  */
 export function getHardcodedLimits(plan = 'free') {
@@ -44,7 +72,10 @@ export function getHardcodedLimits(plan = 'free') {
 
 /**
  * Get user's current plan and token limits
- * Prioritizes database-stored limits over hardcoded limits for flexibility
+ * Limits come from the user's plan in the plan catalog (services/planCatalogService.js),
+ * so changes to a plan apply to everyone on it. Users on a plan that is not in the
+ * catalog get the free plan. An active per-user override (services/limitOverrideService.js)
+ * replaces the plan limits it names.
  * 
  * @param {string} uid - User ID from Firebase
  * @returns {Promise<Object>} User data with plan and limits
@@ -53,43 +84,37 @@ export function getHardcodedLimits(plan = 'free') {
 export async function getUserLimits(uid) {
   try {
     const userRef = doc(db, 'users', uid);
-    const userSnap = await getDoc(userRef);
+    const [userSnap, override] = await Promise.all([
+      getDoc(userRef),
+      getActiveLimitOverride(uid)
+    ]);
 
     if (!userSnap.exists()) {
       throw new Error('User not found');
     }
 
     const user = userSnap.data();
-    const userPlan = user.plan || 'free';
-    
-    // Check if user has custom limits stored in database (from plan changes)
-    let limits;
-    if (user.limits && user.limitsUpdatedAt) {
-      // Use database-stored limits (updated during plan changes)
-      limits = user.limits;
-      console.log(`📊 Using database-stored limits for ${uid} (${userPlan}):`, limits);
-    } else {
-      // Fallback to hardcoded limits based on plan
-      const hardcodedLimits = getHardcodedLimits(userPlan);
-      limits = {
-        chatTokensDaily: hardcodedLimits.chatTokensDaily,
-        chatTokensMonthly: hardcodedLimits.chatTokensMonthly,
-        voiceRequestsDaily: hardcodedLimits.voiceRequestsDaily,
-        chatRequestsDaily: hardcodedLimits.chatRequestsDaily,
-        maxTokensPerRequest: hardcodedLimits.maxTokensPerRequest,
-        maxRequestsPerMinute: hardcodedLimits.maxRequestsPerMinute
-      };
-      console.log(`📊 Using hardcoded limits for ${uid} (${userPlan}):`, limits);
+    const plan = await resolvePlan(user.plan || DEFAULT_PLAN_ID);
+
+    if (user.plan && plan.id !== user.plan) {
+      console.warn(`⚠️ Plan ${user.plan} of ${uid} is not in the plan catalog, using ${plan.id} limits`);
     }
 
+    const limits = { ...plan.limits, ...override?.limits };
+    console.log(`📊 Using ${plan.id} plan limits${override ? ` with override until ${override.expiresAt}` : ''} for ${uid}:`, limits);
+
     // Return user plan and limits
     return {
       uid,
-      plan: userPlan,
+      plan: plan.id,
       limits,
+      features: plan.features,
       stripeCustomerId: user.stripeCustomerId || null,
-      limitsSource: user.limitsUpdatedAt ? 'database' : 'hardcoded',
-      limitsUpdatedAt: user.limitsUpdatedAt || null
+      limitOverride: override
+        ? { limits: override.limits, reason: override.reason, expiresAt: override.expiresAt }
+        : null,
+      limitsSource: override ? 'limit_override' : 'plan_catalog',
+      limitsUpdatedAt: override?.createdAt || plan.updatedAt || null
     };
   } catch (error) {
     console.error('🔥 Error getting user limits:', error.message);
@@ -98,62 +123,15 @@ export async function getUserLimits(uid) {
 }
 
 /**
- * Get current month's usage for a user
- * Handles both old format (just UID) and new format (UID_MONTH)
+ * Get current month's usage ledger for a user
+ * (see services/usageLedgerService.js - older doc shapes are converted on read)
  * 
  * @param {string} uid - User ID
- * @returns {Promise<Object>} Usage record
+ * @returns {Promise<Object>} Usage ledger (empty if nothing was recorded this month)
  */
 export async function getMonthlyUsage(uid) {
   try {
-    const month = getCurrentMonth();
-    
-    // Try new format first: uid_month
-    const newFormatDocId = `${uid}_${month}`;
-    let usageRef = doc(db, 'usage', newFormatDocId);
-    let usageSnap = await getDoc(usageRef);
-
-    if (usageSnap.exists()) {
-      return usageSnap.data();
-    }
-
-    // Try old format: just uid
-    usageRef = doc(db, 'usage', uid);
-    usageSnap = await getDoc(usageRef);
-
-    if (usageSnap.exists()) {
-      const data = usageSnap.data();
-      
-      // Check if this document is for the current month
-      const docMonth = data.month || data.chatTokens?.month;
-      if (docMonth === month) {
-        return data;
-      }
-    }
-
-    // Neither format found or wrong month - return empty structure
-    const newUsage = {
-      uid,
-      month,
-      chatTokens: {
-        daily: {}, // Will be populated with YYYY-MM-DD keys
-        monthly: 0
-      },
-      requests: {
-        voice: {
-          daily: {}, // Will be populated with YYYY-MM-DD keys
-          monthly: 0
-        },
-        chat: {
-          daily: {}, // Will be populated with YYYY-MM-DD keys
-          monthly: 0
-        }
-      },
-      totalCostUSD: 0,
-      lastReportedAt: null
-    };
-
-    return newUsage;
+    return await readLedger(uid);
   } catch (error) {
     console.error('🔥 Error getting monthly usage:', error.message);
     throw error;
@@ -168,8 +146,7 @@ export async function getMonthlyUsage(uid) {
  * @returns {number} Tokens used today
  */
 export function getDailyTokensUsed(uid, usage) {
-  const today = getTodayDate();
-  return usage.chatTokens?.daily?.[today] || 0;
+  return getDailyMetric(usage, 'chatTokens');
 }
 
 /**
@@ -180,7 +157,49 @@ export function getDailyTokensUsed(uid, usage) {
  * @returns {number} Tokens used this month
  */
 export function getMonthlyTokensUsed(uid, usage) {
-  return usage.chatTokens?.monthly || 0;
+  return getMonthlyMetric(usage, 'chatTokens');
+}
+
+/**
+ * Get tokens held by in-flight requests (see reserveTokens)
+ * Expired reservations are ignored, so a request that crashed before settling
+ * stops holding the user's budget once RESERVATION_TTL_MS has passed
+ *
+ * @param {Object} usage - Usage document from getMonthlyUsage
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {Object} { daily, monthly } reserved tokens (daily counts today's reservations only)
+ */
+export function getActiveReservedTokens(usage, now = Date.now()) {
+  const today = usage.today || getTodayDate();
+  const isActive = reservation => reservation.tokens && new Date(reservation.expiresAt).getTime() > now;
+
+  const reserved = Object.values(usage.reservations || {}).reduce((totals, reservation) => {
+    // Audio reservations hold no tokens
+    if (!isActive(reservation)) return totals;
+    totals.monthly += reservation.tokens;
+    if (reservation.date === today) totals.daily += reservation.tokens;
+    return totals;
+  }, { daily: 0, monthly: 0 });
+
+  // Held today in the previous month's doc (first UTC day of the month, see carriedDay)
+  Object.values(usage.carriedDay?.reservations || {}).forEach(reservation => {
+    if (isActive(reservation)) reserved.daily += reservation.tokens;
+  });
+
+  return reserved;
+}
+
+/**
+ * Get audio seconds held by queued transcription jobs (see reserveAudioSeconds)
+ * @param {Object} usage - Usage document from getMonthlyUsage
+ * @param {number} now - Current time in ms (default: Date.now())
+ * @returns {number} Reserved audio seconds
+ */
+export function getActiveReservedAudioSeconds(usage, now = Date.now()) {
+  return Object.values(usage.reservations || {}).reduce((reserved, reservation) => {
+    if (!reservation.audioSeconds || new Date(reservation.expiresAt).getTime() <= now) return reserved;
+    return reserved + reservation.audioSeconds;
+  }, 0);
 }
 
 /**
@@ -191,16 +210,7 @@ export function getMonthlyTokensUsed(uid, usage) {
  * @returns {number} Voice requests used today
  */
 export function getDailyVoiceRequestsUsed(uid, usage) {
-  const today = getTodayDate();
-  // Check new format first (top-level requests)
-  if (usage.requests?.voice?.daily?.[today]) {
-    return usage.requests.voice.daily[today];
-  }
-  // Check old format (nested under chatTokens)
-  if (usage.chatTokens?.requests?.voice?.daily?.[today]) {
-    return usage.chatTokens.requests.voice.daily[today];
-  }
-  return 0;
+  return getDailyMetric(usage, 'voiceRequests');
 }
 
 /**
@@ -211,16 +221,7 @@ export function getDailyVoiceRequestsUsed(uid, usage) {
  * @returns {number} Chat requests used today
  */
 export function getDailyChatRequestsUsed(uid, usage) {
-  const today = getTodayDate();
-  // Check new format first (top-level requests)
-  if (usage.requests?.chat?.daily?.[today]) {
-    return usage.requests.chat.daily[today];
-  }
-  // Check old format (nested under chatTokens)
-  if (usage.chatTokens?.requests?.chat?.daily?.[today]) {
-    return usage.chatTokens.requests.chat.daily[today];
-  }
-  return 0;
+  return getDailyMetric(usage, 'chatRequests');
 }
 
 /**
@@ -231,15 +232,7 @@ export function getDailyChatRequestsUsed(uid, usage) {
  * @returns {number} Voice requests used this month
  */
 export function getMonthlyVoiceRequestsUsed(uid, usage) {
-  // Check new format first (top-level requests)
-  if (usage.requests?.voice?.monthly) {
-    return usage.requests.voice.monthly;
-  }
-  // Check old format (nested under chatTokens)
-  if (usage.chatTokens?.requests?.voice?.monthly) {
-    return usage.chatTokens.requests.voice.monthly;
-  }
-  return 0;
+  return getMonthlyMetric(usage, 'voiceRequests');
 }
 
 /**
@@ -250,15 +243,18 @@ export function getMonthlyVoiceRequestsUsed(uid, usage) {
  * @returns {number} Chat requests used this month
  */
 export function getMonthlyChatRequestsUsed(uid, usage) {
-  // Check new format first (top-level requests)
-  if (usage.requests?.chat?.monthly) {
-    return usage.requests.chat.monthly;
-  }
-  // Check old format (nested under chatTokens)
-  if (usage.chatTokens?.requests?.chat?.monthly) {
-    return usage.chatTokens.requests.chat.monthly;
-  }
-  return 0;
+  return getMonthlyMetric(usage, 'chatRequests');
+}
+
+/**
+ * Get seconds of audio transcribed this month
+ * 
+ * @param {string} uid - User ID
+ * @param {Object} usage - Usage document from getMonthlyUsage
+ * @returns {number} Audio seconds used this month
+ */
+export function getMonthlyAudioSecondsUsed(uid, usage) {
+  return getMonthlyMetric(usage, 'audioSeconds');
 }
 
 /**
@@ -280,11 +276,16 @@ export function canUseTokens(dailyUsed, dailyLimit, monthlyUsed, monthlyLimit) {
  * Validate token usage report from frontend
  * Checks all constraints before recording
  * 
- * @param {Object} data - Token report data
+ * @param {Object} data - Token report data (idempotencyKey required)
  * @returns {Object} { valid: boolean, error?: string }
  */
 export function validateTokenReport(data) {
-  const { model, promptTokens, completionTokens, timestamp } = data;
+  const { model, promptTokens, completionTokens, timestamp, idempotencyKey } = data;
+
+  // Check idempotency key (one per report, reused when the report is retried)
+  if (typeof idempotencyKey !== 'string' || !IDEMPOTENCY_KEY_PATTERN.test(idempotencyKey)) {
+    return { valid: false, error: 'idempotencyKey must be 8-128 characters of A-Z a-z 0-9 . _ : -' };
+  }
 
   // Check model is valid
   const validModels = ['gpt-4o', 'gpt-4o-mini'];
@@ -312,132 +313,525 @@ export function validateTokenReport(data) {
   if (!timestamp || typeof timestamp !== 'string') {
     return { valid: false, error: 'timestamp must be ISO string' };
   }
+  let reportedAt;
   try {
-    new Date(timestamp).toISOString();
+    reportedAt = new Date(new Date(timestamp).toISOString()).getTime();
   } catch (error) {
     return { valid: false, error: 'timestamp must be valid ISO string' };
   }
+  if (reportedAt > Date.now() + REPORT_MAX_FUTURE_MS) {
+    return { valid: false, error: 'timestamp cannot be in the future' };
+  }
+  if (reportedAt < Date.now() - REPORT_MAX_AGE_MS) {
+    return { valid: false, error: 'timestamp cannot be more than 7 days old' };
+  }
 
   return { valid: true };
 }
 
+/**
+ * Estimator drift counters (tokenEstimates.*) for a recorded request
+ * @returns {Object} Update map (empty when there was no pre-flight estimate)
+ */
+function buildTokenEstimateUpdates(estimatedPromptTokens, promptTokens) {
+  if (estimatedPromptTokens === null) return {};
+  return {
+    'tokenEstimates.estimatedPromptTokens': increment(estimatedPromptTokens),
+    'tokenEstimates.actualPromptTokens': increment(promptTokens),
+    'tokenEstimates.requests': increment(1)
+  };
+}
+
+/**
+ * Whether a stored chat_tokens event holds the same report
+ */
+function isSameTokenReport(event, { model, promptTokens, completionTokens, timestamp }) {
+  return event.details?.model === model &&
+    event.details?.promptTokens === promptTokens &&
+    event.details?.completionTokens === completionTokens &&
+    event.occurredAt === timestamp;
+}
+
 /**
  * Record token usage in Firestore
- * Updates daily, monthly totals and cost
- * 
+ * Appends a chat_tokens usage event and adds it to the user's local day of its timestamp (in
+ * the timezone in effect now, so after a pending change took effect) and its UTC month.
+ * A report with an idempotency key is stored once: resending it returns the recorded totals
+ * with duplicate: true, reusing the key for a different report is rejected.
+ *
  * @param {string} uid - User ID
- * @param {Object} data - Token report { model, promptTokens, completionTokens, timestamp }
+ * @param {Object} data - Token report { model, promptTokens, completionTokens, timestamp, idempotencyKey?, estimatedPromptTokens? }
+ *   idempotencyKey is the client's key for the report (server-side callers have none)
+ *   estimatedPromptTokens is the pre-flight tokenizer count, stored next to the actual prompt
+ *   tokens (tokenEstimates.*) so estimator drift can be monitored
  * @param {number} dailyLimit - User's daily limit
  * @param {number} monthlyLimit - User's monthly limit
  * @returns {Promise<Object>} Updated usage record
- * @throws {Error} If limits exceeded or Firestore error
+ * @throws {Object} DAILY_LIMIT_EXCEEDED / MONTHLY_LIMIT_EXCEEDED (429),
+ *   IDEMPOTENCY_KEY_REUSED (409), or Firestore error
  */
 export async function recordTokenUsage(uid, data, dailyLimit, monthlyLimit) {
-  const { model, promptTokens, completionTokens, timestamp } = data;
+  const {
+    model,
+    promptTokens,
+    completionTokens,
+    timestamp,
+    idempotencyKey = null,
+    estimatedPromptTokens = null
+  } = data;
+
+  const month = extractMonthFromTimestamp(timestamp);
+  const totalTokens = promptTokens + completionTokens;
 
   try {
-    // Get current usage
-    const usage = await getMonthlyUsage(uid);
-    const dailyUsed = getDailyTokensUsed(uid, usage);
-    const monthlyUsed = getMonthlyTokensUsed(uid, usage);
+    // Price version effective when the tokens were used (prices can change mid-month)
+    const costUSD = calculateTokenCost(model, promptTokens, completionTokens, 0, timestamp);
+
+    const result = await runTransaction(db, async (transaction) => {
+      const eventSnap = idempotencyKey ? await transaction.get(getUsageEventRef(uid, idempotencyKey)) : null;
+      const read = await readLedgerInTransaction(transaction, uid, month);
+      const usage = read.ledger;
+      // Usage counts on the user's local day it happened, not the day it was reported
+      const date = getDateInTimezone(timestamp, usage.timezone);
+
+      if (eventSnap?.exists()) {
+        const event = eventSnap.data();
+        if (!isSameTokenReport(event, data)) {
+          throw {
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            message: `idempotencyKey ${idempotencyKey} was already used for a different report`,
+            statusCode: 409
+          };
+        }
+        return {
+          duplicate: true,
+          tokensAdded: event.deltas.chatTokens || 0,
+          costAdded: event.deltas.costUSD || 0,
+          newDailyTotal: getDailyMetric(usage, 'chatTokens', event.date),
+          newMonthlyTotal: getMonthlyTokensUsed(uid, usage)
+        };
+      }
 
-    // Total tokens for this report
-    const totalTokens = promptTokens + completionTokens;
+      // Check limits BEFORE recording
+      const dailyUsed = getDailyMetric(usage, 'chatTokens', date);
+      const monthlyUsed = getMonthlyTokensUsed(uid, usage);
 
-    // Check limits BEFORE recording
-    if (dailyUsed + totalTokens > dailyLimit) {
-      throw {
-        code: 'DAILY_LIMIT_EXCEEDED',
-        message: `Daily limit exceeded. Used: ${dailyUsed}, Limit: ${dailyLimit}`,
-        statusCode: 429
-      };
-    }
+      if (dailyUsed + totalTokens > dailyLimit) {
+        throw {
+          code: 'DAILY_LIMIT_EXCEEDED',
+          message: `Daily limit exceeded. Used: ${dailyUsed}, Limit: ${dailyLimit}`,
+          statusCode: 429
+        };
+      }
 
-    if (monthlyUsed + totalTokens > monthlyLimit) {
-      throw {
-        code: 'MONTHLY_LIMIT_EXCEEDED',
-        message: `Monthly limit exceeded. Used: ${monthlyUsed}, Limit: ${monthlyLimit}`,
-        statusCode: 429
+      if (monthlyUsed + totalTokens > monthlyLimit) {
+        throw {
+          code: 'MONTHLY_LIMIT_EXCEEDED',
+          message: `Monthly limit exceeded. Used: ${monthlyUsed}, Limit: ${monthlyLimit}`,
+          statusCode: 429
+        };
+      }
+
+      // Retried and offline reports arrive out of order - never move lastReportedAt backwards
+      const lastReportedAt = isTimestampNewer(timestamp, usage.lastReportedAt)
+        ? timestamp
+        : usage.lastReportedAt;
+
+      const updated = writeUsageInTransaction(transaction, read, {
+        type: 'chat_tokens',
+        deltas: { chatTokens: totalTokens, costUSD },
+        date,
+        fields: {
+          lastReportedAt,
+          ...buildTokenEstimateUpdates(estimatedPromptTokens, promptTokens)
+        },
+        details: { model, promptTokens, completionTokens, estimatedPromptTokens },
+        idempotencyKey,
+        occurredAt: timestamp
+      });
+
+      return {
+        duplicate: false,
+        tokensAdded: totalTokens,
+        costAdded: costUSD,
+        newDailyTotal: getDailyMetric(updated, 'chatTokens', date),
+        newMonthlyTotal: getMonthlyTokensUsed(uid, updated)
       };
+    });
+
+    if (result.duplicate) {
+      console.log(`📝 Usage report ${idempotencyKey} for ${uid} already recorded`);
+    } else {
+      console.log(`✅ Recorded usage for ${uid}: +${totalTokens} tokens, $${costUSD}`);
     }
 
-    // Check timestamp is newer than last report
-    if (!isTimestampNewer(timestamp, usage.lastReportedAt)) {
-      throw {
-        code: 'DUPLICATE_REPORT',
-        message: 'Timestamp must be newer than last reported',
-        statusCode: 400
+    return {
+      success: true,
+      duplicate: result.duplicate,
+      tokensAdded: result.tokensAdded,
+      estimatedPromptTokens,
+      actualPromptTokens: promptTokens,
+      costAdded: result.costAdded,
+      newDailyTotal: result.newDailyTotal,
+      newMonthlyTotal: result.newMonthlyTotal
+    };
+
+  } catch (error) {
+    console.error('🔥 Error recording token usage:', error.message);
+    throw error;
+  }
+}
+
+// ============ TOKEN RESERVATIONS ============
+// Server-side AI calls hold their worst-case token cost before the provider is called:
+//   reserveTokens -> provider call -> commitTokenReservation (actual usage)
+//                                  \-> releaseTokenReservation (nothing was used)
+// Reservations live in the usage ledger (reservations.{id}) and are checked against the limits
+// in the same transaction that creates them, so parallel requests cannot overspend.
+
+/**
+ * Reserve tokens for a request against the user's daily and monthly limits
+ *
+ * @param {string} uid - User ID
+ * @param {number} tokens - Tokens to hold (estimated prompt + max completion)
+ * @param {Object} limits - User's limits (getUserLimits().limits)
+ * @param {Object} meta - { endpoint } stored with the reservation for debugging
+ * @returns {Promise<Object>} Reservation handle { id, uid, month, tokens, expiresAt, settled }
+ * @throws {Object} DAILY_LIMIT_EXCEEDED / MONTHLY_LIMIT_EXCEEDED (429)
+ */
+export async function reserveTokens(uid, tokens, limits, { endpoint = null } = {}) {
+  const month = getCurrentMonth();
+  const now = Date.now();
+  const reservation = {
+    id: randomUUID(),
+    uid,
+    month,
+    tokens,
+    expiresAt: new Date(now + RESERVATION_TTL_MS).toISOString(),
+    settled: false
+  };
+
+  try {
+    await runTransaction(db, async (transaction) => {
+      const read = await readLedgerInTransaction(transaction, uid, month);
+      const usage = read.ledger;
+      const reserved = getActiveReservedTokens(usage, now);
+      const dailyUsed = getDailyTokensUsed(uid, usage) + reserved.daily;
+      const monthlyUsed = getMonthlyTokensUsed(uid, usage) + reserved.monthly;
+
+      if (dailyUsed + tokens > limits.chatTokensDaily) {
+        throw {
+          code: 'DAILY_LIMIT_EXCEEDED',
+          message: `Daily limit exceeded. Used or reserved: ${dailyUsed}, Requested: ${tokens}, Limit: ${limits.chatTokensDaily}`,
+          statusCode: 429
+        };
+      }
+
+      if (monthlyUsed + tokens > limits.chatTokensMonthly) {
+        throw {
+          code: 'MONTHLY_LIMIT_EXCEEDED',
+          message: `Monthly limit exceeded. Used or reserved: ${monthlyUsed}, Requested: ${tokens}, Limit: ${limits.chatTokensMonthly}`,
+          statusCode: 429
+        };
+      }
+
+      const fields = {
+        [`reservations.${reservation.id}`]: {
+          tokens,
+          date: usage.today,
+          endpoint,
+          createdAt: new Date(now).toISOString(),
+          expiresAt: reservation.expiresAt
+        }
       };
-    }
+      // Drop expired reservations while we hold the doc
+      Object.entries(usage.reservations).forEach(([id, stale]) => {
+        if (new Date(stale.expiresAt).getTime() <= now) {
+          fields[`reservations.${id}`] = deleteField();
+        }
+      });
+      writeUsageInTransaction(transaction, read, { fields });
+    });
 
-    // Calculate cost
-    const costUSD = calculateTokenCost(model, promptTokens, completionTokens);
+    return reservation;
+  } catch (error) {
+    console.error('🔥 Error reserving tokens:', error.message);
+    throw error;
+  }
+}
 
-    // Prepare Firestore update
-    const month = getCurrentMonth();
-    const docId = `${uid}_${month}`;
-    const today = getTodayDate();
-    const usageRef = doc(db, 'usage', docId);
-
-    // Build updates object
-    const updates = {};
-    updates[`chatTokens.daily.${today}`] = increment(totalTokens);
-    updates['chatTokens.monthly'] = increment(totalTokens);
-    updates['totalCostUSD'] = increment(costUSD);
-    updates['lastReportedAt'] = timestamp;
-
-    // Check if usage document exists
-    const usageDocRef = doc(db, 'usage', docId);
-    const usageDocSnap = await getDoc(usageDocRef);
-    
-    if (usageDocSnap.exists()) {
-      // Document exists - update it
-      await updateDoc(usageRef, updates);
-    } else {
-      // Create new document
-      const newUsageDoc = {
-        uid,
-        month,
-        chatTokens: {
-          daily: { [today]: totalTokens },
-          monthly: totalTokens
-        },
-        totalCostUSD: costUSD,
-        lastReportedAt: timestamp
+/**
+ * Settle a reservation to the actual usage
+ * Records tokens and cost like recordTokenUsage and removes the reservation in one
+ * transaction. No limit check here: the tokens were already spent upstream, and the
+ * reservation is what kept the request inside the limits.
+ *
+ * @param {Object} reservation - Handle from reserveTokens
+ * @param {Object} data - { model, promptTokens, completionTokens, timestamp, estimatedPromptTokens? }
+ * @returns {Promise<Object|null>} Recorded usage, null if the reservation was already settled
+ */
+export async function commitTokenReservation(reservation, data) {
+  const { model, promptTokens, completionTokens, timestamp, estimatedPromptTokens = null } = data;
+
+  if (reservation.settled) {
+    console.warn(`⚠️ Reservation ${reservation.id} already settled, not recording usage twice`);
+    return null;
+  }
+  reservation.settled = true;
+
+  const { uid } = reservation;
+  const month = getCurrentMonth();
+  // A request that started before midnight on the last day of the month reserved in last month's doc
+  const reservationRef = reservation.month === month ? null : getUsageRef(uid, reservation.month);
+  const totalTokens = promptTokens + completionTokens;
+
+  try {
+    // Price version effective when the tokens were used (prices can change mid-month)
+    const costUSD = calculateTokenCost(model, promptTokens, completionTokens, 0, timestamp);
+
+    const totals = await runTransaction(db, async (transaction) => {
+      const read = await readLedgerInTransaction(transaction, uid, month);
+      const reservationSnap = reservationRef ? await transaction.get(reservationRef) : null;
+      const usage = read.ledger;
+
+      // Parallel requests settle out of order - never move lastReportedAt backwards
+      const lastReportedAt = isTimestampNewer(timestamp, usage.lastReportedAt)
+        ? timestamp
+        : usage.lastReportedAt;
+
+      const fields = {
+        lastReportedAt,
+        ...buildTokenEstimateUpdates(estimatedPromptTokens, promptTokens)
       };
-      await setDoc(usageRef, newUsageDoc);
-    }
+      if (!reservationRef) {
+        fields[`reservations.${reservation.id}`] = deleteField();
+      }
+      const updated = writeUsageInTransaction(transaction, read, {
+        type: 'chat_tokens',
+        deltas: { chatTokens: totalTokens, costUSD },
+        fields,
+        details: { model, promptTokens, completionTokens, estimatedPromptTokens, reservationId: reservation.id },
+        occurredAt: timestamp
+      });
+
+      if (reservationSnap?.exists()) {
+        transaction.update(reservationRef, { [`reservations.${reservation.id}`]: deleteField() });
+      }
 
-    console.log(`✅ Recorded usage for ${uid}: +${totalTokens} tokens, $${costUSD}`);
+      return {
+        newDailyTotal: getDailyTokensUsed(uid, updated),
+        newMonthlyTotal: getMonthlyTokensUsed(uid, updated)
+      };
+    });
 
-    // Verify the data was actually written by re-reading it
-    const verifyUsage = await getMonthlyUsage(uid);
-    const verifyDailyUsed = getDailyTokensUsed(uid, verifyUsage);
-    const verifyMonthlyUsed = getMonthlyTokensUsed(uid, verifyUsage);
+    console.log(`✅ Committed reservation for ${uid}: +${totalTokens} tokens (reserved ${reservation.tokens}), $${costUSD}`);
 
     return {
       success: true,
       tokensAdded: totalTokens,
+      tokensReserved: reservation.tokens,
+      estimatedPromptTokens,
+      actualPromptTokens: promptTokens,
       costAdded: costUSD,
-      newDailyTotal: verifyDailyUsed,
-      newMonthlyTotal: verifyMonthlyUsed
+      ...totals
     };
+  } catch (error) {
+    // The reservation stays in the doc and stops counting once it expires
+    console.error('🔥 Error committing token reservation:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Release a reservation without recording usage (the request failed before using tokens)
+ * Never throws - a reservation that cannot be removed expires on its own
+ *
+ * @param {Object|null} reservation - Handle from reserveTokens
+ * @returns {Promise<void>}
+ */
+export async function releaseTokenReservation(reservation) {
+  if (!reservation || reservation.settled) return;
+  reservation.settled = true;
 
+  try {
+    await updateDoc(getUsageRef(reservation.uid, reservation.month), { [`reservations.${reservation.id}`]: deleteField() });
+    console.log(`✅ Released reservation of ${reservation.tokens} tokens for ${reservation.uid}`);
   } catch (error) {
-    console.error('🔥 Error recording token usage:', error.message);
+    console.error(`⚠️ Failed to release reservation ${reservation.id}:`, error.message);
+  }
+}
+
+// ============ AUDIO RESERVATIONS ============
+// Transcription jobs hold the recording's length against the monthly audio quota when they
+// are queued, so jobs queued side by side cannot go past it together:
+//   reserveAudioSeconds -> transcription -> commitAudioReservation (bills the recording)
+//                                       \-> releaseAudioReservation (the job failed)
+// They live next to token reservations (reservations.{id}, with audioSeconds instead of tokens).
+
+/**
+ * Reserve audio seconds against the user's monthly audio-minutes quota
+ *
+ * @param {string} uid - User ID
+ * @param {number} seconds - Length of the recording
+ * @param {Object} limits - User's limits (getUserLimits().limits)
+ * @param {Object} meta - { endpoint } stored with the reservation for debugging
+ * @returns {Promise<Object>} Reservation handle { id, uid, month, audioSeconds, expiresAt, settled }
+ * @throws {Object} AUDIO_QUOTA_EXCEEDED (429)
+ */
+export async function reserveAudioSeconds(uid, seconds, limits, { endpoint = null } = {}) {
+  const month = getCurrentMonth();
+  const now = Date.now();
+  const reservation = {
+    id: randomUUID(),
+    uid,
+    month,
+    audioSeconds: Math.round(seconds * 100) / 100,
+    expiresAt: new Date(now + AUDIO_RESERVATION_TTL_MS).toISOString(),
+    settled: false
+  };
+
+  try {
+    await runTransaction(db, async (transaction) => {
+      const read = await readLedgerInTransaction(transaction, uid, month);
+      const usage = read.ledger;
+      const usedOrReserved = getMonthlyAudioSecondsUsed(uid, usage) + getActiveReservedAudioSeconds(usage, now);
+      const remainingAudioSeconds = Math.max(0, limits.audioMinutesMonthly * 60 - usedOrReserved);
+
+      if (reservation.audioSeconds > remainingAudioSeconds) {
+        throw {
+          code: 'AUDIO_QUOTA_EXCEEDED',
+          message: `Audio is ${Math.ceil(seconds)}s but only ${Math.floor(remainingAudioSeconds)}s of the monthly transcription quota is left`,
+          statusCode: 429,
+          audioSeconds: seconds,
+          remainingAudioSeconds
+        };
+      }
+
+      const fields = {
+        [`reservations.${reservation.id}`]: {
+          audioSeconds: reservation.audioSeconds,
+          date: usage.today,
+          endpoint,
+          createdAt: new Date(now).toISOString(),
+          expiresAt: reservation.expiresAt
+        }
+      };
+      // Drop expired reservations while we hold the doc
+      Object.entries(usage.reservations).forEach(([id, stale]) => {
+        if (new Date(stale.expiresAt).getTime() <= now) {
+          fields[`reservations.${id}`] = deleteField();
+        }
+      });
+      writeUsageInTransaction(transaction, read, { fields });
+    });
+
+    return reservation;
+  } catch (error) {
+    console.error('🔥 Error reserving audio seconds:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Settle an audio reservation: record the reserved seconds and their cost, remove the reservation
+ * Safe to retry - the usage event id comes from the reservation, so a commit whose
+ * response was lost is not recorded twice.
+ *
+ * @param {Object} reservation - Handle from reserveAudioSeconds
+ * @param {Object} data - { model, timestamp }
+ * @returns {Promise<Object|null>} Recorded usage, null if the reservation was already settled
+ */
+export async function commitAudioReservation(reservation, { model, timestamp = new Date().toISOString() }) {
+  if (reservation.settled) {
+    console.warn(`⚠️ Reservation ${reservation.id} already settled, not recording usage twice`);
+    return null;
+  }
+
+  const { uid, audioSeconds } = reservation;
+  const month = getCurrentMonth();
+  // A job queued before midnight on the last day of the month reserved in last month's doc
+  const reservationRef = reservation.month === month ? null : getUsageRef(uid, reservation.month);
+  // '+' is not allowed in client idempotency keys, so this never collides with a client report
+  const eventKey = `audio+${reservation.id}`;
+
+  try {
+    // Price version effective when the audio was transcribed
+    const costUSD = calculateAudioCost(model, audioSeconds, timestamp);
+
+    const recorded = await runTransaction(db, async (transaction) => {
+      const eventSnap = await transaction.get(getUsageEventRef(uid, eventKey));
+      const read = await readLedgerInTransaction(transaction, uid, month);
+      const reservationSnap = reservationRef ? await transaction.get(reservationRef) : null;
+
+      if (eventSnap.exists()) return false;
+
+      const fields = reservationRef ? {} : { [`reservations.${reservation.id}`]: deleteField() };
+      writeUsageInTransaction(transaction, read, {
+        type: 'audio',
+        deltas: { audioSeconds, costUSD },
+        fields,
+        details: { model, seconds: audioSeconds, reservationId: reservation.id },
+        idempotencyKey: eventKey,
+        source: 'server',
+        occurredAt: timestamp
+      });
+
+      if (reservationSnap?.exists()) {
+        transaction.update(reservationRef, { [`reservations.${reservation.id}`]: deleteField() });
+      }
+      return true;
+    });
+    // Only once it is recorded, so a failed commit can be retried
+    reservation.settled = true;
+
+    if (!recorded) {
+      console.warn(`⚠️ Audio reservation ${reservation.id} was already recorded`);
+      return null;
+    }
+
+    console.log(`✅ Committed audio reservation for ${uid}: +${audioSeconds}s (${model}), $${costUSD}`);
+
+    return {
+      success: true,
+      secondsAdded: audioSeconds,
+      costAdded: costUSD
+    };
+  } catch (error) {
+    // The reservation stays in the doc and stops counting once it expires
+    console.error('🔥 Error committing audio reservation:', error.message);
     throw error;
   }
 }
 
+/**
+ * Release an audio reservation without recording usage (the job failed)
+ * Never throws - a reservation that cannot be removed expires on its own
+ *
+ * @param {Object|null} reservation - Handle from reserveAudioSeconds
+ * @returns {Promise<void>}
+ */
+export async function releaseAudioReservation(reservation) {
+  if (!reservation || reservation.settled) return;
+  reservation.settled = true;
+
+  try {
+    await updateDoc(getUsageRef(reservation.uid, reservation.month), { [`reservations.${reservation.id}`]: deleteField() });
+    console.log(`✅ Released reservation of ${reservation.audioSeconds}s of audio for ${reservation.uid}`);
+  } catch (error) {
+    console.error(`⚠️ Failed to release reservation ${reservation.id}:`, error.message);
+  }
+}
+
 /**
  * Get usage summary for a user (for GET /usage/summary endpoint)
  * 
  * @param {string} uid - User ID
+ * @param {Object} options - { userLimits: getUserLimits result the caller already has }
  * @returns {Promise<Object>} Summary with current/daily/monthly usage
  */
-export async function getUsageSummary(uid) {
+export async function getUsageSummary(uid, { userLimits = null } = {}) {
   try {
-    const userLimits = await getUserLimits(uid);
+    userLimits = userLimits || await getUserLimits(uid);
     const usage = await getMonthlyUsage(uid);
 
     const dailyUsed = getDailyTokensUsed(uid, usage);
@@ -448,19 +842,23 @@ export async function getUsageSummary(uid) {
     const dailyChatRequestsUsed = getDailyChatRequestsUsed(uid, usage);
     const monthlyVoiceRequestsUsed = getMonthlyVoiceRequestsUsed(uid, usage);
     const monthlyChatRequestsUsed = getMonthlyChatRequestsUsed(uid, usage);
+    const monthlyAudioSecondsUsed = getMonthlyAudioSecondsUsed(uid, usage);
+    const audioMinutesLimit = userLimits.limits.audioMinutesMonthly;
 
-    // Handle both document formats for month and lastReportedAt
-    const month = usage.month || usage.chatTokens?.month;
-    const lastReportedAt = usage.lastReportedAt || usage.chatTokens?.lastReportedAt;
-    const totalCostUSD = usage.totalCostUSD || usage.chatTokens?.totalCostUSD || 0;
+    const month = usage.month;
+    const lastReportedAt = usage.lastReportedAt;
+    const totalCostUSD = getMonthlyMetric(usage, 'costUSD');
+    const resetInfo = getTimeUntilReset(usage.timezone);
 
     return {
       plan: userLimits.plan,
       // Token usage
       dailyUsed,
       dailyLimit: userLimits.limits.chatTokensDaily,
+      remainingDaily: Math.max(0, userLimits.limits.chatTokensDaily - dailyUsed),
       monthlyUsed,
       monthlyLimit: userLimits.limits.chatTokensMonthly,
+      remainingMonthly: Math.max(0, userLimits.limits.chatTokensMonthly - monthlyUsed),
       // Request usage
       dailyVoiceRequestsUsed,
       dailyChatRequestsUsed,
@@ -468,6 +866,18 @@ export async function getUsageSummary(uid) {
       monthlyChatRequestsUsed,
       voiceRequestsLimit: userLimits.limits.voiceRequestsDaily,
       chatRequestsLimit: userLimits.limits.chatRequestsDaily,
+      // Transcription usage
+      monthlyAudioSecondsUsed,
+      audioMinutesLimit,
+      remainingAudioMinutes: Math.max(0, Math.floor((audioMinutesLimit * 60 - monthlyAudioSecondsUsed) / 60)),
+      // Daily reset (midnight in the user's timezone)
+      date: usage.today,
+      timezone: usage.timezone,
+      nextResetTime: resetInfo.resetTime,
+      // Per-user override the limits above include (the reason stays internal)
+      limitOverride: userLimits.limitOverride
+        ? { limits: userLimits.limitOverride.limits, expiresAt: userLimits.limitOverride.expiresAt }
+        : null,
       // General
       totalCostUSD,
       month,
@@ -485,17 +895,19 @@ export async function getUsageSummary(uid) {
  * Now includes request limits for voice and chat
  * 
  * @param {string} uid - User ID
+ * @param {Object} options - { userLimits: getUserLimits result the caller already has }
  * @returns {Promise<Object>} { allowed: boolean, remainingDaily: number, reason?: string }
  */
-export async function checkCanUseTokens(uid) {
+export async function checkCanUseTokens(uid, { userLimits = null } = {}) {
   try {
     // Get user plan and hardcoded limits
-    const userLimits = await getUserLimits(uid);
+    userLimits = userLimits || await getUserLimits(uid);
     const { 
       chatTokensDaily, 
       chatTokensMonthly, 
       voiceRequestsDaily, 
-      chatRequestsDaily 
+      chatRequestsDaily,
+      audioMinutesMonthly
     } = userLimits.limits;
     
     // Get current usage from usage collection
@@ -510,6 +922,9 @@ export async function checkCanUseTokens(uid) {
     const dailyChatRequestsUsed = getDailyChatRequestsUsed(uid, usage);
     const monthlyVoiceRequestsUsed = getMonthlyVoiceRequestsUsed(uid, usage);
     const monthlyChatRequestsUsed = getMonthlyChatRequestsUsed(uid, usage);
+    const monthlyAudioSecondsUsed = getMonthlyAudioSecondsUsed(uid, usage);
+    // Seconds held by queued transcription jobs count as used
+    const reservedAudioSeconds = getActiveReservedAudioSeconds(usage);
 
     // Check token limits
     const dailyTokensAllowed = dailyTokensUsed < chatTokensDaily;
@@ -519,8 +934,11 @@ export async function checkCanUseTokens(uid) {
     const dailyVoiceRequestsAllowed = dailyVoiceRequestsUsed < voiceRequestsDaily;
     const dailyChatRequestsAllowed = dailyChatRequestsUsed < chatRequestsDaily;
 
+    // Check transcription quota (voice only)
+    const monthlyAudioAllowed = monthlyAudioSecondsUsed + reservedAudioSeconds < audioMinutesMonthly * 60;
+
     // Separate permissions for voice and chat features
-    const allowedVoice = dailyTokensAllowed && monthlyTokensAllowed && dailyVoiceRequestsAllowed;
+    const allowedVoice = dailyTokensAllowed && monthlyTokensAllowed && dailyVoiceRequestsAllowed && monthlyAudioAllowed;
     const allowedChat = dailyTokensAllowed && monthlyTokensAllowed && dailyChatRequestsAllowed;
     
     // Overall allowed (for backward compatibility)
@@ -539,6 +957,8 @@ export async function checkCanUseTokens(uid) {
         voiceBlockedReason = `Monthly token limit exceeded (${monthlyTokensUsed}/${chatTokensMonthly} tokens used)`;
       } else if (!dailyVoiceRequestsAllowed) {
         voiceBlockedReason = `Daily voice request limit exceeded (${dailyVoiceRequestsUsed}/${voiceRequestsDaily} requests used)`;
+      } else if (!monthlyAudioAllowed) {
+        voiceBlockedReason = `Monthly audio limit exceeded (${Math.floor(monthlyAudioSecondsUsed / 60)}/${audioMinutesMonthly} minutes used)`;
       }
     }
     
@@ -565,13 +985,15 @@ export async function checkCanUseTokens(uid) {
         reason = `Daily voice request limit exceeded (${dailyVoiceRequestsUsed}/${voiceRequestsDaily} requests used)`;
       } else if (!dailyChatRequestsAllowed) {
         reason = `Daily chat request limit exceeded (${dailyChatRequestsUsed}/${chatRequestsDaily} requests used)`;
+      } else if (!monthlyAudioAllowed) {
+        reason = voiceBlockedReason;
       }
     }
 
     console.log(`🔍 Can-use check for ${uid} (${userLimits.plan}): Voice=${allowedVoice ? 'ALLOWED' : 'BLOCKED'}, Chat=${allowedChat ? 'ALLOWED' : 'BLOCKED'} - Tokens: ${dailyTokensUsed}/${chatTokensDaily}, Voice: ${dailyVoiceRequestsUsed}/${voiceRequestsDaily}, Chat: ${dailyChatRequestsUsed}/${chatRequestsDaily}`);
 
-    // Get time until next reset
-    const resetInfo = getTimeUntilReset();
+    // Get time until next reset (midnight in the user's timezone)
+    const resetInfo = getTimeUntilReset(usage.timezone);
 
     return {
       allowedVoice,    // Can user use voice features?
@@ -592,11 +1014,17 @@ export async function checkCanUseTokens(uid) {
       monthlyChatRequestsUsed,
       voiceRequestsLimit: voiceRequestsDaily,
       chatRequestsLimit: chatRequestsDaily,
+      // Transcription quota
+      monthlyAudioSecondsUsed,
+      audioMinutesLimit: audioMinutesMonthly,
+      reservedAudioSeconds,
+      remainingAudioSeconds: Math.max(0, audioMinutesMonthly * 60 - monthlyAudioSecondsUsed - reservedAudioSeconds),
       // Reset information
       resetInfo: {
         nextResetTime: resetInfo.resetTime,
         hoursUntilReset: resetInfo.hours,
-        minutesUntilReset: resetInfo.minutes
+        minutesUntilReset: resetInfo.minutes,
+        timezone: resetInfo.timezone
       },
       // General
       plan: userLimits.plan,
@@ -610,9 +1038,102 @@ export async function checkCanUseTokens(uid) {
   }
 }
 
+/**
+ * Pre-flight check for a chat completion, run before the provider is called
+ * Counts prompt tokens with the tokenizer, rejects prompts over maxTokensPerRequest,
+ * sizes max_tokens so the reply fits the user's remaining daily/monthly budget
+ * (minus tokens held by the user's in-flight requests) and reserves prompt + max_tokens
+ *
+ * The caller owns the returned reservation: commitTokenReservation with the actual usage
+ * once the provider answered, releaseTokenReservation if the call failed without output.
+ *
+ * @param {string} uid - User ID
+ * @param {Array} messages - [{ role, content }] exactly as they will be sent
+ * @param {Object} options - { maxCompletionTokens: 2000 (route's own cap on the reply), endpoint,
+ *   contextLength (the model's context window from the model catalog, null = not checked),
+ *   userLimits (getUserLimits result the caller already has) }
+ * @returns {Promise<Object>} Allowed: { allowed: true, estimatedPromptTokens, maxTokens, reservation, userLimits }
+ *   Rejected: { allowed: false, code, reason, statusCode, estimatedPromptTokens, maxTokensPerRequest }
+ */
+export async function preflightChatRequest(uid, messages, { maxCompletionTokens = 2000, endpoint = null, contextLength = null, userLimits = null } = {}) {
+  try {
+    userLimits = userLimits || await getUserLimits(uid);
+    const { limits } = userLimits;
+    const usage = await getMonthlyUsage(uid);
+    const reserved = getActiveReservedTokens(usage);
+    const dailyUsed = getDailyTokensUsed(uid, usage) + reserved.daily;
+    const monthlyUsed = getMonthlyTokensUsed(uid, usage) + reserved.monthly;
+
+    const estimatedPromptTokens = estimateChatPromptTokens(messages);
+
+    const rejection = (code, reason, statusCode) => ({
+      allowed: false,
+      code,
+      reason,
+      statusCode,
+      estimatedPromptTokens,
+      maxTokensPerRequest: limits.maxTokensPerRequest
+    });
+
+    const validation = validateRequestLimits(userLimits.plan, estimatedPromptTokens, dailyUsed, 0, limits);
+    if (!validation.allowed) {
+      return rejection(validation.code, validation.reason, validation.code === 'PROMPT_TOO_LARGE' ? 413 : 429);
+    }
+
+    if (contextLength && estimatedPromptTokens + MIN_COMPLETION_TOKENS > contextLength) {
+      return rejection(
+        'CONTEXT_LENGTH_EXCEEDED',
+        `Prompt of ${estimatedPromptTokens} tokens does not fit the model's ${contextLength}-token context window`,
+        413
+      );
+    }
+
+    // Reply budget: whatever is left after the prompt, capped by the route and the model
+    const maxTokens = Math.min(
+      maxCompletionTokens,
+      limits.maxTokensPerRequest - estimatedPromptTokens,
+      limits.chatTokensDaily - dailyUsed - estimatedPromptTokens,
+      limits.chatTokensMonthly - monthlyUsed - estimatedPromptTokens,
+      contextLength ? contextLength - estimatedPromptTokens : Infinity
+    );
+
+    if (maxTokens < MIN_COMPLETION_TOKENS) {
+      return rejection(
+        'INSUFFICIENT_TOKEN_BUDGET',
+        `Not enough tokens left for a reply (${Math.max(0, maxTokens)} available after a ${estimatedPromptTokens}-token prompt)`,
+        429
+      );
+    }
+
+    // Hold the worst case - a parallel request may have reserved since the read above
+    let reservation;
+    try {
+      reservation = await reserveTokens(uid, estimatedPromptTokens + maxTokens, limits, { endpoint });
+    } catch (reserveError) {
+      if (reserveError.statusCode === 429) {
+        return rejection(reserveError.code, reserveError.message, 429);
+      }
+      throw reserveError;
+    }
+
+    return {
+      allowed: true,
+      estimatedPromptTokens,
+      maxTokens,
+      reservation,
+      userLimits
+    };
+  } catch (error) {
+    console.error('🔥 Error in chat pre-flight check:', error.message);
+    throw error;
+  }
+}
+
 /**
  * Record request usage (voice or chat) in Firestore
  * Updates daily and monthly request counts
+ * The limit check and the increment run in one transaction, so concurrent requests
+ * cannot both pass the check with the last remaining request.
  * 
  * @param {string} uid - User ID
  * @param {string} requestType - Type of request ('voice' or 'chat')
@@ -632,79 +1153,37 @@ export async function recordRequestUsage(uid, requestType, count = 1) {
     const dailyLimit = requestType === 'voice' 
       ? userLimits.limits.voiceRequestsDaily 
       : userLimits.limits.chatRequestsDaily;
+    const metric = requestType === 'voice' ? 'voiceRequests' : 'chatRequests';
+    const month = getCurrentMonth();
 
-    // Get current usage
-    const usage = await getMonthlyUsage(uid);
-    const dailyUsed = requestType === 'voice' 
-      ? getDailyVoiceRequestsUsed(uid, usage)
-      : getDailyChatRequestsUsed(uid, usage);
-
-    // Check limits BEFORE recording
-    if (dailyUsed + count > dailyLimit) {
-      throw {
-        code: `DAILY_${requestType.toUpperCase()}_LIMIT_EXCEEDED`,
-        message: `Daily ${requestType} request limit exceeded. Used: ${dailyUsed}, Limit: ${dailyLimit}`,
-        statusCode: 429
-      };
-    }
+    const newDailyTotal = await runTransaction(db, async (transaction) => {
+      const read = await readLedgerInTransaction(transaction, uid, month);
+      const dailyUsed = getDailyMetric(read.ledger, metric);
+
+      // Check limits BEFORE recording
+      if (dailyUsed + count > dailyLimit) {
+        throw {
+          code: `DAILY_${requestType.toUpperCase()}_LIMIT_EXCEEDED`,
+          message: `Daily ${requestType} request limit exceeded. Used: ${dailyUsed}, Limit: ${dailyLimit}`,
+          statusCode: 429
+        };
+      }
 
-    // Prepare Firestore update
-    const month = getCurrentMonth();
-    const docId = `${uid}_${month}`;
-    const today = getTodayDate();
-    const usageRef = doc(db, 'usage', docId);
-
-    // Build updates object
-    const updates = {};
-    updates[`requests.${requestType}.daily.${today}`] = increment(count);
-    updates[`requests.${requestType}.monthly`] = increment(count);
-    updates['lastReportedAt'] = new Date().toISOString();
-
-    // Check if usage document exists
-    const usageDocRef = doc(db, 'usage', docId);
-    const usageDocSnap = await getDoc(usageDocRef);
-    
-    if (usageDocSnap.exists()) {
-      // Document exists - update it
-      await updateDoc(usageRef, updates);
-    } else {
-      // Create new document
-      const newUsageDoc = {
-        uid,
-        month,
-        chatTokens: {
-          daily: {},
-          monthly: 0
-        },
-        requests: {
-          voice: {
-            daily: requestType === 'voice' ? { [today]: count } : {},
-            monthly: requestType === 'voice' ? count : 0
-          },
-          chat: {
-            daily: requestType === 'chat' ? { [today]: count } : {},
-            monthly: requestType === 'chat' ? count : 0
-          }
-        },
-        totalCostUSD: 0,
-        lastReportedAt: new Date().toISOString()
-      };
-      await setDoc(usageRef, newUsageDoc);
-    }
+      const updated = writeUsageInTransaction(transaction, read, {
+        type: `${requestType}_request`,
+        deltas: { [metric]: count },
+        fields: { lastReportedAt: new Date().toISOString() }
+      });
+      return getDailyMetric(updated, metric);
+    });
 
     console.log(`✅ Recorded ${requestType} request usage for ${uid}: +${count} requests`);
 
-    // Verify the data was written
-    const verifyUsage = await getMonthlyUsage(uid);
-    const verifyDailyUsed = requestType === 'voice' 
-      ? getDailyVoiceRequestsUsed(uid, verifyUsage)
-      : getDailyChatRequestsUsed(uid, verifyUsage);
-
     return {
       success: true,
       requestType,
       requestsAdded: count,
-      newDailyTotal: verifyDailyUsed
+      newDailyTotal
     };
 
   } catch (error) {
@@ -712,3 +1191,65 @@ export async function recordRequestUsage(uid, requestType, count = 1) {
     throw error;
   }
 }
+
+/**
+ * Record transcribed audio in Firestore
+ * Audio is billed per minute (prorated to the second), not in chat tokens, so it only
+ * adds to audioSeconds and costUSD
+ *
+ * @param {string} uid - User ID
+ * @param {Object} data - { model, seconds, timestamp }
+ * @returns {Promise<Object>} { secondsAdded, costAdded }
+ */
+export async function recordAudioUsage(uid, { model, seconds, timestamp = new Date().toISOString() }) {
+  try {
+    const secondsAdded = Math.round(seconds * 100) / 100;
+    // Price version effective when the audio was transcribed
+    const costUSD = calculateAudioCost(model, secondsAdded, timestamp);
+
+    await recordUsage(uid, {
+      type: 'audio',
+      deltas: { audioSeconds: secondsAdded, costUSD },
+      details: { model, seconds: secondsAdded }
+    });
+
+    console.log(`✅ Recorded audio usage for ${uid}: +${secondsAdded}s (${model}), $${costUSD}`);
+
+    return {
+      success: true,
+      secondsAdded,
+      costAdded: costUSD
+    };
+  } catch (error) {
+    console.error('🔥 Error recording audio usage:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Record a moderation call in the usage ledger
+ * Kept apart from chat tokens and request counts: moderation is not billed to the user's
+ * limits, the counters are for cost tracking only.
+ *
+ * @param {string} uid - User ID
+ * @param {Object} data - { model, stage: 'input' | 'output', inputTokens }
+ * @returns {Promise<void>}
+ */
+export async function recordModerationUsage(uid, { model, stage, inputTokens = 0 }) {
+  try {
+    await recordUsage(uid, {
+      type: 'moderation',
+      deltas: { moderationCalls: 1 },
+      fields: {
+        [`moderation.byStage.${stage}`]: increment(1),
+        'moderation.inputTokens': increment(inputTokens)
+      },
+      details: { model, stage, inputTokens }
+    });
+
+    console.log(`📝 Recorded moderation call for ${uid} (${model}, ${stage}, ${inputTokens} tokens)`);
+  } catch (error) {
+    console.error('🔥 Error recording moderation usage:', error.message);
+    throw error;
+  }
+}
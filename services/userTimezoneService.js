@@ -0,0 +1,179 @@
+/**
+ * User Timezone Service
+ * Optional per-user IANA timezone that decides when the user's daily quotas reset
+ * (midnight local time instead of midnight UTC)
+ *
+ * Firestore layout:
+ *   users/{uid}
+ *     {
+ *       timezone: "Asia/Dubai" | null,      (null / missing = UTC)
+ *       timezoneChangedAt,                  (when the current timezone took effect)
+ *       pendingTimezone: { timezone, requestedAt, effectiveAt } | null
+ *     }
+ *
+ * Changing timezone moves the boundary of "today", which could hand out a fresh daily
+ * bucket early. Two safeguards keep a change from doubling a day's quota:
+ * - a change takes effect at the next midnight of the current timezone, so the day that is
+ *   in progress keeps its bucket, and the first day in the new timezone is never longer
+ *   than a normal day from that point on
+ * - after a change took effect, the next one is only accepted TIMEZONE_CHANGE_COOLDOWN_DAYS later
+ * A pending change can be replaced or cancelled (by requesting the current timezone) at any time.
+ * Pending changes are resolved on read, nothing has to run at midnight.
+ */
+
+import { db } from '../firebase.js';
+import { doc, getDoc, runTransaction, deleteField } from 'firebase/firestore';
+import { DEFAULT_TIMEZONE, isValidTimezone, getNextDailyReset } from '../utils/usageHelpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+export const TIMEZONE_CHANGE_COOLDOWN_DAYS = Number(process.env.TIMEZONE_CHANGE_COOLDOWN_DAYS) || 30;
+
+/**
+ * Timezone in effect for a user doc at a given time
+ * @param {Object} user - users/{uid} data
+ * @param {number} now - Time in ms (default: Date.now())
+ * @returns {Object} { timezone, changedAt, pendingTimezone }
+ */
+export function resolveUserTimezone(user = {}, now = Date.now()) {
+  const pending = user?.pendingTimezone || null;
+
+  if (pending && new Date(pending.effectiveAt).getTime() <= now) {
+    return { timezone: pending.timezone, changedAt: pending.effectiveAt, pendingTimezone: null };
+  }
+
+  return {
+    timezone: user?.timezone || DEFAULT_TIMEZONE,
+    changedAt: user?.timezoneChangedAt || null,
+    pendingTimezone: pending
+  };
+}
+
+/**
+ * Earliest time the next timezone change is accepted (null = now)
+ */
+function getNextChangeAllowedAt(changedAt) {
+  if (!changedAt) return null;
+  return new Date(new Date(changedAt).getTime() + TIMEZONE_CHANGE_COOLDOWN_DAYS * DAY_MS).toISOString();
+}
+
+/**
+ * Timezone settings as returned to the user
+ */
+function toTimezoneSettings({ timezone, changedAt, pendingTimezone }) {
+  return {
+    timezone,
+    changedAt,
+    pendingTimezone: pendingTimezone
+      ? { timezone: pendingTimezone.timezone, effectiveAt: pendingTimezone.effectiveAt }
+      : null,
+    nextChangeAllowedAt: getNextChangeAllowedAt(changedAt),
+    nextResetTime: getNextDailyReset(timezone).toISOString()
+  };
+}
+
+/**
+ * Get the timezone a user's daily quotas currently follow
+ * @param {string} uid - User ID
+ * @returns {Promise<string>} IANA timezone (UTC for users without one)
+ */
+export async function getUserTimezone(uid) {
+  try {
+    const userSnap = await getDoc(doc(db, 'users', uid));
+    return resolveUserTimezone(userSnap.exists() ? userSnap.data() : {}).timezone;
+  } catch (error) {
+    console.error('🔥 Error getting user timezone:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get a user's timezone settings
+ * @param {string} uid - User ID
+ * @returns {Promise<Object>} { timezone, changedAt, pendingTimezone, nextChangeAllowedAt, nextResetTime }
+ */
+export async function getTimezoneSettings(uid) {
+  try {
+    const userSnap = await getDoc(doc(db, 'users', uid));
+    if (!userSnap.exists()) {
+      throw { code: 'USER_NOT_FOUND', message: 'User not found', statusCode: 404 };
+    }
+
+    return toTimezoneSettings(resolveUserTimezone(userSnap.data()));
+  } catch (error) {
+    console.error('🔥 Error getting timezone settings:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Request a timezone change
+ * The change is scheduled for the next midnight of the current timezone. Requesting the
+ * timezone already in effect cancels a pending change.
+ *
+ * @param {string} uid - User ID
+ * @param {string} timezone - IANA timezone (e.g. "America/New_York")
+ * @returns {Promise<Object>} Timezone settings plus status: 'scheduled' | 'cancelled' | 'unchanged'
+ * @throws {Object} INVALID_TIMEZONE (400), USER_NOT_FOUND (404), TIMEZONE_CHANGE_COOLDOWN (429)
+ */
+export async function requestTimezoneChange(uid, timezone) {
+  if (!isValidTimezone(timezone)) {
+    throw {
+      code: 'INVALID_TIMEZONE',
+      message: `Unknown timezone: ${timezone}. Use an IANA name such as "America/New_York"`,
+      statusCode: 400
+    };
+  }
+
+  try {
+    const result = await runTransaction(db, async (transaction) => {
+      const userRef = doc(db, 'users', uid);
+      const userSnap = await transaction.get(userRef);
+      if (!userSnap.exists()) {
+        throw { code: 'USER_NOT_FOUND', message: 'User not found', statusCode: 404 };
+      }
+
+      const now = new Date();
+      const user = userSnap.data();
+      const current = resolveUserTimezone(user, now.getTime());
+      // A pending change that already took effect is written down as the current timezone
+      const updates = {};
+      if (user.pendingTimezone && !current.pendingTimezone) {
+        updates.timezone = current.timezone;
+        updates.timezoneChangedAt = current.changedAt;
+      }
+
+      if (timezone === current.timezone) {
+        const status = current.pendingTimezone ? 'cancelled' : 'unchanged';
+        if (user.pendingTimezone) {
+          transaction.update(userRef, { ...updates, pendingTimezone: deleteField() });
+        }
+        return { ...toTimezoneSettings({ ...current, pendingTimezone: null }), status };
+      }
+
+      const nextChangeAllowedAt = getNextChangeAllowedAt(current.changedAt);
+      if (nextChangeAllowedAt && now < new Date(nextChangeAllowedAt)) {
+        throw {
+          code: 'TIMEZONE_CHANGE_COOLDOWN',
+          message: `Timezone was changed on ${current.changedAt}, it can be changed again from ${nextChangeAllowedAt}`,
+          statusCode: 429
+        };
+      }
+
+      const pendingTimezone = {
+        timezone,
+        requestedAt: now.toISOString(),
+        effectiveAt: getNextDailyReset(current.timezone, now).toISOString()
+      };
+      transaction.update(userRef, { ...updates, pendingTimezone });
+
+      return { ...toTimezoneSettings({ ...current, pendingTimezone }), status: 'scheduled' };
+    });
+
+    console.log(`✅ Timezone for ${uid}: ${result.status}${result.pendingTimezone ? ` (${result.pendingTimezone.timezone} from ${result.pendingTimezone.effectiveAt})` : ''}`);
+
+    return result;
+  } catch (error) {
+    console.error('🔥 Error changing timezone:', error.message);
+    throw error;
+  }
+}
@@ -0,0 +1,267 @@
+/**
+ * Voice Profile Service
+ * Maps the TTS "tone" option to how the speech is generated - never to what is said
+ *
+ * Firestore layout:
+ *   voice_profiles/{tone}
+ *     {
+ *       tone: "calm",
+ *       description: "...",
+ *       model: "gpt-4o-mini-tts" | "tts-1",
+ *       voice: "sage",
+ *       speed: 0.9,
+ *       instructions: "Speak slowly and softly..." (gpt-4o-mini-tts only),
+ *       active: true,
+ *       updatedBy, updatedAt
+ *     }
+ *
+ * Built-in profiles (DEFAULT_VOICE_PROFILES) apply until an admin overrides a tone.
+ * Profiles are cached in memory and refreshed by loadVoiceProfiles() (startup + cron),
+ * so resolving a tone never waits on Firestore.
+ */
+
+import { db } from '../firebase.js';
+import {
+  doc,
+  setDoc,
+  deleteDoc,
+  collection,
+  getDocs,
+} from 'firebase/firestore';
+
+const VOICE_PROFILES_COLLECTION = 'voice_profiles';
+
+// Models that take free-form delivery instructions (tts-1 only has voice and speed)
+export const INSTRUCTION_MODELS = ['gpt-4o-mini-tts'];
+export const TTS_MODELS = ['tts-1', 'gpt-4o-mini-tts'];
+
+const TTS1_VOICES = ['alloy', 'echo', 'fable', 'onyx', 'nova', 'shimmer'];
+export const TTS_VOICES = [...TTS1_VOICES, 'ash', 'ballad', 'coral', 'sage', 'verse'];
+
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4.0;
+const MAX_INSTRUCTIONS_LENGTH = 1000;
+const TONE_PATTERN = /^[a-z][a-z0-9_-]{0,31}$/;
+
+export const DEFAULT_VOICE_PROFILES = {
+  calm: {
+    description: 'Slow, soft and soothing - cool-downs, breathing, stretching',
+    model: 'gpt-4o-mini-tts',
+    voice: 'sage',
+    speed: 0.9,
+    instructions: 'Speak in a calm, soothing and unhurried way. Keep the voice soft and low, and leave gentle pauses between sentences.',
+  },
+  energetic: {
+    description: 'Upbeat and punchy - warm-ups and high-intensity sets',
+    model: 'gpt-4o-mini-tts',
+    voice: 'coral',
+    speed: 1.1,
+    instructions: 'Speak with high energy and enthusiasm, like a coach pumping up a class mid-workout. Upbeat, punchy and bright.',
+  },
+  motivational: {
+    description: 'Warm and confident - encouragement and milestones',
+    model: 'gpt-4o-mini-tts',
+    voice: 'ash',
+    speed: 1.0,
+    instructions: 'Speak warmly and with conviction, like a coach who believes in the listener. Encouraging and uplifting, stressing the key words.',
+  },
+};
+
+let profiles = { ...DEFAULT_VOICE_PROFILES };
+let lastLoadedAt = null;
+
+function getVoiceProfileRef(tone) {
+  return doc(db, VOICE_PROFILES_COLLECTION, tone);
+}
+
+/**
+ * Check whether a TTS model takes delivery instructions
+ * @param {string} model - TTS model
+ * @returns {boolean}
+ */
+export function supportsInstructions(model) {
+  return INSTRUCTION_MODELS.includes(model);
+}
+
+/**
+ * Load profiles from Firestore into the cache (Firestore overrides the built-in tones)
+ * @returns {Promise<Object>} { profiles, loadedAt }
+ */
+export async function loadVoiceProfiles() {
+  try {
+    const snapshot = await getDocs(collection(db, VOICE_PROFILES_COLLECTION));
+    const loaded = { ...DEFAULT_VOICE_PROFILES };
+
+    snapshot.docs.forEach(docSnap => {
+      const data = docSnap.data();
+      loaded[docSnap.id] = {
+        description: data.description || null,
+        model: data.model,
+        voice: data.voice,
+        speed: data.speed,
+        instructions: data.instructions || null,
+        active: data.active !== false,
+        updatedBy: data.updatedBy || null,
+        updatedAt: data.updatedAt || null,
+      };
+    });
+
+    profiles = loaded;
+    lastLoadedAt = new Date().toISOString();
+
+    console.log(`✅ Loaded voice profiles (${snapshot.size} custom, ${Object.keys(loaded).length} total)`);
+
+    return { profiles: Object.keys(loaded).length, loadedAt: lastLoadedAt };
+  } catch (error) {
+    // Keep the previous snapshot (or the built-in profiles)
+    console.error('🔥 Error loading voice profiles:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Get the active profile for a tone
+ * @param {string} tone - Tone name (case-insensitive)
+ * @returns {Object|null} { tone, model, voice, speed, instructions } or null if unknown/inactive
+ */
+export function getVoiceProfile(tone) {
+  const key = (tone || '').toLowerCase();
+  const profile = profiles[key];
+  if (!profile || profile.active === false) return null;
+
+  return {
+    tone: key,
+    model: profile.model,
+    voice: profile.voice,
+    speed: profile.speed,
+    instructions: supportsInstructions(profile.model) ? profile.instructions || null : null,
+  };
+}
+
+/**
+ * List the tones the app may send
+ * @returns {Array<string>} Active tone names
+ */
+export function getAvailableTones() {
+  return Object.keys(profiles).filter(tone => profiles[tone].active !== false);
+}
+
+/**
+ * List every profile (admin view)
+ * @returns {Object} { profiles: [...], loadedAt }
+ */
+export function listVoiceProfiles() {
+  return {
+    profiles: Object.entries(profiles).map(([tone, profile]) => ({
+      tone,
+      ...profile,
+      active: profile.active !== false,
+      builtIn: Object.prototype.hasOwnProperty.call(DEFAULT_VOICE_PROFILES, tone),
+    })),
+    loadedAt: lastLoadedAt,
+  };
+}
+
+/**
+ * Validate a profile
+ * @returns {string|null} Error message or null if valid
+ */
+function validateVoiceProfile({ model, voice, speed, instructions }) {
+  if (!TTS_MODELS.includes(model)) {
+    return `model must be one of: ${TTS_MODELS.join(', ')}`;
+  }
+  const voices = model === 'tts-1' ? TTS1_VOICES : TTS_VOICES;
+  if (!voices.includes(voice)) {
+    return `voice must be one of: ${voices.join(', ')} for ${model}`;
+  }
+  if (typeof speed !== 'number' || speed < MIN_SPEED || speed > MAX_SPEED) {
+    return `speed must be a number between ${MIN_SPEED} and ${MAX_SPEED}`;
+  }
+  if (instructions != null) {
+    if (typeof instructions !== 'string' || instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+      return `instructions must be a string of at most ${MAX_INSTRUCTIONS_LENGTH} characters`;
+    }
+    if (!supportsInstructions(model)) {
+      return `instructions are only supported by: ${INSTRUCTION_MODELS.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create or replace the profile for a tone
+ * @param {string} tone - Tone name (lowercase letters, digits, "-" and "_")
+ * @param {Object} data - { description, model, voice, speed, instructions, active }
+ * @param {Object} options - { updatedBy }
+ * @returns {Promise<Object>} Saved profile
+ */
+export async function saveVoiceProfile(tone, data, { updatedBy = null } = {}) {
+  const key = (tone || '').toLowerCase();
+  if (!TONE_PATTERN.test(key)) {
+    throw {
+      code: 'INVALID_TONE',
+      message: 'tone must be 1-32 lowercase letters, digits, "-" or "_"',
+      statusCode: 400
+    };
+  }
+
+  const profile = {
+    description: data.description || null,
+    model: data.model || 'gpt-4o-mini-tts',
+    voice: data.voice,
+    speed: data.speed ?? 1.0,
+    instructions: data.instructions || null,
+    active: data.active !== false,
+  };
+
+  const validationError = validateVoiceProfile(profile);
+  if (validationError) {
+    throw {
+      code: 'INVALID_VOICE_PROFILE',
+      message: validationError,
+      statusCode: 400
+    };
+  }
+
+  const saved = {
+    ...profile,
+    updatedBy,
+    updatedAt: new Date().toISOString(),
+  };
+
+  await setDoc(getVoiceProfileRef(key), { tone: key, ...saved });
+  profiles = { ...profiles, [key]: saved };
+
+  console.log(`✅ Saved voice profile "${key}" (${saved.model}/${saved.voice}) by ${updatedBy}`);
+  return { tone: key, ...saved };
+}
+
+/**
+ * Delete a tone's profile (built-in tones go back to their default)
+ * @param {string} tone - Tone name
+ * @returns {Promise<Object>} { tone, revertedToDefault }
+ */
+export async function deleteVoiceProfile(tone) {
+  const key = (tone || '').toLowerCase();
+  if (!profiles[key]) {
+    throw {
+      code: 'VOICE_PROFILE_NOT_FOUND',
+      message: `No voice profile for tone "${key}"`,
+      statusCode: 404
+    };
+  }
+
+  await deleteDoc(getVoiceProfileRef(key));
+
+  const next = { ...profiles };
+  const revertedToDefault = Object.prototype.hasOwnProperty.call(DEFAULT_VOICE_PROFILES, key);
+  if (revertedToDefault) {
+    next[key] = DEFAULT_VOICE_PROFILES[key];
+  } else {
+    delete next[key];
+  }
+  profiles = next;
+
+  console.log(`✅ Deleted voice profile "${key}"${revertedToDefault ? ' (reverted to default)' : ''}`);
+  return { tone: key, revertedToDefault };
+}
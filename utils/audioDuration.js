@@ -0,0 +1,100 @@
+/**
+ * Audio Duration
+ * Measures uploaded audio so transcription can be billed per minute
+ *
+ * Reads the container metadata (m4a/mp4, mp3, wav, webm/ogg) with music-metadata.
+ * Recorders that don't write a duration header (e.g. browser MediaRecorder webm) are
+ * measured by scanning the whole file.
+ */
+
+import { parseBuffer, parseFile } from 'music-metadata';
+
+// Extensions accepted by /api/ai/transcribe, used when the client sends a generic mimetype
+const MIME_TYPES_BY_EXTENSION = {
+  m4a: 'audio/mp4',
+  mp4: 'audio/mp4',
+  mp3: 'audio/mpeg',
+  mpeg: 'audio/mpeg',
+  mpga: 'audio/mpeg',
+  wav: 'audio/wav',
+  webm: 'audio/webm',
+  ogg: 'audio/ogg',
+};
+
+/**
+ * Resolve the mime type for music-metadata from the upload's mimetype or file extension
+ */
+function resolveMimeType(mimetype, originalname) {
+  const extension = (originalname || '').split('.').pop().toLowerCase();
+  return mimetype && mimetype !== 'application/octet-stream'
+    ? mimetype
+    : MIME_TYPES_BY_EXTENSION[extension];
+}
+
+/**
+ * Read the duration from parsed metadata
+ * @throws {Object} INVALID_AUDIO (400) if there is no measurable duration
+ */
+function getDurationFromMetadata(metadata) {
+  const duration = metadata.format?.duration;
+  if (!Number.isFinite(duration) || duration <= 0) {
+    throw {
+      code: 'INVALID_AUDIO',
+      message: 'Could not determine audio duration',
+      statusCode: 400,
+    };
+  }
+  return duration;
+}
+
+function toInvalidAudioError(error) {
+  return {
+    code: 'INVALID_AUDIO',
+    message: `Could not read audio file: ${error.message}`,
+    statusCode: 400,
+  };
+}
+
+/**
+ * Get the duration of an audio file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} info - { mimetype, originalname } (multer file fields)
+ * @returns {Promise<number>} Duration in seconds
+ * @throws {Object} INVALID_AUDIO (400) if the file is not audio or has no measurable duration
+ */
+export async function getAudioDurationSeconds(buffer, { mimetype, originalname } = {}) {
+  let metadata;
+  try {
+    metadata = await parseBuffer(
+      buffer,
+      { mimeType: resolveMimeType(mimetype, originalname), size: buffer.length },
+      { duration: true, skipCovers: true }
+    );
+  } catch (error) {
+    throw toInvalidAudioError(error);
+  }
+
+  return getDurationFromMetadata(metadata);
+}
+
+/**
+ * Get the duration of an audio file on disk without loading it into memory
+ * @param {string} filePath - File path
+ * @param {Object} info - { mimetype, originalname }
+ * @returns {Promise<number>} Duration in seconds
+ * @throws {Object} INVALID_AUDIO (400) if the file is not audio or has no measurable duration
+ */
+export async function getAudioFileDurationSeconds(filePath, { mimetype, originalname } = {}) {
+  let metadata;
+  try {
+    metadata = await parseFile(filePath, {
+      mimeType: resolveMimeType(mimetype, originalname),
+      duration: true,
+      skipCovers: true,
+    });
+  } catch (error) {
+    throw toInvalidAudioError(error);
+  }
+
+  return getDurationFromMetadata(metadata);
+}
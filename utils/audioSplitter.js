@@ -0,0 +1,141 @@
+/**
+ * Audio Splitter
+ * Cuts long recordings into transcription-sized chunks at silences using ffmpeg
+ *
+ * Requires an ffmpeg binary: FFMPEG_PATH, or "ffmpeg" on the PATH.
+ * Chunks are re-encoded to mono 16 kHz MP3 - enough for speech recognition and far
+ * below the provider's 25 MB upload limit for the longest chunk.
+ */
+
+import { spawn } from 'child_process';
+
+const FFMPEG_PATH = process.env.FFMPEG_PATH || 'ffmpeg';
+
+// Silence = quieter than SILENCE_NOISE_DB for at least SILENCE_MIN_SECONDS
+const SILENCE_NOISE_DB = -35;
+const SILENCE_MIN_SECONDS = 0.5;
+
+// Chunks aim for 10 minutes, never exceed 13 and are cut no earlier than 2 minutes in
+const TARGET_CHUNK_SECONDS = 600;
+const MAX_CHUNK_SECONDS = 780;
+const MIN_CHUNK_SECONDS = 120;
+
+/**
+ * Run ffmpeg and collect stderr (ffmpeg logs everything there)
+ * @param {Array<string>} args - ffmpeg arguments
+ * @returns {Promise<string>} stderr output
+ */
+function runFfmpeg(args) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(FFMPEG_PATH, ['-hide_banner', '-nostdin', ...args], { stdio: ['ignore', 'ignore', 'pipe'] });
+    let stderr = '';
+
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+      // silencedetect output is all we parse; keep memory bounded on long files
+      if (stderr.length > 5 * 1024 * 1024) stderr = stderr.slice(-1024 * 1024);
+    });
+
+    child.on('error', (error) => {
+      reject(new Error(error.code === 'ENOENT'
+        ? `ffmpeg not found at "${FFMPEG_PATH}" (set FFMPEG_PATH)`
+        : `ffmpeg failed to start: ${error.message}`));
+    });
+
+    child.on('close', (code) => {
+      if (code === 0) return resolve(stderr);
+      const lastLines = stderr.trim().split('\n').slice(-3).join(' | ');
+      reject(new Error(`ffmpeg exited with code ${code}: ${lastLines}`));
+    });
+  });
+}
+
+/**
+ * Parse ffmpeg silencedetect output
+ * @param {string} stderr - ffmpeg stderr
+ * @returns {Array} [{ start, end }] in seconds
+ */
+export function parseSilenceOutput(stderr) {
+  const silences = [];
+  let start = null;
+
+  for (const line of stderr.split('\n')) {
+    const startMatch = /silence_start: (-?[\d.]+)/.exec(line);
+    if (startMatch) {
+      start = Math.max(0, parseFloat(startMatch[1]));
+      continue;
+    }
+    const endMatch = /silence_end: ([\d.]+)/.exec(line);
+    if (endMatch && start !== null) {
+      silences.push({ start, end: parseFloat(endMatch[1]) });
+      start = null;
+    }
+  }
+
+  return silences;
+}
+
+/**
+ * Find the silences in an audio file
+ * @param {string} inputPath - Audio file path
+ * @returns {Promise<Array>} [{ start, end }] in seconds
+ */
+export async function detectSilences(inputPath) {
+  const stderr = await runFfmpeg([
+    '-i', inputPath,
+    '-vn',
+    '-af', `silencedetect=noise=${SILENCE_NOISE_DB}dB:d=${SILENCE_MIN_SECONDS}`,
+    '-f', 'null',
+    '-',
+  ]);
+  return parseSilenceOutput(stderr);
+}
+
+/**
+ * Plan chunk boundaries: cut in the middle of the silence closest to every TARGET_CHUNK_SECONDS,
+ * or hard-cut at the target when no silence falls in the allowed range
+ *
+ * @param {number} durationSeconds - Total duration
+ * @param {Array} silences - [{ start, end }] from detectSilences
+ * @returns {Array} [{ index, start, end }] in seconds
+ */
+export function planChunks(durationSeconds, silences = []) {
+  const cutPoints = silences.map(silence => (silence.start + silence.end) / 2);
+  const chunks = [];
+  let cursor = 0;
+
+  while (durationSeconds - cursor > MAX_CHUNK_SECONDS) {
+    const ideal = cursor + TARGET_CHUNK_SECONDS;
+    const candidates = cutPoints.filter(point => point >= cursor + MIN_CHUNK_SECONDS && point <= cursor + MAX_CHUNK_SECONDS);
+    const cut = candidates.length > 0
+      ? candidates.reduce((best, point) => (Math.abs(point - ideal) < Math.abs(best - ideal) ? point : best))
+      : ideal;
+
+    chunks.push({ index: chunks.length, start: cursor, end: cut });
+    cursor = cut;
+  }
+
+  chunks.push({ index: chunks.length, start: cursor, end: durationSeconds });
+  return chunks;
+}
+
+/**
+ * Extract one chunk as mono 16 kHz MP3
+ * @param {string} inputPath - Source audio file
+ * @param {string} outputPath - Chunk file to write (.mp3)
+ * @param {Object} chunk - { start, end } in seconds
+ * @returns {Promise<void>}
+ */
+export async function extractChunk(inputPath, outputPath, { start, end }) {
+  await runFfmpeg([
+    '-y',
+    '-ss', start.toFixed(3),
+    '-t', (end - start).toFixed(3),
+    '-i', inputPath,
+    '-vn',
+    '-ac', '1',
+    '-ar', '16000',
+    '-b:a', '48k',
+    outputPath,
+  ]);
+}
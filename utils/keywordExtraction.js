@@ -0,0 +1,63 @@
+/**
+ * Keyword Extraction
+ * Prompt and reply parsing shared by /api/ai/extract-keywords and the interest
+ * rebuild job (services/interestJobService.js)
+ */
+
+export const KEYWORD_EXTRACTION_PROMPT = 'Extract the most relevant keywords (fitness goals, preferences, injuries, habits, topics) from this conversation. Return ONLY a JSON array of short lowercase strings, no explanation.';
+
+const MIN_KEYWORD_LENGTH = 2;
+const MAX_KEYWORD_LENGTH = 50;
+
+/**
+ * Parse a model reply into a list of keywords
+ * Accepts a bare JSON array, an array surrounded by prose, or falls back to quoted strings
+ * @param {string} text - Model reply
+ * @returns {Array<string>} Keywords (may be empty)
+ */
+export function parseKeywordReply(text) {
+  const keywordsText = text?.trim() || '[]';
+  let keywords = [];
+
+  try {
+    keywords = JSON.parse(keywordsText);
+  } catch (parseError) {
+    console.warn('Failed to parse keywords JSON, attempting extraction:', parseError.message);
+    // Try extracting JSON array from response
+    const jsonMatch = keywordsText.match(/\[[\s\S]*\]/);
+    if (jsonMatch) {
+      try {
+        keywords = JSON.parse(jsonMatch[0]);
+      } catch (retryError) {
+        console.error('Failed to extract keywords:', retryError.message);
+        // Fallback: extract quoted strings
+        const matches = keywordsText.match(/"([^"]+)"/g);
+        keywords = matches ? matches.map(m => m.replace(/"/g, '')) : [];
+      }
+    }
+  }
+
+  return Array.isArray(keywords) ? keywords.filter(k => typeof k === 'string') : [];
+}
+
+/**
+ * Normalize a keyword for the interest profile
+ * Lowercases, drops punctuation and collapses whitespace, so "Weight-Loss!" and
+ * "weight-loss" count as one topic. The result is also safe as a Firestore document id.
+ * @param {string} keyword - Raw keyword
+ * @returns {string|null} Normalized keyword, null if nothing meaningful is left
+ */
+export function normalizeKeyword(keyword) {
+  if (typeof keyword !== 'string') return null;
+
+  const normalized = keyword
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s&+'-]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (normalized.length < MIN_KEYWORD_LENGTH || normalized.length > MAX_KEYWORD_LENGTH) return null;
+  if (!/[\p{L}\p{N}]/u.test(normalized)) return null;
+
+  return normalized;
+}
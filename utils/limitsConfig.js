@@ -1,47 +1,29 @@
 /**
  * Centralized Limits Configuration
  * 
- * This file contains all hardcoded limits for easy management.
- * Update these values to change limits across the entire application.
+ * Plan limits come from the plan catalog (services/planCatalogService.js), where admins
+ * manage any number of plans. The helpers here read its in-process cache.
  */
 
+import { DEFAULT_PLANS, getPlan, hasPlan, listPlans } from '../services/planCatalogService.js';
+
 // ============ TOKEN LIMITS CONFIGURATION ============
-// Updated: Both Free and premium users now have 1M daily tokens
-// Added: Request limits for voice and chat features
-// IMPORTANT: All daily limits reset at 12:00 AM UTC automatically
-export const TOKEN_LIMITS = {
-  free: {
-    chatTokensDaily: 1000000,    // 1M tokens per day
-    chatTokensMonthly: 30000000, // 30M tokens per month (1M * 30 days)
-    maxTokensPerRequest: 50000,  // 50K tokens per request
-    maxRequestsPerMinute: 1000,  // 1,000 requests per minute (upper bound)
-    // Request limits per day
-    voiceRequestsDaily: 10,      // 10 voice requests per day
-    chatRequestsDaily: 20,       // 20 chat requests per day
-    description: 'Free tier - 1M daily tokens, 10 voice/20 chat requests per day'
-  },
-  premium: {
-    chatTokensDaily: 1000000,    // 1M tokens per day (updated from 3M)
-    chatTokensMonthly: 30000000, // 30M tokens per month (1M * 30 days, updated from 90M)
-    maxTokensPerRequest: 100000, // 100K tokens per request
-    maxRequestsPerMinute: 5000,  // 5,000 requests per minute (upper bound)
-    // Request limits per day
-    voiceRequestsDaily: 20,      // 20 voice requests per day
-    chatRequestsDaily: 40,       // 40 chat requests per day
-    description: 'Premium tier - 1M daily tokens, 20 voice/40 chat requests per day'
-  }
-};
+// Built-in limits of the free and premium plans (what the catalog starts from)
+// IMPORTANT: All daily limits reset at 12:00 AM in the user's timezone (UTC by default)
+export const TOKEN_LIMITS = Object.fromEntries(
+  Object.entries(DEFAULT_PLANS).map(([id, plan]) => [id, { ...plan.limits, description: plan.description }])
+);
 
 // ============ HELPER FUNCTIONS ============
 
 /**
  * Get limits for a specific plan
- * @param {string} plan - User plan ('free' or 'premium')
- * @returns {Object} Limits configuration
+ * @param {string} plan - User plan (any plan id in the catalog)
+ * @returns {Object} Limits configuration (free plan limits for unknown plans)
  */
 export function getLimitsForPlan(plan = 'free') {
-  const normalizedPlan = plan.toLowerCase();
-  return TOKEN_LIMITS[normalizedPlan] || TOKEN_LIMITS.free;
+  const entry = getPlan(plan);
+  return { ...entry.limits, description: entry.description };
 }
 
 /**
@@ -49,7 +31,9 @@ export function getLimitsForPlan(plan = 'free') {
  * @returns {Object} All plans with their limits
  */
 export function getAllLimits() {
-  return TOKEN_LIMITS;
+  return Object.fromEntries(
+    listPlans().plans.map(entry => [entry.id, { ...entry.limits, description: entry.description }])
+  );
 }
 
 /**
@@ -58,7 +42,7 @@ export function getAllLimits() {
  * @returns {boolean} True if plan exists
  */
 export function isValidPlan(plan) {
-  return Object.keys(TOKEN_LIMITS).includes(plan.toLowerCase());
+  return hasPlan(plan);
 }
 
 /**
@@ -78,7 +62,7 @@ export function getLimitsSummary(plan) {
  */
 export function logCurrentLimits() {
   console.log('📊 Current Token Limits Configuration:');
-  Object.entries(TOKEN_LIMITS).forEach(([plan, limits]) => {
+  Object.entries(getAllLimits()).forEach(([plan, limits]) => {
     console.log(`  ${plan.toUpperCase()}:`);
     console.log(`    Daily: ${limits.chatTokensDaily.toLocaleString()} tokens`);
     console.log(`    Monthly: ${limits.chatTokensMonthly.toLocaleString()} tokens`);
@@ -126,31 +110,42 @@ export function getChatRequestsDaily(plan = 'free') {
   return limits.chatRequestsDaily;
 }
 
+/**
+ * Get monthly transcription quota for a plan
+ * @param {string} plan - User plan
+ * @returns {number} Max audio minutes per month
+ */
+export function getAudioMinutesMonthly(plan = 'free') {
+  const limits = getLimitsForPlan(plan);
+  return limits.audioMinutesMonthly;
+}
+
 /**
  * Validate if a request is within limits
  * @param {string} plan - User plan
  * @param {number} requestTokens - Tokens in this request
  * @param {number} dailyUsed - Tokens used today
  * @param {number} requestsThisMinute - Requests in current minute
- * @returns {Object} { allowed: boolean, reason?: string, limits: Object }
+ * @param {Object} limits - Limits to check against (default: the plan's limits)
+ * @returns {Object} { allowed: boolean, code?: string, reason?: string, limits: Object }
  */
-export function validateRequestLimits(plan, requestTokens, dailyUsed = 0, requestsThisMinute = 0) {
-  const limits = getLimitsForPlan(plan);
-  
-  // Check daily limit
-  if (dailyUsed + requestTokens > limits.chatTokensDaily) {
+export function validateRequestLimits(plan, requestTokens, dailyUsed = 0, requestsThisMinute = 0, limits = getLimitsForPlan(plan)) {
+  // Check per-request limit first - an oversize prompt fails no matter how much budget is left
+  if (requestTokens > limits.maxTokensPerRequest) {
     return {
       allowed: false,
-      reason: `Daily limit would be exceeded (${dailyUsed + requestTokens}/${limits.chatTokensDaily} tokens)`,
+      code: 'PROMPT_TOO_LARGE',
+      reason: `Request too large (${requestTokens}/${limits.maxTokensPerRequest} tokens)`,
       limits
     };
   }
-  
-  // Check per-request limit
-  if (requestTokens > limits.maxTokensPerRequest) {
+
+  // Check daily limit
+  if (dailyUsed + requestTokens > limits.chatTokensDaily) {
     return {
       allowed: false,
-      reason: `Request too large (${requestTokens}/${limits.maxTokensPerRequest} tokens)`,
+      code: 'DAILY_LIMIT_EXCEEDED',
+      reason: `Daily limit would be exceeded (${dailyUsed + requestTokens}/${limits.chatTokensDaily} tokens)`,
       limits
     };
   }
@@ -159,6 +154,7 @@ export function validateRequestLimits(plan, requestTokens, dailyUsed = 0, reques
   if (requestsThisMinute >= limits.maxRequestsPerMinute) {
     return {
       allowed: false,
+      code: 'RATE_LIMIT_EXCEEDED',
       reason: `Rate limit exceeded (${requestsThisMinute}/${limits.maxRequestsPerMinute} requests/minute)`,
       limits
     };
@@ -168,4 +164,4 @@ export function validateRequestLimits(plan, requestTokens, dailyUsed = 0, reques
     allowed: true,
     limits
   };
-}
\ No newline at end of file
+}
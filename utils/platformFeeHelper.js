@@ -1,11 +1,13 @@
 /**
  * Platform Fee Helper
  * Handles monthly platform fee logic
- * $10 platform fee is charged once per month on billing anniversary
+ * The fee of the user's plan (plan catalog, platformFeeUSD - $10 on premium) is charged
+ * once per month on billing anniversary; plans without a fee never pay one
  */
 
 import { db } from '../firebase.js';
 import { doc, getDoc } from 'firebase/firestore';
+import { getPlan, resolvePlan } from '../services/planCatalogService.js';
 
 /**
  * Check if user needs to pay platform fee
@@ -33,12 +35,14 @@ export async function checkPlatformFeeRequired(userId) {
     }
 
     const userData = userSnap.data();
+    const plan = await resolvePlan(userData.plan);
     
-    // If user is not premium, no platform fee required
-    if (userData.plan !== 'premium') {
+    // Plans without a platform fee never pay one
+    if (!plan.platformFeeUSD) {
       return {
         required: false,
-        reason: 'Free plan user - no platform fee required',
+        reason: `${plan.name} plan user - no platform fee required`,
+        plan: plan.id,
       };
     }
 
@@ -50,6 +54,8 @@ export async function checkPlatformFeeRequired(userId) {
       return {
         required: true,
         reason: 'First upgrade - platform fee required',
+        plan: plan.id,
+        amount: plan.platformFeeUSD,
         lastPaymentDate: null,
       };
     }
@@ -98,6 +104,8 @@ export async function checkPlatformFeeRequired(userId) {
     return {
       required: true,
       reason: `Billing anniversary day - platform fee required (day ${anniversaryDay})`,
+      plan: plan.id,
+      amount: plan.platformFeeUSD,
       lastPaymentDate: lastPaymentDate,
       billingAnniversaryDay: anniversaryDay,
       currentMonth: `${currentYear}-${String(currentMonth + 1).padStart(2, '0')}`,
@@ -133,9 +141,10 @@ function getNextBillingDate(anniversaryDay) {
 
 /**
  * Get platform fee amount
+ * @param {string} planId - Plan the fee is for (default: premium)
  * @returns {number} Platform fee amount in USD
  */
-export function getPlatformFee() {
-  return 10.00; // $10 platform fee
+export function getPlatformFee(planId = 'premium') {
+  return getPlan(planId).platformFeeUSD;
 }
 
@@ -0,0 +1,138 @@
+/**
+ * Question Validation
+ * JSON Schema for the questions returned by /api/ai/generate-questions and helpers to
+ * pull them out of a model reply
+ *
+ * Question types:
+ *   single / multiple - options (2+ strings)
+ *   text              - free answer, no options
+ *   conditional       - options + followUp, shown when the answer is followUp.showIf
+ *                       (default: the first option)
+ */
+
+import Ajv from 'ajv';
+
+export const QUESTION_TYPES = ['single', 'multiple', 'text', 'conditional'];
+const FOLLOW_UP_TYPES = ['single', 'multiple', 'text'];
+
+const optionsSchema = {
+  type: 'array',
+  minItems: 2,
+  maxItems: 10,
+  items: { type: 'string', minLength: 1, maxLength: 200 },
+};
+
+const followUpSchema = {
+  type: 'object',
+  required: ['question', 'type'],
+  properties: {
+    question: { type: 'string', minLength: 1, maxLength: 500 },
+    type: { enum: FOLLOW_UP_TYPES },
+    options: optionsSchema,
+    showIf: { type: 'string', minLength: 1 },
+  },
+  allOf: [
+    {
+      if: { properties: { type: { enum: ['single', 'multiple'] } } },
+      then: { required: ['options'] },
+    },
+  ],
+};
+
+export const QUESTIONS_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['question', 'type'],
+    properties: {
+      id: { type: 'string', minLength: 1, maxLength: 50 },
+      question: { type: 'string', minLength: 1, maxLength: 500 },
+      type: { enum: QUESTION_TYPES },
+      options: optionsSchema,
+      followUp: followUpSchema,
+    },
+    allOf: [
+      {
+        if: { properties: { type: { enum: ['single', 'multiple'] } } },
+        then: { required: ['options'] },
+      },
+      {
+        if: { properties: { type: { const: 'conditional' } } },
+        then: { required: ['options', 'followUp'] },
+      },
+    ],
+  },
+};
+
+const ajv = new Ajv({ allErrors: true });
+const validateQuestionsSchema = ajv.compile(QUESTIONS_SCHEMA);
+
+/**
+ * Validate generated questions against QUESTIONS_SCHEMA
+ * Also checks that a conditional's showIf is one of its options
+ * @param {*} questions - Parsed model output
+ * @returns {Object} { valid, errors: ["/0/options must NOT have fewer than 2 items", ...] }
+ */
+export function validateQuestions(questions) {
+  if (!validateQuestionsSchema(questions)) {
+    return {
+      valid: false,
+      // "must match then schema" only repeats the required-property error before it
+      errors: validateQuestionsSchema.errors
+        .filter(error => error.keyword !== 'if')
+        .map(error => `${error.instancePath || '/'} ${error.message}`),
+    };
+  }
+
+  const errors = [];
+  questions.forEach((question, index) => {
+    const showIf = question.followUp?.showIf;
+    if (question.type === 'conditional' && showIf && !question.options.includes(showIf)) {
+      errors.push(`/${index}/followUp/showIf must be one of the question's options`);
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Parse a model reply into a JSON value
+ * Accepts bare JSON, fenced ```json blocks and JSON surrounded by prose
+ * @param {string} text - Model reply
+ * @returns {Object} { value } or { error }
+ */
+export function parseModelJson(text) {
+  const trimmed = (text || '').trim();
+  const candidates = [
+    trimmed,
+    trimmed.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, ''),
+    trimmed.match(/\[[\s\S]*\]/)?.[0],
+  ];
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch {
+      // try the next candidate
+    }
+  }
+
+  return { error: 'Reply is not valid JSON' };
+}
+
+/**
+ * Give every question an id (q1, q2, ...) and default showIf on conditionals
+ * @param {Array} questions - Validated questions
+ * @returns {Array} Normalized questions
+ */
+export function normalizeQuestions(questions) {
+  return questions.map((question, index) => ({
+    ...question,
+    id: question.id || `q${index + 1}`,
+    ...(question.type === 'conditional' && {
+      followUp: { ...question.followUp, showIf: question.followUp.showIf || question.options[0] },
+    }),
+  }));
+}
@@ -0,0 +1,92 @@
+/**
+ * Server-Sent Events Helpers
+ * Functions for writing SSE responses to the mobile app and
+ * reading SSE streams returned by upstream AI providers
+ */
+
+/**
+ * Set SSE headers and flush them so the client starts receiving immediately
+ * @param {Object} res - Express response
+ */
+export function initSseResponse(res) {
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+  res.flushHeaders();
+}
+
+/**
+ * Write a single SSE frame
+ * @param {Object} res - Express response
+ * @param {Object|string} data - Payload (objects are JSON encoded)
+ * @param {Object} options - Optional SSE fields
+ * @param {string} options.event - Event name
+ * @param {string} options.id - Event id
+ */
+export function writeSseEvent(res, data, { event = null, id = null } = {}) {
+  if (res.writableEnded) return;
+
+  let frame = '';
+  if (id) frame += `id: ${id}\n`;
+  if (event) frame += `event: ${event}\n`;
+
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  // Multi-line payloads need one data: line per line
+  for (const line of payload.split('\n')) {
+    frame += `data: ${line}\n`;
+  }
+
+  res.write(`${frame}\n`);
+}
+
+/**
+ * Write the [DONE] sentinel and close the response
+ * @param {Object} res - Express response
+ */
+export function endSseResponse(res) {
+  if (res.writableEnded) return;
+  res.write('data: [DONE]\n\n');
+  res.end();
+}
+
+/**
+ * Read an upstream SSE stream (e.g. OpenAI with stream: true)
+ * Calls onData with each parsed JSON "data:" payload, skipping [DONE]
+ *
+ * @param {ReadableStream} body - fetch() response body
+ * @param {Function} onData - Callback for each parsed payload
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export async function readSseStream(body, onData) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop() || '';
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+
+      const data = trimmed.slice(5).trim();
+      if (data === '' || data === '[DONE]') continue;
+
+      let parsed;
+      try {
+        parsed = JSON.parse(data);
+      } catch (e) {
+        console.warn('⚠️ Failed to parse SSE data:', e.message, 'Data:', data.substring(0, 100));
+        continue;
+      }
+
+      onData(parsed);
+    }
+  }
+}
@@ -0,0 +1,136 @@
+/**
+ * Stream Event Protocol
+ * Typed framing for streamed AI responses sent to the mobile app
+ *
+ * The format is picked from the request's Accept header:
+ *   text/event-stream     -> SSE (one event per frame)
+ *   application/x-ndjson  -> NDJSON (one JSON object per line)
+ *   anything else         -> legacy plain text (raw content, then "\n\n{usage json}")
+ *
+ * Legacy plain text stays the default so older app builds keep working;
+ * new clients opt into typed events by sending one of the Accept values above.
+ *
+ * Event schema (SSE "data:" payload or NDJSON line):
+ *   { "type": "delta", "id": "<streamId>", "seq": 0, "content": "Hel" }
+ *   { "type": "usage", "id": "<streamId>", "seq": 7, "model": "...",
+ *     "usage": { "inputTokens": 12, "outputTokens": 40, "totalTokens": 52 } }
+ *   { "type": "error", "id": "<streamId>", "seq": 8,
+ *     "error": { "message": "...", "code": "STREAM_ERROR" } }
+ *   { "type": "done",  "id": "<streamId>", "seq": 9, "finishReason": "stop" }
+ *
+ * - "id" is the same for every event of one response (also sent as the X-Stream-Id header)
+ * - "seq" starts at 0 and increases by 1 per event
+ * - Every stream ends with exactly one "done" event, preceded by "usage" or "error"
+ * - SSE frames also carry "event: <type>" and "id: <streamId>:<seq>"
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { writeSseEvent } from './sseHelpers.js';
+
+export const STREAM_FORMATS = {
+  SSE: 'sse',
+  NDJSON: 'ndjson',
+  TEXT: 'text'
+};
+
+export const STREAM_EVENT_TYPES = ['delta', 'usage', 'error', 'done'];
+
+/**
+ * Pick the stream format from an Accept header
+ * @param {string} acceptHeader - Value of the Accept request header
+ * @returns {string} One of STREAM_FORMATS
+ */
+export function negotiateStreamFormat(acceptHeader = '') {
+  const accept = String(acceptHeader || '').toLowerCase();
+
+  if (accept.includes('text/event-stream')) {
+    return STREAM_FORMATS.SSE;
+  }
+  if (accept.includes('application/x-ndjson') || accept.includes('application/ndjson')) {
+    return STREAM_FORMATS.NDJSON;
+  }
+  return STREAM_FORMATS.TEXT;
+}
+
+const CONTENT_TYPES = {
+  [STREAM_FORMATS.SSE]: 'text/event-stream; charset=utf-8',
+  [STREAM_FORMATS.NDJSON]: 'application/x-ndjson; charset=utf-8',
+  [STREAM_FORMATS.TEXT]: 'text/plain; charset=utf-8'
+};
+
+/**
+ * Create a writer that emits protocol events in the negotiated format
+ *
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - One of STREAM_FORMATS (default: legacy text)
+ * @param {string} options.streamId - Id shared by all events (default: random UUID)
+ * @returns {Object} Writer with start, delta, usage, error and done methods
+ */
+export function createStreamWriter(res, { format = STREAM_FORMATS.TEXT, streamId = uuidv4() } = {}) {
+  let seq = 0;
+  let finished = false;
+
+  const emit = (type, fields) => {
+    if (finished || res.writableEnded) return;
+
+    const event = { type, id: streamId, seq: seq++, ...fields };
+
+    if (format === STREAM_FORMATS.SSE) {
+      writeSseEvent(res, event, { event: type, id: `${streamId}:${event.seq}` });
+    } else if (format === STREAM_FORMATS.NDJSON) {
+      res.write(`${JSON.stringify(event)}\n`);
+    }
+  };
+
+  return {
+    id: streamId,
+    format,
+
+    /**
+     * Send headers - call before the first event
+     */
+    start() {
+      if (res.headersSent) return;
+      res.setHeader('Content-Type', CONTENT_TYPES[format]);
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no'); // Disable nginx buffering
+      res.setHeader('X-Stream-Id', streamId);
+      res.flushHeaders();
+    },
+
+    delta(content) {
+      if (!content) return;
+      if (format === STREAM_FORMATS.TEXT) {
+        if (!res.writableEnded) res.write(content);
+        return;
+      }
+      emit('delta', { content });
+    },
+
+    usage(usage, extra = {}) {
+      if (format === STREAM_FORMATS.TEXT) {
+        // Legacy format: usage JSON appended after a blank line
+        if (!res.writableEnded) res.write(`\n\n${JSON.stringify(usage)}`);
+        return;
+      }
+      emit('usage', { ...extra, usage });
+    },
+
+    error(message, code = 'STREAM_ERROR') {
+      if (format === STREAM_FORMATS.TEXT) {
+        if (!res.writableEnded) res.write(`Error: ${message}`);
+        return;
+      }
+      emit('error', { error: { message, code } });
+    },
+
+    done(extra = {}) {
+      if (finished) return;
+      emit('done', extra);
+      finished = true;
+      if (!res.writableEnded) res.end();
+    }
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Token Estimator
+ * Counts prompt tokens before a request goes to the provider
+ *
+ * Uses the o200k_base tokenizer (gpt-4o family) from gpt-tokenizer. Other providers'
+ * models (e.g. Gemini via OpenRouter) tokenize differently, so counts for them are
+ * an approximation - close enough for limit checks, never used for billing.
+ */
+
+import { countTokens } from 'gpt-tokenizer';
+
+// Chat format overhead (OpenAI cookbook): ~3 tokens per message + 3 to prime the reply
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+/**
+ * Extract the text of a message's content (string or multimodal parts array)
+ * @param {string|Array|Object} content - Message content
+ * @returns {string} Text to tokenize
+ */
+function getContentText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === 'string' ? part : part?.text || ''))
+      .join('\n');
+  }
+  return content ? JSON.stringify(content) : '';
+}
+
+/**
+ * Count tokens in a piece of text
+ * @param {string} text - Text to count
+ * @returns {number} Token count
+ */
+export function countTextTokens(text) {
+  if (!text) return 0;
+  return countTokens(String(text));
+}
+
+/**
+ * Count tokens of one chat message including its formatting overhead
+ * @param {Object} message - { role, content } (or { text } for audio/text messages)
+ * @returns {number} Token count
+ */
+export function countMessageTokens(message) {
+  const text = getContentText(message.content ?? message.text);
+  return countTextTokens(text) + countTextTokens(message.role) + TOKENS_PER_MESSAGE;
+}
+
+/**
+ * Estimate prompt tokens for a chat completion request
+ * @param {Array} messages - [{ role, content }]
+ * @returns {number} Estimated prompt tokens
+ */
+export function estimateChatPromptTokens(messages = []) {
+  return messages.reduce((sum, message) => sum + countMessageTokens(message), TOKENS_PER_REPLY);
+}
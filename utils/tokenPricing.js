@@ -1,29 +1,51 @@
 /**
- * OpenAI Token Pricing Constants
- * These are official prices for token cost calculations
- * 
+ * Token Pricing
+ * Built-in default prices plus the Firestore pricing registry snapshot
+ *
+ * Prices are USD per 1M tokens (transcription models also have perMinute, USD per audio
+ * minute - see calculateAudioCost). The registry (model_pricing collection, managed by
+ * services/pricingService.js) holds versioned prices with effective dates and takes
+ * precedence over the defaults below; the defaults cover models the registry doesn't list
+ * and keep billing working before the registry is loaded.
+ *
  * Source: OpenAI pricing as of January 2026
  * Updated: Jan 27, 2026 (latest official pricing)
  * Reference: https://openai.com/api/pricing/ & https://platform.openai.com/docs/pricing
  */
 
 import { TOKEN_LIMITS, getLimitsForPlan } from './limitsConfig.js';
+import { getTodayDate } from './usageHelpers.js';
+
+// Unit stored costs are computed in. Before the registry, the per-1M prices were divided by
+// 1K, so costs recorded without a costBasis (usage ledgers, usage_tracking) are 1000x too
+// high - scripts/rescaleLegacyCosts.js corrects them.
+export const COST_BASIS = 'per_1m';
 
-// Pricing per 1M tokens (convert to per 1K for calculation)
+// Default pricing per 1M tokens
 export const TOKEN_PRICING = {
   // GPT-4o Mini - Cheapest general GPT-4o model (Jan 2026)
   'gpt-4o-mini': {
-    inputPerK: 0.15,       // $0.15 per 1M tokens = $0.00015 per 1K tokens
-    cachedPerK: 0.075,     // $0.075 per 1M tokens = $0.000075 per 1K tokens (cached input)
-    outputPerK: 0.60,      // $0.60 per 1M tokens = $0.0006 per 1K tokens
+    inputPerM: 0.15,       // $0.15 per 1M tokens
+    cachedPerM: 0.075,     // $0.075 per 1M tokens (cached input)
+    outputPerM: 0.60,      // $0.60 per 1M tokens
     description: 'Cheapest general GPT-4o model (OpenAI Platform)',
     unit: 'tokens'
   },
 
+  // GPT-4o - Flagship GPT-4o model (Jan 2026)
+  'gpt-4o': {
+    inputPerM: 2.50,       // $2.50 per 1M tokens
+    cachedPerM: 1.25,      // $1.25 per 1M tokens (cached input)
+    outputPerM: 10.00,     // $10.00 per 1M tokens
+    description: 'Flagship GPT-4o model (OpenAI Platform)',
+    unit: 'tokens'
+  },
+
   // GPT-4o Mini Transcribe - Speech-to-text (Jan 2026)
   'gpt-4o-mini-transcribe': {
-    inputPerK: 1.25,       // $1.25 per 1M tokens = $0.00125 per 1K tokens (audio input → text)
-    outputPerK: 5.00,      // $5.00 per 1M tokens = $0.005 per 1K tokens
+    inputPerM: 1.25,       // $1.25 per 1M tokens (audio input → text)
+    outputPerM: 5.00,      // $5.00 per 1M tokens
+    perMinute: 0.003,      // $0.003 per audio minute (what /api/ai/transcribe bills)
     description: 'Speech-to-text (audio input → text) (OpenAI Platform)',
     audioBased: true,      // Flag to indicate this model processes audio
     unit: 'tokens & minutes' // Billing unit
@@ -31,34 +53,153 @@ export const TOKEN_PRICING = {
 
   // Text-to-Speech (TTS-1) - Basic text-to-speech audio generation (Jan 2026)
   'tts-1': {
-    inputPerK: 0.00,       // $0 per 1K input tokens (TTS charges per output tokens only)
-    outputPerK: 15.00,     // $15.00 per 1M tokens = $0.015 per 1K tokens
+    inputPerM: 0.00,       // $0 per input token (TTS charges per output tokens only)
+    outputPerM: 15.00,     // $15.00 per 1M tokens
     description: 'Basic text-to-speech audio generation (OpenAI Platform)',
     unit: 'tokens'         // Billing unit
   },
 
+  // GPT-4o Mini TTS - Text-to-speech with delivery instructions (voice profiles)
+  'gpt-4o-mini-tts': {
+    inputPerM: 0.60,       // $0.60 per 1M text input tokens
+    outputPerM: 12.00,     // $12.00 per 1M audio output tokens
+    description: 'Steerable text-to-speech (tone via instructions) (OpenAI Platform)',
+    unit: 'tokens'         // Billing unit
+  },
+
   // Whisper-1 - Legacy model mapped to gpt-4o-mini-transcribe pricing (Jan 2026)
   'whisper-1': {
-    inputPerK: 1.25,       // Map to gpt-4o-mini-transcribe pricing
-    outputPerK: 5.00,      // Map to gpt-4o-mini-transcribe pricing
+    inputPerM: 1.25,       // Map to gpt-4o-mini-transcribe pricing
+    outputPerM: 5.00,      // Map to gpt-4o-mini-transcribe pricing
+    perMinute: 0.006,      // $0.006 per audio minute (what /api/ai/transcribe bills)
     description: 'Legacy model, mapped to gpt-4o-mini-transcribe pricing',
     audioBased: true,      // Flag to indicate this model processes audio
     unit: 'tokens & minutes', // Billing unit
     deprecated: true       // Flag to indicate this is legacy
+  },
+
+  // ============ OPENROUTER CHAT MODELS ============
+  // Served by /api/openrouter/chat/stream (entitlements: services/modelCatalogService.js)
+  // Kept in sync with OpenRouter list prices by syncOpenRouterPricing()
+
+  // Gemini 3 Flash Preview via OpenRouter (Jan 2026)
+  'google/gemini-3-flash-preview': {
+    inputPerM: 0.50,       // $0.50 per 1M tokens
+    outputPerM: 3.00,      // $3.00 per 1M tokens
+    description: 'Gemini 3 Flash Preview (OpenRouter)',
+    provider: 'openrouter',
+    unit: 'tokens'
+  },
+
+  // Gemini 2.5 Flash via OpenRouter (Jan 2026)
+  'google/gemini-2.5-flash': {
+    inputPerM: 0.30,       // $0.30 per 1M tokens
+    outputPerM: 2.50,      // $2.50 per 1M tokens
+    description: 'Gemini 2.5 Flash (OpenRouter)',
+    provider: 'openrouter',
+    unit: 'tokens'
+  },
+
+  // GPT-4o Mini via OpenRouter - same list price as OpenAI direct (Jan 2026)
+  'openai/gpt-4o-mini': {
+    inputPerM: 0.15,       // $0.15 per 1M tokens
+    outputPerM: 0.60,      // $0.60 per 1M tokens
+    description: 'GPT-4o Mini (OpenRouter)',
+    provider: 'openrouter',
+    unit: 'tokens'
+  },
+
+  // GPT-4o via OpenRouter - fallback for gpt-4o, same list price as OpenAI direct (Jan 2026)
+  'openai/gpt-4o': {
+    inputPerM: 2.50,       // $2.50 per 1M tokens
+    outputPerM: 10.00,     // $10.00 per 1M tokens
+    description: 'GPT-4o (OpenRouter)',
+    provider: 'openrouter',
+    unit: 'tokens'
   }
 };
 
+// Registry snapshot pushed by services/pricingService.js
+// { [model]: { provider, description, versions: [{ inputPerM, outputPerM, cachedPerM, effectiveFrom }] } }
+// versions are sorted oldest first
+let pricingRegistry = {};
+
+/**
+ * Replace the registry snapshot (called by pricingService after loading Firestore)
+ * @param {Object} registry - Registry keyed by model id
+ */
+export function setPricingRegistry(registry) {
+  pricingRegistry = registry || {};
+}
+
+/**
+ * Get the price of a model at a point in time
+ * Uses the latest registry version effective at `at`, otherwise the built-in default
+ *
+ * @param {string} model - Model id
+ * @param {Date|string} at - When the tokens were used (default: now)
+ * @returns {Object|null} { model, provider, inputPerM, outputPerM, cachedPerM, perMinute, effectiveFrom, source } or null if unknown
+ */
+export function getModelPricing(model, at = new Date()) {
+  const entry = pricingRegistry[model];
+
+  if (entry) {
+    const atMs = new Date(at).getTime();
+    const version = [...entry.versions]
+      .reverse()
+      .find(v => new Date(v.effectiveFrom).getTime() <= atMs);
+
+    if (version) {
+      return {
+        model,
+        provider: entry.provider || 'openai',
+        inputPerM: version.inputPerM,
+        outputPerM: version.outputPerM,
+        cachedPerM: version.cachedPerM ?? null,
+        perMinute: version.perMinute ?? TOKEN_PRICING[model]?.perMinute ?? null,
+        effectiveFrom: version.effectiveFrom,
+        source: 'registry'
+      };
+    }
+  }
+
+  const defaults = TOKEN_PRICING[model];
+  if (!defaults) return null;
+
+  return {
+    model,
+    provider: defaults.provider || 'openai',
+    inputPerM: defaults.inputPerM,
+    outputPerM: defaults.outputPerM,
+    cachedPerM: defaults.cachedPerM ?? null,
+    perMinute: defaults.perMinute ?? null,
+    effectiveFrom: null,
+    source: 'default'
+  };
+}
+
+/**
+ * Check if a model can be billed
+ * @param {string} model - Model id
+ * @returns {boolean} True if the registry or the defaults price the model
+ */
+export function hasModelPricing(model) {
+  return Boolean(pricingRegistry[model] || TOKEN_PRICING[model]);
+}
+
 /**
  * Calculate cost of API call based on tokens used
  * 
- * @param {string} model - Model name (gpt-4o-mini, gpt-4o-mini-transcribe, tts-1, whisper-1)
+ * @param {string} model - Model id (any model in the registry or TOKEN_PRICING)
  * @param {number} promptTokens - Number of input tokens
  * @param {number} completionTokens - Number of output tokens
- * @param {number} cachedTokens - Number of cached input tokens (optional, for gpt-4o-mini)
- * @returns {number} Cost in USD (rounded to 4 decimal places)
+ * @param {number} cachedTokens - Number of cached input tokens (optional, models with cachedPerM)
+ * @param {Date|string} at - When the tokens were used, picks the price version (default: now)
+ * @returns {number} Cost in USD (rounded to 6 decimal places)
+ * @throws {Error} Unknown model
  */
-export function calculateTokenCost(model, promptTokens, completionTokens, cachedTokens = 0) {
-  const pricing = TOKEN_PRICING[model];
+export function calculateTokenCost(model, promptTokens, completionTokens, cachedTokens = 0, at = new Date()) {
+  const pricing = getModelPricing(model, at);
   
   if (!pricing) {
     throw new Error(`Unknown model: ${model}`);
@@ -67,27 +208,47 @@ export function calculateTokenCost(model, promptTokens, completionTokens, cached
   let inputCost = 0;
   let outputCost = 0;
 
-  // Handle cached tokens for gpt-4o-mini
-  if (model === 'gpt-4o-mini' && cachedTokens > 0) {
+  if (pricing.cachedPerM !== null && cachedTokens > 0) {
     const regularInputTokens = Math.max(0, promptTokens - cachedTokens);
-    inputCost = (regularInputTokens / 1000) * pricing.inputPerK + (cachedTokens / 1000) * pricing.cachedPerK;
+    inputCost = (regularInputTokens / 1000000) * pricing.inputPerM + (cachedTokens / 1000000) * pricing.cachedPerM;
   } else {
     // Standard input cost calculation
-    inputCost = (promptTokens / 1000) * pricing.inputPerK;
+    inputCost = (promptTokens / 1000000) * pricing.inputPerM;
   }
 
   // Output cost calculation
-  outputCost = (completionTokens / 1000) * pricing.outputPerK;
+  outputCost = (completionTokens / 1000000) * pricing.outputPerM;
   
   const totalCost = inputCost + outputCost;
 
-  // Round to 4 decimal places to avoid floating point issues
-  return Math.round(totalCost * 10000) / 10000;
+  // Round to 6 decimal places - single requests cost fractions of a cent
+  return Math.round(totalCost * 1000000) / 1000000;
+}
+
+/**
+ * Calculate cost of a transcription from the audio duration
+ * Billed per minute, prorated to the second
+ *
+ * @param {string} model - Transcription model id (needs a perMinute price)
+ * @param {number} seconds - Audio duration in seconds
+ * @param {Date|string} at - When the audio was transcribed, picks the price version (default: now)
+ * @returns {number} Cost in USD (rounded to 6 decimal places)
+ * @throws {Error} Unknown model or model without a per-minute price
+ */
+export function calculateAudioCost(model, seconds, at = new Date()) {
+  const pricing = getModelPricing(model, at);
+
+  if (!pricing || pricing.perMinute === null) {
+    throw new Error(`No per-minute pricing for model: ${model}`);
+  }
+
+  const cost = (seconds / 60) * pricing.perMinute;
+  return Math.round(cost * 1000000) / 1000000;
 }
 
 /**
  * User Tier Limits Configuration
- * Daily limits reset at 12:00 AM (midnight) UTC
+ * Daily limits reset at 12:00 AM (midnight) in the user's timezone (UTC by default)
  * 
  * Tier Structure:
  * - Free: 1,000,000 daily tokens, 50,000 max per request, 500-1,000 requests/minute
@@ -161,7 +322,7 @@ export function getTierSummary(tier) {
     dailyLimit: limits.chatTokensDaily.toLocaleString(),
     maxTokensPerRequest: limits.maxTokensPerRequest.toLocaleString(),
     requestsPerMinute: limits.maxRequestsPerMinute.toLocaleString(),
-    resetTime: '12:00 AM UTC',
+    resetTime: '12:00 AM (user timezone, UTC by default)',
     description: limits.description
   };
 }
@@ -178,19 +339,19 @@ export function getRemainingDailyTokens(tier, dailyUsedTokens) {
 }
 
 /**
- * Check if it's time to reset daily usage (12:00 AM UTC)
+ * Check if it's time to reset daily usage (12:00 AM in the user's timezone)
  * @param {string} lastResetDate - Last reset date in YYYY-MM-DD format
+ * @param {string} timeZone - User's IANA timezone (default: UTC)
  * @returns {boolean} True if daily usage should be reset
  */
-export function shouldResetDailyUsage(lastResetDate) {
-  const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
-  return lastResetDate !== today;
+export function shouldResetDailyUsage(lastResetDate, timeZone = 'UTC') {
+  return lastResetDate !== getTodayDate(timeZone);
 }
 
 /**
- * Get all supported models
+ * Get all supported (billable) models
  * @returns {Array<string>} List of model names
  */
 export function getSupportedModels() {
-  return Object.keys(TOKEN_PRICING);
+  return [...new Set([...Object.keys(TOKEN_PRICING), ...Object.keys(pricingRegistry)])];
 }
@@ -0,0 +1,81 @@
+/**
+ * Transcription Options
+ * Validation of the response_format / timestamp_granularities / task options shared by
+ * /api/ai/transcribe and chunked transcription jobs, plus SRT/VTT rendering for
+ * transcripts stitched together on the server
+ */
+
+export const TRANSCRIPTION_RESPONSE_FORMATS = ['json', 'text', 'srt', 'vtt', 'verbose_json'];
+export const TIMESTAMP_GRANULARITIES = ['word', 'segment'];
+export const TRANSCRIPTION_TASKS = ['transcribe', 'translate'];
+
+/**
+ * Parse and validate transcription options from a request body
+ * timestamp_granularities may arrive as repeated fields, "word,segment" or a JSON array
+ * @param {Object} body - req.body
+ * @returns {Object} { task, responseFormat, timestampGranularities } or { error }
+ */
+export function parseTranscriptionOptions(body = {}) {
+  const task = body.task || 'transcribe';
+  if (!TRANSCRIPTION_TASKS.includes(task)) {
+    return { error: `task must be one of: ${TRANSCRIPTION_TASKS.join(', ')}` };
+  }
+
+  let granularities = body.timestamp_granularities ?? body['timestamp_granularities[]'] ?? [];
+  if (typeof granularities === 'string') {
+    try {
+      granularities = granularities.trim().startsWith('[') ? JSON.parse(granularities) : granularities.split(',');
+    } catch {
+      return { error: 'timestamp_granularities must be a list of: word, segment' };
+    }
+  }
+  const timestampGranularities = [...new Set([].concat(granularities).map(g => String(g).trim()).filter(Boolean))];
+  if (timestampGranularities.some(g => !TIMESTAMP_GRANULARITIES.includes(g))) {
+    return { error: `timestamp_granularities must be any of: ${TIMESTAMP_GRANULARITIES.join(', ')}` };
+  }
+
+  // Timestamps only come back in verbose_json, so asking for them implies that format
+  const responseFormat = body.response_format || (timestampGranularities.length > 0 ? 'verbose_json' : 'json');
+  if (!TRANSCRIPTION_RESPONSE_FORMATS.includes(responseFormat)) {
+    return { error: `response_format must be one of: ${TRANSCRIPTION_RESPONSE_FORMATS.join(', ')}` };
+  }
+  if (timestampGranularities.length > 0 && responseFormat !== 'verbose_json') {
+    return { error: 'timestamp_granularities requires response_format=verbose_json' };
+  }
+  if (timestampGranularities.length > 0 && task === 'translate') {
+    return { error: 'timestamp_granularities is not supported with task=translate (use response_format=verbose_json for segments)' };
+  }
+
+  return { task, responseFormat, timestampGranularities };
+}
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds - Time in seconds
+ * @param {string} format - 'srt' (00:01:02,500) or 'vtt' (00:01:02.500)
+ * @returns {string} Timestamp
+ */
+function formatSubtitleTime(seconds, format) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = String(Math.floor(totalMs / 3600000)).padStart(2, '0');
+  const minutes = String(Math.floor((totalMs % 3600000) / 60000)).padStart(2, '0');
+  const secs = String(Math.floor((totalMs % 60000) / 1000)).padStart(2, '0');
+  const ms = String(totalMs % 1000).padStart(3, '0');
+  return `${hours}:${minutes}:${secs}${format === 'srt' ? ',' : '.'}${ms}`;
+}
+
+/**
+ * Render transcript segments as an SRT or WebVTT file
+ * @param {Array} segments - [{ start, end, text }] with times in seconds
+ * @param {string} format - 'srt' | 'vtt'
+ * @returns {string} Subtitle file contents
+ */
+export function formatSubtitles(segments, format) {
+  const cues = segments.map((segment, index) => {
+    const timing = `${formatSubtitleTime(segment.start, format)} --> ${formatSubtitleTime(segment.end, format)}`;
+    const text = (segment.text || '').trim();
+    return format === 'srt' ? `${index + 1}\n${timing}\n${text}\n` : `${timing}\n${text}\n`;
+  });
+
+  return format === 'srt' ? cues.join('\n') : `WEBVTT\n\n${cues.join('\n')}`;
+}
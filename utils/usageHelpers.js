@@ -1,8 +1,71 @@
 /**
  * Usage Tracking Helper Functions
  * Functions for calculating dates, formatting usage records, etc.
+ *
+ * Months are always UTC (usage docs and invoices are per UTC month). Days follow the
+ * user's IANA timezone when one is passed (see services/userTimezoneService.js), UTC otherwise.
  */
 
+export const DEFAULT_TIMEZONE = 'UTC';
+
+const IANA_TIMEZONE_PATTERN = /^[A-Za-z]+(?:\/[A-Za-z0-9_+-]+)*$/;
+const dateFormatters = new Map();
+
+function getDateFormatter(timeZone) {
+  if (!dateFormatters.has(timeZone)) {
+    dateFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return dateFormatters.get(timeZone);
+}
+
+/**
+ * Wall-clock time of an instant in a timezone
+ * @returns {Object} { year, month, day, hour, minute, second } (numbers, month 1-12)
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getDateFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return parts;
+}
+
+/**
+ * Whether a string is an IANA timezone name this runtime knows (e.g. "Asia/Dubai")
+ * Offsets ("+04:00") are rejected.
+ * @param {string} timeZone - Timezone name
+ * @returns {boolean}
+ */
+export function isValidTimezone(timeZone) {
+  if (typeof timeZone !== 'string' || !IANA_TIMEZONE_PATTERN.test(timeZone)) return false;
+  try {
+    getDateFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the date of an instant in YYYY-MM-DD format in a timezone
+ * @param {Date|string} date - Date or ISO timestamp
+ * @param {string} timeZone - IANA timezone (default: UTC)
+ * @returns {string} Date (e.g., "2025-01-21")
+ */
+export function getDateInTimezone(date, timeZone = DEFAULT_TIMEZONE) {
+  const { year, month, day } = getZonedParts(new Date(date), timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
 /**
  * Get current month in YYYY-MM format (UTC)
  * @returns {string} Current month (e.g., "2025-01")
@@ -15,20 +78,17 @@ export function getCurrentMonth() {
 }
 
 /**
- * Get today's date in YYYY-MM-DD format (UTC)
+ * Get today's date in YYYY-MM-DD format
+ * @param {string} timeZone - IANA timezone (default: UTC)
  * @returns {string} Today's date (e.g., "2025-01-21")
  */
-export function getTodayDate() {
-  const now = new Date();
-  const year = now.getUTCFullYear();
-  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
-  const day = String(now.getUTCDate()).padStart(2, '0');
-  return `${year}-${month}-${day}`;
+export function getTodayDate(timeZone = DEFAULT_TIMEZONE) {
+  return getDateInTimezone(new Date(), timeZone);
 }
 
 /**
  * Validate if a timestamp is newer than another timestamp
- * Used to prevent duplicate usage reports
+ * Used to keep lastReportedAt from moving backwards
  * 
  * @param {string} newTimestamp - ISO string of new timestamp
  * @param {string|null} lastTimestamp - ISO string of last reported timestamp
@@ -63,24 +123,34 @@ export function extractMonthFromTimestamp(isoTimestamp) {
 }
 
 /**
- * Get the next daily reset time (12:00 AM UTC)
+ * Get the next daily reset time (12:00 AM in the timezone)
+ * @param {string} timeZone - IANA timezone (default: UTC)
+ * @param {Date} from - Time to look from (default: now)
  * @returns {Date} Next reset time
  */
-export function getNextDailyReset() {
-  const now = new Date();
-  const tomorrow = new Date(now);
-  tomorrow.setUTCDate(tomorrow.getUTCDate() + 1);
-  tomorrow.setUTCHours(0, 0, 0, 0); // Set to 12:00 AM UTC
-  return tomorrow;
+export function getNextDailyReset(timeZone = DEFAULT_TIMEZONE, from = new Date()) {
+  const { year, month, day } = getZonedParts(from, timeZone);
+  // Tomorrow's midnight read as UTC, then moved by the zone's offset at that time
+  const midnightAsUtc = Date.UTC(year, month - 1, day + 1);
+  const offsetAt = (time) => {
+    const parts = getZonedParts(new Date(time), timeZone);
+    const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return wallClock - Math.floor(time / 1000) * 1000;
+  };
+  let reset = midnightAsUtc - offsetAt(midnightAsUtc);
+  // Second pass for days where the offset changes (DST)
+  reset = midnightAsUtc - offsetAt(reset);
+  return new Date(reset);
 }
 
 /**
  * Get time remaining until next daily reset
- * @returns {Object} { hours, minutes, seconds, totalMs }
+ * @param {string} timeZone - IANA timezone (default: UTC)
+ * @returns {Object} { hours, minutes, seconds, totalMs, resetTime, timezone }
  */
-export function getTimeUntilReset() {
+export function getTimeUntilReset(timeZone = DEFAULT_TIMEZONE) {
   const now = new Date();
-  const nextReset = getNextDailyReset();
+  const nextReset = getNextDailyReset(timeZone, now);
   const diffMs = nextReset.getTime() - now.getTime();
   
   const hours = Math.floor(diffMs / (1000 * 60 * 60));
@@ -92,24 +162,22 @@ export function getTimeUntilReset() {
     minutes,
     seconds,
     totalMs: diffMs,
-    resetTime: nextReset.toISOString()
+    resetTime: nextReset.toISOString(),
+    timezone: timeZone
   };
 }
 
 /**
  * Check if it's a new day compared to a given timestamp
  * @param {string} lastTimestamp - ISO timestamp to compare
- * @returns {boolean} True if it's a new day (UTC)
+ * @param {string} timeZone - IANA timezone (default: UTC)
+ * @returns {boolean} True if it's a new day in the timezone
  */
-export function isNewDay(lastTimestamp) {
+export function isNewDay(lastTimestamp, timeZone = DEFAULT_TIMEZONE) {
   if (!lastTimestamp) return true;
   
   try {
-    const lastDate = new Date(lastTimestamp);
-    const today = getTodayDate();
-    const lastDay = `${lastDate.getUTCFullYear()}-${String(lastDate.getUTCMonth() + 1).padStart(2, '0')}-${String(lastDate.getUTCDate()).padStart(2, '0')}`;
-    
-    return today !== lastDay;
+    return getTodayDate(timeZone) !== getDateInTimezone(lastTimestamp, timeZone);
   } catch (error) {
     return true;
   }